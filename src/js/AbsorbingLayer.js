@@ -0,0 +1,423 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * The single workgroup size for the interior probability reduction.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * Base for boundary value classes that absorb the outgoing wave in a layer along each edge of the grid, rather than
+ * at the edge point itself as {@link MurBoundary} does. A layer absorbs every wave number, so broadband wave packets
+ * leave the grid without the reflections a single phase velocity gives.
+ *
+ * Like MurBoundary, these work with the one dimensional three buffer central difference solver in
+ * SchrodingerMurBoundary.js, on a uniform f32 grid, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt) in group 1. After each time
+ * step {@link makeComputePass} revisits Ψ(t+Δt) within the layers. Subclasses supply the WGSL for a single layer
+ * point through {@link getLayerFunction}.
+ *
+ * The layers cover width from each end of the grid. The strength of the absorption rises quadratically from zero at
+ * the inner edge of a layer to strength at the grid edge. How well a layer absorbs is measured with
+ * {@link measureReflection}, the fraction of the probability left in the interior once a wave packet has had time to
+ * leave the grid.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver whose wave function is absorbed.
+ * @property {GPUDevice} #device The device the solver runs on.
+ * @property {Number} #width The width of each layer in the solver's units of length.
+ * @property {Number} #strength The absorption strength at the edges of the grid.
+ * @property {GPUBuffer} #layerBuffer Uniform buffer holding the width and strength.
+ * @property {GPUBuffer} #probabilityBuffer Storage for the interior probability.
+ * @property {GPUBuffer} #readBuffer Mappable copy of the interior probability.
+ * @property {GPUBindGroup} #layerBindGroup Binds the layer and probability buffers in group 2.
+ * @property {GPUComputePipeline} #absorbPipeline Applies the layer after each time step.
+ * @property {GPUComputePipeline} #probabilityPipeline Sums |Ψ|² over the interior.
+ */
+class AbsorbingLayer
+{
+    #schrodinger;
+    #device;
+    #width;
+    #strength;
+    #layerBuffer;
+    #probabilityBuffer;
+    #readBuffer;
+    #layerBindGroup;
+    #absorbPipeline;
+    #probabilityPipeline;
+
+    /**
+     * Describe an absorbing layer along each edge of the solver's grid.
+     *
+     * @param {SchrodingerSolver} schrodinger A three buffer central difference solver.
+     * @param {Number}            width       The width of each layer, less than half the solver's length.
+     * @param {Number}            strength    The absorption strength at the grid edges.
+     */
+    constructor(schrodinger, width, strength)
+    {
+        if (schrodinger.getBoundaryScheme() !== SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE)
+        {
+            throw new Error(`${this.constructor.name}: Expected a three buffer central difference solver, not `
+                            + `${schrodinger.getBoundaryScheme() ?? "a solver without boundaries"}.`);
+        }
+        // The layers are laid out by index along x, with a single grid spacing.
+        if (schrodinger.getGridSize() !== schrodinger.getXResolution() || schrodinger.getCoordinates()
+            || schrodinger.getWaveFunctionType() !== "vec2f")
+        {
+            throw new Error(`${this.constructor.name}: Expected a uniform one dimensional grid with vec2f wave `
+                            + `functions.`);
+        }
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#checkWidth(width);
+        this.#checkStrength(strength);
+        this.#width = width;
+        this.#strength = strength;
+    }
+
+    #checkWidth(width)
+    {
+        if (!(width > 0 && width < 0.5*this.#schrodinger.getLength()))
+        {
+            throw new Error(`${this.constructor.name}: The layer width, ${width}, must be positive and less than half `
+                            + `the length, ${this.#schrodinger.getLength()}.`);
+        }
+    }
+
+    #checkStrength(strength)
+    {
+        if (!(strength >= 0))
+        {
+            throw new Error(`${this.constructor.name}: The layer strength, ${strength}, must be non negative.`);
+        }
+    }
+
+    /**
+     * WGSL for absorbAt(index, depth, dx), which revises updatedWaveFunction[index] at a point within a layer.
+     * depth rises from 0 at the inner edge of the layer to 1 at the grid edge, and layer.strength holds the strength.
+     *
+     * @returns {String} WGSL source declaring absorbAt, along with any functions it needs.
+     */
+    getLayerFunction()
+    {
+        throw new Error(`${this.constructor.name}: Absorbing layers must implement getLayerFunction.`);
+    }
+
+    /**
+     * Build the pipelines and buffers. Invoke immediately after the constructor, or get the object through a
+     * subclass's getInstance.
+     *
+     * @returns {AbsorbingLayer} This absorbing layer.
+     */
+    init()
+    {
+        const layerShader = `
+          ${this.#schrodinger.getParametersStruct()}
+
+          // The width of each layer, and the strength at the grid edges.
+          struct Layer {
+            width: f32,
+            strength: f32
+          }
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, changes on each iteration - the same as in the main solver to keep the same bindings.
+          // Older wave function at t-Δt.
+          @group(1) @binding(0) var<storage, read> oldWaveFunction : array<vec2f>;
+          // Current wave function at t.
+          @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
+          // The updated wave function at t+Δt.
+          @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+
+          // Group 2, absorbing layer specific data.
+          @group(2) @binding(0) var<uniform> layer : Layer;
+          @group(2) @binding(1) var<storage, read_write> interiorProbability : f32;
+
+          var<workgroup> partialProbability : array<f32, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          // 0 at the inner edge of a layer, and throughout the interior, rising to 1 at the edges of the grid.
+          fn layerDepth(x: f32) -> f32
+          {
+            return max(max(layer.width - x, x - (parameters.length - layer.width)), 0.0)/layer.width;
+          }
+
+          ${this.getLayerFunction()}
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn absorb(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let index = global_id.x;
+            if (index >= parameters.xResolution) {
+              return;
+            }
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            let depth = layerDepth(f32(index)*dx);
+            if (depth > 0.0)
+            {
+              absorbAt(index, depth, dx);
+            }
+          }
+
+          // A single workgroup sums |Ψ|² over the points outside the layers.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn interior(@builtin(local_invocation_index) localIndex : u32)
+          {
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            var probability = 0.0;
+            for (var index = localIndex; index < parameters.xResolution; index += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              if (layerDepth(f32(index)*dx) == 0.0)
+              {
+                probability += dot(waveFunction[index], waveFunction[index]);
+              }
+            }
+            partialProbability[localIndex] = probability;
+            workgroupBarrier();
+
+            for (var stride = ${REDUCTION_WORKGROUP_SIZE/2}u; stride > 0u; stride /= 2u)
+            {
+              if (localIndex < stride)
+              {
+                partialProbability[localIndex] += partialProbability[localIndex + stride];
+              }
+              workgroupBarrier();
+            }
+
+            if (localIndex == 0u)
+            {
+              interiorProbability = partialProbability[0]*dx;
+            }
+          }
+        `;
+
+        const layerShaderModule = this.#device.createShaderModule({
+            label: `${this.constructor.name} shader`,
+            code: layerShader
+        });
+
+        const layerBindGroupLayout = this.#device.createBindGroupLayout({
+            label: `${this.constructor.name} layout`,
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {}
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        this.#layerBuffer = this.#device.createBuffer({
+            label: `${this.constructor.name} width and strength`,
+            size: 2*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.#writeLayer();
+
+        this.#probabilityBuffer = this.#device.createBuffer({
+            label: `${this.constructor.name} interior probability`,
+            size: Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+
+        this.#readBuffer = this.#device.createBuffer({
+            label: `${this.constructor.name} interior probability read buffer`,
+            size: Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        this.#layerBindGroup = this.#device.createBindGroup({
+            layout: layerBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#layerBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#probabilityBuffer
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                this.#schrodinger.getParametersBindGroupLayout(),
+                                this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                layerBindGroupLayout
+                              ]
+        });
+
+        this.#absorbPipeline = this.#device.createComputePipeline({
+            label: `${this.constructor.name} pipeline`,
+            layout: pipelineLayout,
+            compute: {
+                module: layerShaderModule,
+                entryPoint: "absorb"
+            }
+        });
+
+        this.#probabilityPipeline = this.#device.createComputePipeline({
+            label: `${this.constructor.name} interior probability pipeline`,
+            layout: pipelineLayout,
+            compute: {
+                module: layerShaderModule,
+                entryPoint: "interior"
+            }
+        });
+
+        return this;
+    }
+
+    #writeLayer()
+    {
+        this.#device.queue.writeBuffer(this.#layerBuffer, 0, new Float32Array([this.#width, this.#strength]));
+    }
+
+    /**
+     * Get the solver this layer absorbs for.
+     *
+     * @returns {SchrodingerSolver} The solver.
+     */
+    getSchrodinger()
+    {
+        return this.#schrodinger;
+    }
+
+    /**
+     * Get the width of each layer.
+     *
+     * @returns {Number} The width in the solver's units of length.
+     */
+    getWidth()
+    {
+        return this.#width;
+    }
+
+    /**
+     * Set the width of each layer, taking effect on the next time step.
+     *
+     * @param {Number} width The width, positive and less than half the solver's length.
+     * @returns {AbsorbingLayer} This absorbing layer.
+     */
+    setWidth(width)
+    {
+        this.#checkWidth(width);
+        this.#width = width;
+        this.#writeLayer();
+        return this;
+    }
+
+    /**
+     * Get the absorption strength at the grid edges.
+     *
+     * @returns {Number} The strength.
+     */
+    getStrength()
+    {
+        return this.#strength;
+    }
+
+    /**
+     * Set the absorption strength at the grid edges, taking effect on the next time step.
+     *
+     * @param {Number} strength The non negative strength.
+     * @returns {AbsorbingLayer} This absorbing layer.
+     */
+    setStrength(strength)
+    {
+        this.#checkStrength(strength);
+        this.#strength = strength;
+        this.#writeLayer();
+        return this;
+    }
+
+    /**
+     * The probability, ∫|Ψ|²dx, over the interior of the grid between the layers, for the solver's current wave
+     * function.
+     *
+     * @returns {Promise<Number>} The interior probability.
+     */
+    async getInteriorProbability()
+    {
+        const commandEncoder = this.#device.createCommandEncoder();
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#probabilityPipeline);
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, this.#schrodinger.getWaveFunctionBindGroup());
+        passEncoder.setBindGroup(2, this.#layerBindGroup);
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+        commandEncoder.copyBufferToBuffer(this.#probabilityBuffer, 0, this.#readBuffer, 0, this.#readBuffer.size);
+        this.#device.queue.submit([commandEncoder.finish()]);
+
+        await this.#readBuffer.mapAsync(GPUMapMode.READ);
+        const probability = new Float32Array(this.#readBuffer.getMappedRange())[0];
+        this.#readBuffer.unmap();
+        return probability;
+    }
+
+    /**
+     * Measure the residual reflection from the layers. Start with a wave packet in the interior moving toward an
+     * edge, and the boundary conditions enabled. This steps the solver long enough for the packet to reach the layer
+     * and anything reflected to return, then compares the probability left in the interior with that at the start.
+     * An ideal layer gives 0, hard walls 1.
+     *
+     * @param {Integer} steps The number of time steps for the packet to leave the interior.
+     * @returns {Promise<Number>} The fraction of the interior probability remaining after the given steps.
+     */
+    async measureReflection(steps)
+    {
+        const initial = await this.getInteriorProbability();
+        this.#schrodinger.step(steps);
+        return (await this.getInteriorProbability())/initial;
+    }
+
+    /**
+     * Append a compute pass applying the layers to the updated wave function.
+     *
+     * @param {GPUCommandEncoder} commandEncoder The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup} waveFunctionBindGroup The bind group, describing which wave function buffers are bound to
+     *                                            which indices, currently in use.
+     */
+    makeComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#absorbPipeline);
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#layerBindGroup);
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#schrodinger.getXResolution() / WORKGROUP_SIZE));
+        passEncoder.end();
+    }
+}
+
+export {AbsorbingLayer}
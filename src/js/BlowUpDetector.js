@@ -0,0 +1,586 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * The workgroup size for the wave function summary.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * The most workgroups, and so partial summaries, a check dispatches. Each workgroup loops over as much of the grid
+ * as it needs.
+ */
+const MAX_SUMMARIES = 256;
+
+/**
+ * The bytes in one partial summary: norm, peak, peakIndex, firstBad and lastBad, four bytes each.
+ */
+const SUMMARY_SIZE = 20;
+
+/**
+ * Marks the absence of a grid point in a summary.
+ */
+const NO_POINT = 0xffffffff;
+
+/**
+ * The event type dispatched when a blow up is detected.
+ */
+const BLOW_UP_EVENT = "blowup";
+
+/**
+ * The reasons given in a blow up event.
+ */
+const REASON_NON_FINITE = "nonfinite";
+const REASON_GROWTH = "growth";
+
+/**
+ * Watches a solver for numerical blow up, halting it and raising an event, rather than letting it step, and a
+ * renderer draw, garbage. Every interval steps a compute pass sums |Ψ|² over the grid, and looks for NaN and
+ * infinite values. The first check after the wave function is set records the norm as a reference, later checks flag
+ * a norm more than tolerance above it. The schemes here conserve the norm, or lose it to absorbing boundaries, so
+ * growth means an instability, typically a time step beyond {@link SchrodingerSolver#getStableTimeStep}. On a
+ * non-uniform grid the norm is Σ w|Ψ|², with w the width of the cell about each point, which is what the schemes
+ * conserve there. For a two component spinor |Ψ|² = |Ψ↑|² + |Ψ↓|².
+ *
+ * Attach a detector with {@link SchrodingerSolver#setBlowUpDetector}. The solver invokes {@link update} at the top
+ * of each {@link SchrodingerSolver#step}, when the previous steps have been submitted, so a check sees the wave
+ * function as the last step left it. The result is read back asynchronously, so the solver may run one more batch
+ * of steps before it halts. On a blow up the detector invokes the solver's stop(), and keeps it stopped until the
+ * wave function is next set, then dispatches a "blowup" CustomEvent whose detail holds
+ * <ul>
+ *   <li>step, the solver's step count when the check ran.</li>
+ *   <li>reason, {@link REASON_NON_FINITE} or {@link REASON_GROWTH}.</li>
+ *   <li>norm, ∫|Ψ|² over the finite points.</li>
+ *   <li>start and end, the offending region as indices into the wave function array: the first and last non finite
+ *       points, or for growth the point where |Ψ|² peaks. In 2D and 3D the index is x + xResolution*(y +
+ *       yResolution*z).</li>
+ * </ul>
+ * For example
+ * <pre>
+ *   const detector = BlowUpDetector.getInstance(schrodinger, 100);
+ *   detector.addEventListener(BlowUpDetector.BLOW_UP_EVENT, (event) => showInstability(event.detail));
+ *   schrodinger.setBlowUpDetector(detector);
+ * </pre>
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver being watched.
+ * @property {GPUDevice} #device The solver's device.
+ * @property {Integer} #interval The number of time steps between checks.
+ * @property {Number} #tolerance The largest fractional growth of the norm accepted.
+ * @property {Number} #referenceNorm The norm at the first check after the wave function was set.
+ * @property {Integer} #lastCheckStep The solver's step count at the last check.
+ * @property {Integer} #generation Counts resets, so a check running across a reset is discarded.
+ * @property {Promise<Object>} #pendingCheck The check in flight, if any.
+ * @property {Object} #blowUp The detail of the blow up found, undefined while the solver is healthy.
+ * @property {Integer} #workgroupCount The number of workgroups, and partial summaries, in a check.
+ * @property {GPUBuffer} #weightsBuffer The cell width about each point on a non-uniform grid, otherwise undefined.
+ * @property {GPUBuffer} #summaryBuffer The partial summaries.
+ * @property {GPUBuffer} #readBuffer Mappable copy of the partial summaries.
+ * @property {GPUBindGroupLayout} #bindGroupLayout Binds the wave function and the partial summaries.
+ * @property {GPUComputePipeline} #summaryPipeline Summarizes the wave function.
+ */
+class BlowUpDetector extends EventTarget
+{
+    #schrodinger;
+    #device;
+    #interval;
+    #tolerance;
+    #referenceNorm;
+    #lastCheckStep;
+    #generation = 0;
+    #pendingCheck;
+    #blowUp;
+    #workgroupCount;
+    #weightsBuffer;
+    #summaryBuffer;
+    #readBuffer;
+    #bindGroupLayout;
+    #summaryPipeline;
+
+    /**
+     * Describe a blow up detector for the given solver.
+     *
+     * @param {SchrodingerSolver} schrodinger An initialized solver.
+     * @param {Integer}           interval    The number of time steps between checks, defaults to 100.
+     * @param {Number}            tolerance   The largest fractional growth of the norm accepted, defaults to 0.05.
+     */
+    constructor(schrodinger, interval=100, tolerance=0.05)
+    {
+        super();
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#checkInterval(interval);
+        this.#checkTolerance(tolerance);
+        this.#interval = interval;
+        this.#tolerance = tolerance;
+        this.#lastCheckStep = schrodinger.getStepCount();
+    }
+
+    #checkInterval(interval)
+    {
+        if (!(Number.isInteger(interval) && interval > 0))
+        {
+            throw new Error(`${this.constructor.name}: The check interval, ${interval}, must be a positive integer.`);
+        }
+    }
+
+    #checkTolerance(tolerance)
+    {
+        if (!(tolerance > 0))
+        {
+            throw new Error(`${this.constructor.name}: The norm tolerance, ${tolerance}, must be positive.`);
+        }
+    }
+
+    /**
+     * The type of the event dispatched on a blow up.
+     *
+     * @returns {String} "blowup"
+     */
+    static get BLOW_UP_EVENT()
+    {
+        return BLOW_UP_EVENT;
+    }
+
+    /**
+     * The reason given when the wave function holds NaN or infinite values.
+     *
+     * @returns {String} "nonfinite"
+     */
+    static get REASON_NON_FINITE()
+    {
+        return REASON_NON_FINITE;
+    }
+
+    /**
+     * The reason given when the norm has grown beyond the tolerance.
+     *
+     * @returns {String} "growth"
+     */
+    static get REASON_GROWTH()
+    {
+        return REASON_GROWTH;
+    }
+
+    /**
+     * Build the pipeline and buffers. Invoke immediately after the constructor, or get the object through
+     * {@link getInstance}.
+     *
+     * @returns {BlowUpDetector} This detector.
+     */
+    init()
+    {
+        const gridSize = this.#schrodinger.getGridSize();
+        this.#workgroupCount = Math.min(Math.ceil(gridSize/REDUCTION_WORKGROUP_SIZE), MAX_SUMMARIES);
+        const coordinates = this.#schrodinger.getCoordinates();
+        const waveFunctionType = this.#schrodinger.getWaveFunctionType();
+        // A vec2 for a scalar wave function, a vec4 holding both components of a spinor.
+        const componentCount = Number(waveFunctionType.charAt(3));
+
+        const summaryShader = `
+          ${this.#schrodinger.getEnableDirectives()}
+          const GRID_SIZE = ${gridSize}u;
+          const NO_POINT = ${NO_POINT}u;
+          // An f32 with all exponent bits set is infinite or NaN.
+          const EXPONENT_BITS = 0x7f800000u;
+          // Ψ at one grid point, promoted to f32.
+          alias Psi = vec${componentCount}f;
+          alias PsiBits = vec${componentCount}u;
+
+          // A summary of part of the wave function.
+          struct Summary {
+            norm: f32,        // Σ|Ψ|² over the finite points.
+            peak: f32,        // The largest |Ψ|².
+            peakIndex: u32,   // Where |Ψ|² peaks.
+            firstBad: u32,    // The first non finite point, NO_POINT if none.
+            lastBad: u32      // The last non finite point.
+          }
+
+          @group(0) @binding(0) var<storage, read> waveFunction : array<${waveFunctionType}>;
+          @group(0) @binding(1) var<storage, read_write> summaries : array<Summary>;
+          ${coordinates ? `
+          // The width of the cell about each point on a non-uniform grid.
+          @group(0) @binding(2) var<storage, read> weights : array<f32>;` : ""}
+
+          var<workgroup> partialSummaries : array<Summary, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          // Compare bits, as comparisons involving NaN may be optimized away.
+          fn isFinite(value: Psi) -> bool
+          {
+            return all((bitcast<PsiBits>(value) & PsiBits(EXPONENT_BITS)) != PsiBits(EXPONENT_BITS));
+          }
+
+          fn combine(a: Summary, b: Summary) -> Summary
+          {
+            var combined = Summary(a.norm + b.norm, a.peak, a.peakIndex, min(a.firstBad, b.firstBad),
+                                   max(a.lastBad, b.lastBad));
+            if (b.peak > a.peak)
+            {
+              combined.peak = b.peak;
+              combined.peakIndex = b.peakIndex;
+            }
+            return combined;
+          }
+
+          // Each workgroup summarizes a strided share of the grid.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn summarize(@builtin(local_invocation_index) localIndex : u32,
+                       @builtin(workgroup_id) workgroupId : vec3u,
+                       @builtin(num_workgroups) workgroupCount : vec3u)
+          {
+            var summary = Summary(0.0, 0.0, NO_POINT, NO_POINT, 0u);
+            let stride = workgroupCount.x*${REDUCTION_WORKGROUP_SIZE}u;
+            for (var index = workgroupId.x*${REDUCTION_WORKGROUP_SIZE}u + localIndex; index < GRID_SIZE;
+                 index += stride)
+            {
+              // Promoted from f16, where infinities and NaN stay infinite and NaN.
+              let psi = Psi(waveFunction[index]);
+              if (isFinite(psi))
+              {
+                let density = dot(psi, psi);
+                summary.norm += ${coordinates ? "weights[index]*density" : "density"};
+                if (density > summary.peak)
+                {
+                  summary.peak = density;
+                  summary.peakIndex = index;
+                }
+              }
+              else
+              {
+                summary.firstBad = min(summary.firstBad, index);
+                summary.lastBad = max(summary.lastBad, index);
+              }
+            }
+            partialSummaries[localIndex] = summary;
+            workgroupBarrier();
+
+            for (var half = ${REDUCTION_WORKGROUP_SIZE/2}u; half > 0u; half /= 2u)
+            {
+              if (localIndex < half)
+              {
+                partialSummaries[localIndex] = combine(partialSummaries[localIndex],
+                                                       partialSummaries[localIndex + half]);
+              }
+              workgroupBarrier();
+            }
+
+            if (localIndex == 0u)
+            {
+              summaries[workgroupId.x] = partialSummaries[0];
+            }
+          }
+        `;
+
+        const summaryShaderModule = this.#device.createShaderModule({
+            label: "Blow up detector shader",
+            code: summaryShader
+        });
+
+        this.#bindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Blow up detector layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                ...(coordinates ? [{
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }] : [])
+            ]
+        });
+
+        if (coordinates)
+        {
+            const weights = this.#schrodinger.getCellWidths();
+            this.#weightsBuffer = this.#device.createBuffer({
+                label: "Blow up detector weights",
+                mappedAtCreation: true,
+                size: gridSize*Float32Array.BYTES_PER_ELEMENT,
+                usage: GPUBufferUsage.STORAGE
+            });
+            new Float32Array(this.#weightsBuffer.getMappedRange()).set(weights);
+            this.#weightsBuffer.unmap();
+        }
+
+        this.#summaryBuffer = this.#device.createBuffer({
+            label: "Blow up detector summaries",
+            size: this.#workgroupCount*SUMMARY_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+
+        this.#readBuffer = this.#device.createBuffer({
+            label: "Blow up detector summaries read buffer",
+            size: this.#workgroupCount*SUMMARY_SIZE,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        this.#summaryPipeline = this.#device.createComputePipeline({
+            label: "Blow up detector pipeline",
+            layout: this.#device.createPipelineLayout({
+                bindGroupLayouts: [this.#bindGroupLayout]
+            }),
+            compute: {
+                module: summaryShaderModule,
+                entryPoint: "summarize"
+            }
+        });
+
+        return this;
+    }
+
+    /**
+     * Get the solver being watched.
+     *
+     * @returns {SchrodingerSolver} The solver.
+     */
+    getSchrodinger()
+    {
+        return this.#schrodinger;
+    }
+
+    /**
+     * Get the number of time steps between checks.
+     *
+     * @returns {Integer} The check interval.
+     */
+    getInterval()
+    {
+        return this.#interval;
+    }
+
+    /**
+     * Set the number of time steps between checks.
+     *
+     * @param {Integer} interval The positive check interval.
+     * @returns {BlowUpDetector} This detector.
+     */
+    setInterval(interval)
+    {
+        this.#checkInterval(interval);
+        this.#interval = interval;
+        return this;
+    }
+
+    /**
+     * Get the largest fractional growth of the norm accepted.
+     *
+     * @returns {Number} The tolerance.
+     */
+    getTolerance()
+    {
+        return this.#tolerance;
+    }
+
+    /**
+     * Set the largest fractional growth of the norm accepted, 0.05 allows the norm to grow 5% above the reference.
+     *
+     * @param {Number} tolerance The positive tolerance.
+     * @returns {BlowUpDetector} This detector.
+     */
+    setTolerance(tolerance)
+    {
+        this.#checkTolerance(tolerance);
+        this.#tolerance = tolerance;
+        return this;
+    }
+
+    /**
+     * The norm growth is measured against.
+     *
+     * @returns {Number} The norm at the first check after the wave function was set, undefined before that check.
+     */
+    getReferenceNorm()
+    {
+        return this.#referenceNorm;
+    }
+
+    /**
+     * The blow up found, if any.
+     *
+     * @returns {Object} The detail of the blow up event, undefined while the solver is healthy.
+     */
+    getBlowUp()
+    {
+        return this.#blowUp;
+    }
+
+    /**
+     * Forget the reference norm and any blow up, so the solver may run again. The solver invokes this when its step
+     * count is reset, as it is when a new wave function is set.
+     */
+    reset()
+    {
+        this.#generation++;
+        this.#referenceNorm = undefined;
+        this.#blowUp = undefined;
+        this.#lastCheckStep = this.#schrodinger.getStepCount();
+    }
+
+    /**
+     * Keep a blown up solver stopped, and start a check once interval steps have passed since the last. Invoked by
+     * the solver at the top of each step.
+     */
+    update()
+    {
+        if (this.#blowUp)
+        {
+            this.#schrodinger.stop();
+        }
+        else if (!this.#pendingCheck && this.#schrodinger.getStepCount() - this.#lastCheckStep >= this.#interval)
+        {
+            // Nobody awaits this check, so report a failure here rather than leave it unhandled. The check is
+            // cleared either way, and the next is tried once another interval has passed.
+            this.check().catch((error) => console.error(`${this.constructor.name}: The blow up check failed: `, error));
+        }
+    }
+
+    /**
+     * Check the solver's current wave function now, halting the solver and dispatching a blow up event if it has
+     * blown up.
+     *
+     * @returns {Promise<Object>} The detail of the blow up, or undefined for a healthy wave function.
+     */
+    check()
+    {
+        this.#pendingCheck ??= this.#summarize().finally(() => this.#pendingCheck = undefined);
+        return this.#pendingCheck;
+    }
+
+    async #summarize()
+    {
+        const generation = this.#generation;
+        const step = this.#schrodinger.getStepCount();
+        this.#lastCheckStep = step;
+
+        const bindGroup = this.#device.createBindGroup({
+            layout: this.#bindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#schrodinger.getWaveFunctionBuffer()
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#summaryBuffer
+                    }
+                },
+                ...(this.#weightsBuffer ? [{
+                    binding: 2,
+                    resource: {
+                        buffer: this.#weightsBuffer
+                    }
+                }] : [])
+            ]
+        });
+
+        const commandEncoder = this.#device.createCommandEncoder();
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#summaryPipeline);
+        passEncoder.setBindGroup(0, bindGroup);
+        passEncoder.dispatchWorkgroups(this.#workgroupCount);
+        passEncoder.end();
+        commandEncoder.copyBufferToBuffer(this.#summaryBuffer, 0, this.#readBuffer, 0, this.#readBuffer.size);
+        this.#device.queue.submit([commandEncoder.finish()]);
+
+        await this.#readBuffer.mapAsync(GPUMapMode.READ);
+        const summaries = new DataView(this.#readBuffer.getMappedRange());
+        let norm = 0;
+        let peak = 0;
+        let peakIndex = NO_POINT;
+        let firstBad = NO_POINT;
+        let lastBad = 0;
+        for (let offset = 0; offset < this.#workgroupCount*SUMMARY_SIZE; offset += SUMMARY_SIZE)
+        {
+            norm += summaries.getFloat32(offset, true);
+            if (summaries.getFloat32(offset + 4, true) > peak)
+            {
+                peak = summaries.getFloat32(offset + 4, true);
+                peakIndex = summaries.getUint32(offset + 8, true);
+            }
+            firstBad = Math.min(firstBad, summaries.getUint32(offset + 12, true));
+            lastBad = Math.max(lastBad, summaries.getUint32(offset + 16, true));
+        }
+        this.#readBuffer.unmap();
+
+        // The wave function was set again while this check ran.
+        if (generation !== this.#generation)
+        {
+            return undefined;
+        }
+
+        if (!this.#weightsBuffer)
+        {
+            norm *= this.#schrodinger.getGridSpacings().reduce((volume, h) => volume*h, 1);
+        }
+        let blowUp;
+        if (firstBad !== NO_POINT)
+        {
+            blowUp = {step: step, reason: REASON_NON_FINITE, norm: norm, start: firstBad, end: lastBad};
+        }
+        else if (this.#referenceNorm === undefined)
+        {
+            this.#referenceNorm = norm;
+        }
+        else if (!(norm <= this.#referenceNorm*(1 + this.#tolerance)))
+        {
+            blowUp = {step: step, reason: REASON_GROWTH, norm: norm, start: peakIndex, end: peakIndex};
+        }
+
+        if (blowUp)
+        {
+            this.#blowUp = blowUp;
+            this.#schrodinger.stop();
+            this.dispatchEvent(new CustomEvent(BLOW_UP_EVENT, {detail: blowUp}));
+        }
+        return blowUp;
+    }
+
+    /**
+     * Get an initialized blow up detector. Attach it with {@link SchrodingerSolver#setBlowUpDetector}.
+     *
+     * @param {SchrodingerSolver} schrodinger An initialized solver.
+     * @param {Integer}           interval    The number of time steps between checks, defaults to 100.
+     * @param {Number}            tolerance   The largest fractional growth of the norm accepted, defaults to 0.05.
+     * @returns {BlowUpDetector} The initialized detector.
+     */
+    static getInstance(schrodinger, interval=100, tolerance=0.05)
+    {
+        const blowUpDetector = new BlowUpDetector(schrodinger, interval, tolerance);
+        return blowUpDetector.init();
+    }
+}
+
+export {BlowUpDetector}
@@ -0,0 +1,71 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {AbsorbingLayer} from "./AbsorbingLayer.js";
+
+/**
+ * A complex absorbing potential, -iW(x), added to the potential within a layer along each edge of the grid. Within
+ * the layer the probability decays as e^{-2Wt}, W = strength·depth², where depth rises from 0 at the inner edge of
+ * the layer to 1 at the grid edge.
+ *
+ * The central difference step, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔt HΨ(t), is unstable for a decaying term evaluated at t, so the
+ * absorbing term is taken as the average of Ψ(t-Δt) and Ψ(t+Δt),
+ * <pre>
+ *   Ψ(t+Δt) = [Ψ(t-Δt) - 2iΔt HΨ(t) - ΔtWΨ(t-Δt)]/(1 + ΔtW)
+ * </pre>
+ * which decays for any W. The solver has already computed the first two terms in the numerator.
+ *
+ * A weak potential lets the wave reach the grid edge and reflect, while a strong or abrupt one reflects the wave
+ * from the layer itself. A layer several wavelengths wide, with a strength comparable to the kinetic energy, works
+ * well; check with {@link measureReflection}.
+ */
+class ComplexAbsorbingPotential extends AbsorbingLayer
+{
+    /**
+     * Describe a complex absorbing potential along each edge of the solver's grid.
+     *
+     * @param {SchrodingerSolver} schrodinger A three buffer central difference solver.
+     * @param {Number}            width       The width of each layer, less than half the solver's length.
+     * @param {Number}            strength    The absorbing potential, W, at the grid edges.
+     */
+    constructor(schrodinger, width, strength)
+    {
+        super(schrodinger, width, strength);
+    }
+
+    /**
+     * WGSL damping Ψ(t+Δt) by the absorbing potential.
+     *
+     * @returns {String} WGSL source declaring absorbAt.
+     */
+    getLayerFunction()
+    {
+        return `
+          fn absorbAt(index: u32, depth: f32, dx: f32)
+          {
+            let damping = parameters.dt*layer.strength*depth*depth;
+            updatedWaveFunction[index] = (updatedWaveFunction[index] - damping*oldWaveFunction[index])/(1.0 + damping);
+          }
+        `;
+    }
+
+    static getInstance(schrodinger, width, strength)
+    {
+        const absorbingPotential = new ComplexAbsorbingPotential(schrodinger, width, strength);
+        return absorbingPotential.init();
+    }
+}
+
+export {ComplexAbsorbingPotential}
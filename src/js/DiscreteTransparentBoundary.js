@@ -0,0 +1,551 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * The convolutions run in a single workgroup for each edge.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * Discrete transparent boundary conditions, in the style of Arnold and Ehrhardt, for the three buffer central
+ * difference solver in SchrodingerMurBoundary.js. {@link LeapfrogDiscreteTransparentBoundary} does the same for the
+ * staggered leapfrog solver in SchrodingerLeapfrogBoundary.js.
+ *
+ * Rather than discretizing a continuous absorbing condition, as {@link MurBoundary} does, these are derived from the
+ * discrete scheme itself. Outside the grid the potential is constant and the wave function initially zero, so the
+ * z-transform in time, Ψⱼ(z) = Σ Ψⱼⁿz⁻ⁿ, of the central difference step,
+ * <pre>
+ *   (z - 1/z)Ψⱼ = i(Δt/mΔx²)(Ψⱼ₊₁ - 2Ψⱼ + Ψⱼ₋₁) - 2iΔtVΨⱼ
+ * </pre>
+ * has solutions Ψⱼ = αʲ with α + 1/α = 2 + [2ΔtV - i(z - 1/z)]mΔx²/Δt. Keeping the root with |α| < 1, the one that
+ * does not grow away from the grid, gives Ψ(edge) = α(z)Ψ(next to edge). Back in the time domain this is a
+ * convolution over the history of the point next to the edge,
+ * <pre>
+ *   Ψⁿ(edge) = Σₖ ℓₖ Ψⁿ⁻ᵏ(next to edge)
+ * </pre>
+ * with ℓₖ the coefficients of α(z) in powers of 1/z. The interior then evolves exactly as it would on an unbounded
+ * grid, apart from rounding and truncating the convolution.
+ *
+ * The kernels are computed once, on the CPU, by a numerical inverse z-transform. The kernels and a ring buffer of
+ * past values next to each edge stay on the GPU, along with a step counter. The convolution is truncated after
+ * historyLength steps. The kernels decay as k^(-3/2), so a history of a few thousand steps is enough for most runs.
+ *
+ * The derivation assumes the three point stencil, a linear equation, and a wave function that vanishes near the
+ * edges at the start. The potential and mass are taken from the edge points. Call {@link updateKernels} after
+ * changing the solver's time step, length, potential or mass.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver this boundary serves.
+ * @property {GPUDevice} #device The device the solver runs on.
+ * @property {Integer} #historyLength The number of past steps in the convolution.
+ * @property {GPUBuffer} #kernelBuffer The convolution kernels for the left then the right edge.
+ * @property {GPUBuffer} #historyBuffer Ring buffers of the values next to the left then the right edge.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter, indexing the ring buffers.
+ * @property {GPUBindGroup} #boundaryBindGroup Binds the kernels, history and clock in group 2.
+ * @property {GPUComputePipeline} #convolvePipeline Computes the new edge values.
+ * @property {GPUComputePipeline} #advancePipeline Advances the step counter.
+ */
+class DiscreteTransparentBoundary
+{
+    #schrodinger;
+    #device;
+    #historyLength;
+    #kernelBuffer;
+    #historyBuffer;
+    #clockBuffer;
+    #boundaryBindGroup;
+    #convolvePipeline;
+    #advancePipeline;
+
+    /**
+     * Create discrete transparent boundary conditions for a central difference solver.
+     *
+     * @param {SchrodingerSolver} schrodinger   The three buffer central difference solver.
+     * @param {Integer}           historyLength The number of past steps kept for the convolution, defaults to 2048.
+     */
+    constructor(schrodinger, historyLength=2048)
+    {
+        DiscreteTransparentBoundary.checkSolver(schrodinger, historyLength,
+                                                SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE);
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#historyLength = historyLength;
+    }
+
+    /**
+     * Check that a solver steps with the given scheme, binding the f32 wave functions the boundary shader declares,
+     * on a uniform 1D grid with the three point stencil and clamped edges, which the discrete transparent boundary
+     * conditions are derived for, and that the history length is usable.
+     *
+     * @param {SchrodingerSolver} schrodinger   The solver.
+     * @param {Integer}           historyLength The number of past steps in the convolution.
+     * @param {String}            scheme        The scheme the boundary is derived for,
+     *                                          {@link SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE} or
+     *                                          {@link SchrodingerSolver.SCHEME_LEAPFROG}.
+     */
+    static checkSolver(schrodinger, historyLength, scheme)
+    {
+        if (schrodinger.getBoundaryScheme() !== scheme)
+        {
+            throw new Error(`DiscreteTransparentBoundary: The boundary conditions are derived for the ${scheme} `
+                            + `scheme, not ${schrodinger.getBoundaryScheme() ?? "a solver without boundaries"}.`);
+        }
+        if (schrodinger.getGridSize() !== schrodinger.getXResolution() || schrodinger.getCoordinates())
+        {
+            throw new Error(`DiscreteTransparentBoundary: The boundary conditions are derived for a uniform 1D grid.`);
+        }
+        if (schrodinger.getWaveFunctionType() !== "vec2f")
+        {
+            throw new Error(`DiscreteTransparentBoundary: The boundary conditions bind f32 wave functions, not `
+                            + `${schrodinger.getPrecision()}.`);
+        }
+        if (schrodinger.getStencil() !== SchrodingerSolver.STENCIL_3_POINT)
+        {
+            throw new Error(`DiscreteTransparentBoundary: The boundary conditions are derived for the three point `
+                            + `stencil, not ${schrodinger.getStencil()} points.`);
+        }
+        if (schrodinger.isPeriodic())
+        {
+            throw new Error(`DiscreteTransparentBoundary: A periodic grid has no edges.`);
+        }
+        if (!Number.isInteger(historyLength) || historyLength < 2)
+        {
+            throw new Error(`DiscreteTransparentBoundary: The history length must be an integer of at least 2, not `
+                            + `${historyLength}.`);
+        }
+    }
+
+    static #multiply(z, w)
+    {
+        return [z[0]*w[0] - z[1]*w[1], z[0]*w[1] + z[1]*w[0]];
+    }
+
+    static #divide(z, w)
+    {
+        const d = w[0]*w[0] + w[1]*w[1];
+        return [(z[0]*w[0] + z[1]*w[1])/d, (z[1]*w[0] - z[0]*w[1])/d];
+    }
+
+    static #squareRoot(z)
+    {
+        const r = Math.hypot(z[0], z[1]);
+        return [Math.sqrt(Math.max(0, 0.5*(r + z[0]))), (z[1] < 0 ? -1 : 1)*Math.sqrt(Math.max(0, 0.5*(r - z[0])))];
+    }
+
+    /**
+     * The root of α + 1/α = 2 + c with |α| ≤ 1, the exterior solution that decays away from the grid.
+     *
+     * @param {Array<Number>} c The complex [re, im] constant.
+     * @returns {Array<Number>} The complex [re, im] root.
+     */
+    static decayingRoot(c)
+    {
+        const h = [1 + 0.5*c[0], 0.5*c[1]];
+        const s = DiscreteTransparentBoundary.#squareRoot([h[0]*h[0] - h[1]*h[1] - 1, 2*h[0]*h[1]]);
+        const minus = [h[0] - s[0], h[1] - s[1]];
+        const plus = [h[0] + s[0], h[1] + s[1]];
+        return Math.hypot(minus[0], minus[1]) <= Math.hypot(plus[0], plus[1]) ? minus : plus;
+    }
+
+    /**
+     * Numerically invert z-transforms analytic outside the unit circle, F(z) = Σ fₖz⁻ᵏ. F is sampled on a circle of
+     * radius ρ slightly larger than one, and the coefficients recovered by a discrete Fourier transform. Sampling at
+     * four times the number of coefficients with ρ^M = 10⁸ keeps both the aliasing and the amplified rounding near
+     * 10⁻⁸ relative to the coefficients.
+     *
+     * @param {Function} transfer A function of the complex z, [re, im], returning an array of complex F(z) values,
+     *                            so that several transforms sharing work are inverted together.
+     * @param {Integer}  count    The number of coefficients.
+     * @returns {Array<Array<Array<Number>>>} For each transform, the count complex [re, im] coefficients.
+     */
+    static inverseZTransform(transfer, count)
+    {
+        const samples = 4*count;
+        const radius = Math.pow(10, 8/samples);
+        const cosines = new Float64Array(samples);
+        const sines = new Float64Array(samples);
+        for (let m=0; m<samples; m++)
+        {
+            cosines[m] = Math.cos(2*Math.PI*m/samples);
+            sines[m] = Math.sin(2*Math.PI*m/samples);
+        }
+
+        const values = [];
+        for (let m=0; m<samples; m++)
+        {
+            values.push(transfer([radius*cosines[m], radius*sines[m]]));
+        }
+
+        return values[0].map((_, j) => {
+            const coefficients = [];
+            for (let k=0; k<count; k++)
+            {
+                let re = 0;
+                let im = 0;
+                for (let m=0, phase=0; m<samples; m++, phase=(phase+k)%samples)
+                {
+                    const value = values[m][j];
+                    re += value[0]*cosines[phase] - value[1]*sines[phase];
+                    im += value[0]*sines[phase] + value[1]*cosines[phase];
+                }
+                const scale = Math.pow(radius, k)/samples;
+                coefficients.push([re*scale, im*scale]);
+            }
+            return coefficients;
+        });
+    }
+
+    /**
+     * The convolution kernel, ℓₖ, for the central difference scheme, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t).
+     *
+     * @param {Number}  dt    The time step.
+     * @param {Number}  dx    The grid spacing.
+     * @param {Number}  V     The potential outside the grid.
+     * @param {Number}  mass  The mass outside the grid.
+     * @param {Integer} count The number of coefficients.
+     * @returns {Array<Array<Number>>} The count complex [re, im] coefficients.
+     */
+    static centralDifferenceKernel(dt, dx, V, mass, count)
+    {
+        const scale = mass*dx*dx/dt;
+        return DiscreteTransparentBoundary.inverseZTransform(z => {
+            const inverse = DiscreteTransparentBoundary.#divide([1, 0], z);
+            // [2ΔtV - i(z - 1/z)]mΔx²/Δt
+            const c = [(2*dt*V + z[1] - inverse[1])*scale, -(z[0] - inverse[0])*scale];
+            return [DiscreteTransparentBoundary.decayingRoot(c)];
+        }, count)[0];
+    }
+
+    /**
+     * The convolution kernels for the staggered leapfrog scheme, with the real part, R, at whole and the imaginary
+     * part, I, at half time steps,
+     * <pre>
+     *   R(edge) = Σₖ sₖR(next to edge) + pₖI(next to edge)
+     *   I(edge) = Σₖ sₖI(next to edge) + qₖR(next to edge)
+     * </pre>
+     * The exterior now has two decaying solutions, α₁ and α₂, for HΨ = ±i(z - 1)/(Δt√z)Ψ. With S = (α₁ + α₂)/2 and
+     * D = (α₁ - α₂)/2, s, p and q are the coefficients of S, -iD/√z and i√zD. These are even in √z, so they are
+     * functions of z, and real.
+     *
+     * @param {Number}  dt    The time step.
+     * @param {Number}  dx    The grid spacing.
+     * @param {Number}  V     The potential outside the grid.
+     * @param {Number}  mass  The mass outside the grid.
+     * @param {Integer} count The number of coefficients.
+     * @returns {Array<Array<Number>>} The count real [s, p, q] coefficients.
+     */
+    static leapfrogKernels(dt, dx, V, mass, count)
+    {
+        const scale = 2*mass*dx*dx;
+        const [s, p, q] = DiscreteTransparentBoundary.inverseZTransform(z => {
+            const root = DiscreteTransparentBoundary.#squareRoot(z);
+            // λ = i(z - 1)/(Δt√z)
+            const lambda = DiscreteTransparentBoundary.#divide([-z[1], z[0] - 1], [dt*root[0], dt*root[1]]);
+            const alpha1 = DiscreteTransparentBoundary.decayingRoot([scale*(V + lambda[0]), scale*lambda[1]]);
+            const alpha2 = DiscreteTransparentBoundary.decayingRoot([scale*(V - lambda[0]), -scale*lambda[1]]);
+            const sum = [0.5*(alpha1[0] + alpha2[0]), 0.5*(alpha1[1] + alpha2[1])];
+            const difference = [0.5*(alpha1[0] - alpha2[0]), 0.5*(alpha1[1] - alpha2[1])];
+            return [
+                sum,
+                DiscreteTransparentBoundary.#divide([difference[1], -difference[0]], root),
+                DiscreteTransparentBoundary.#multiply([-root[1], root[0]], difference)
+            ];
+        }, count);
+        return s.map((_, k) => [s[k][0], p[k][0], q[k][0]]);
+    }
+
+    /**
+     * The potential and mass at an edge point, which continue unchanged outside the grid.
+     *
+     * @param {SchrodingerSolver} schrodinger The solver.
+     * @param {Integer}           index       The index of the edge point.
+     * @returns {Array<Number>} The potential and the mass.
+     */
+    static exterior(schrodinger, index)
+    {
+        return [schrodinger.getPotential()?.[index] ?? 0, schrodinger.getEffectiveMass()?.[index] ?? 1];
+    }
+
+    /**
+     * Build the shader, buffers and pipelines, and compute the kernels.
+     *
+     * @returns {DiscreteTransparentBoundary} This boundary.
+     */
+    init()
+    {
+        const boundaryShader = `
+          ${this.#schrodinger.getParametersStruct()}
+
+          struct Clock {
+            step: u32    // Time steps since the wave function was set.
+          }
+
+          const HISTORY_LENGTH = ${this.#historyLength}u;
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, changes on each iteration - the same as in the main solver to keep the same bindings.
+          // Older wave function at t-Δt.
+          @group(1) @binding(0) var<storage, read> oldWaveFunction : array<vec2f>;
+          // Current wave function at t.
+          @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
+          // The updated wave function at t+Δt.
+          @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+
+          // Group 2, the kernels and history for the left then the right edge, and the step counter.
+          @group(2) @binding(0) var<storage, read> kernel : array<vec2f>;
+          @group(2) @binding(1) var<storage, read_write> history : array<vec2f>;
+          @group(2) @binding(2) var<storage, read_write> clock : Clock;
+
+          var<workgroup> partialSum : array<vec2f, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          fn complexMultiply(z: vec2f, w: vec2f) -> vec2f
+          {
+            return vec2f(z.x*w.x - z.y*w.y, z.x*w.y + z.y*w.x);
+          }
+
+          // One workgroup for each edge, workgroup 0 the left edge and 1 the right.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn convolve(@builtin(workgroup_id) workgroup_id : vec3u,
+                      @builtin(local_invocation_index) localIndex : u32)
+          {
+            let edge = workgroup_id.x;
+            let edgeIndex = edge*(parameters.xResolution-1u);
+            let innerIndex = select(1u, parameters.xResolution-2u, edge == 1u);
+            let offset = edge*HISTORY_LENGTH;
+            let count = min(clock.step + 1u, HISTORY_LENGTH);
+
+            // The k = 0 term is the value just computed, the rest come from the ring buffer.
+            var sum = vec2f(0.0, 0.0);
+            for (var k = localIndex; k < count; k += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              var psi = updatedWaveFunction[innerIndex];
+              if (k > 0u)
+              {
+                psi = history[offset + (clock.step - k) % HISTORY_LENGTH];
+              }
+              sum += complexMultiply(kernel[offset + k], psi);
+            }
+            partialSum[localIndex] = sum;
+            workgroupBarrier();
+
+            for (var stride = ${REDUCTION_WORKGROUP_SIZE/2}u; stride > 0u; stride /= 2u)
+            {
+              if (localIndex < stride)
+              {
+                partialSum[localIndex] += partialSum[localIndex + stride];
+              }
+              workgroupBarrier();
+            }
+
+            if (localIndex == 0u)
+            {
+              history[offset + clock.step % HISTORY_LENGTH] = updatedWaveFunction[innerIndex];
+              updatedWaveFunction[edgeIndex] = partialSum[0];
+            }
+          }
+
+          @compute @workgroup_size(1)
+          fn advance()
+          {
+            clock.step += 1u;
+          }
+        `;
+
+        const boundaryShaderModule = this.#device.createShaderModule({
+            label: 'Discrete transparent boundary shader',
+            code: boundaryShader
+        });
+
+        const boundaryBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Discrete transparent boundary layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        // Two edges of complex values.
+        const edgesSize = 2*2*this.#historyLength*Float32Array.BYTES_PER_ELEMENT;
+
+        this.#kernelBuffer = this.#device.createBuffer({
+            label: "Discrete transparent boundary kernels",
+            size: edgesSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.updateKernels();
+
+        this.#historyBuffer = this.#device.createBuffer({
+            label: "Discrete transparent boundary history",
+            size: edgesSize,
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        this.#clockBuffer = this.#device.createBuffer({
+            label: "Discrete transparent boundary clock",
+            size: Uint32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.setStep(0);
+
+        this.#boundaryBindGroup = this.#device.createBindGroup({
+            layout: boundaryBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#kernelBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#historyBuffer
+                    }
+                },
+                {
+                    binding: 2,
+                    resource: {
+                        buffer: this.#clockBuffer
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                this.#schrodinger.getParametersBindGroupLayout(),
+                                this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                boundaryBindGroupLayout
+                              ]
+        });
+
+        this.#convolvePipeline = this.#device.createComputePipeline({
+            label: "Discrete transparent boundary pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryShaderModule,
+                entryPoint: "convolve"
+            }
+        });
+
+        this.#advancePipeline = this.#device.createComputePipeline({
+            label: "Discrete transparent boundary clock pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryShaderModule,
+                entryPoint: "advance"
+            }
+        });
+
+        return this;
+    }
+
+    static getInstance(schrodinger, historyLength)
+    {
+        const boundary = new DiscreteTransparentBoundary(schrodinger, historyLength);
+        return boundary.init();
+    }
+
+    /**
+     * Get the number of past steps in the convolution.
+     *
+     * @returns {Integer} The history length.
+     */
+    getHistoryLength()
+    {
+        return this.#historyLength;
+    }
+
+    /**
+     * Recompute the kernels from the solver's current time step, grid spacing, and edge potential and mass.
+     *
+     * @returns {DiscreteTransparentBoundary} This boundary.
+     */
+    updateKernels()
+    {
+        const xResolution = this.#schrodinger.getXResolution();
+        const dt = this.#schrodinger.getTimeStep();
+        const dx = this.#schrodinger.getLength()/(xResolution-1);
+        const kernels = new Float32Array(2*2*this.#historyLength);
+        [0, xResolution-1].forEach((index, edge) => {
+            const [V, mass] = DiscreteTransparentBoundary.exterior(this.#schrodinger, index);
+            kernels.set(DiscreteTransparentBoundary.centralDifferenceKernel(dt, dx, V, mass, this.#historyLength).flat(),
+                        edge*2*this.#historyLength);
+        });
+        this.#device.queue.writeBuffer(this.#kernelBuffer, 0, kernels);
+        return this;
+    }
+
+    /**
+     * Set the step counter, restarting the history from the given step. The solver calls this with 0 when the
+     * wave function is set.
+     *
+     * @param {Integer} step The step count.
+     */
+    setStep(step)
+    {
+        this.#device.queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([step]));
+    }
+
+    /**
+     * Append a compute pass setting the edge values of Ψ(t+Δt), and advancing the history one step.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The bind group describing which wave function buffers are bound
+     *                                                  to which indices.
+     */
+    makeComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#boundaryBindGroup);
+        passEncoder.setPipeline(this.#convolvePipeline);
+        // One workgroup for each edge.
+        passEncoder.dispatchWorkgroups(2);
+        passEncoder.setPipeline(this.#advancePipeline);
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+    }
+}
+
+export {DiscreteTransparentBoundary}
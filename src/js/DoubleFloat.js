@@ -0,0 +1,126 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * WGSL double-float arithmetic. A df64 value is a vec2f, (high, low), representing high + low with |low| at most
+ * half an ulp of high, about 48 bits of mantissa. These are the error free transformations of Dekker and Knuth,
+ * splitting with 2¹²+1 rather than relying on fma, which WGSL does not guarantee to be fused.
+ */
+const DF64_FUNCTIONS = `
+    // a + b as an unnormalized pair, exact for any a and b.
+    fn df64TwoSum(a: f32, b: f32) -> vec2f
+    {
+      let s = a + b;
+      let bb = s - a;
+      return vec2f(s, (a - (s - bb)) + (b - bb));
+    }
+
+    // a + b as a normalized pair, exact when |a| >= |b|.
+    fn df64QuickTwoSum(a: f32, b: f32) -> vec2f
+    {
+      let s = a + b;
+      return vec2f(s, b - (s - a));
+    }
+
+    // Split a into two 12 bit halves.
+    fn df64Split(a: f32) -> vec2f
+    {
+      let t = 4097.0*a;
+      let high = t - (t - a);
+      return vec2f(high, a - high);
+    }
+
+    // a*b as a pair, exact barring overflow.
+    fn df64TwoProduct(a: f32, b: f32) -> vec2f
+    {
+      let p = a*b;
+      let aSplit = df64Split(a);
+      let bSplit = df64Split(b);
+      return vec2f(p, ((aSplit.x*bSplit.x - p) + aSplit.x*bSplit.y + aSplit.y*bSplit.x) + aSplit.y*bSplit.y);
+    }
+
+    fn df64Add(a: vec2f, b: vec2f) -> vec2f
+    {
+      var s = df64TwoSum(a.x, b.x);
+      let t = df64TwoSum(a.y, b.y);
+      s.y += t.x;
+      s = df64QuickTwoSum(s.x, s.y);
+      s.y += t.y;
+      return df64QuickTwoSum(s.x, s.y);
+    }
+
+    fn df64Subtract(a: vec2f, b: vec2f) -> vec2f
+    {
+      return df64Add(a, -b);
+    }
+
+    // A df64 times an f32.
+    fn df64Scale(a: vec2f, b: f32) -> vec2f
+    {
+      var p = df64TwoProduct(a.x, b);
+      p.y += a.y*b;
+      return df64QuickTwoSum(p.x, p.y);
+    }
+`;
+
+/**
+ * Double-float, df64, support for solvers with extended precision. WGSL has no f64, so a double is carried as a
+ * pair of f32, the high part, the f32 nearest the value, and the low part, the remainder. See
+ * {@link SchrodingerSolver.PRECISION_DF64}.
+ *
+ * Error free transformations rely on each f32 operation being rounded as written. Implementations must not
+ * reassociate f32 arithmetic, but a fast math compiler may, losing the low parts.
+ */
+class DoubleFloat
+{
+    /**
+     * WGSL declaring df64TwoSum, df64QuickTwoSum, df64Split, df64TwoProduct, df64Add, df64Subtract, and
+     * df64Scale, a df64 times an f32. Each df64 is a vec2f, (high, low).
+     *
+     * @returns {String} WGSL source for the df64 functions.
+     */
+    static get WGSL()
+    {
+        return DF64_FUNCTIONS;
+    }
+
+    /**
+     * Split doubles into high and low f32 parts.
+     *
+     * @param {Array<Number>} values The values to split.
+     * @returns {{high: Float32Array, low: Float32Array}} The nearest f32 to each value, and the remainder.
+     */
+    static split(values)
+    {
+        const high = Float32Array.from(values);
+        const low = Float32Array.from(values, (value, i) => value - high[i]);
+        return {high: high, low: low};
+    }
+
+    /**
+     * Join high and low f32 parts back into doubles.
+     *
+     * @param {Float32Array} high The high parts.
+     * @param {Float32Array} low  The low parts.
+     * @returns {Float64Array} high + low.
+     */
+    static join(high, low)
+    {
+        return Float64Array.from(high, (value, i) => value + low[i]);
+    }
+}
+
+export {DoubleFloat}
@@ -1,3 +1,6 @@
+import {DoubleFloat} from "./DoubleFloat.js";
+import {HalfFloat} from "./HalfFloat.js";
+
 /**
  * Support for troubleshooting and diagnosing the Schrodinger FDTD integrator.
  */
@@ -55,12 +58,39 @@ class DumpSchrodinger
         return result;
     }
 
+    /**
+     * Fetch the current wave function of a df64 solver, joining the high and low parts into a Float64Array. The
+     * integration methods accept the result, and sum it in double precision.
+     *
+     * @param {GPUBuffer} highBuffer The high parts, from the solver's getWaveFunctionBuffer.
+     * @param {GPUBuffer} lowBuffer  The low parts, from the solver's getLowWaveFunctionBuffer.
+     * @returns {Promise<Float64Array>}
+     */
+    async dumpExtendedWavefunction(highBuffer, lowBuffer)
+    {
+        const [high, low] = await Promise.all([this.dumpWavefunction(highBuffer), this.dumpWavefunction(lowBuffer)]);
+        return DoubleFloat.join(high, low);
+    }
+
+    /**
+     * Fetch the current wave function of a solver storing it in f16, converting the values to a Float32Array for
+     * the integration methods.
+     *
+     * @param {GPUBuffer} buffer The array<vec2h> wave function buffer.
+     * @returns {Promise<Float32Array>}
+     */
+    async dumpHalfWavefunction(buffer)
+    {
+        const bytes = await this.dumpWavefunction(buffer);
+        return HalfFloat.unpack(new Uint16Array(bytes.buffer));
+    }
+
     /**
      * Simpson's rule integration of the wave function. The expectation is that the value will be roughly 1,
      * and roughly constant over time. Theoretically, this is more accurate than the trapezoidal rule, but in
      * our case the difference was minor.
      *
-     * @param {Float32Array} wavefunction An array containing the values of the wave function.
+     * @param {Float32Array|Float64Array} wavefunction An array containing the values of the wave function.
      * @param {Number} length The physical length of the simulation.
      * @returns {Number} The integral of the wave function over the length of the simulation.
      */
@@ -86,8 +116,8 @@ class DumpSchrodinger
      * Simple trapezoidal integration of the wave function. The expectation is that the value will be roughly 1,
      * and roughly constant over time.
      *
-     * @param {Float32Array} wavefunction An array containing the values of the wave function.
-     * @param {Number}       length       The physical length of the simulation.
+     * @param {Float32Array|Float64Array} wavefunction An array containing the values of the wave function.
+     * @param {Number}                    length       The physical length of the simulation.
      * @returns {Number} The integral of the wave function over the length of the simulation.
      */
     integrateWaveFunction(wavefunction, length)
@@ -0,0 +1,821 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * The single workgroup size for the overlap and energy reductions.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * The bytes in each state's Result, an overlap vec2f, the energy, and padding.
+ */
+const RESULT_SIZE = 4*Float32Array.BYTES_PER_ELEMENT;
+
+/**
+ * The lowest N eigenstates of a one dimensional solver's potential by imaginary time propagation, t → -iτ, of N
+ * states at once. As in {@link ImaginaryTime}, each step is Ψ ← Ψ - Δτ HΨ, damping each eigenstate by exp(-EΔτ).
+ * Every few steps the states are orthonormalized with modified Gram-Schmidt, in order, so state n loses its
+ * projection on states 0..n-1, and decays to the lowest eigenstate orthogonal to them.
+ *
+ * The N states are packed end to end in one buffer, state n at n*xResolution. Stepping, the overlap and energy
+ * reductions, and the projections all run on the GPU. The energies are read back every stepsPerCheck steps to test
+ * for convergence. Once converged, each state is copied into its own buffer, laid out like a solver's wave function,
+ * so it can be handed to a renderer, or read back for setWaveFunction. The overlaps are weighted by
+ * {@link SchrodingerSolver#getCellWidths}, the inner product under which H is symmetric on a non-uniform grid, so the
+ * states come out orthonormal there too.
+ *
+ * H is linear, the solver's potential with no Gross-Pitaevskii term, so a solver with g ≠ 0 is rejected. H acts on a
+ * single vec2f wave function along x, so two and three dimensional, two particle, spinor and f16 solvers are
+ * rejected as well.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver providing the device, parameters and potential.
+ * @property {GPUDevice} #device The solver's device.
+ * @property {Integer} #stateCount The number of eigenstates, N.
+ * @property {Number} #dtau The imaginary time step, Δτ.
+ * @property {Number} #tolerance Converged when no energy changes by more than this between checks.
+ * @property {Integer} #maxSteps The maximum number of imaginary time steps.
+ * @property {Integer} #stepsPerCheck The number of steps between energy read backs.
+ * @property {Integer} #stepsPerOrthonormalization The number of steps between Gram-Schmidt passes.
+ * @property {Float32Array} #energies The most recent energies, the eigenvalues once converged.
+ * @property {Integer} #stepCount The number of steps taken by the last {@link findEigenstates}.
+ * @property {GPUBuffer[]} #stateBuffers The N packed states, ping ponging between two buffers.
+ * @property {Integer} #current The index of the buffer holding the latest states.
+ * @property {GPUBindGroup[]} #stepBindGroups Bind groups stepping from buffer i into the other.
+ * @property {GPUBindGroup[]} #stateBindGroups Bind groups for Gram-Schmidt in place on buffer i.
+ * @property {GPUBuffer[]} #eigenfunctionBuffers One buffer per converged, normalized eigenstate.
+ * @property {GPUBuffer} #resultBuffer The overlap and energy for each state.
+ * @property {GPUBuffer} #readBuffer A mappable copy of the result buffer.
+ * @property {GPUBuffer} #cellWidthsBuffer The solver's cell widths, weighting the overlap and energy sums.
+ * @property {GPUBindGroup} #resultBindGroup The bind group for the result and cell widths buffers.
+ * @property {GPUBindGroup[][]} #pairBindGroups Bind groups for the (target, source) pair uniforms, source <= target.
+ * @property {GPUComputePipeline} #stepPipeline The pipeline for a single imaginary time step of every state.
+ * @property {GPUComputePipeline} #overlapPipeline The pipeline reducing <source|target>.
+ * @property {GPUComputePipeline} #projectPipeline The pipeline removing source from target, or normalizing target.
+ * @property {GPUComputePipeline} #energyPipeline The pipeline reducing <target|H|target>.
+ */
+class Eigenstates
+{
+    #schrodinger;
+    #device;
+    #stateCount;
+    #dtau;
+    #tolerance;
+    #maxSteps;
+    #stepsPerCheck;
+    #stepsPerOrthonormalization;
+    #energies;
+    #stepCount = 0;
+    #stateBuffers = new Array(2);
+    #current = 0;
+    #stepBindGroups = new Array(2);
+    #stateBindGroups = new Array(2);
+    #eigenfunctionBuffers = [];
+    #resultBuffer;
+    #readBuffer;
+    #cellWidthsBuffer;
+    #resultBindGroup;
+    #pairBindGroups = [];
+    #stepPipeline;
+    #overlapPipeline;
+    #projectPipeline;
+    #energyPipeline;
+
+    /**
+     * Build a finder for the lowest eigenstates of the given one dimensional solver's potential.
+     *
+     * @param {SchrodingerSolver} schrodinger An initialized solver providing the device, parameters and potential.
+     * @param {Integer} stateCount            The number of eigenstates to find.
+     * @param {Number} dtau                   The imaginary time step. Defaults to the solver's
+     *                                        {@link SchrodingerSolver#getImaginaryTimeStep}.
+     * @param {Number} tolerance              Converged when no energy changes by more than this between checks.
+     * @param {Integer} maxSteps              Give up after this many steps.
+     * @param {Integer} stepsPerCheck         The number of steps between energy checks, a multiple of
+     *                                        stepsPerOrthonormalization.
+     */
+    constructor(schrodinger, stateCount, dtau, tolerance=1.0e-6, maxSteps=1000000, stepsPerCheck=1000)
+    {
+        if (!Number.isInteger(stateCount) || stateCount < 1)
+        {
+            throw new Error(`${this.constructor.name}: The state count must be a positive integer, not ${stateCount}.`);
+        }
+        if (schrodinger.getGridSize() !== schrodinger.getXResolution() || schrodinger.getWaveFunctionType() !== "vec2f")
+        {
+            throw new Error(`${this.constructor.name}: Expected a one dimensional solver with vec2f wave functions, not `
+                            + `${schrodinger.getGridSize()} points of ${schrodinger.getWaveFunctionType()} with `
+                            + `${schrodinger.getXResolution()} along x.`);
+        }
+        Eigenstates.#checkLinear(schrodinger);
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#stateCount = stateCount;
+        this.#dtau = dtau ?? schrodinger.getImaginaryTimeStep();
+        this.#tolerance = tolerance;
+        this.#maxSteps = maxSteps;
+        this.#stepsPerOrthonormalization = 10;
+        this.#stepsPerCheck = Math.max(this.#stepsPerOrthonormalization,
+                                       Math.round(stepsPerCheck/this.#stepsPerOrthonormalization)
+                                       * this.#stepsPerOrthonormalization);
+        this.#energies = new Float32Array(stateCount);
+    }
+
+    /**
+     * Throw for a Gross-Pitaevskii coupling. Each state would see its own density in g|Ψ|², so the states would not
+     * be eigenstates of one H, and Gram-Schmidt would not keep them orthogonal to the solutions below them.
+     *
+     * @param {SchrodingerSolver} schrodinger The solver.
+     */
+    static #checkLinear(schrodinger)
+    {
+        if (schrodinger.getNonlinearCoupling() !== 0)
+        {
+            throw new Error(`Eigenstates: Excited states need the linear equation, not the Gross-Pitaevskii coupling `
+                            + `g = ${schrodinger.getNonlinearCoupling()}.`);
+        }
+    }
+
+    /**
+     * The imaginary time step in use.
+     *
+     * @returns {Number} Δτ
+     */
+    getTimeStep()
+    {
+        return this.#dtau;
+    }
+
+    /**
+     * The number of eigenstates being found.
+     *
+     * @returns {Integer} N
+     */
+    getStateCount()
+    {
+        return this.#stateCount;
+    }
+
+    /**
+     * The energies from the last check, in ascending order, the eigenvalues once {@link findEigenstates} has
+     * converged.
+     *
+     * @returns {Float32Array} The N energy eigenvalues.
+     */
+    getEigenvalues()
+    {
+        return this.#energies;
+    }
+
+    /**
+     * The number of imaginary time steps taken by the last {@link findEigenstates}.
+     *
+     * @returns {Integer} The step count.
+     */
+    getStepCount()
+    {
+        return this.#stepCount;
+    }
+
+    /**
+     * The buffer holding the n'th normalized eigenstate, xResolution vec2f like a solver's wave function buffer,
+     * suitable for a renderer's render method.
+     *
+     * @param {Integer} n The index of the eigenstate, 0 for the ground state.
+     * @returns {GPUBuffer} The eigenfunction buffer.
+     */
+    getEigenfunctionBuffer(n)
+    {
+        this.#checkState(n);
+        return this.#eigenfunctionBuffers[n];
+    }
+
+    /**
+     * Throw if n is not the index of one of the eigenstates.
+     *
+     * @param {Integer} n The state index to check.
+     */
+    #checkState(n)
+    {
+        if (!Number.isInteger(n) || n < 0 || n >= this.#stateCount)
+        {
+            throw new Error(`${this.constructor.name}: State ${n} is outside 0 to ${this.#stateCount-1}.`);
+        }
+    }
+
+    init()
+    {
+        const schrodinger = this.#schrodinger;
+        const commonShader = `
+          ${schrodinger.getParametersStruct()}
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+        `;
+
+        const stepShader = `
+          ${commonShader}
+
+          // Group 1, the N packed states and their successors.
+          @group(1) @binding(0) var<storage, read> waveFunction : array<vec2f>;
+          @group(1) @binding(1) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+
+          ${schrodinger.getSecondDerivativeFunction()}
+
+          // global_id.y selects the state, global_id.x the point within it.
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn imaginaryTimeStep(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let x = global_id.x;
+            if (x >= parameters.xResolution) {
+              return;
+            }
+            let index = global_id.y*parameters.xResolution + x;
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            let hPsi = -0.5*secondDerivative(index, 1u, x, parameters.xResolution, dx)
+                       + parameters.potential[x]*waveFunction[index];
+            updatedWaveFunction[index] = waveFunction[index] - ${this.#dtau}*hPsi;
+          }
+        `;
+
+        const gramSchmidtShader = `
+          ${commonShader}
+
+          struct Result {
+            overlap: vec2f, // <source|target>
+            energy: f32,    // <target|H|target>
+            padding: f32
+          }
+
+          struct Pair {
+            targetState: u32,
+            sourceState: u32
+          }
+
+          // Group 1, the N packed states, updated in place.
+          @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+
+          // Group 2, the overlap and energy for each state, and the cell width about each point, dx in ∫dx.
+          @group(2) @binding(0) var<storage, read_write> results : array<Result>;
+          @group(2) @binding(1) var<storage, read> cellWidths : array<f32>;
+
+          // Group 3, the states this dispatch works on.
+          @group(3) @binding(0) var<uniform> pair : Pair;
+
+          ${schrodinger.getSecondDerivativeFunction()}
+
+          var<workgroup> partialSum : array<vec2f, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          // Sum the partial sums across the single workgroup into partialSum[0].
+          fn sumWorkgroup(localIndex: u32)
+          {
+            workgroupBarrier();
+            for (var stride = ${REDUCTION_WORKGROUP_SIZE/2}u; stride > 0u; stride /= 2u)
+            {
+              if (localIndex < stride)
+              {
+                partialSum[localIndex] += partialSum[localIndex + stride];
+              }
+              workgroupBarrier();
+            }
+          }
+
+          // <source|target> = ∫ conj(Ψs)Ψt dx
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn overlap(@builtin(local_invocation_index) localIndex : u32)
+          {
+            let sourceOffset = pair.sourceState*parameters.xResolution;
+            let targetOffset = pair.targetState*parameters.xResolution;
+            var sum = vec2f(0.0, 0.0);
+            for (var x = localIndex; x < parameters.xResolution; x += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              let a = waveFunction[sourceOffset + x];
+              let b = waveFunction[targetOffset + x];
+              sum += cellWidths[x]*vec2f(a.x*b.x + a.y*b.y, a.x*b.y - a.y*b.x);
+            }
+            partialSum[localIndex] = sum;
+            sumWorkgroup(localIndex);
+
+            if (localIndex == 0u)
+            {
+              results[pair.targetState].overlap = partialSum[0];
+            }
+          }
+
+          // Ψt ← Ψt - <s|t>Ψs, or Ψt ← Ψt/√<t|t> when source and target are the same state.
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn project(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let x = global_id.x;
+            if (x >= parameters.xResolution) {
+              return;
+            }
+            let index = pair.targetState*parameters.xResolution + x;
+            let c = results[pair.targetState].overlap;
+            if (pair.sourceState == pair.targetState)
+            {
+              waveFunction[index] = waveFunction[index]/sqrt(c.x);
+            }
+            else
+            {
+              let psi = waveFunction[pair.sourceState*parameters.xResolution + x];
+              waveFunction[index] -= vec2f(c.x*psi.x - c.y*psi.y, c.x*psi.y + c.y*psi.x);
+            }
+          }
+
+          // <target|H|target> for a normalized target.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn energy(@builtin(local_invocation_index) localIndex : u32)
+          {
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            let offset = pair.targetState*parameters.xResolution;
+            var sum = 0.0;
+            for (var x = localIndex; x < parameters.xResolution; x += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              let index = offset + x;
+              let hPsi = -0.5*secondDerivative(index, 1u, x, parameters.xResolution, dx)
+                         + parameters.potential[x]*waveFunction[index];
+              // The real part of Ψ*HΨ.
+              sum += cellWidths[x]*dot(waveFunction[index], hPsi);
+            }
+            partialSum[localIndex] = vec2f(sum, 0.0);
+            sumWorkgroup(localIndex);
+
+            if (localIndex == 0u)
+            {
+              results[pair.targetState].energy = partialSum[0].x;
+            }
+          }
+        `;
+
+        const stepShaderModule = this.#device.createShaderModule({
+            label: 'Eigenstates imaginary time step shader',
+            code: stepShader
+        });
+
+        const gramSchmidtShaderModule = this.#device.createShaderModule({
+            label: 'Eigenstates Gram-Schmidt shader',
+            code: gramSchmidtShader
+        });
+
+        const stepBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Eigenstates step layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        const stateBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Eigenstates state layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        const resultBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Eigenstates result layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const pairBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Eigenstates pair layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "uniform"
+                    }
+                }
+            ]
+        });
+
+        const stepPipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                schrodinger.getParametersBindGroupLayout(),
+                                stepBindGroupLayout
+                              ]
+        });
+
+        const gramSchmidtPipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                schrodinger.getParametersBindGroupLayout(),
+                                stateBindGroupLayout,
+                                resultBindGroupLayout,
+                                pairBindGroupLayout
+                              ]
+        });
+
+        this.#stepPipeline = this.#createPipeline(stepPipelineLayout, stepShaderModule, "imaginaryTimeStep");
+        this.#overlapPipeline = this.#createPipeline(gramSchmidtPipelineLayout, gramSchmidtShaderModule, "overlap");
+        this.#projectPipeline = this.#createPipeline(gramSchmidtPipelineLayout, gramSchmidtShaderModule, "project");
+        this.#energyPipeline = this.#createPipeline(gramSchmidtPipelineLayout, gramSchmidtShaderModule, "energy");
+
+        const stateSize = 2*schrodinger.getXResolution()*Float32Array.BYTES_PER_ELEMENT;
+        for (let i=0; i<2; i++)
+        {
+            this.#stateBuffers[i] = this.#device.createBuffer({
+                label: `Eigenstates states ${i}`,
+                size: this.#stateCount*stateSize,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+            });
+        }
+
+        for (let i=0; i<2; i++)
+        {
+            this.#stepBindGroups[i] = this.#device.createBindGroup({
+                layout: stepBindGroupLayout,
+                entries: [
+                    {
+                        binding: 0,
+                        resource: {
+                            buffer: this.#stateBuffers[i]
+                        }
+                    },
+                    {
+                        binding: 1,
+                        resource: {
+                            buffer: this.#stateBuffers[1-i]
+                        }
+                    }
+                ]
+            });
+
+            this.#stateBindGroups[i] = this.#device.createBindGroup({
+                layout: stateBindGroupLayout,
+                entries: [
+                    {
+                        binding: 0,
+                        resource: {
+                            buffer: this.#stateBuffers[i]
+                        }
+                    }
+                ]
+            });
+        }
+
+        for (let n=0; n<this.#stateCount; n++)
+        {
+            this.#eigenfunctionBuffers[n] = this.#device.createBuffer({
+                label: `Eigenfunction ${n}`,
+                size: stateSize,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+            });
+        }
+
+        this.#resultBuffer = this.#device.createBuffer({
+            label: "Eigenstates result",
+            size: this.#stateCount*RESULT_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+
+        this.#readBuffer = this.#device.createBuffer({
+            label: "Eigenstates result read buffer",
+            size: this.#stateCount*RESULT_SIZE,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        this.#cellWidthsBuffer = this.#device.createBuffer({
+            label: "Eigenstates cell widths",
+            mappedAtCreation: true,
+            size: schrodinger.getXResolution()*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+        new Float32Array(this.#cellWidthsBuffer.getMappedRange()).set(schrodinger.getCellWidths());
+        this.#cellWidthsBuffer.unmap();
+
+        this.#resultBindGroup = this.#device.createBindGroup({
+            layout: resultBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#resultBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#cellWidthsBuffer
+                    }
+                }
+            ]
+        });
+
+        for (let target=0; target<this.#stateCount; target++)
+        {
+            this.#pairBindGroups[target] = [];
+            for (let source=0; source<=target; source++)
+            {
+                const pairBuffer = this.#device.createBuffer({
+                    label: `Eigenstates pair ${target}, ${source}`,
+                    size: 2*Uint32Array.BYTES_PER_ELEMENT,
+                    usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+                });
+                this.#device.queue.writeBuffer(pairBuffer, 0, new Uint32Array([target, source]));
+
+                this.#pairBindGroups[target][source] = this.#device.createBindGroup({
+                    layout: pairBindGroupLayout,
+                    entries: [
+                        {
+                            binding: 0,
+                            resource: {
+                                buffer: pairBuffer
+                            }
+                        }
+                    ]
+                });
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Build a compute pipeline for one of the eigenstate entry points.
+     *
+     * @param {GPUPipelineLayout} layout  The pipeline layout for the entry point's shader.
+     * @param {GPUShaderModule} module    The shader module.
+     * @param {String} entryPoint         The entry point name.
+     * @returns {GPUComputePipeline} The pipeline.
+     */
+    #createPipeline(layout, module, entryPoint)
+    {
+        return this.#device.createComputePipeline({
+            label: `Eigenstates ${entryPoint} pipeline`,
+            layout: layout,
+            compute: {
+                module: module,
+                entryPoint: entryPoint
+            }
+        });
+    }
+
+    static getInstance(schrodinger, stateCount, dtau, tolerance, maxSteps, stepsPerCheck)
+    {
+        const eigenstates = new Eigenstates(schrodinger, stateCount, dtau, tolerance, maxSteps, stepsPerCheck);
+        return eigenstates.init();
+    }
+
+    /**
+     * Append an imaginary time step of every state, from the current buffer into the other, then swap the buffers.
+     *
+     * @param {GPUComputePassEncoder} passEncoder The compute pass.
+     */
+    #step(passEncoder)
+    {
+        passEncoder.setPipeline(this.#stepPipeline);
+        passEncoder.setBindGroup(1, this.#stepBindGroups[this.#current]);
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#schrodinger.getXResolution() / WORKGROUP_SIZE), this.#stateCount);
+        this.#current = 1 - this.#current;
+    }
+
+    /**
+     * Append a modified Gram-Schmidt pass over the current buffer. Each state, in order, has its projections on
+     * the earlier, already orthonormal, states removed, then is normalized.
+     *
+     * @param {GPUComputePassEncoder} passEncoder The compute pass, with the result bind group set.
+     */
+    #orthonormalize(passEncoder)
+    {
+        const workgroupCount = Math.ceil(this.#schrodinger.getXResolution() / WORKGROUP_SIZE);
+        passEncoder.setBindGroup(1, this.#stateBindGroups[this.#current]);
+        for (let target=0; target<this.#stateCount; target++)
+        {
+            for (let source=0; source<=target; source++)
+            {
+                passEncoder.setBindGroup(3, this.#pairBindGroups[target][source]);
+                passEncoder.setPipeline(this.#overlapPipeline);
+                passEncoder.dispatchWorkgroups(1);
+                passEncoder.setPipeline(this.#projectPipeline);
+                passEncoder.dispatchWorkgroups(workgroupCount);
+            }
+        }
+    }
+
+    /**
+     * Append the energy reduction for each state in the current buffer.
+     *
+     * @param {GPUComputePassEncoder} passEncoder The compute pass, with the result bind group set.
+     */
+    #reduceEnergies(passEncoder)
+    {
+        passEncoder.setPipeline(this.#energyPipeline);
+        passEncoder.setBindGroup(1, this.#stateBindGroups[this.#current]);
+        for (let target=0; target<this.#stateCount; target++)
+        {
+            passEncoder.setBindGroup(3, this.#pairBindGroups[target][target]);
+            passEncoder.dispatchWorkgroups(1);
+        }
+    }
+
+    /**
+     * The default starting states, cos(nπx/L), which are linearly independent and, being the eigenstates of a
+     * box with reflecting walls, overlap the low lying eigenstates of most potentials.
+     *
+     * @param {Integer} n The state index.
+     * @returns {Float32Array} 2*xResolution real and imaginary values.
+     */
+    #defaultGuess(n)
+    {
+        const xResolution = this.#schrodinger.getXResolution();
+        const guess = new Float32Array(2*xResolution);
+        for (let i=0; i<xResolution; i++)
+        {
+            guess[2*i] = Math.cos(n*Math.PI*i/(xResolution-1));
+        }
+        return guess;
+    }
+
+    /**
+     * Propagate all N states in imaginary time, orthonormalizing as we go, until no energy changes by more than the
+     * tolerance between checks. The normalized eigenstates are then copied into the eigenfunction buffers.
+     *
+     * @param {Array<Array<Number>>} initialGuesses Optional starting states, each 2*xResolution real and imaginary
+     *                                              values. Missing or undefined entries use cos(nπx/L). Together
+     *                                              they must span the wanted eigenstates.
+     * @returns {Promise<{energies: Float32Array, steps: Integer, converged: Boolean}>} The eigenvalues in ascending
+     *                                                                                 order, the number of steps
+     *                                                                                 taken, and whether the
+     *                                                                                 tolerance was met.
+     */
+    async findEigenstates(initialGuesses=[])
+    {
+        Eigenstates.#checkLinear(this.#schrodinger);
+        const xResolution = this.#schrodinger.getXResolution();
+        const stateSize = 2*xResolution*Float32Array.BYTES_PER_ELEMENT;
+        for (let n=0; n<this.#stateCount; n++)
+        {
+            const guess = initialGuesses[n] ?? this.#defaultGuess(n);
+            this.#device.queue.writeBuffer(this.#stateBuffers[0], n*stateSize, new Float32Array(guess), 0, 2*xResolution);
+        }
+        this.#current = 0;
+        this.#stepCount = 0;
+
+        let previousEnergies = new Float32Array(this.#stateCount).fill(Infinity);
+        let converged = false;
+        while (!converged && this.#stepCount < this.#maxSteps)
+        {
+            const commandEncoder = this.#device.createCommandEncoder();
+            const passEncoder = commandEncoder.beginComputePass();
+            passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+            passEncoder.setBindGroup(2, this.#resultBindGroup);
+            for (let i=0; i<this.#stepsPerCheck; i+=this.#stepsPerOrthonormalization)
+            {
+                for (let j=0; j<this.#stepsPerOrthonormalization; j++)
+                {
+                    this.#step(passEncoder);
+                }
+                this.#orthonormalize(passEncoder);
+            }
+            this.#reduceEnergies(passEncoder);
+            passEncoder.end();
+            commandEncoder.copyBufferToBuffer(this.#resultBuffer, 0, this.#readBuffer, 0, this.#readBuffer.size);
+            this.#device.queue.submit([commandEncoder.finish()]);
+            this.#stepCount += this.#stepsPerCheck;
+
+            await this.#readBuffer.mapAsync(GPUMapMode.READ);
+            const results = new Float32Array(this.#readBuffer.getMappedRange());
+            for (let n=0; n<this.#stateCount; n++)
+            {
+                this.#energies[n] = results[n*RESULT_SIZE/Float32Array.BYTES_PER_ELEMENT + 2];
+            }
+            this.#readBuffer.unmap();
+
+            if (!this.#energies.every(Number.isFinite))
+            {
+                throw new Error(`${this.constructor.name}: Energies diverged after ${this.#stepCount} steps, `
+                                + `reduce the imaginary time step ${this.#dtau}.`);
+            }
+            converged = this.#energies.every((energy, n) => Math.abs(energy - previousEnergies[n]) < this.#tolerance);
+            previousEnergies = this.#energies.slice();
+        }
+
+        const copyEncoder = this.#device.createCommandEncoder();
+        for (let n=0; n<this.#stateCount; n++)
+        {
+            copyEncoder.copyBufferToBuffer(this.#stateBuffers[this.#current], n*stateSize,
+                                           this.#eigenfunctionBuffers[n], 0, stateSize);
+        }
+        this.#device.queue.submit([copyEncoder.finish()]);
+
+        return {energies: this.#energies, steps: this.#stepCount, converged: converged};
+    }
+
+    /**
+     * Read the n'th eigenstate back from the GPU, for example to pass to a solver's setWaveFunction.
+     *
+     * @param {Integer} n The index of the eigenstate, 0 for the ground state.
+     * @returns {Promise<Float32Array>} The 2*xResolution real and imaginary values.
+     */
+    async getEigenfunction(n)
+    {
+        this.#checkState(n);
+        const source = this.#eigenfunctionBuffers[n];
+        const gpuReadBuffer = this.#device.createBuffer({
+            label: `Eigenfunction ${n} read buffer`,
+            size: source.size,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        const copyEncoder = this.#device.createCommandEncoder();
+        copyEncoder.copyBufferToBuffer(source, 0, gpuReadBuffer, 0, source.size);
+        this.#device.queue.submit([copyEncoder.finish()]);
+
+        await gpuReadBuffer.mapAsync(GPUMapMode.READ);
+        // Slice forces a copy of the data, so it is not lost when the gpu buffer is destroyed.
+        const result = new Float32Array(gpuReadBuffer.getMappedRange().slice());
+        gpuReadBuffer.destroy();
+        return result;
+    }
+
+    /**
+     * The normalized superposition Σ cₙΨₙ of the eigenstates, for a solver's setWaveFunction. The eigenstates are
+     * orthonormal, so the norm is √Σ|cₙ|².
+     *
+     * @param {Array<Number|Array<Number>>} coefficients cₙ for each eigenstate, either a real number or a
+     *                                                   [real, imaginary] pair. Missing entries are 0.
+     * @returns {Promise<Float32Array>} The 2*xResolution real and imaginary values.
+     */
+    async superposition(coefficients)
+    {
+        const xResolution = this.#schrodinger.getXResolution();
+        const result = new Float32Array(2*xResolution);
+        let normSquared = 0;
+        for (let n=0; n<Math.min(coefficients.length, this.#stateCount); n++)
+        {
+            const [cr, ci] = Array.isArray(coefficients[n]) ? coefficients[n] : [coefficients[n] ?? 0, 0];
+            if (cr === 0 && ci === 0)
+            {
+                continue;
+            }
+            normSquared += cr*cr + ci*ci;
+            const psi = await this.getEigenfunction(n);
+            for (let i=0; i<xResolution; i++)
+            {
+                result[2*i]   += cr*psi[2*i] - ci*psi[2*i+1];
+                result[2*i+1] += cr*psi[2*i+1] + ci*psi[2*i];
+            }
+        }
+
+        if (normSquared === 0)
+        {
+            throw new Error(`${this.constructor.name}: A superposition needs at least one non zero coefficient.`);
+        }
+        const norm = Math.sqrt(normSquared);
+        return result.map(v => v/norm);
+    }
+}
+
+export {Eigenstates}
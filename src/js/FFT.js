@@ -0,0 +1,332 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * The size in bytes of the per stage uniform, size, span, direction and scale.
+ */
+const STAGE_PARAMETERS_SIZE = 4*Float32Array.BYTES_PER_ELEMENT;
+
+/**
+ * A complex to complex FFT on a power of two length array<vec2f>, such as a wave function buffer. This is a
+ * Stockham auto sort FFT built from radix 4 stages, with radix 2 stages covering odd powers of two. Each stage reads
+ * one buffer and writes the other, ping ponging between the data buffer and a scratch buffer. The stages are chosen,
+ * where possible, so the result lands back in the data buffer.
+ *
+ * The forward transform computes X[k] = Σ x[n] exp(-2πink/N), the inverse includes the 1/N normalization.
+ *
+ * @property {GPUDevice} #device The device the data buffer was created on.
+ * @property {GPUBuffer} #buffer The data buffer, transformed in place.
+ * @property {GPUBuffer} #scratchBuffer The buffer alternate stages write to.
+ * @property {Integer} #size The number of complex values in the data buffer, a power of two.
+ * @property {Array<Integer>} #radices The radix, 2 or 4, for each stage.
+ * @property {GPUBindGroup[]} #forwardBindGroups The per stage bind groups for the forward transform.
+ * @property {GPUBindGroup[]} #inverseBindGroups The per stage bind groups for the inverse transform.
+ * @property {GPUComputePipeline} #radix2Pipeline The pipeline for the radix 2 stages.
+ * @property {GPUComputePipeline} #radix4Pipeline The pipeline for the radix 4 stages.
+ */
+class FFT
+{
+    #device;
+    #buffer;
+    #scratchBuffer;
+    #size;
+    #radices;
+    #forwardBindGroups;
+    #inverseBindGroups;
+    #radix2Pipeline;
+    #radix4Pipeline;
+
+    /**
+     * Build an FFT over the given buffer.
+     *
+     * @param {GPUDevice} device The device the buffer was created on.
+     * @param {GPUBuffer} buffer The array<vec2f> buffer to transform in place. Must have COPY_DST usage when
+     *                           size is 2, the only case where the result is copied back from the scratch buffer.
+     * @param {Integer} size     The number of complex values in the buffer, a power of two.
+     */
+    constructor(device, buffer, size)
+    {
+        if (!Number.isInteger(Math.log2(size)) || size < 2)
+        {
+            throw new Error(`${this.constructor.name}: size must be a power of two, got ${size}.`);
+        }
+        this.#device = device;
+        this.#buffer = buffer;
+        this.#size = size;
+    }
+
+    /**
+     * The number of complex values transformed.
+     *
+     * @returns {Integer} The FFT length.
+     */
+    getSize()
+    {
+        return this.#size;
+    }
+
+    init()
+    {
+        const fftShader = `
+          struct Stage {
+            size: u32,      // The number of complex values, N.
+            span: u32,      // The size of the sub transforms completed by earlier stages.
+            direction: f32, // -1 for the forward transform, +1 for the inverse.
+            scale: f32      // 1/N on the last inverse stage, otherwise 1.
+          }
+
+          @group(0) @binding(0) var<uniform> stage : Stage;
+          @group(0) @binding(1) var<storage, read> input : array<vec2f>;
+          @group(0) @binding(2) var<storage, read_write> output : array<vec2f>;
+
+          const PI = 3.14159265358979;
+
+          fn complexMultiply(z: vec2f, w: vec2f) -> vec2f
+          {
+            return vec2f(z.x*w.x - z.y*w.y, z.x*w.y + z.y*w.x);
+          }
+
+          // exp(i angle)
+          fn twiddle(angle: f32) -> vec2f
+          {
+            return vec2f(cos(angle), sin(angle));
+          }
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn radix2(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let stride = stage.size/2;
+            let j = global_id.x;
+            if (j >= stride)
+            {
+              return;
+            }
+
+            let k = j % stage.span;
+            let angle = stage.direction*2.0*PI*f32(k)/f32(2*stage.span);
+
+            let v0 = input[j];
+            let v1 = complexMultiply(input[j+stride], twiddle(angle));
+
+            let outputIndex = (j/stage.span)*stage.span*2 + k;
+            output[outputIndex]            = (v0 + v1)*stage.scale;
+            output[outputIndex+stage.span] = (v0 - v1)*stage.scale;
+          }
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn radix4(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let stride = stage.size/4;
+            let j = global_id.x;
+            if (j >= stride)
+            {
+              return;
+            }
+
+            let k = j % stage.span;
+            let angle = stage.direction*2.0*PI*f32(k)/f32(4*stage.span);
+
+            let v0 = input[j];
+            let v1 = complexMultiply(input[j+stride],   twiddle(angle));
+            let v2 = complexMultiply(input[j+2*stride], twiddle(2.0*angle));
+            let v3 = complexMultiply(input[j+3*stride], twiddle(3.0*angle));
+
+            // A four point DFT, exp(±2πi/4) = ±i.
+            let a0 = v0 + v2;
+            let a1 = v0 - v2;
+            let a2 = v1 + v3;
+            let d  = v1 - v3;
+            let a3 = stage.direction*vec2f(-d.y, d.x);
+
+            let outputIndex = (j/stage.span)*stage.span*4 + k;
+            output[outputIndex]              = (a0 + a2)*stage.scale;
+            output[outputIndex+stage.span]   = (a1 + a3)*stage.scale;
+            output[outputIndex+2*stage.span] = (a0 - a2)*stage.scale;
+            output[outputIndex+3*stage.span] = (a1 - a3)*stage.scale;
+          }
+        `;
+
+        const fftShaderModule = this.#device.createShaderModule({
+            label: 'FFT shader',
+            code: fftShader
+        });
+
+        const stageBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "FFT stage layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {}
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [stageBindGroupLayout]
+        });
+
+        this.#radix2Pipeline = this.#device.createComputePipeline({
+            label: "FFT radix 2 pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: fftShaderModule,
+                entryPoint: "radix2"
+            }
+        });
+
+        this.#radix4Pipeline = this.#device.createComputePipeline({
+            label: "FFT radix 4 pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: fftShaderModule,
+                entryPoint: "radix4"
+            }
+        });
+
+        this.#scratchBuffer = this.#device.createBuffer({
+            label: "FFT scratch buffer",
+            size: 2*this.#size*Float32Array.BYTES_PER_ELEMENT,
+            // Copyable for debugging, and for the single stage transform
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+
+        // As many radix 4 stages as possible, trading one radix 4 stage for two radix 2 stages
+        // when that gives an even stage count, leaving the result in the data buffer.
+        const log2Size = Math.log2(this.#size);
+        let radix4Count = Math.floor(log2Size/2);
+        let radix2Count = log2Size%2;
+        if ((radix4Count+radix2Count)%2 === 1 && radix4Count > 0)
+        {
+            radix4Count--;
+            radix2Count += 2;
+        }
+        this.#radices = new Array(radix4Count).fill(4).concat(new Array(radix2Count).fill(2));
+
+        this.#forwardBindGroups = this.#makeStageBindGroups(stageBindGroupLayout, -1.0);
+        this.#inverseBindGroups = this.#makeStageBindGroups(stageBindGroupLayout, 1.0);
+
+        return this;
+    }
+
+    /**
+     * Build one bind group per stage for the given transform direction.
+     *
+     * @param {GPUBindGroupLayout} layout The stage bind group layout.
+     * @param {Number} direction          -1 for the forward transform, +1 for the inverse.
+     * @returns {GPUBindGroup[]} The bind groups for each stage in order.
+     */
+    #makeStageBindGroups(layout, direction)
+    {
+        const bindGroups = new Array(this.#radices.length);
+        let span = 1;
+        for (let i=0; i<this.#radices.length; i++)
+        {
+            const lastStage = i === this.#radices.length-1;
+            const stageBuffer = this.#device.createBuffer({
+                label: `FFT stage ${i} parameters`,
+                mappedAtCreation: true,
+                size: STAGE_PARAMETERS_SIZE,
+                usage: GPUBufferUsage.UNIFORM
+            });
+            const stageArrayBuffer = stageBuffer.getMappedRange();
+            new Uint32Array(stageArrayBuffer, 0, 2).set([this.#size, span]);
+            new Float32Array(stageArrayBuffer, 2*Uint32Array.BYTES_PER_ELEMENT, 2)
+                .set([direction, direction > 0 && lastStage ? 1.0/this.#size : 1.0]);
+            stageBuffer.unmap();
+
+            bindGroups[i] = this.#device.createBindGroup({
+                layout: layout,
+                entries: [
+                    {
+                        binding: 0,
+                        resource: {
+                            buffer: stageBuffer
+                        }
+                    },
+                    {
+                        binding: 1,
+                        resource: {
+                            buffer: i%2 === 0 ? this.#buffer : this.#scratchBuffer
+                        }
+                    },
+                    {
+                        binding: 2,
+                        resource: {
+                            buffer: i%2 === 0 ? this.#scratchBuffer : this.#buffer
+                        }
+                    }
+                ]
+            });
+            span *= this.#radices[i];
+        }
+        return bindGroups;
+    }
+
+    static getInstance(device, buffer, size)
+    {
+        const fft = new FFT(device, buffer, size);
+        return fft.init();
+    }
+
+    /**
+     * Append the compute passes for a forward, or inverse, transform of the data buffer.
+     *
+     * @param {GPUCommandEncoder} commandEncoder The command encoder currently in use to collect GPU commands.
+     * @param {Boolean} inverse                  True for the inverse transform, false for the forward transform.
+     */
+    makeComputePass(commandEncoder, inverse=false)
+    {
+        const bindGroups = inverse ? this.#inverseBindGroups : this.#forwardBindGroups;
+        const passEncoder = commandEncoder.beginComputePass();
+        for (let i=0; i<this.#radices.length; i++)
+        {
+            const radix = this.#radices[i];
+            passEncoder.setPipeline(radix === 4 ? this.#radix4Pipeline : this.#radix2Pipeline);
+            passEncoder.setBindGroup(0, bindGroups[i]);
+            passEncoder.dispatchWorkgroups(Math.ceil(this.#size / (radix*WORKGROUP_SIZE)));
+        }
+        passEncoder.end();
+
+        // Only a single radix 2 stage leaves the result in the scratch buffer.
+        if (this.#radices.length%2 === 1)
+        {
+            commandEncoder.copyBufferToBuffer(this.#scratchBuffer, 0, this.#buffer, 0, this.#scratchBuffer.size);
+        }
+    }
+}
+
+export {FFT}
@@ -0,0 +1,107 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Conversions between numbers and IEEE 754 half precision, f16, bit patterns, for writing and reading wave function
+ * buffers stored as array<vec2h>. See {@link SchrodingerSolver.PRECISION_F16}.
+ */
+class HalfFloat
+{
+    /**
+     * Round numbers to the nearest f16, ties to even, as the GPU does.
+     *
+     * @param {Array<Number>} values The values to convert.
+     * @returns {Uint16Array} The f16 bit patterns, ready for writeBuffer.
+     */
+    static pack(values)
+    {
+        const floats = Float32Array.from(values);
+        const words = new Uint32Array(floats.buffer);
+        return Uint16Array.from(words, word => HalfFloat.#toHalf(word));
+    }
+
+    /**
+     * Convert f16 bit patterns, such as a wave function buffer read back from the GPU, to numbers.
+     *
+     * @param {Uint16Array} halves The f16 bit patterns.
+     * @returns {Float32Array} The values.
+     */
+    static unpack(halves)
+    {
+        return Float32Array.from(halves, half => HalfFloat.#toFloat(half));
+    }
+
+    static #toHalf(bits)
+    {
+        const sign = (bits >>> 16) & 0x8000;
+        const exponent = (bits >>> 23) & 0xff;
+        let mantissa = bits & 0x7fffff;
+        // Infinity stays infinite, NaN stays NaN.
+        if (exponent === 0xff)
+        {
+            return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+        }
+        const halfExponent = exponent - 127 + 15;
+        if (halfExponent >= 0x1f)
+        {
+            return sign | 0x7c00;
+        }
+        if (halfExponent <= 0)
+        {
+            // Subnormal, or zero, in f16.
+            if (halfExponent < -10)
+            {
+                return sign;
+            }
+            mantissa |= 0x800000;
+            const shift = 14 - halfExponent;
+            const halfway = 1 << (shift - 1);
+            const remainder = mantissa & ((1 << shift) - 1);
+            let half = mantissa >>> shift;
+            if (remainder > halfway || (remainder === halfway && (half & 1)))
+            {
+                half++;
+            }
+            return sign | half;
+        }
+        // A carry out of the mantissa rounds up into the exponent, and on to infinity.
+        let half = (halfExponent << 10) | (mantissa >>> 13);
+        const remainder = mantissa & 0x1fff;
+        if (remainder > 0x1000 || (remainder === 0x1000 && (half & 1)))
+        {
+            half++;
+        }
+        return sign | half;
+    }
+
+    static #toFloat(half)
+    {
+        const sign = (half & 0x8000) ? -1 : 1;
+        const exponent = (half >>> 10) & 0x1f;
+        const mantissa = half & 0x3ff;
+        if (exponent === 0)
+        {
+            return sign*mantissa*2**-24;
+        }
+        if (exponent === 0x1f)
+        {
+            return mantissa ? NaN : sign*Infinity;
+        }
+        return sign*(1 + mantissa/1024)*2**(exponent - 15);
+    }
+}
+
+export {HalfFloat}
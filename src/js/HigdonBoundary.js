@@ -0,0 +1,457 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * The most one way operators the boundary composes.
+ */
+const MAX_ORDER = 4;
+
+/**
+ * The boundary parameters, four velocities in a vec4f followed by the order, padded to the vec4f alignment.
+ */
+const PARAMETERS_SIZE = 8*Float32Array.BYTES_PER_ELEMENT;
+
+/**
+ * Higdon absorbing boundary conditions for the three buffer central difference solver in SchrodingerMurBoundary.js.
+ * {@link LeapfrogHigdonBoundary} does the same for the staggered leapfrog solver.
+ *
+ * {@link MurBoundary} makes the edge transparent to waves moving outward with a single phase velocity, c, through
+ * the one way wave equation (∂t + c∂x)Ψ = 0. Waves with other velocities are partly reflected. A Higdon boundary
+ * composes several of these operators,
+ * <pre>
+ *   Π (∂t + cⱼ∂x)Ψ = 0
+ * </pre>
+ * which is transparent to each of the velocities cⱼ, and reflects much less across the range they span. Each factor
+ * is discretized as in MurBoundary,
+ * <pre>
+ *   Bⱼ = (1 - aⱼX) + (aⱼ - X)K,  aⱼ = (cⱼΔt - Δx)/(cⱼΔt + Δx)
+ * </pre>
+ * where X shifts one point in from the edge, and K one step back in time. The shader expands the product into
+ * coefficients of XᵖKᵍ, and solves for the edge value at t+Δt. This needs the order + 1 points nearest each edge
+ * over the last order steps, which are kept in a GPU ring buffer with a step counter.
+ *
+ * The velocities, at most {@link MAX_ORDER} of them, are held in the boundary parameters buffer, and may be changed
+ * at any time with {@link setVelocities} or {@link setEnergyRange}.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver this boundary serves.
+ * @property {GPUDevice} #device The device the solver runs on.
+ * @property {Array<Number>} #velocities The phase velocities the boundary is transparent to.
+ * @property {GPUBuffer} #boundaryValueParameters The velocities and order.
+ * @property {GPUBuffer} #historyBuffer The points nearest each edge over the last steps.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter, indexing the history.
+ * @property {GPUBindGroup} #boundaryValueBindGroup Binds the parameters, history and clock in group 2.
+ * @property {GPUComputePipeline} #boundaryValuePipeline Computes the new edge values.
+ * @property {Boolean} #debug Makes the parameters buffer copyable.
+ */
+class HigdonBoundary
+{
+    #schrodinger;
+    #device;
+    #velocities;
+    #boundaryValueParameters;
+    #historyBuffer;
+    #clockBuffer;
+    #boundaryValueBindGroup;
+    #boundaryValuePipeline;
+    #debug;
+
+    /**
+     * Create a Higdon boundary for the central difference solver.
+     *
+     * @param {SchrodingerSolver} schrodinger The three buffer central difference solver.
+     * @param {Array<Number>}     velocities  One to {@link MAX_ORDER} positive phase velocities, for example from
+     *                                        {@link velocitiesForEnergies}.
+     * @param {Boolean}           debug       Indicates whether we are debugging this run, makes buffers copyable.
+     */
+    constructor(schrodinger, velocities, debug=false)
+    {
+        if (schrodinger.getBoundaryScheme() !== SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE)
+        {
+            throw new Error(`HigdonBoundary: Expected a three buffer central difference solver, not `
+                            + `${schrodinger.getBoundaryScheme() ?? "a solver without boundaries"}.`);
+        }
+        HigdonBoundary.checkVelocities(velocities);
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#velocities = [...velocities];
+        this.#debug = debug;
+    }
+
+    /**
+     * The most velocities, the highest order of boundary.
+     *
+     * @returns {Integer} The maximum order.
+     */
+    static get MAX_ORDER()
+    {
+        return MAX_ORDER;
+    }
+
+    /**
+     * Check for one to {@link MAX_ORDER} positive velocities.
+     *
+     * @param {Array<Number>} velocities The phase velocities.
+     */
+    static checkVelocities(velocities)
+    {
+        if (!Array.isArray(velocities) || velocities.length < 1 || velocities.length > MAX_ORDER
+            || velocities.some(c => !(c > 0)))
+        {
+            throw new Error(`HigdonBoundary: Expected 1 to ${MAX_ORDER} positive velocities, not ${velocities}.`);
+        }
+    }
+
+    /**
+     * Phase velocities evenly spread across the velocities for a range of energies, c = √(E/2) with m = 1 as in
+     * MurBoundary. A single velocity sits in the middle of the range.
+     *
+     * @param {Number}  minimumEnergy The lowest energy in the wave packet.
+     * @param {Number}  maximumEnergy The highest energy in the wave packet.
+     * @param {Integer} order         The number of velocities, defaults to {@link MAX_ORDER}.
+     * @returns {Array<Number>} The velocities.
+     */
+    static velocitiesForEnergies(minimumEnergy, maximumEnergy, order=MAX_ORDER)
+    {
+        if (!(minimumEnergy > 0 && maximumEnergy >= minimumEnergy))
+        {
+            throw new Error(`HigdonBoundary: The energy range, ${minimumEnergy} to ${maximumEnergy}, must be positive `
+                            + `and increasing.`);
+        }
+        const minimumVelocity = Math.sqrt(0.5*minimumEnergy);
+        const maximumVelocity = Math.sqrt(0.5*maximumEnergy);
+        if (order === 1)
+        {
+            return [0.5*(minimumVelocity + maximumVelocity)];
+        }
+        return Array.from({length: order},
+                          (_, j) => minimumVelocity + j*(maximumVelocity - minimumVelocity)/(order - 1));
+    }
+
+    /**
+     * The boundary parameters as written to the GPU, the velocities padded to four then the order.
+     *
+     * @param {Array<Number>} velocities The phase velocities.
+     * @returns {ArrayBuffer} The parameters.
+     */
+    static packParameters(velocities)
+    {
+        const parameters = new ArrayBuffer(PARAMETERS_SIZE);
+        new Float32Array(parameters, 0, MAX_ORDER).set(velocities);
+        new Uint32Array(parameters, MAX_ORDER*Uint32Array.BYTES_PER_ELEMENT, 1).set([velocities.length]);
+        return parameters;
+    }
+
+    /**
+     * WGSL declaring the boundary parameters struct, and higdonCoefficients(dx), which expands the product of the
+     * one way operators into the coefficients of XᵖKᵍ.
+     *
+     * @returns {String} WGSL source.
+     */
+    static getCoefficientFunction()
+    {
+        return `
+          const MAX_ORDER = ${MAX_ORDER}u;
+          const POINTS = ${MAX_ORDER + 1}u;
+
+          struct HigdonParameters {
+            velocities: vec4f,    // The phase velocities, cⱼ.
+            order: u32            // How many of the velocities are in use.
+          }
+
+          // coefficients[p][q] multiplies Ψ p points in from the edge, q steps back.
+          fn higdonCoefficients(dx: f32) -> array<array<f32, POINTS>, POINTS>
+          {
+            var coefficients : array<array<f32, POINTS>, POINTS>;
+            coefficients[0][0] = 1.0;
+            for (var j = 0u; j < boundary.order; j++)
+            {
+              let c = boundary.velocities[j];
+              let a = (c*parameters.dt - dx)/(c*parameters.dt + dx);
+              // Multiply by (1 - aX) + (a - X)K, in place from the highest powers down.
+              for (var p = i32(MAX_ORDER); p >= 0; p--)
+              {
+                for (var q = i32(MAX_ORDER); q >= 0; q--)
+                {
+                  var term = coefficients[p][q];
+                  if (p > 0)
+                  {
+                    term -= a*coefficients[p-1][q];
+                  }
+                  if (q > 0)
+                  {
+                    term += a*coefficients[p][q-1];
+                  }
+                  if (p > 0 && q > 0)
+                  {
+                    term -= coefficients[p-1][q-1];
+                  }
+                  coefficients[p][q] = term;
+                }
+              }
+            }
+            return coefficients;
+          }
+        `;
+    }
+
+    /**
+     * Build the shader, buffers and pipeline.
+     *
+     * @returns {HigdonBoundary} This boundary.
+     */
+    init()
+    {
+        const boundaryConditionsShader = `
+          ${this.#schrodinger.getParametersStruct()}
+
+          struct Clock {
+            step: u32    // Time steps since the wave function was set.
+          }
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, changes on each iteration - the same as in the main solver to keep the same bindings.
+          // Older wave function at t-Δt.
+          @group(1) @binding(0) var<storage, read> oldWaveFunction : array<vec2f>;
+          // Current wave function at t.
+          @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
+          // The updated wave function at t+Δt.
+          @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+
+          // Group 2, boundary value specific data.
+          @group(2) @binding(0) var<uniform> boundary : HigdonParameters;
+          // For each edge, MAX_ORDER steps of the POINTS nearest the edge.
+          @group(2) @binding(1) var<storage, read_write> history : array<vec2f>;
+          @group(2) @binding(2) var<storage, read_write> clock : Clock;
+
+          ${HigdonBoundary.getCoefficientFunction()}
+
+          @compute @workgroup_size(2)
+          fn recomputeBoundary(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            // Edge will be 0 at the left edge, and 1 at the right edge.
+            let edge = global_id.x;
+            let edgeIndex = edge*(parameters.xResolution-1);
+            let step = clock.step;
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            let coefficients = higdonCoefficients(dx);
+
+            // Solve Σ coefficients[p][q]Ψ(p in, q back) = 0 for Ψ at the edge at t+Δt. History from before the
+            // wave function was set is zero.
+            var sum = vec2f(0.0, 0.0);
+            for (var p = 0u; p <= boundary.order; p++)
+            {
+              let index = select(edgeIndex + p, edgeIndex - p, edge == 1u);
+              if (p > 0u)
+              {
+                sum += coefficients[p][0]*updatedWaveFunction[index];
+              }
+              for (var q = 1u; q <= min(boundary.order, step); q++)
+              {
+                sum += coefficients[p][q]*history[(edge*MAX_ORDER + (step - q) % MAX_ORDER)*POINTS + p];
+              }
+            }
+            updatedWaveFunction[edgeIndex] = -sum;
+
+            for (var p = 0u; p < POINTS; p++)
+            {
+              let index = select(edgeIndex + p, edgeIndex - p, edge == 1u);
+              history[(edge*MAX_ORDER + step % MAX_ORDER)*POINTS + p] = updatedWaveFunction[index];
+            }
+
+            storageBarrier();
+            if (edge == 0u)
+            {
+              clock.step = step + 1u;
+            }
+          }
+        `;
+
+        const boundaryValueShaderModule = this.#device.createShaderModule({
+            label: 'Higdon boundary shader',
+            code: boundaryConditionsShader
+        });
+
+        const boundaryValueParametersLayout = this.#device.createBindGroupLayout({
+            label: "Higdon boundary parameters layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {}
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        this.#boundaryValueParameters = this.#device.createBuffer({
+            label: "Higdon boundary parameters buffer",
+            size: PARAMETERS_SIZE,
+            usage:  this.#debug ? GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                                : GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.setVelocities(this.#velocities);
+
+        this.#historyBuffer = this.#device.createBuffer({
+            label: "Higdon boundary history",
+            // Two edges, MAX_ORDER steps of MAX_ORDER+1 complex values.
+            size: 2*MAX_ORDER*(MAX_ORDER + 1)*2*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        this.#clockBuffer = this.#device.createBuffer({
+            label: "Higdon boundary clock",
+            size: Uint32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.setStep(0);
+
+        this.#boundaryValueBindGroup = this.#device.createBindGroup({
+            layout: boundaryValueParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#boundaryValueParameters
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#historyBuffer
+                    }
+                },
+                {
+                    binding: 2,
+                    resource: {
+                        buffer: this.#clockBuffer
+                    }
+                }
+            ]
+        });
+
+        this.#boundaryValuePipeline = this.#device.createComputePipeline({
+            layout: this.#device.createPipelineLayout({
+                bindGroupLayouts: [
+                                    this.#schrodinger.getParametersBindGroupLayout(),
+                                    this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                    boundaryValueParametersLayout
+                                  ]
+            }),
+            compute: {
+                module: boundaryValueShaderModule,
+                entryPoint: "recomputeBoundary"
+            }
+        });
+
+        return this;
+    }
+
+    static getInstance(schrodinger, velocities, debug)
+    {
+        const higdonBoundary = new HigdonBoundary(schrodinger, velocities, debug);
+        return higdonBoundary.init();
+    }
+
+    /**
+     * Get the phase velocities the boundary is transparent to.
+     *
+     * @returns {Array<Number>} The velocities.
+     */
+    getVelocities()
+    {
+        return [...this.#velocities];
+    }
+
+    /**
+     * Set the phase velocities, taking effect on the next time step. The order may change as well.
+     *
+     * @param {Array<Number>} velocities One to {@link MAX_ORDER} positive phase velocities.
+     * @returns {HigdonBoundary} This boundary.
+     */
+    setVelocities(velocities)
+    {
+        HigdonBoundary.checkVelocities(velocities);
+        this.#velocities = [...velocities];
+        this.#device.queue.writeBuffer(this.#boundaryValueParameters, 0, HigdonBoundary.packParameters(velocities));
+        return this;
+    }
+
+    /**
+     * Tune the boundary to a range of energies, keeping the current order.
+     *
+     * @param {Number} minimumEnergy The lowest energy in the wave packet.
+     * @param {Number} maximumEnergy The highest energy in the wave packet.
+     * @returns {HigdonBoundary} This boundary.
+     */
+    setEnergyRange(minimumEnergy, maximumEnergy)
+    {
+        return this.setVelocities(HigdonBoundary.velocitiesForEnergies(minimumEnergy, maximumEnergy,
+                                                                       this.#velocities.length));
+    }
+
+    /**
+     * Set the step counter. The solver calls this with 0 when the wave function is set, so the history from the
+     * previous wave function is ignored.
+     *
+     * @param {Integer} step The step count.
+     */
+    setStep(step)
+    {
+        this.#device.queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([step]));
+    }
+
+    /**
+     * Append a compute pass to implement the boundary conditions.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The bind group describing which wave function buffers are bound
+     *                                                  to which indices.
+     */
+    makeComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#boundaryValuePipeline);
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#boundaryValueBindGroup);
+        // We just need the one two thread workgroup, one for each edge.
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+    }
+}
+
+export {HigdonBoundary}
@@ -0,0 +1,499 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * The single workgroup size for the norm and energy reduction.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * Imaginary time propagation, t → -iτ, for the ground state of a one dimensional solver's potential. Each step is
+ * Ψ ← Ψ - Δτ HΨ, which damps each eigenstate by exp(-EΔτ), so after renormalization the lowest energy state remains.
+ * H uses the solver's potential and second difference stencil, so the ground state is the ground state of the
+ * solver's own discretization. For a solver with a Gross-Pitaevskii coupling H includes g|Ψ|², giving the condensate
+ * ground state for a wave function normalized to one, and the energy is then the chemical potential. H acts on a
+ * single vec2f wave function along x, so two and three dimensional, two particle, spinor and f16 solvers are
+ * rejected.
+ *
+ * Stepping, the energy and norm reductions, and renormalization all run on the GPU. The energy is read back every
+ * stepsPerCheck steps to test for convergence. The converged state is written to the solver with setWaveFunction.
+ * The sums over the grid are weighted by {@link SchrodingerSolver#getCellWidths}, so on a non-uniform grid the state
+ * is normalized as the solver's schemes conserve it.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver providing the device, parameters and potential.
+ * @property {GPUDevice} #device The solver's device.
+ * @property {Number} #dtau The imaginary time step, Δτ.
+ * @property {Number} #tolerance Converged when the energy changes by less than this between checks.
+ * @property {Integer} #maxSteps The maximum number of imaginary time steps.
+ * @property {Integer} #stepsPerCheck The number of steps between energy read backs.
+ * @property {Integer} #stepsPerNormalization The number of steps between renormalizations.
+ * @property {Number} #energy The most recent energy, the eigenvalue once converged.
+ * @property {Integer} #stepCount The number of steps taken by the last {@link findGroundState}.
+ * @property {GPUBuffer[]} #waveFunctionBuffers The imaginary time wave function, ping ponging between two buffers.
+ * @property {Integer} #current The index of the buffer holding the latest wave function.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups Bind groups reading from buffer i and writing to the other.
+ * @property {GPUBuffer} #resultBuffer The norm and energy from the last reduction.
+ * @property {GPUBuffer} #readBuffer A mappable copy of the result buffer.
+ * @property {GPUBuffer} #cellWidthsBuffer The solver's cell widths, weighting the norm and energy sums.
+ * @property {GPUBindGroup} #resultBindGroup The bind group for the result and cell widths buffers.
+ * @property {GPUComputePipeline} #stepPipeline The pipeline for a single imaginary time step.
+ * @property {GPUComputePipeline} #reducePipeline The pipeline computing the norm and energy.
+ * @property {GPUComputePipeline} #normalizePipeline The pipeline dividing the wave function by its norm.
+ */
+class ImaginaryTime
+{
+    #schrodinger;
+    #device;
+    #dtau;
+    #tolerance;
+    #maxSteps;
+    #stepsPerCheck;
+    #stepsPerNormalization;
+    #energy;
+    #stepCount = 0;
+    #waveFunctionBuffers = new Array(2);
+    #current = 0;
+    #waveFunctionBindGroups = new Array(2);
+    #resultBuffer;
+    #readBuffer;
+    #cellWidthsBuffer;
+    #resultBindGroup;
+    #stepPipeline;
+    #reducePipeline;
+    #normalizePipeline;
+
+    /**
+     * Build an imaginary time ground state finder for the given one dimensional solver.
+     *
+     * @param {SchrodingerSolver} schrodinger An initialized solver providing the device, parameters and potential.
+     * @param {Number} dtau                   The imaginary time step. Defaults to the solver's
+     *                                        {@link SchrodingerSolver#getImaginaryTimeStep}.
+     * @param {Number} tolerance              Converged when the energy changes by less than this between checks.
+     * @param {Integer} maxSteps              Give up after this many steps.
+     * @param {Integer} stepsPerCheck         The number of steps between energy checks, a multiple of
+     *                                        stepsPerNormalization.
+     */
+    constructor(schrodinger, dtau, tolerance=1.0e-6, maxSteps=1000000, stepsPerCheck=1000)
+    {
+        if (schrodinger.getGridSize() !== schrodinger.getXResolution() || schrodinger.getWaveFunctionType() !== "vec2f")
+        {
+            throw new Error(`${this.constructor.name}: Expected a one dimensional solver with vec2f wave functions, not `
+                            + `${schrodinger.getGridSize()} points of ${schrodinger.getWaveFunctionType()} with `
+                            + `${schrodinger.getXResolution()} along x.`);
+        }
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#dtau = dtau ?? schrodinger.getImaginaryTimeStep();
+        this.#tolerance = tolerance;
+        this.#maxSteps = maxSteps;
+        this.#stepsPerNormalization = 10;
+        this.#stepsPerCheck = Math.max(this.#stepsPerNormalization,
+                                       Math.round(stepsPerCheck/this.#stepsPerNormalization)*this.#stepsPerNormalization);
+    }
+
+    /**
+     * The imaginary time step in use.
+     *
+     * @returns {Number} Δτ
+     */
+    getTimeStep()
+    {
+        return this.#dtau;
+    }
+
+    /**
+     * The energy from the last check, the ground state energy once {@link findGroundState} has converged.
+     *
+     * @returns {Number} The energy eigenvalue.
+     */
+    getEnergy()
+    {
+        return this.#energy;
+    }
+
+    /**
+     * The number of imaginary time steps taken by the last {@link findGroundState}.
+     *
+     * @returns {Integer} The step count.
+     */
+    getStepCount()
+    {
+        return this.#stepCount;
+    }
+
+    init()
+    {
+        const schrodinger = this.#schrodinger;
+        const imaginaryTimeShader = `
+          ${schrodinger.getParametersStruct()}
+
+          struct Result {
+            norm: f32,   // ∫|Ψ|²dx
+            energy: f32  // <Ψ|H|Ψ>/<Ψ|Ψ>
+          }
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, the wave function and its successor.
+          @group(1) @binding(0) var<storage, read> waveFunction : array<vec2f>;
+          @group(1) @binding(1) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+
+          // Group 2, the norm and energy, and the cell width about each point, dx in ∫dx.
+          @group(2) @binding(0) var<storage, read_write> result : Result;
+          @group(2) @binding(1) var<storage, read> cellWidths : array<f32>;
+
+          ${schrodinger.getSecondDerivativeFunction()}
+          ${schrodinger.getEffectivePotentialFunction()}
+
+          var<workgroup> partialNorm : array<f32, ${REDUCTION_WORKGROUP_SIZE}>;
+          var<workgroup> partialEnergy : array<f32, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          fn hamiltonian(index: u32, dx: f32) -> vec2f
+          {
+            return -0.5*secondDerivative(index, 1u, index, parameters.xResolution, dx)
+                   + effectivePotential(index, waveFunction[index])*waveFunction[index];
+          }
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn imaginaryTimeStep(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let index = global_id.x;
+            if (index >= parameters.xResolution) {
+              return;
+            }
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            updatedWaveFunction[index] = waveFunction[index] - ${this.#dtau}*hamiltonian(index, dx);
+          }
+
+          // A single workgroup sums |Ψ|² and Ψ*HΨ over the grid.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn reduce(@builtin(local_invocation_index) localIndex : u32)
+          {
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            var norm = 0.0;
+            var energy = 0.0;
+            for (var index = localIndex; index < parameters.xResolution; index += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              let psi = waveFunction[index];
+              norm += cellWidths[index]*dot(psi, psi);
+              // The real part of Ψ*HΨ.
+              energy += cellWidths[index]*dot(psi, hamiltonian(index, dx));
+            }
+            partialNorm[localIndex] = norm;
+            partialEnergy[localIndex] = energy;
+            workgroupBarrier();
+
+            for (var stride = ${REDUCTION_WORKGROUP_SIZE/2}u; stride > 0u; stride /= 2u)
+            {
+              if (localIndex < stride)
+              {
+                partialNorm[localIndex] += partialNorm[localIndex + stride];
+                partialEnergy[localIndex] += partialEnergy[localIndex + stride];
+              }
+              workgroupBarrier();
+            }
+
+            if (localIndex == 0u)
+            {
+              result.norm = partialNorm[0];
+              result.energy = partialEnergy[0]/partialNorm[0];
+            }
+          }
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn renormalize(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let index = global_id.x;
+            if (index >= parameters.xResolution) {
+              return;
+            }
+            updatedWaveFunction[index] = waveFunction[index]/sqrt(result.norm);
+          }
+        `;
+
+        const imaginaryTimeShaderModule = this.#device.createShaderModule({
+            label: 'Imaginary time shader',
+            code: imaginaryTimeShader
+        });
+
+        const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Imaginary time wave function layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        const resultBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Imaginary time result layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                schrodinger.getParametersBindGroupLayout(),
+                                waveFunctionBindGroupLayout,
+                                resultBindGroupLayout
+                              ]
+        });
+
+        this.#stepPipeline = this.#createPipeline(pipelineLayout, imaginaryTimeShaderModule, "imaginaryTimeStep");
+        this.#reducePipeline = this.#createPipeline(pipelineLayout, imaginaryTimeShaderModule, "reduce");
+        this.#normalizePipeline = this.#createPipeline(pipelineLayout, imaginaryTimeShaderModule, "renormalize");
+
+        for (let i=0; i<2; i++)
+        {
+            this.#waveFunctionBuffers[i] = this.#device.createBuffer({
+                label: `Imaginary time wave function ${i}`,
+                size: 2*schrodinger.getXResolution()*Float32Array.BYTES_PER_ELEMENT,
+                usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+            });
+        }
+
+        for (let i=0; i<2; i++)
+        {
+            this.#waveFunctionBindGroups[i] = this.#device.createBindGroup({
+                layout: waveFunctionBindGroupLayout,
+                entries: [
+                    {
+                        binding: 0,
+                        resource: {
+                            buffer: this.#waveFunctionBuffers[i]
+                        }
+                    },
+                    {
+                        binding: 1,
+                        resource: {
+                            buffer: this.#waveFunctionBuffers[1-i]
+                        }
+                    }
+                ]
+            });
+        }
+
+        this.#resultBuffer = this.#device.createBuffer({
+            label: "Imaginary time result",
+            size: 2*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+        });
+
+        this.#readBuffer = this.#device.createBuffer({
+            label: "Imaginary time result read buffer",
+            size: 2*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        this.#cellWidthsBuffer = this.#device.createBuffer({
+            label: "Imaginary time cell widths",
+            mappedAtCreation: true,
+            size: schrodinger.getXResolution()*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+        new Float32Array(this.#cellWidthsBuffer.getMappedRange()).set(schrodinger.getCellWidths());
+        this.#cellWidthsBuffer.unmap();
+
+        this.#resultBindGroup = this.#device.createBindGroup({
+            layout: resultBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#resultBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#cellWidthsBuffer
+                    }
+                }
+            ]
+        });
+
+        return this;
+    }
+
+    /**
+     * Build a compute pipeline for one of the imaginary time entry points.
+     *
+     * @param {GPUPipelineLayout} layout  The shared pipeline layout.
+     * @param {GPUShaderModule} module    The imaginary time shader module.
+     * @param {String} entryPoint         The entry point name.
+     * @returns {GPUComputePipeline} The pipeline.
+     */
+    #createPipeline(layout, module, entryPoint)
+    {
+        return this.#device.createComputePipeline({
+            label: `Imaginary time ${entryPoint} pipeline`,
+            layout: layout,
+            compute: {
+                module: module,
+                entryPoint: entryPoint
+            }
+        });
+    }
+
+    static getInstance(schrodinger, dtau, tolerance, maxSteps, stepsPerCheck)
+    {
+        const imaginaryTime = new ImaginaryTime(schrodinger, dtau, tolerance, maxSteps, stepsPerCheck);
+        return imaginaryTime.init();
+    }
+
+    /**
+     * Append a dispatch reading the current buffer and writing the other, then swap the buffers.
+     *
+     * @param {GPUComputePassEncoder} passEncoder The compute pass.
+     * @param {GPUComputePipeline} pipeline       The pipeline to run.
+     */
+    #dispatch(passEncoder, pipeline)
+    {
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(1, this.#waveFunctionBindGroups[this.#current]);
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#schrodinger.getXResolution() / WORKGROUP_SIZE));
+        this.#current = 1 - this.#current;
+    }
+
+    /**
+     * Append the norm and energy reduction over the current buffer.
+     *
+     * @param {GPUComputePassEncoder} passEncoder The compute pass.
+     */
+    #reduce(passEncoder)
+    {
+        passEncoder.setPipeline(this.#reducePipeline);
+        passEncoder.setBindGroup(1, this.#waveFunctionBindGroups[this.#current]);
+        passEncoder.dispatchWorkgroups(1);
+    }
+
+    /**
+     * Propagate in imaginary time until the energy changes by less than the tolerance between checks, then write
+     * the normalized ground state to the solver's wave function buffers.
+     *
+     * @param {Array<Number>} initialGuess Optional 2*xResolution real and imaginary values to start from. This must
+     *                                     overlap the ground state, the default, a constant, always does.
+     * @returns {Promise<{energy: Number, steps: Integer, converged: Boolean}>} The ground state energy, the number
+     *                                                                         of steps taken, and whether the
+     *                                                                         tolerance was met.
+     */
+    async findGroundState(initialGuess)
+    {
+        const xResolution = this.#schrodinger.getXResolution();
+        const guess = initialGuess ?? new Array(2*xResolution).fill(0).map((v, i) => i%2 === 0 ? 1.0 : 0.0);
+        this.#device.queue.writeBuffer(this.#waveFunctionBuffers[0], 0, new Float32Array(guess), 0, 2*xResolution);
+        this.#current = 0;
+        this.#stepCount = 0;
+
+        let previousEnergy = Infinity;
+        let converged = false;
+        while (!converged && this.#stepCount < this.#maxSteps)
+        {
+            const commandEncoder = this.#device.createCommandEncoder();
+            const passEncoder = commandEncoder.beginComputePass();
+            passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+            passEncoder.setBindGroup(2, this.#resultBindGroup);
+            for (let i=0; i<this.#stepsPerCheck; i+=this.#stepsPerNormalization)
+            {
+                for (let j=0; j<this.#stepsPerNormalization; j++)
+                {
+                    this.#dispatch(passEncoder, this.#stepPipeline);
+                }
+                this.#reduce(passEncoder);
+                this.#dispatch(passEncoder, this.#normalizePipeline);
+            }
+            passEncoder.end();
+            commandEncoder.copyBufferToBuffer(this.#resultBuffer, 0, this.#readBuffer, 0, this.#readBuffer.size);
+            this.#device.queue.submit([commandEncoder.finish()]);
+            this.#stepCount += this.#stepsPerCheck;
+
+            await this.#readBuffer.mapAsync(GPUMapMode.READ);
+            this.#energy = new Float32Array(this.#readBuffer.getMappedRange())[1];
+            this.#readBuffer.unmap();
+
+            if (!Number.isFinite(this.#energy))
+            {
+                throw new Error(`${this.constructor.name}: Energy diverged after ${this.#stepCount} steps, `
+                                + `reduce the imaginary time step ${this.#dtau}.`);
+            }
+            converged = Math.abs(this.#energy - previousEnergy) < this.#tolerance;
+            previousEnergy = this.#energy;
+        }
+
+        this.#schrodinger.setWaveFunction(await this.#readWaveFunction());
+        return {energy: this.#energy, steps: this.#stepCount, converged: converged};
+    }
+
+    /**
+     * Read the current imaginary time wave function back from the GPU.
+     *
+     * @returns {Promise<Float32Array>} The 2*xResolution real and imaginary values.
+     */
+    async #readWaveFunction()
+    {
+        const source = this.#waveFunctionBuffers[this.#current];
+        const gpuReadBuffer = this.#device.createBuffer({
+            label: "Imaginary time wave function read buffer",
+            size: source.size,
+            usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ
+        });
+
+        const copyEncoder = this.#device.createCommandEncoder();
+        copyEncoder.copyBufferToBuffer(source, 0, gpuReadBuffer, 0, source.size);
+        this.#device.queue.submit([copyEncoder.finish()]);
+
+        await gpuReadBuffer.mapAsync(GPUMapMode.READ);
+        // Slice forces a copy of the data, so it is not lost when the gpu buffer is destroyed.
+        const result = new Float32Array(gpuReadBuffer.getMappedRange().slice());
+        gpuReadBuffer.destroy();
+        return result;
+    }
+}
+
+export {ImaginaryTime}
@@ -0,0 +1,396 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+import {DiscreteTransparentBoundary} from "./DiscreteTransparentBoundary.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * The convolutions run in a single workgroup for each edge.
+ */
+const REDUCTION_WORKGROUP_SIZE = 256;
+
+/**
+ * Discrete transparent boundary conditions for the staggered leapfrog solver in SchrodingerLeapfrogBoundary.js, with
+ * the real part of the wave function at whole time steps and the imaginary part at half steps. The edge values
+ * of each part are convolutions over the history of both parts next to the edge, with the kernels from
+ * {@link DiscreteTransparentBoundary.leapfrogKernels}. See {@link DiscreteTransparentBoundary} for the derivation
+ * and its assumptions.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver this boundary serves.
+ * @property {GPUDevice} #device The device the solver runs on.
+ * @property {Integer} #historyLength The number of past steps in the convolution.
+ * @property {GPUBuffer} #kernelBuffer The s, p and q kernels for the left then the right edge.
+ * @property {GPUBuffer} #historyBuffer Ring buffers of the values next to the left then the right edge.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter, indexing the ring buffers.
+ * @property {GPUBindGroup} #boundaryBindGroup Binds the kernels, history and clock in group 2.
+ * @property {GPUComputePipeline} #realPipeline Computes the new real edge values.
+ * @property {GPUComputePipeline} #imaginaryPipeline Computes the new imaginary edge values.
+ * @property {GPUComputePipeline} #advancePipeline Advances the step counter.
+ */
+class LeapfrogDiscreteTransparentBoundary
+{
+    #schrodinger;
+    #device;
+    #historyLength;
+    #kernelBuffer;
+    #historyBuffer;
+    #clockBuffer;
+    #boundaryBindGroup;
+    #realPipeline;
+    #imaginaryPipeline;
+    #advancePipeline;
+
+    /**
+     * Create discrete transparent boundary conditions for the staggered leapfrog solver.
+     *
+     * @param {SchrodingerSolver} schrodinger   The staggered leapfrog solver.
+     * @param {Integer}           historyLength The number of past steps kept for the convolution, defaults to 2048.
+     */
+    constructor(schrodinger, historyLength=2048)
+    {
+        DiscreteTransparentBoundary.checkSolver(schrodinger, historyLength,
+                                                SchrodingerSolver.SCHEME_LEAPFROG);
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#historyLength = historyLength;
+    }
+
+    /**
+     * Build the shader, buffers and pipelines, and compute the kernels.
+     *
+     * @returns {LeapfrogDiscreteTransparentBoundary} This boundary.
+     */
+    init()
+    {
+        const boundaryShader = `
+          ${this.#schrodinger.getParametersStruct()}
+
+          struct Clock {
+            step: u32    // Time steps since the wave function was set.
+          }
+
+          const HISTORY_LENGTH = ${this.#historyLength}u;
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, Current and old wave function with Ψ_r at t and Ψ_i at t+Δt/2.
+          @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+          @group(1) @binding(1) var<storage, read_write> oldWaveFunction: array<vec2f>;
+
+          // Group 2, the s, p and q kernels and the history for the left then the right edge, and the step counter.
+          @group(2) @binding(0) var<storage, read> kernel : array<vec4f>;
+          @group(2) @binding(1) var<storage, read_write> history : array<vec2f>;
+          @group(2) @binding(2) var<storage, read_write> clock : Clock;
+
+          var<workgroup> partialSum : array<f32, ${REDUCTION_WORKGROUP_SIZE}>;
+
+          fn sumWorkgroup(localIndex: u32)
+          {
+            workgroupBarrier();
+            for (var stride = ${REDUCTION_WORKGROUP_SIZE/2}u; stride > 0u; stride /= 2u)
+            {
+              if (localIndex < stride)
+              {
+                partialSum[localIndex] += partialSum[localIndex + stride];
+              }
+              workgroupBarrier();
+            }
+          }
+
+          // The history next to an edge k steps back, where the k = 0 term is the wave function itself.
+          fn pastValue(k: u32, offset: u32, innerIndex: u32) -> vec2f
+          {
+            if (k == 0u)
+            {
+              return waveFunction[innerIndex];
+            }
+            return history[offset + (clock.step - k) % HISTORY_LENGTH];
+          }
+
+          // R(edge) = Σ sₖR + pₖI, run after the real part time step. Workgroup 0 is the left edge and 1 the right.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn convolveReal(@builtin(workgroup_id) workgroup_id : vec3u,
+                          @builtin(local_invocation_index) localIndex : u32)
+          {
+            let edge = workgroup_id.x;
+            let edgeIndex = edge*(parameters.xResolution-1u);
+            let innerIndex = select(1u, parameters.xResolution-2u, edge == 1u);
+            let offset = edge*HISTORY_LENGTH;
+            let count = min(clock.step + 1u, HISTORY_LENGTH);
+
+            var sum = 0.0;
+            for (var k = localIndex; k < count; k += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              let psi = pastValue(k, offset, innerIndex);
+              let coefficients = kernel[offset + k];
+              // p₀ is zero, the imaginary part at this step is not yet computed.
+              sum += coefficients.x*psi.x + select(coefficients.y*psi.y, 0.0, k == 0u);
+            }
+            partialSum[localIndex] = sum;
+            sumWorkgroup(localIndex);
+
+            if (localIndex == 0u)
+            {
+              history[offset + clock.step % HISTORY_LENGTH].x = waveFunction[innerIndex].x;
+              waveFunction[edgeIndex].x = partialSum[0];
+            }
+          }
+
+          // I(edge) = Σ sₖI + qₖR, run after the imaginary part time step.
+          @compute @workgroup_size(${REDUCTION_WORKGROUP_SIZE})
+          fn convolveImaginary(@builtin(workgroup_id) workgroup_id : vec3u,
+                               @builtin(local_invocation_index) localIndex : u32)
+          {
+            let edge = workgroup_id.x;
+            let edgeIndex = edge*(parameters.xResolution-1u);
+            let innerIndex = select(1u, parameters.xResolution-2u, edge == 1u);
+            let offset = edge*HISTORY_LENGTH;
+            let count = min(clock.step + 1u, HISTORY_LENGTH);
+
+            var sum = 0.0;
+            for (var k = localIndex; k < count; k += ${REDUCTION_WORKGROUP_SIZE}u)
+            {
+              let psi = pastValue(k, offset, innerIndex);
+              let coefficients = kernel[offset + k];
+              sum += coefficients.x*psi.y + coefficients.z*psi.x;
+            }
+            partialSum[localIndex] = sum;
+            sumWorkgroup(localIndex);
+
+            if (localIndex == 0u)
+            {
+              history[offset + clock.step % HISTORY_LENGTH].y = waveFunction[innerIndex].y;
+              waveFunction[edgeIndex].y = partialSum[0];
+            }
+          }
+
+          @compute @workgroup_size(1)
+          fn advance()
+          {
+            clock.step += 1u;
+          }
+        `;
+
+        const boundaryShaderModule = this.#device.createShaderModule({
+            label: 'Leapfrog discrete transparent boundary shader',
+            code: boundaryShader
+        });
+
+        const boundaryBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Leapfrog discrete transparent boundary layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        this.#kernelBuffer = this.#device.createBuffer({
+            label: "Leapfrog discrete transparent boundary kernels",
+            // Two edges of s, p, q and padding.
+            size: 2*4*this.#historyLength*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.updateKernels();
+
+        this.#historyBuffer = this.#device.createBuffer({
+            label: "Leapfrog discrete transparent boundary history",
+            // Two edges of real and imaginary parts.
+            size: 2*2*this.#historyLength*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        this.#clockBuffer = this.#device.createBuffer({
+            label: "Leapfrog discrete transparent boundary clock",
+            size: Uint32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.setStep(0);
+
+        this.#boundaryBindGroup = this.#device.createBindGroup({
+            layout: boundaryBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#kernelBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#historyBuffer
+                    }
+                },
+                {
+                    binding: 2,
+                    resource: {
+                        buffer: this.#clockBuffer
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                this.#schrodinger.getParametersBindGroupLayout(),
+                                this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                boundaryBindGroupLayout
+                              ]
+        });
+
+        this.#realPipeline = this.#device.createComputePipeline({
+            label: "Leapfrog discrete transparent boundary real part pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryShaderModule,
+                entryPoint: "convolveReal"
+            }
+        });
+
+        this.#imaginaryPipeline = this.#device.createComputePipeline({
+            label: "Leapfrog discrete transparent boundary imaginary part pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryShaderModule,
+                entryPoint: "convolveImaginary"
+            }
+        });
+
+        this.#advancePipeline = this.#device.createComputePipeline({
+            label: "Leapfrog discrete transparent boundary clock pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryShaderModule,
+                entryPoint: "advance"
+            }
+        });
+
+        return this;
+    }
+
+    static getInstance(schrodinger, historyLength)
+    {
+        const boundary = new LeapfrogDiscreteTransparentBoundary(schrodinger, historyLength);
+        return boundary.init();
+    }
+
+    /**
+     * Get the number of past steps in the convolution.
+     *
+     * @returns {Integer} The history length.
+     */
+    getHistoryLength()
+    {
+        return this.#historyLength;
+    }
+
+    /**
+     * Recompute the kernels from the solver's current time step, grid spacing, and edge potential and mass.
+     *
+     * @returns {LeapfrogDiscreteTransparentBoundary} This boundary.
+     */
+    updateKernels()
+    {
+        const xResolution = this.#schrodinger.getXResolution();
+        const dt = this.#schrodinger.getTimeStep();
+        const dx = this.#schrodinger.getLength()/(xResolution-1);
+        const kernels = new Float32Array(2*4*this.#historyLength);
+        [0, xResolution-1].forEach((index, edge) => {
+            const [V, mass] = DiscreteTransparentBoundary.exterior(this.#schrodinger, index);
+            DiscreteTransparentBoundary.leapfrogKernels(dt, dx, V, mass, this.#historyLength).forEach((spq, k) => {
+                kernels.set(spq, 4*(edge*this.#historyLength + k));
+            });
+        });
+        this.#device.queue.writeBuffer(this.#kernelBuffer, 0, kernels);
+        return this;
+    }
+
+    /**
+     * Set the step counter, restarting the history from the given step. The solver calls this with 0 when the
+     * wave function is set.
+     *
+     * @param {Integer} step The step count.
+     */
+    setStep(step)
+    {
+        this.#device.queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([step]));
+    }
+
+    #makeComputePass(commandEncoder, waveFunctionBindGroup, pipeline, advance)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#boundaryBindGroup);
+        passEncoder.setPipeline(pipeline);
+        // One workgroup for each edge.
+        passEncoder.dispatchWorkgroups(2);
+        if (advance)
+        {
+            passEncoder.setPipeline(this.#advancePipeline);
+            passEncoder.dispatchWorkgroups(1);
+        }
+        passEncoder.end();
+    }
+
+    /**
+     * Append a compute pass setting the real part of the wave function at the edges.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The solver's wave function bind group.
+     */
+    makeRealComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        this.#makeComputePass(commandEncoder, waveFunctionBindGroup, this.#realPipeline, false);
+    }
+
+    /**
+     * Append a compute pass setting the imaginary part of the wave function at the edges, completing the time step.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The solver's wave function bind group.
+     */
+    makeImaginaryComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        this.#makeComputePass(commandEncoder, waveFunctionBindGroup, this.#imaginaryPipeline, true);
+    }
+}
+
+export {LeapfrogDiscreteTransparentBoundary}
@@ -0,0 +1,343 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {HigdonBoundary} from "./HigdonBoundary.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * Higdon absorbing boundary conditions for the staggered leapfrog solver in SchrodingerLeapfrogBoundary.js, applied
+ * to the real part after the real part time step, and to the imaginary part after the imaginary part time step. Each
+ * part has its own history on its own time grid. See {@link HigdonBoundary} for the discretization.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver this boundary serves.
+ * @property {GPUDevice} #device The device the solver runs on.
+ * @property {Array<Number>} #velocities The phase velocities the boundary is transparent to.
+ * @property {GPUBuffer} #boundaryValueParameters The velocities and order.
+ * @property {GPUBuffer} #historyBuffer The points nearest each edge over the last steps.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter, indexing the history.
+ * @property {GPUBindGroup} #boundaryValueBindGroup Binds the parameters, history and clock in group 2.
+ * @property {GPUComputePipeline} #boundaryValueRealPipeline Computes the new real edge values.
+ * @property {GPUComputePipeline} #boundaryValueImaginaryPipeline Computes the new imaginary edge values.
+ * @property {Boolean} #debug Makes the parameters buffer copyable.
+ */
+class LeapfrogHigdonBoundary
+{
+    #schrodinger;
+    #device;
+    #velocities;
+    #boundaryValueParameters;
+    #historyBuffer;
+    #clockBuffer;
+    #boundaryValueBindGroup;
+    #boundaryValueRealPipeline;
+    #boundaryValueImaginaryPipeline;
+    #debug;
+
+    /**
+     * Create a Higdon boundary for the staggered leapfrog solver.
+     *
+     * @param {SchrodingerSolver} schrodinger The staggered leapfrog solver.
+     * @param {Array<Number>}     velocities  One to {@link HigdonBoundary.MAX_ORDER} positive phase velocities.
+     * @param {Boolean}           debug       Indicates whether we are debugging this run, makes buffers copyable.
+     */
+    constructor(schrodinger, velocities, debug=false)
+    {
+        HigdonBoundary.checkVelocities(velocities);
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#velocities = [...velocities];
+        this.#debug = debug;
+    }
+
+    /**
+     * Build the shader, buffers and pipelines.
+     *
+     * @returns {LeapfrogHigdonBoundary} This boundary.
+     */
+    init()
+    {
+        const boundaryConditionsShader = `
+          ${this.#schrodinger.getParametersStruct()}
+
+          struct Clock {
+            step: u32    // Time steps since the wave function was set.
+          }
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, Current and old wave function with Ψ_r at t and Ψ_i at t+Δt/2.
+          @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+          @group(1) @binding(1) var<storage, read_write> oldWaveFunction: array<vec2f>;
+
+          // Group 2, boundary value specific data.
+          @group(2) @binding(0) var<uniform> boundary : HigdonParameters;
+          // For each edge, MAX_ORDER steps of the POINTS nearest the edge, the real part in x, the imaginary in y.
+          @group(2) @binding(1) var<storage, read_write> history : array<vec2f>;
+          @group(2) @binding(2) var<storage, read_write> clock : Clock;
+
+          ${HigdonBoundary.getCoefficientFunction()}
+
+          // Recompute one part, 0 real and 1 imaginary, at one edge, 0 left and 1 right.
+          fn recomputePart(edge: u32, part: u32)
+          {
+            let edgeIndex = edge*(parameters.xResolution-1);
+            let step = clock.step;
+            let dx = parameters.length / f32(parameters.xResolution-1);
+            let coefficients = higdonCoefficients(dx);
+
+            var sum = 0.0;
+            for (var p = 0u; p <= boundary.order; p++)
+            {
+              let index = select(edgeIndex + p, edgeIndex - p, edge == 1u);
+              if (p > 0u)
+              {
+                sum += coefficients[p][0]*waveFunction[index][part];
+              }
+              for (var q = 1u; q <= min(boundary.order, step); q++)
+              {
+                sum += coefficients[p][q]*history[(edge*MAX_ORDER + (step - q) % MAX_ORDER)*POINTS + p][part];
+              }
+            }
+            waveFunction[edgeIndex][part] = -sum;
+
+            for (var p = 0u; p < POINTS; p++)
+            {
+              let index = select(edgeIndex + p, edgeIndex - p, edge == 1u);
+              history[(edge*MAX_ORDER + step % MAX_ORDER)*POINTS + p][part] = waveFunction[index][part];
+            }
+          }
+
+          @compute @workgroup_size(2)
+          fn recomputeRealBoundary(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            recomputePart(global_id.x, 0u);
+          }
+
+          // The imaginary part completes the time step, and advances the clock.
+          @compute @workgroup_size(2)
+          fn recomputeImaginaryBoundary(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let step = clock.step;
+            recomputePart(global_id.x, 1u);
+            storageBarrier();
+            if (global_id.x == 0u)
+            {
+              clock.step = step + 1u;
+            }
+          }
+        `;
+
+        const boundaryValueShaderModule = this.#device.createShaderModule({
+            label: 'Leapfrog Higdon boundary shader',
+            code: boundaryConditionsShader
+        });
+
+        const boundaryValueParametersLayout = this.#device.createBindGroupLayout({
+            label: "Leapfrog Higdon boundary parameters layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {}
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                }
+            ]
+        });
+
+        this.#boundaryValueParameters = this.#device.createBuffer({
+            label: "Leapfrog Higdon boundary parameters buffer",
+            // Four velocities followed by the order, padded to the vec4f alignment.
+            size: 8*Float32Array.BYTES_PER_ELEMENT,
+            usage:  this.#debug ? GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                                : GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+        });
+        this.setVelocities(this.#velocities);
+
+        const maxOrder = HigdonBoundary.MAX_ORDER;
+        this.#historyBuffer = this.#device.createBuffer({
+            label: "Leapfrog Higdon boundary history",
+            // Two edges, MAX_ORDER steps of MAX_ORDER+1 real and imaginary parts.
+            size: 2*maxOrder*(maxOrder + 1)*2*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        this.#clockBuffer = this.#device.createBuffer({
+            label: "Leapfrog Higdon boundary clock",
+            size: Uint32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        this.setStep(0);
+
+        this.#boundaryValueBindGroup = this.#device.createBindGroup({
+            layout: boundaryValueParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#boundaryValueParameters
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#historyBuffer
+                    }
+                },
+                {
+                    binding: 2,
+                    resource: {
+                        buffer: this.#clockBuffer
+                    }
+                }
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [
+                                this.#schrodinger.getParametersBindGroupLayout(),
+                                this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                boundaryValueParametersLayout
+                              ]
+        });
+
+        this.#boundaryValueRealPipeline = this.#device.createComputePipeline({
+            label: "Higdon real part update pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryValueShaderModule,
+                entryPoint: "recomputeRealBoundary"
+            }
+        });
+
+        this.#boundaryValueImaginaryPipeline = this.#device.createComputePipeline({
+            label: "Higdon imaginary part update pipeline",
+            layout: pipelineLayout,
+            compute: {
+                module: boundaryValueShaderModule,
+                entryPoint: "recomputeImaginaryBoundary"
+            }
+        });
+
+        return this;
+    }
+
+    static getInstance(schrodinger, velocities, debug)
+    {
+        const higdonBoundary = new LeapfrogHigdonBoundary(schrodinger, velocities, debug);
+        return higdonBoundary.init();
+    }
+
+    /**
+     * Get the phase velocities the boundary is transparent to.
+     *
+     * @returns {Array<Number>} The velocities.
+     */
+    getVelocities()
+    {
+        return [...this.#velocities];
+    }
+
+    /**
+     * Set the phase velocities, taking effect on the next time step. The order may change as well.
+     *
+     * @param {Array<Number>} velocities One to {@link HigdonBoundary.MAX_ORDER} positive phase velocities.
+     * @returns {LeapfrogHigdonBoundary} This boundary.
+     */
+    setVelocities(velocities)
+    {
+        HigdonBoundary.checkVelocities(velocities);
+        this.#velocities = [...velocities];
+        this.#device.queue.writeBuffer(this.#boundaryValueParameters, 0, HigdonBoundary.packParameters(velocities));
+        return this;
+    }
+
+    /**
+     * Tune the boundary to a range of energies, keeping the current order.
+     *
+     * @param {Number} minimumEnergy The lowest energy in the wave packet.
+     * @param {Number} maximumEnergy The highest energy in the wave packet.
+     * @returns {LeapfrogHigdonBoundary} This boundary.
+     */
+    setEnergyRange(minimumEnergy, maximumEnergy)
+    {
+        return this.setVelocities(HigdonBoundary.velocitiesForEnergies(minimumEnergy, maximumEnergy,
+                                                                       this.#velocities.length));
+    }
+
+    /**
+     * Set the step counter. The solver calls this with 0 when the wave function is set, so the history from the
+     * previous wave function is ignored.
+     *
+     * @param {Integer} step The step count.
+     */
+    setStep(step)
+    {
+        this.#device.queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([step]));
+    }
+
+    #makeComputePass(commandEncoder, waveFunctionBindGroup, pipeline)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(0, this.#schrodinger.getParametersBindGroup());
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#boundaryValueBindGroup);
+        // We just need the one two thread workgroup, one for each edge.
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+    }
+
+    /**
+     * Append a compute pass implementing the boundary conditions for the real part of the wave function.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The solver's wave function bind group.
+     */
+    makeRealComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        this.#makeComputePass(commandEncoder, waveFunctionBindGroup, this.#boundaryValueRealPipeline);
+    }
+
+    /**
+     * Append a compute pass implementing the boundary conditions for the imaginary part of the wave function.
+     *
+     * @param {GPUCommandEncoder} commandEncoder        The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup}      waveFunctionBindGroup The solver's wave function bind group.
+     */
+    makeImaginaryComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        this.#makeComputePass(commandEncoder, waveFunctionBindGroup, this.#boundaryValueImaginaryPipeline);
+    }
+}
+
+export {LeapfrogHigdonBoundary}
@@ -13,6 +13,24 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * Implement the Mur boundary conditions, which force the boundaries to represent an outgoing wave with the one way
+ * wave equation (∂t + c∂x)Ψ = 0.
+ *
+ * With a fixed phase velocity, c = √(E/2) from the characteristic energy, components of a wave packet with other
+ * energies are partly reflected. In adaptive mode the shader instead estimates the local wave number at each edge,
+ * every step, from the phase gradient of Ψ over the two points nearest the edge,
+ * <pre>
+ *   k = |arg(Ψ₁Ψ₂*)|/Δx,  c = ω/k = (k²/2m + V)/k
+ * </pre>
+ * so the boundary follows dispersion, and changes in the momentum distribution after scattering, without an energy
+ * guess. Where Ψ is too small, or too slowly varying, for a meaningful phase the fixed velocity is used.
+ *
+ * @property {Number} #phaseVelocity The fixed phase velocity, and the fallback in adaptive mode.
+ * @property {Boolean} #adaptive Whether the phase velocity is estimated from Ψ at each step.
+ */
 class MurBoundary
 {
     #schrodinger;
@@ -24,28 +42,43 @@ class MurBoundary
     #parametersBindGroup;
     #boundaryValuePipeline;
     #phaseVelocity;
+    #adaptive;
     #debug;
 
+    /**
+     * Create a Mur boundary value object for the central difference solver.
+     *
+     * @param {SchrodingerSolver} schrodinger The Schrodinger FDTD instance.
+     * @param {Number}            E           The characteristic energy of the wave or wave packet. Omit it for the
+     *                                        adaptive phase velocity, falling back to E = 2, c = 1.
+     * @param {Boolean}           debug       Indicates whether we are debugging this run, makes buffers copyable.
+     */
     constructor(schrodinger, E, debug=false)
     {
+        if (schrodinger.getBoundaryScheme() !== SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE)
+        {
+            throw new Error(`MurBoundary: Expected a three buffer central difference solver, not `
+                            + `${schrodinger.getBoundaryScheme() ?? "a solver without boundaries"}.`);
+        }
         this.#schrodinger = schrodinger;
         this.#device = schrodinger.getDevice();
         this.#parametersBindGroup = schrodinger.getParametersBindGroup();
+        this.#adaptive = E === undefined;
         // Phase velocity = w/k = K+V/Sqrt(2mK), w/V=0, m=1
-        this.#phaseVelocity = Math.sqrt(0.5*E);
+        this.#phaseVelocity = Math.sqrt(0.5*(E ?? 2));
         this.#debug = debug;
     }
 
     init()
     {
         const boundaryConditionsShader = `
-          struct Parameters {
-            dt: f32,              // The time step, Δt.
-            xResolution: u32,     // The number of points along the x-axis, the number of elements in the array.
-            length: f32,          // The physical length for our simulation.
-            potential: array<f32> // The potential the particle moves through.
+          ${this.#schrodinger.getParametersStruct()}
+
+          struct MurParameters {
+            phaseVelocity: f32,   // The fixed phase velocity, and the fallback in adaptive mode.
+            adaptive: u32         // Non zero to estimate the phase velocity from the local wave number.
           }
-          
+
           // group 0, things that never change within a simulation.
           // The parameters for the simulation
           @group(0) @binding(0) var<storage, read> parameters: Parameters;
@@ -59,8 +92,27 @@ class MurBoundary
           @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
           
           // Group 2, boundary value specific data.
-          @group(2) @binding(0) var<uniform> phaseVelocity : f32;
-          
+          @group(2) @binding(0) var<uniform> boundary : MurParameters;
+
+          ${this.#schrodinger.getInverseMassFunction()}
+
+          // The phase velocity from the phase gradient of the updated wave function over the two points in from the
+          // edge, or the fixed velocity where there is no usable phase.
+          fn localPhaseVelocity(edgeIndex: u32, offset: u32, dx: f32) -> f32
+          {
+            let near = updatedWaveFunction[edgeIndex+offset];
+            let far = updatedWaveFunction[edgeIndex+2u*offset];
+            // near·conj(far), its argument is the phase advance over one grid step toward the edge.
+            let product = vec2f(near.x*far.x + near.y*far.y, near.y*far.x - near.x*far.y);
+            let k = abs(atan2(product.y, product.x))/dx;
+            let omega = 0.5*k*k*inverseMass(edgeIndex) + parameters.potential[edgeIndex];
+            if (dot(product, product) < 1.0e-30 || k*dx < 1.0e-3 || omega <= 0.0)
+            {
+              return boundary.phaseVelocity;
+            }
+            return omega/k;
+          }
+
           @compute @workgroup_size(2)
           fn recomputeBoundary(@builtin(global_invocation_id) global_id : vec3u)
           {
@@ -69,6 +121,11 @@ class MurBoundary
             let sotrageBufferIndex = index*(parameters.xResolution-1);
             let offset = 1 - 2*index;
             let dx = parameters.length / f32(parameters.xResolution-1);
+            var phaseVelocity = boundary.phaseVelocity;
+            if (boundary.adaptive != 0u)
+            {
+              phaseVelocity = localPhaseVelocity(sotrageBufferIndex, offset, dx);
+            }
             
             updatedWaveFunction[sotrageBufferIndex] = waveFunction[sotrageBufferIndex+offset]
                  + ((phaseVelocity*parameters.dt-dx)/(phaseVelocity*parameters.dt+dx))
@@ -94,19 +151,11 @@ class MurBoundary
 
         this.#boundaryValueParameters = this.#device.createBuffer({
             label: "Boundary parameters buffer",
-            mappedAtCreation: true,
-            size: Float32Array.BYTES_PER_ELEMENT,    // the single phase velocity parameter
+            size: 2*Float32Array.BYTES_PER_ELEMENT,    // the phase velocity and the adaptive flag
             usage:  this.#debug ? GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
             // How we use this buffer, in the debug case we copy it to another buffer for reading
         });
-
-        // Get the raw array buffer for the mapped GPU buffer
-        const parametersArrayBuffer = this.#boundaryValueParameters.getMappedRange();
-
-        new Float32Array(parametersArrayBuffer, 0, 1).set([this.#phaseVelocity]);
-
-        // Unmap the buffer returning ownership to the GPU.
-        this.#boundaryValueParameters.unmap();
+        this.#writeParameters();
 
         this.#boundaryValueBindGroup = this.#device.createBindGroup({
             layout: this.#boundaryValueParametersLayout,
@@ -124,7 +173,7 @@ class MurBoundary
             layout: this.#device.createPipelineLayout({
                 bindGroupLayouts: [
                                     this.#schrodinger.getParametersBindGroupLayout(),
-                                    this.#schrodinger.getWavefunctionBindGroupLayout(),
+                                    this.#schrodinger.getWaveFunctionBindGroupLayout(),
                                     this.#boundaryValueParametersLayout
                                   ]
             }),
@@ -143,6 +192,56 @@ class MurBoundary
         return murBoundary.init();
     }
 
+    #writeParameters()
+    {
+        const parameters = new ArrayBuffer(2*Float32Array.BYTES_PER_ELEMENT);
+        new Float32Array(parameters, 0, 1).set([this.#phaseVelocity]);
+        new Uint32Array(parameters, Float32Array.BYTES_PER_ELEMENT, 1).set([this.#adaptive ? 1 : 0]);
+        this.#device.queue.writeBuffer(this.#boundaryValueParameters, 0, parameters);
+    }
+
+    /**
+     * Whether the phase velocity is estimated from the local wave number at each step.
+     *
+     * @returns {Boolean} True in adaptive mode.
+     */
+    isAdaptive()
+    {
+        return this.#adaptive;
+    }
+
+    /**
+     * Switch between the adaptive and the fixed phase velocity, taking effect on the next time step.
+     *
+     * @param {Boolean} adaptive True to estimate the phase velocity from the local wave number.
+     * @returns {MurBoundary} This boundary.
+     */
+    setAdaptive(adaptive)
+    {
+        this.#adaptive = adaptive;
+        if (this.#boundaryValueParameters)
+        {
+            this.#writeParameters();
+        }
+        return this;
+    }
+
+    /**
+     * Set the characteristic energy for the fixed phase velocity, or the fallback in adaptive mode.
+     *
+     * @param {Number} E The characteristic energy of the wave or wave packet.
+     * @returns {MurBoundary} This boundary.
+     */
+    setEnergy(E)
+    {
+        this.#phaseVelocity = Math.sqrt(0.5*E);
+        if (this.#boundaryValueParameters)
+        {
+            this.#writeParameters();
+        }
+        return this;
+    }
+
     /**
      * Append a compute pass to implement the boundary conditions.
      *
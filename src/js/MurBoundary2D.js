@@ -0,0 +1,232 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * First order Mur absorbing boundaries on all four edges of a two dimensional grid, for use with
+ * {@link Schrodinger2D}. Like {@link MurBoundary} this recomputes the edge values after each time step,
+ * with one invocation for each edge point. Each edge point looks inward to its nearest interior point, the corners
+ * look along the diagonal, so no invocation reads a value another is writing.
+ */
+class MurBoundary2D
+{
+    #schrodinger;
+    #device;
+    #boundaryValueShaderModule;
+    #boundaryValueBindGroup;
+    #boundaryValueParametersLayout;
+    #boundaryValueParameters;
+    #parametersBindGroup;
+    #boundaryValuePipeline;
+    #edgePointCount;
+    #phaseVelocity;
+    #debug;
+
+    /**
+     * Build Mur boundaries for the given two dimensional solver.
+     *
+     * @param {Schrodinger2D} schrodinger The solver whose edges we recompute.
+     * @param {Number} E                  The energy of the wave function, used to estimate the phase velocity.
+     * @param {Boolean} debug             Makes the boundary parameters buffer copyable. Defaults to false.
+     */
+    constructor(schrodinger, E, debug=false)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#parametersBindGroup = schrodinger.getParametersBindGroup();
+        this.#edgePointCount = 2*(schrodinger.getXResolution() + schrodinger.getYResolution()) - 4;
+        // Phase velocity = w/k = K+V/Sqrt(2mK), w/V=0, m=1
+        this.#phaseVelocity = Math.sqrt(0.5*E);
+        this.#debug = debug;
+    }
+
+    init()
+    {
+        const waveFunctionType = this.#schrodinger.getWaveFunctionType();
+        const boundaryConditionsShader = `
+          ${this.#schrodinger.getEnableDirectives()}
+          ${this.#schrodinger.getParametersStruct()}
+
+          // group 0, things that never change within a simulation.
+          // The parameters for the simulation
+          @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+          // Group 1, changes on each iteration - the same as in the main solver to keep the same bindings.
+          // Older wave function at t-Δt.
+          @group(1) @binding(0) var<storage, read> oldWaveFunction : array<${waveFunctionType}>;
+          // Current wave function at t.
+          @group(1) @binding(1) var<storage, read> waveFunction : array<${waveFunctionType}>;
+          // The updated wave function at t+Δt.
+          @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<${waveFunctionType}>;
+
+          // Group 2, boundary value specific data.
+          @group(2) @binding(0) var<uniform> phaseVelocity : f32;
+
+          fn murUpdate(edgeIndex: u32, innerIndex: u32, h: f32)
+          {
+            let vdt = phaseVelocity*parameters.dt;
+            updatedWaveFunction[edgeIndex] = ${waveFunctionType}(vec2f(waveFunction[innerIndex])
+                 + ((vdt-h)/(vdt+h))*(vec2f(updatedWaveFunction[innerIndex])-vec2f(waveFunction[edgeIndex])));
+          }
+
+          // Invocations run along the bottom edge, the top edge, the left edge, the right edge,
+          // excluding the corners, then the four corners.
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn recomputeBoundary(@builtin(global_invocation_id) global_id : vec3u)
+          {
+            let nx = parameters.xResolution;
+            let ny = parameters.yResolution;
+            let dx = parameters.length / f32(nx-1);
+            let dy = parameters.height / f32(ny-1);
+            var i = global_id.x;
+
+            if (i < nx-2)
+            {
+              murUpdate(i+1, nx + i+1, dy);
+              return;
+            }
+            i -= nx-2;
+
+            if (i < nx-2)
+            {
+              murUpdate((ny-1)*nx + i+1, (ny-2)*nx + i+1, dy);
+              return;
+            }
+            i -= nx-2;
+
+            if (i < ny-2)
+            {
+              murUpdate((i+1)*nx, (i+1)*nx + 1, dx);
+              return;
+            }
+            i -= ny-2;
+
+            if (i < ny-2)
+            {
+              murUpdate((i+1)*nx + nx-1, (i+1)*nx + nx-2, dx);
+              return;
+            }
+            i -= ny-2;
+
+            let diagonal = sqrt(dx*dx + dy*dy);
+            if (i == 0)
+            {
+              murUpdate(0, nx + 1, diagonal);
+            }
+            else if (i == 1)
+            {
+              murUpdate(nx-1, 2*nx - 2, diagonal);
+            }
+            else if (i == 2)
+            {
+              murUpdate((ny-1)*nx, (ny-2)*nx + 1, diagonal);
+            }
+            else if (i == 3)
+            {
+              murUpdate(ny*nx - 1, (ny-1)*nx - 2, diagonal);
+            }
+          }
+        `;
+
+        this.#boundaryValueShaderModule = this.#device.createShaderModule({
+            label: 'Mur 2D Boundary shader',
+            code: boundaryConditionsShader
+        });
+
+        this.#boundaryValueParametersLayout = this.#device.createBindGroupLayout({
+            label: "Mur 2D Boundary parameters layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {}
+                }
+            ]
+        });
+
+        this.#boundaryValueParameters = this.#device.createBuffer({
+            label: "Boundary parameters buffer",
+            mappedAtCreation: true,
+            size: Float32Array.BYTES_PER_ELEMENT,    // the single phase velocity parameter
+            usage:  this.#debug ? GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+            // How we use this buffer, in the debug case we copy it to another buffer for reading
+        });
+
+        // Get the raw array buffer for the mapped GPU buffer
+        const parametersArrayBuffer = this.#boundaryValueParameters.getMappedRange();
+
+        new Float32Array(parametersArrayBuffer, 0, 1).set([this.#phaseVelocity]);
+
+        // Unmap the buffer returning ownership to the GPU.
+        this.#boundaryValueParameters.unmap();
+
+        this.#boundaryValueBindGroup = this.#device.createBindGroup({
+            layout: this.#boundaryValueParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#boundaryValueParameters
+                    }
+                }
+            ]
+        });
+
+        this.#boundaryValuePipeline = this.#device.createComputePipeline({
+            layout: this.#device.createPipelineLayout({
+                bindGroupLayouts: [
+                                    this.#schrodinger.getParametersBindGroupLayout(),
+                                    this.#schrodinger.getWaveFunctionBindGroupLayout(),
+                                    this.#boundaryValueParametersLayout
+                                  ]
+            }),
+            compute: {
+                module: this.#boundaryValueShaderModule,
+                entryPoint: "recomputeBoundary"
+            }
+        });
+
+        return this;
+    }
+
+    static getInstance(schrodinger, E, debug)
+    {
+        const murBoundary = new MurBoundary2D(schrodinger, E, debug);
+        return murBoundary.init();
+    }
+
+    /**
+     * Append a compute pass to implement the boundary conditions.
+     *
+     * @param {GPUCommandEncoder} commandEncoder The command encoder currently in use to collect GPU commands.
+     * @param {GPUBindGroup} waveFunctionBindGroup The bind group, describing which wave function buffers are
+     *                                             bound to which indices, currently in use.
+     */
+    makeComputePass(commandEncoder, waveFunctionBindGroup)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setPipeline(this.#boundaryValuePipeline);
+        passEncoder.setBindGroup(0, this.#parametersBindGroup);
+        passEncoder.setBindGroup(1, waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#boundaryValueBindGroup);
+        // One invocation for each point on the four edges.
+        passEncoder.dispatchWorkgroups(Math.ceil(this.#edgePointCount / WORKGROUP_SIZE));
+        passEncoder.end();
+    }
+}
+
+export {MurBoundary2D}
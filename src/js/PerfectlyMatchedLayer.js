@@ -0,0 +1,113 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {AbsorbingLayer} from "./AbsorbingLayer.js";
+
+/**
+ * A perfectly matched layer, PML, along each edge of the grid. Within the layer x is stretched into the complex
+ * plane, ∂/∂x → (1/s)∂/∂x with s(x) = 1 + e^{iπ/4}σ(x), σ = strength·depth², where depth rises from 0 at the inner
+ * edge of the layer to 1 at the grid edge. An outgoing wave e^{ikx} becomes e^{ikx}e^{-k∫σ/√2}, decaying for every
+ * wave number, while the continuous equations remain reflectionless at the inner edge of the layer. The e^{iπ/4}
+ * rotation also damps the slowly varying, near evanescent, components.
+ *
+ * Within the layer Ψ(t+Δt) is recomputed from the stretched Hamiltonian, with the BenDaniel-Duke form of the kinetic
+ * term when the solver has an effective mass,
+ * <pre>
+ *   HΨ = -[m⁺(Ψᵢ₊₁ - Ψᵢ)/s⁺ - m⁻(Ψᵢ - Ψᵢ₋₁)/s⁻]/(2sᵢΔx²) + VΨᵢ = OΨ + DΨᵢ
+ * </pre>
+ * where s⁺, s⁻, m⁺ and m⁻ are s and 1/m halfway to the neighbors. The diagonal term, D, is complex in the layer, and
+ * so is taken as the average of Ψ(t-Δt) and Ψ(t+Δt) to keep the step stable,
+ * <pre>
+ *   Ψ(t+Δt) = [(1 - iΔtD)Ψ(t-Δt) - 2iΔt OΨ(t)]/(1 + iΔtD)
+ * </pre>
+ * The layer uses the three point stencil whatever the solver's stencil. The outermost points are held at zero.
+ */
+class PerfectlyMatchedLayer extends AbsorbingLayer
+{
+    /**
+     * Describe a perfectly matched layer along each edge of the solver's grid.
+     *
+     * @param {SchrodingerSolver} schrodinger A three buffer central difference solver.
+     * @param {Number}            width       The width of each layer, less than half the solver's length.
+     * @param {Number}            strength    The stretching, σ, at the grid edges.
+     */
+    constructor(schrodinger, width, strength)
+    {
+        super(schrodinger, width, strength);
+    }
+
+    /**
+     * WGSL recomputing Ψ(t+Δt) from the stretched Hamiltonian.
+     *
+     * @returns {String} WGSL source declaring absorbAt.
+     */
+    getLayerFunction()
+    {
+        const schrodinger = this.getSchrodinger();
+        return `
+          ${schrodinger.getInverseMassFunction()}
+          ${schrodinger.getEffectivePotentialFunction()}
+
+          // e^{iπ/4}
+          const ROTATION = vec2f(0.70710678, 0.70710678);
+
+          fn complexMultiply(z: vec2f, w: vec2f) -> vec2f
+          {
+            return vec2f(z.x*w.x - z.y*w.y, z.x*w.y + z.y*w.x);
+          }
+
+          fn complexDivide(z: vec2f, w: vec2f) -> vec2f
+          {
+            return vec2f(z.x*w.x + z.y*w.y, z.y*w.x - z.x*w.y) / dot(w, w);
+          }
+
+          // 1/s at x.
+          fn inverseStretch(x: f32) -> vec2f
+          {
+            let depth = layerDepth(x);
+            return complexDivide(vec2f(1.0, 0.0), vec2f(1.0, 0.0) + layer.strength*depth*depth*ROTATION);
+          }
+
+          fn absorbAt(index: u32, depth: f32, dx: f32)
+          {
+            if (index == 0u || index == parameters.xResolution-1u)
+            {
+              updatedWaveFunction[index] = vec2f(0.0, 0.0);
+              return;
+            }
+            let x = f32(index)*dx;
+            let factor = -0.5*inverseStretch(x)/(dx*dx);
+            let plus = 0.5*(inverseMass(index) + inverseMass(index+1u))*complexMultiply(factor, inverseStretch(x + 0.5*dx));
+            let minus = 0.5*(inverseMass(index) + inverseMass(index-1u))*complexMultiply(factor, inverseStretch(x - 0.5*dx));
+            let diagonal = vec2f(effectivePotential(index, waveFunction[index]), 0.0) - plus - minus;
+            let offDiagonal = complexMultiply(plus, waveFunction[index+1u]) + complexMultiply(minus, waveFunction[index-1u]);
+
+            // iΔtD, and -2iΔt OΨ(t).
+            let implicit = parameters.dt*vec2f(-diagonal.y, diagonal.x);
+            let explicit = 2.0*parameters.dt*vec2f(offDiagonal.y, -offDiagonal.x);
+            updatedWaveFunction[index] = complexDivide(complexMultiply(vec2f(1.0, 0.0) - implicit, oldWaveFunction[index])
+                                                       + explicit, vec2f(1.0, 0.0) + implicit);
+          }
+        `;
+    }
+
+    static getInstance(schrodinger, width, strength)
+    {
+        const perfectlyMatchedLayer = new PerfectlyMatchedLayer(schrodinger, width, strength);
+        return perfectlyMatchedLayer.init();
+    }
+}
+
+export {PerfectlyMatchedLayer}
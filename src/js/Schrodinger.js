@@ -13,7 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 
 /**
  * @typedef {Number} Integer
@@ -22,38 +22,22 @@ import {WebGPUCompute} from "./WebGPUCompute.js";
 /**
  * An FDTD time evolver for the Schrödinger wave function.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of two wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of two wave function buffers.
  * @property {GPUBindGroup[]} #waveFunctionBindGroup A pair of bind groups, used to ping pong the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #length;
-  #xResolution;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBindGroup = new Array(2);
+  #waveFunctionBindGroupLayout;
   #computePipeline;
-  #debug;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * Build a free particle Schrödinger equation integrator with the given parameters.
    *
    * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
    * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
@@ -65,98 +49,48 @@ class Schrodinger
    */
   constructor(dt, xResolution, length, debug=false)
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#debug = debug;
+    super(dt, xResolution, length, undefined, debug);
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * The explicit Euler step multiplies each eigenmode of H by 1 - iEΔt, which grows for any Δt, so there
+   * is no stable time step.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {Number} 0
    */
-  getTimeStep()
+  getStabilityFactor()
   {
-    return this.#dt;
+    return 0;
   }
 
   /**
-   * Set the FDTD time step.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  setTimeStep(dt)
+  getWaveFunctionBindGroupLayout()
   {
-    this.#dt = dt;
-    return this;
-  }
-
-  /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @returns {Number} The number of spatial steps in the wave function representation.
-   */
-  getXResolution()
-  {
-    return this.#xResolution;
-  }
-
-  /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
-   */
-  setXResolution(xResolution)
-  {
-    this.#xResolution = xResolution;
-    return this;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the physical length of this simulation.
+   * Get the wave function bind group for the next time step, binding Ψ(t) and Ψ(t+Δt).
    *
-   * @returns {Number} The physical length of this simulation.
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  getLength()
+  getWaveFunctionBindGroup()
   {
-    return this.#length
+    return this.#waveFunctionBindGroup[this.getStepCount()%2];
   }
 
   /**
-   * Get the physical length of this simulation.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  setLength(length)
+  getWaveFunctionBuffer()
   {
-    this.#length = length;
-    return this;
-  }
-
-  /**
-   * Get the bind group for the wave function parameters in the wave equation.
-   *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
-   */
-  getParametersBindGroup()
-  {
-    return this.#parametersBindGroup;
-  }
-
-  /**
-   * Get the bind group layout for the schrodinger solver parameters.
-   *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
-   */
-  getParametersBindGroupLayout()
-  {
-    return this.#parametersBindGroupLayout;
+    return this.getStepCount()%2 === 0 ? this.#waveFunctionBuffer0 : this.#waveFunctionBuffer1;
   }
 
   /**
@@ -180,23 +114,16 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display, or debugging.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
    *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getParametersBuffer()
+  setWaveFunction(data)
   {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
-   *
-   * @returns {GPUDevice} The device in use for this simulation.
-   */
-  getDevice()
-  {
-    return this.#device;
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer0, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -209,6 +136,9 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
     struct Parameters {
         dt: f32,          // The time step, Δt.
@@ -251,28 +181,12 @@ class Schrodinger
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data layout.",
       entries: [
         {
@@ -292,10 +206,10 @@ class Schrodinger
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
+    this.#computePipeline = device.createComputePipeline({
         label: "compute pipeline",
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+        layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -303,58 +217,13 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT,                   // length
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    var bytesSoFar = 0;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      label: "parameters bind group",
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
 
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBindGroup[0] = this.#device.createBindGroup({
+    this.#waveFunctionBindGroup[0] = device.createBindGroup({
       label: "Bind group 0",
-      layout: waveFunctionBindGroupLayout,
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -371,9 +240,9 @@ class Schrodinger
       ]
     });
 
-    this.#waveFunctionBindGroup[1] = this.#device.createBindGroup({
+    this.#waveFunctionBindGroup[1] = device.createBindGroup({
       label: "Bind group 1",
-      layout: waveFunctionBindGroupLayout,
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -392,29 +261,6 @@ class Schrodinger
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
@@ -422,24 +268,26 @@ class Schrodinger
    */
   step(count=20)
   {
-    this.#running = true;
+    this.start();
 
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
-    for (let i=0; i<count && this.#running; i++)
+    const device = this.getDevice();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
     {
       // Created in the loop because it can not be reused after finish is invoked.
-      const commandEncoder = this.#device.createCommandEncoder();
+      const commandEncoder = device.createCommandEncoder();
       const passEncoder = commandEncoder.beginComputePass();
       passEncoder.setPipeline(this.#computePipeline);
-      passEncoder.setBindGroup(0, this.#parametersBindGroup);
-      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup[i%2]);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
       passEncoder.dispatchWorkgroups(workgroupCountX);
 
       passEncoder.end();
       // Submit GPU commands.
-      this.#device.queue.submit([commandEncoder.finish()]);
+      device.queue.submit([commandEncoder.finish()]);
+      this.incrementStepCount();
     }
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
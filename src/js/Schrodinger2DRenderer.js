@@ -0,0 +1,431 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Render modes, plot |Ψ|² on a color ramp, or the phase of Ψ as hue with |Ψ|² as brightness.
+ */
+const DENSITY = 0;
+const PHASE   = 1;
+
+/**
+ * Draw a two dimensional wave function as a heatmap stretched over the full canvas. Grid point (0, 0) is at the
+ * lower left of the canvas. The potential is overlaid as a translucent wash of vColor.
+ */
+class Schrodinger2DRenderer
+{
+    #schrodinger;
+    #device;
+    #psiMax;
+    #vColor;
+    #vMax;
+    #mode;
+    #canvasWidth;
+    #canvasHeight;
+    #parametersBindGroup;
+    #parametersBindGroupLayout;
+    #plotParametersBuffer;
+    #plotParametersBindGroup;
+    #plotParametersLayout;
+    #vertexBuffer;
+    #vertexBuffersDescriptor;
+    #rendererShaderModule;
+    #canvasID;
+    #canvas;
+    #presentationFormat;
+    #webGPUContext;
+
+    /**
+     * Build a two dimensional Schrödinger wave function visualization with the given parameters.
+     *
+     * @param {Schrodinger2D} schrodinger A two dimensional Schrodinger solver instance from which we retrieve the
+     *                                    device and simulation parameters.
+     * @param {String} canvasID           The HTML ID for the canvas we render to.
+     * @param {Number} psiMax             The |Ψ|² value mapped to the top of the color scale.
+     * @param {Array<Number>} vColor      The r, g, b, a color for the potential overlay, 0, 0, 0, 0 for no overlay.
+     * @param {Number} vMax               The potential value drawn with the full vColor.
+     * @param {Number} mode               Schrodinger2DRenderer.DENSITY or Schrodinger2DRenderer.PHASE.
+     */
+    constructor(schrodinger, canvasID, psiMax, vColor, vMax, mode=DENSITY)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#canvasID = canvasID;
+        this.#parametersBindGroup = schrodinger.getParametersBindGroup();
+        this.#parametersBindGroupLayout = schrodinger.getParametersBindGroupLayout();
+        this.#psiMax = psiMax;
+        this.#vColor = vColor;
+        this.#vMax = vMax;
+        this.#mode = mode;
+    }
+
+    /**
+     * Plot |Ψ|² on a color ramp.
+     */
+    static get DENSITY()
+    {
+        return DENSITY;
+    }
+
+    /**
+     * Plot the phase of Ψ as hue, with |Ψ|² as brightness.
+     */
+    static get PHASE()
+    {
+        return PHASE;
+    }
+
+    /**
+     * Get the plot parameters buffer for debugging.
+     *
+     * @returns {GPUBuffer} The plot parameters buffer.
+     */
+    getPlotParametersBuffer()
+    {
+        return this.#plotParametersBuffer;
+    }
+
+    /**
+     * Switch between the density and phase plots.
+     *
+     * @param {Number} mode Schrodinger2DRenderer.DENSITY or Schrodinger2DRenderer.PHASE.
+     */
+    setMode(mode)
+    {
+        this.#mode = mode;
+        this.#device.queue.writeBuffer(this.#plotParametersBuffer, 6*Float32Array.BYTES_PER_ELEMENT,
+                                       new Uint32Array([this.#mode]));
+    }
+
+    /**
+     * Async initialization of the object.
+     *
+     * @returns {Schrodinger2DRenderer}
+     */
+    init()
+    {
+        const rendererShader = `
+        ${this.#schrodinger.getEnableDirectives()}
+        ${this.#schrodinger.getParametersStruct()}
+
+        struct PlotParameters
+        {
+            // Color for the potential: 0.0, 0.0, 0.0, 0.0 for no plot
+            vColor: vec4f,
+            // |Psi|^2 at the top of the color scale
+            psiMax: f32,
+            // V drawn with the full vColor.
+            vMax: f32,
+            // 0 for a density plot, 1 for a phase plot.
+            mode: u32,
+            // The canvas size in pixels, to map pixels onto grid points.
+            canvasWidth: f32,
+            canvasHeight: f32
+        }
+
+        // group 0 and 1, things that never change within a simulation.
+        // The parameters for the simulation
+        @group(0) @binding(0) var<storage, read> parameters: Parameters;
+        // Plotting parameters, colors, scales, etc.
+        @group(1) @binding(0) var<storage, read> plotParameters : PlotParameters;
+
+        // Group 2, the wave function at t, changes on each invocation.
+        @group(2) @binding(0) var<storage, read> waveFunction : array<${this.#schrodinger.getWaveFunctionType()}>;
+
+        const PI = 3.14159265358979;
+
+        // Black through blue, red and yellow to white as value runs from 0 to 1.
+        fn densityColor(value: f32) -> vec3f
+        {
+            let t = clamp(value, 0.0, 1.0);
+            return vec3f(clamp(3.0*t - 0.5, 0.0, 1.0),
+                         clamp(3.0*t - 1.5, 0.0, 1.0),
+                         clamp(3.0*t, 0.0, 1.0) - clamp(3.0*t - 1.0, 0.0, 1.0) + clamp(3.0*t - 2.0, 0.0, 1.0));
+        }
+
+        // A fully saturated color for the given angle in [-PI, PI].
+        fn phaseColor(phase: f32) -> vec3f
+        {
+            let h = 3.0*(phase + PI)/PI;
+            return clamp(vec3f(abs(h - 3.0) - 1.0,
+                               2.0 - abs(h - 2.0),
+                               2.0 - abs(h - 4.0)), vec3f(0.0), vec3f(1.0));
+        }
+
+        @vertex
+        fn vs_main(@location(0) inPos: vec3<f32>) -> @builtin(position) vec4f
+        {
+            return vec4(inPos, 1.0);
+        }
+
+        @fragment
+        fn fs_main(@builtin(position) fragPos: vec4<f32>) -> @location(0) vec4<f32>
+        {
+            // Pixel y runs top to bottom, grid y runs bottom to top.
+            let x = min(u32(fragPos.x*f32(parameters.xResolution)/plotParameters.canvasWidth),
+                        parameters.xResolution-1);
+            let y = min(u32((plotParameters.canvasHeight - fragPos.y)*f32(parameters.yResolution)/plotParameters.canvasHeight),
+                        parameters.yResolution-1);
+            let index = y*parameters.xResolution + x;
+
+            let psi = vec2f(waveFunction[index]);
+            let density = (psi.x*psi.x + psi.y*psi.y)/plotParameters.psiMax;
+
+            var color: vec3f;
+            if (plotParameters.mode == 0u)
+            {
+                color = densityColor(density);
+            }
+            else
+            {
+                color = phaseColor(atan2(psi.y, psi.x))*clamp(density, 0.0, 1.0);
+            }
+
+            let v = clamp(parameters.potential[index]/plotParameters.vMax, 0.0, 1.0);
+            let vAlpha = plotParameters.vColor.a*v;
+            return vec4f(mix(color, plotParameters.vColor.rgb, vAlpha), 1.0);
+        }
+    `;
+
+        this.#rendererShaderModule = this.#device.createShaderModule({
+            label: 'Schrodinger 2D renderer shader',
+            code: rendererShader
+        });
+
+        // A pair of triangles that cover the canvas in normalized device coordinates
+        const vertexData = new Float32Array([
+            -1.0,  1.0, 0.0, // upper left
+            -1.0, -1.0, 0.0, // lower left
+             1.0,  1.0, 0.0, // upper right
+             1.0, -1.0, 0.0  // lower right
+        ]);
+
+        this.#vertexBuffer = this.#device.createBuffer({
+            label: 'Position',
+            mappedAtCreation: true,
+            size: vertexData.byteLength,
+            usage: GPUBufferUsage.VERTEX
+        });
+
+        const vertexArrayBuffer = this.#vertexBuffer.getMappedRange();
+        new Float32Array(vertexArrayBuffer).set(vertexData);
+        this.#vertexBuffer.unmap();
+
+        this.#vertexBuffersDescriptor = [{
+            arrayStride: 3 * Float32Array.BYTES_PER_ELEMENT,
+            stepMode: 'vertex',
+            attributes: [{
+                shaderLocation: 0, // position
+                offset: 0,
+                format: 'float32x3'
+            }]
+        }];
+
+        // Get a WebGPU context from the canvas and configure it
+        this.#canvas = document.getElementById(this.#canvasID);
+        this.#webGPUContext = this.#canvas.getContext('webgpu');
+        // This will be either rgba8unorm or bgra8unorm
+        this.#presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.#webGPUContext.configure({
+            device: this.#device,
+            format: this.#presentationFormat,
+            alphaMode: 'premultiplied'
+        });
+
+        this.#canvasWidth = this.#canvas.width;
+        this.#canvasHeight = this.#canvas.height;
+
+        this.#plotParametersLayout = this.#device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        this.#plotParametersBuffer = this.#device.createBuffer({
+            label: 'Plot Parameters',
+            mappedAtCreation: true,
+            size: 4*Float32Array.BYTES_PER_ELEMENT  // vColor
+                + Float32Array.BYTES_PER_ELEMENT    // psiMax
+                + Float32Array.BYTES_PER_ELEMENT    // vMax
+                + Uint32Array.BYTES_PER_ELEMENT     // mode
+                + Float32Array.BYTES_PER_ELEMENT    // canvasWidth
+                + Float32Array.BYTES_PER_ELEMENT    // canvasHeight
+                + 3*Float32Array.BYTES_PER_ELEMENT, // Required padding
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+
+        // Get the raw array buffer for the mapped GPU buffer
+        const plotParametersArrayBuffer = this.#plotParametersBuffer.getMappedRange();
+
+        let bytesSoFar = 0;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(this.#vColor);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#psiMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#vMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Uint32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#mode]);
+        bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 2).set([this.#canvasWidth, this.#canvasHeight]);
+
+        this.#plotParametersBuffer.unmap();
+
+        this.#plotParametersBindGroup = this.#device.createBindGroup({
+            layout: this.#plotParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#plotParametersBuffer
+                    }
+                }
+            ]});
+
+        return this;
+    }
+
+    /**
+     * Create and return an instance of a two dimensional Schrödinger wave function visualization.
+     *
+     * @param {Schrodinger2D} schrodinger A two dimensional Schrodinger solver instance from which we retrieve the
+     *                                    device and simulation parameters.
+     * @param {String} canvasID           The HTML ID for the canvas we render to.
+     * @param {Number} psiMax             The |Ψ|² value mapped to the top of the color scale.
+     * @param {Array<Number>} vColor      The r, g, b, a color for the potential overlay, 0, 0, 0, 0 for no overlay.
+     * @param {Number} vMax               The potential value drawn with the full vColor.
+     * @param {Number} mode               Schrodinger2DRenderer.DENSITY or Schrodinger2DRenderer.PHASE.
+     */
+    static async getInstance(schrodinger, canvasID, psiMax, vColor, vMax, mode)
+    {
+        const schrodinger2DRenderer = new Schrodinger2DRenderer(schrodinger, canvasID, psiMax, vColor, vMax, mode);
+        return schrodinger2DRenderer.init();
+    }
+
+    /**
+     * The html canvas element that is our rendering target.
+     *
+     * @returns {HTMLCanvasElement} The html canvas element that is our rendering target.
+     */
+    getCanvas() {
+        return this.#canvas;
+    }
+
+    /**
+     * Render a wave function buffer from the schrodinger simulation.
+     *
+     * @param {GPUBuffer} waveFunctionBuffer The wave function buffer to render, defaults to the solver's
+     *                                       current wave function.
+     */
+    render(waveFunctionBuffer=this.#schrodinger.getWaveFunctionBuffer())
+    {
+        // Follow any resizing of the canvas.
+        if (this.#canvas.width !== this.#canvasWidth || this.#canvas.height !== this.#canvasHeight)
+        {
+            this.#canvasWidth = this.#canvas.width;
+            this.#canvasHeight = this.#canvas.height;
+            this.#device.queue.writeBuffer(this.#plotParametersBuffer, 7*Float32Array.BYTES_PER_ELEMENT,
+                                           new Float32Array([this.#canvasWidth, this.#canvasHeight]));
+        }
+
+        const bindGroupLayout2 = this.#device.createBindGroupLayout({
+            label: "Wave function layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const bindGroup2 = this.#device.createBindGroup({
+            layout: bindGroupLayout2,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: waveFunctionBuffer
+                    }
+                }
+            ]});
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [this.#parametersBindGroupLayout, // Simulation parameters
+                                this.#plotParametersLayout,     // Plot parameters
+                                bindGroupLayout2]               // The wave function values
+        });
+
+        const pipeline = this.#device.createRenderPipeline({
+            label: 'Render triangles to cover the rectangular canvas.',
+            layout: pipelineLayout,
+            primitive: {
+                topology: "triangle-strip",
+            },
+            vertex: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'vs_main',
+                buffers: this.#vertexBuffersDescriptor
+            },
+            fragment: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: this.#presentationFormat,
+                    blend: {
+                        color: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        }
+                    }
+                }]
+            }
+        });
+
+        const commandEncoder = this.#device.createCommandEncoder();
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.#webGPUContext.getCurrentTexture().createView(),
+                loadOp: 'clear',
+                clearValue: [0.0, 0.0, 0.0, 0.0],
+                storeOp: 'store',
+            }]
+        });
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(0, this.#parametersBindGroup);
+        passEncoder.setBindGroup(1, this.#plotParametersBindGroup);
+        passEncoder.setBindGroup(2, bindGroup2);
+        passEncoder.setVertexBuffer(0, this.#vertexBuffer);
+        passEncoder.draw(4);
+        passEncoder.end();
+
+        const commandBuffer = commandEncoder.finish();
+        this.#device.queue.submit([commandBuffer]);
+    }
+}
+
+export {Schrodinger2DRenderer}
@@ -0,0 +1,560 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+import {WebGPUCompute} from "./WebGPUCompute.js";
+
+const storageBufferBindingSizeLimitName = "maxStorageBufferBindingSize";
+const bufferSizeLimitName = "maxBufferSize";
+const workgroupsPerDimensionLimitName = "maxComputeWorkgroupsPerDimension";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+/**
+ * The workgroup is a WORKGROUP_SIZE_3D x WORKGROUP_SIZE_3D x WORKGROUP_SIZE_3D block of the grid.
+ */
+const WORKGROUP_SIZE_3D = 4;
+
+/**
+ * An FDTD time evolver for the Schrödinger wave function on a three dimensional grid. This uses the same central
+ * difference in time as {@link Schrodinger2D}, cycling through three wave function buffers, with a seven point
+ * Laplacian in space. Higher order stencils along each axis are selected at construction. Grid points are stored
+ * slice by slice, then row by row, index = (z*yResolution + y)*xResolution + x, in both the wave function and the
+ * potential arrays.
+ *
+ * Three dimensional grids quickly outgrow the default device limits, so the device is requested with storage buffer
+ * limits large enough for the grid. Grids beyond the adapter's maxStorageBufferBindingSize, or needing more than
+ * maxComputeWorkgroupsPerDimension workgroups along an axis, are rejected by {@link init}.
+ *
+ * The Parameters struct adds yResolution, zResolution, height and depth after length, see
+ * {@link getExtraParameters}.
+ *
+ * @property {Integer} #yResolution The number of grid points along the y-axis.
+ * @property {Integer} #zResolution The number of grid points along the z-axis.
+ * @property {Number} #height The physical extent of the simulation along the y-axis.
+ * @property {Number} #depth The physical extent of the simulation along the z-axis.
+ * @property {GPUBuffer} #waveFunctionBuffer0 One of three wave function buffers.
+ * @property {GPUBuffer} #waveFunctionBuffer1 One of three wave function buffers.
+ * @property {GPUBuffer} #waveFunctionBuffer2 One of three wave function buffers.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
+ * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
+ */
+class Schrodinger3D extends SchrodingerSolver
+{
+  #yResolution;
+  #zResolution;
+  #height;
+  #depth;
+  #waveFunctionBuffer0;
+  #waveFunctionBuffer1;
+  #waveFunctionBuffer2;
+  #waveFunctionBindGroups = new Array(3);
+  #waveFunctionBindGroupLayout;
+  #computePipeline;
+
+  /**
+   * Build a three dimensional Schrödinger equation integrator with the given parameters.
+   *
+   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
+   * @param {Integer}       xResolution The number of grid points along the x-axis.
+   * @param {Integer}       yResolution The number of grid points along the y-axis.
+   * @param {Integer}       zResolution The number of grid points along the z-axis.
+   * @param {Number}        length      The physical extent of the simulation along the x-axis.
+   * @param {Number}        height      The physical extent of the simulation along the y-axis.
+   * @param {Number}        depth       The physical extent of the simulation along the z-axis.
+   * @param {Array<Number>} potential   An array of xResolution*yResolution*zResolution potential values, stored
+   *                                    slice by slice. May be undefined for a free particle.
+   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
+   *                                    makes the wave function buffers copyable, potentially having a
+   *                                    performance impact. Defaults to false.
+   * @param {Integer}       stencil     The number of points in the second difference stencils, 3, 5 or 7.
+   *                                    Defaults to 3.
+   * @param {String}        boundaryMode {@link SchrodingerSolver.BOUNDARY_CLAMPED}, or
+   *                                    {@link SchrodingerSolver.BOUNDARY_PERIODIC} for a grid wrapping around
+   *                                    along every axis. Defaults to clamped.
+   * @param {String}        precision   {@link SchrodingerSolver.PRECISION_F32}, or
+   *                                    {@link SchrodingerSolver.PRECISION_F16} to store the wave function in half
+   *                                    precision where the device supports it. Defaults to f32.
+   */
+  constructor(dt, xResolution, yResolution, zResolution, length, height, depth, potential, debug=false,
+              stencil=SchrodingerSolver.STENCIL_3_POINT, boundaryMode=SchrodingerSolver.BOUNDARY_CLAMPED,
+              precision=SchrodingerSolver.PRECISION_F32)
+  {
+    super(dt, xResolution, length, potential, debug, stencil, boundaryMode, precision);
+    this.#yResolution = yResolution;
+    this.#zResolution = zResolution;
+    this.#height = height;
+    this.#depth = depth;
+  }
+
+  /**
+   * The workgroup edge length for three dimensional compute shaders, each workgroup covers a cube of the grid.
+   *
+   * @returns {Integer} The workgroup size along each axis.
+   */
+  static get WORKGROUP_SIZE_3D()
+  {
+    return WORKGROUP_SIZE_3D;
+  }
+
+  /**
+   * Get the number of grid points along the y-axis.
+   *
+   * @returns {Integer} The number of grid points along the y-axis.
+   */
+  getYResolution()
+  {
+    return this.#yResolution;
+  }
+
+  /**
+   * Get the number of grid points along the z-axis.
+   *
+   * @returns {Integer} The number of grid points along the z-axis.
+   */
+  getZResolution()
+  {
+    return this.#zResolution;
+  }
+
+  /**
+   * Get the physical extent of the simulation along the y-axis.
+   *
+   * @returns {Number} The physical height of this simulation.
+   */
+  getHeight()
+  {
+    return this.#height;
+  }
+
+  /**
+   * Get the physical extent of the simulation along the z-axis.
+   *
+   * @returns {Number} The physical depth of this simulation.
+   */
+  getDepth()
+  {
+    return this.#depth;
+  }
+
+  /**
+   * The number of points on the three dimensional grid.
+   *
+   * @returns {Integer} xResolution*yResolution*zResolution.
+   */
+  getGridSize()
+  {
+    return this.getXResolution()*this.#yResolution*this.#zResolution;
+  }
+
+  /**
+   * The y and z-axis resolutions and extents, added to the Parameters struct.
+   *
+   * @returns {Array<{name: String, type: String, value: Number, description: String}>} The extra Parameters fields.
+   */
+  getExtraParameters()
+  {
+    return [
+      {name: "yResolution", type: "u32", value: this.#yResolution, description: "The number of points along the y-axis."},
+      {name: "zResolution", type: "u32", value: this.#zResolution, description: "The number of points along the z-axis."},
+      {name: "height",      type: "f32", value: this.#height,      description: "The physical height for our simulation."},
+      {name: "depth",       type: "f32", value: this.#depth,       description: "The physical depth for our simulation."}
+    ];
+  }
+
+  /**
+   * The physical position of a grid point, with index = (z*yResolution + y)*xResolution + x.
+   *
+   * @returns {String} WGSL source declaring gridPosition.
+   */
+  getPositionFunction()
+  {
+    return `
+    fn gridPosition(index: u32) -> vec3f
+    {
+      let x = index % parameters.xResolution;
+      let y = (index / parameters.xResolution) % parameters.yResolution;
+      let z = index / (parameters.xResolution*parameters.yResolution);
+      return vec3f(f32(x)*parameters.length/f32(parameters.xResolution - 1u),
+                   f32(y)*parameters.height/f32(parameters.yResolution - 1u),
+                   f32(z)*parameters.depth/f32(parameters.zResolution - 1u));
+    }
+`;
+  }
+
+  /**
+   * The number of workgroups dispatched along each axis for a time step.
+   *
+   * @returns {Array<Integer>} The x, y and z workgroup counts.
+   */
+  getWorkgroupCounts()
+  {
+    return [
+      Math.ceil(this.getXResolution() / WORKGROUP_SIZE_3D),
+      Math.ceil(this.#yResolution / WORKGROUP_SIZE_3D),
+      Math.ceil(this.#zResolution / WORKGROUP_SIZE_3D)
+    ];
+  }
+
+  /**
+   * Request a device with storage buffer limits large enough for the full grid. Throws if the grid exceeds the
+   * adapter's storage buffer or workgroup count limits.
+   *
+   * @returns {Promise<GPUDevice>} A promise that resolves to the device for this simulation.
+   */
+  async requestDevice()
+  {
+    const adapterCompute = new WebGPUCompute();
+    const maxStorageBufferBindingSize = await adapterCompute.getLimit(storageBufferBindingSizeLimitName);
+    const maxBufferSize = await adapterCompute.getLimit(bufferSizeLimitName);
+    const maxWorkgroupsPerDimension = await adapterCompute.getLimit(workgroupsPerDimensionLimitName);
+
+    // The wave function buffers, two floats per point, are larger than the parameters buffer, with one. Sized for
+    // f32 even with f16 storage, leaving room for the fallback on a device without shader-f16.
+    const requiredBufferSize = 2*this.getGridSize()*Float32Array.BYTES_PER_ELEMENT;
+    if (requiredBufferSize > maxStorageBufferBindingSize || requiredBufferSize > maxBufferSize)
+    {
+      throw new Error(`${this.constructor.name}: A ${this.getXResolution()}x${this.#yResolution}x${this.#zResolution}`
+                      + ` grid needs ${requiredBufferSize} byte buffers, the adapter allows`
+                      + ` ${Math.min(maxStorageBufferBindingSize, maxBufferSize)}.`);
+    }
+
+    const maxWorkgroupCount = Math.max(...this.getWorkgroupCounts());
+    if (maxWorkgroupCount > maxWorkgroupsPerDimension)
+    {
+      throw new Error(`${this.constructor.name}: ${maxWorkgroupCount} workgroups needed along one axis, the adapter`
+                      + ` allows ${maxWorkgroupsPerDimension}.`);
+    }
+
+    const deviceDescriptor = {
+      requiredLimits: {
+        maxStorageBufferBindingSize: requiredBufferSize,
+        maxBufferSize: requiredBufferSize
+      }
+    };
+
+    const webgpuCompute = new WebGPUCompute(null, deviceDescriptor);
+    return this.getPrecision() === SchrodingerSolver.PRECISION_F16 ? webgpuCompute.getShaderF16Device()
+                                                                   : webgpuCompute.getDevice();
+  }
+
+  /**
+   * The time step is built on the shared stencil, applied along each axis.
+   *
+   * @returns {Boolean} true
+   */
+  usesSharedStencil()
+  {
+    return true;
+  }
+
+  /**
+   * The coordinates of a non-uniform grid are along x only, this solver's grid is uniform along every axis.
+   *
+   * @returns {Boolean} false
+   */
+  supportsNonUniformGrid()
+  {
+    return false;
+  }
+
+  /**
+   * The boundary pass follows each step, on the same three buffer bind group as the time step.
+   *
+   * @returns {String} "centralDifference"
+   */
+  getBoundaryScheme()
+  {
+    return SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE;
+  }
+
+  /**
+   * The potential is rewritten over the whole grid ahead of each step.
+   *
+   * @returns {Boolean} true
+   */
+  supportsTimeDependentPotential()
+  {
+    return true;
+  }
+
+  /**
+   * The central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), is stable for Δt·ρ(H) up to 1.
+   *
+   * @returns {Number} 1
+   */
+  getStabilityFactor()
+  {
+    return 1;
+  }
+
+  /**
+   * The grid spacings along the x, y and z axes.
+   *
+   * @returns {Array<Number>} [Δx, Δy, Δz]
+   */
+  getGridSpacings()
+  {
+    return [this.getLength()/(this.getXResolution()-1), this.#height/(this.#yResolution-1),
+            this.#depth/(this.#zResolution-1)];
+  }
+
+  /**
+   * Large grids are bandwidth bound, so this solver can store the wave function in half precision, reading it
+   * through {@link getWaveFunctionType} and computing in f32.
+   *
+   * @returns {Array<String>} The supported precisions.
+   */
+  getSupportedPrecisions()
+  {
+    return [SchrodingerSolver.PRECISION_F32, SchrodingerSolver.PRECISION_F16];
+  }
+
+  /**
+   * Get the bind group layout for the wave function storage arrays.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    return this.#waveFunctionBindGroupLayout;
+  }
+
+  /**
+   * Get the wave function bind group for the next time step, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt).
+   *
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
+   */
+  getWaveFunctionBindGroup()
+  {
+    return this.#waveFunctionBindGroups[this.getStepCount()%3];
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t).
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    return [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2][(this.getStepCount()+1)%3];
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader. These values update both Ψ(t-Δt) and Ψ(t).
+   *
+   * @param {Array<Number>} data An array of 2*xResolution*yResolution*zResolution real and imaginary values for the
+   *                             wave function on our grid, stored slice by slice.
+   */
+  setWaveFunction(data)
+  {
+    const device = this.getDevice();
+    const waveFunctionData = this.toWaveFunctionData(data);
+    device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, waveFunctionData, 0, 2*this.getGridSize());
+    device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, waveFunctionData, 0, 2*this.getGridSize());
+    this.resetStepCount();
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<Schrodinger3D>} A promise that resolves to the Schrodinger3D object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+
+    const waveFunctionType = this.getWaveFunctionType();
+    const timeStepShader = `
+    ${this.getEnableDirectives()}
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // Group 1, changes on each iteration
+    // Older wave function at t-Δt.
+    @group(1) @binding(0) var<storage, read> oldWaveFunction : array<${waveFunctionType}>;
+    // Current wave function at t.
+    @group(1) @binding(1) var<storage, read> waveFunction : array<${waveFunctionType}>;
+    // The updated wave function at t+Δt.
+    @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<${waveFunctionType}>;
+    ${this.getSecondDerivativeFunction()}
+    ${this.getEffectivePotentialFunction()}
+
+    fn gridIndex(x: u32, y: u32, z: u32) -> u32
+    {
+      return (z*parameters.yResolution + y)*parameters.xResolution + x;
+    }
+
+    @compute @workgroup_size(${WORKGROUP_SIZE_3D}, ${WORKGROUP_SIZE_3D}, ${WORKGROUP_SIZE_3D})
+    fn timeStep(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let x = global_id.x;
+      let y = global_id.y;
+      let z = global_id.z;
+      // Skip invocations when work groups exceed the actual problem size
+      if (x >= parameters.xResolution || y >= parameters.yResolution || z >= parameters.zResolution) {
+        return;
+      }
+      let index = gridIndex(x, y, z);
+
+      let dx = parameters.length / f32(parameters.xResolution-1);
+      let dy = parameters.height / f32(parameters.yResolution-1);
+      let dz = parameters.depth / f32(parameters.zResolution-1);
+
+      let oldWaveFunctionAtX = vec2f(oldWaveFunction[index]);
+      let waveFunctionAtX = vec2f(waveFunction[index]);
+      let twoV = 2.0*effectivePotential(index, waveFunctionAtX);
+
+      let xyPoints = parameters.xResolution*parameters.yResolution;
+      let laplacian = secondDerivative(index, 1u, x, parameters.xResolution, dx)
+                    + secondDerivative(index, parameters.xResolution, y, parameters.yResolution, dy)
+                    + secondDerivative(index, xyPoints, z, parameters.zResolution, dz);
+
+      let updatedReal = oldWaveFunctionAtX.x - (laplacian.y - twoV*waveFunctionAtX.y) * parameters.dt;
+
+      let updatedImaginary = oldWaveFunctionAtX.y + (laplacian.x - twoV*waveFunctionAtX.x) * parameters.dt;
+
+      updatedWaveFunction[index] = ${waveFunctionType}(updatedReal, updatedImaginary);
+    }
+  `;
+
+    const timeStepShaderModule = device.createShaderModule({
+      label: 'Schrodinger 3D time step shader',
+      code: timeStepShader
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    this.#computePipeline = device.createComputePipeline({
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
+      }),
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "timeStep"
+      }
+    });
+
+    // Wave function representations
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+    this.#waveFunctionBuffer2 = this.createWaveFunctionBuffer("Wave function 2");
+
+    const buffers = [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2];
+    for (let i=0; i<3; i++)
+    {
+      this.#waveFunctionBindGroups[i] = device.createBindGroup({
+        layout: this.#waveFunctionBindGroupLayout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: buffers[i]
+            }
+          },
+          {
+            binding: 1,
+            resource: {
+              buffer: buffers[(i+1)%3]
+            }
+          },
+          {
+            binding: 2,
+            resource: {
+              buffer: buffers[(i+2)%3]
+            }
+          }
+        ]
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Execute count iterations of the simulation.
+   *
+   * @param {Integer} count The number of iterations to carry out. It is strongly suggested that this be
+   * a multiple of 3.
+   */
+  step(count=21)
+  {
+    this.start();
+
+    const device = this.getDevice();
+    // Recreate this because it can not be reused after finish is invoked.
+    const commandEncoder = device.createCommandEncoder();
+    const [workgroupCountX, workgroupCountY, workgroupCountZ] = this.getWorkgroupCounts();
+
+    for (let i=0; i<count && this.isRunning(); i++)
+    {
+      const waveFunctionBindGroup = this.getWaveFunctionBindGroup();
+      this.updatePotential(commandEncoder);
+      const passEncoder = commandEncoder.beginComputePass();
+      passEncoder.setPipeline(this.#computePipeline);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, waveFunctionBindGroup);
+      passEncoder.dispatchWorkgroups(workgroupCountX, workgroupCountY, workgroupCountZ);
+      passEncoder.end();
+      if (this.isBCEnabled())
+      {
+        this.getBoundary().makeComputePass(commandEncoder, waveFunctionBindGroup);
+      }
+      this.incrementStepCount();
+    }
+
+    // Submit GPU commands.
+    const gpuCommands = commandEncoder.finish();
+    device.queue.submit([gpuCommands]);
+  }
+}
+
+export {Schrodinger3D}
@@ -0,0 +1,646 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Render modes, an axis aligned slice through the grid, a ray marched volume, or a ray marched isosurface of |Ψ|².
+ */
+const SLICE      = 0;
+const VOLUME     = 1;
+const ISOSURFACE = 2;
+
+/**
+ * The slice axes, the slice is perpendicular to the given axis.
+ */
+const X_AXIS = 0;
+const Y_AXIS = 1;
+const Z_AXIS = 2;
+
+/**
+ * The size in bytes of the plot parameters, see PlotParameters in the shader.
+ */
+const PLOT_PARAMETERS_SIZE = 4*Float32Array.BYTES_PER_ELEMENT  // vColor
+                           + Float32Array.BYTES_PER_ELEMENT    // psiMax
+                           + Float32Array.BYTES_PER_ELEMENT    // vMax
+                           + Uint32Array.BYTES_PER_ELEMENT     // mode
+                           + Uint32Array.BYTES_PER_ELEMENT     // axis
+                           + Float32Array.BYTES_PER_ELEMENT    // slicePosition
+                           + Float32Array.BYTES_PER_ELEMENT    // azimuth
+                           + Float32Array.BYTES_PER_ELEMENT    // elevation
+                           + Float32Array.BYTES_PER_ELEMENT    // isoValue
+                           + Uint32Array.BYTES_PER_ELEMENT     // sampleCount
+                           + Float32Array.BYTES_PER_ELEMENT    // canvasWidth
+                           + Float32Array.BYTES_PER_ELEMENT    // canvasHeight
+                           + Float32Array.BYTES_PER_ELEMENT;   // Required padding
+
+/**
+ * Draw a three dimensional wave function, either as an axis aligned slice stretched over the full canvas, or ray
+ * marched through the simulation volume as seen by an orthographic camera orbiting the volume. Like the other
+ * renderers this binds the solver's simulation parameters as group 0, plot parameters as group 1, and the wave
+ * function as group 2.
+ */
+class Schrodinger3DRenderer
+{
+    #schrodinger;
+    #device;
+    #psiMax;
+    #vColor;
+    #vMax;
+    #mode;
+    #axis = Z_AXIS;
+    #slicePosition = 0.5;
+    #azimuth = 0.5;
+    #elevation = 0.3;
+    #isoValue = 0.5;
+    #sampleCount;
+    #canvasWidth;
+    #canvasHeight;
+    #parametersBindGroup;
+    #parametersBindGroupLayout;
+    #plotParametersBuffer;
+    #plotParametersBindGroup;
+    #plotParametersLayout;
+    #vertexBuffer;
+    #vertexBuffersDescriptor;
+    #rendererShaderModule;
+    #canvasID;
+    #canvas;
+    #presentationFormat;
+    #webGPUContext;
+
+    /**
+     * Build a three dimensional Schrödinger wave function visualization with the given parameters.
+     *
+     * @param {Schrodinger3D} schrodinger A three dimensional Schrodinger solver instance from which we retrieve the
+     *                                    device and simulation parameters.
+     * @param {String} canvasID           The HTML ID for the canvas we render to.
+     * @param {Number} psiMax             The |Ψ|² value mapped to the top of the color scale.
+     * @param {Array<Number>} vColor      The r, g, b, a color for the potential overlay on slices, 0, 0, 0, 0 for
+     *                                    no overlay.
+     * @param {Number} vMax               The potential value drawn with the full vColor.
+     * @param {Number} mode               Schrodinger3DRenderer.SLICE, VOLUME, or ISOSURFACE.
+     * @param {Number} sampleCount        The number of samples along each ray through the volume.
+     */
+    constructor(schrodinger, canvasID, psiMax, vColor, vMax, mode=SLICE, sampleCount=256)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#canvasID = canvasID;
+        this.#parametersBindGroup = schrodinger.getParametersBindGroup();
+        this.#parametersBindGroupLayout = schrodinger.getParametersBindGroupLayout();
+        this.#psiMax = psiMax;
+        this.#vColor = vColor;
+        this.#vMax = vMax;
+        this.#mode = mode;
+        this.#sampleCount = sampleCount;
+    }
+
+    /**
+     * Draw an axis aligned slice through the grid.
+     */
+    static get SLICE()
+    {
+        return SLICE;
+    }
+
+    /**
+     * Ray march through the grid, accumulating |Ψ|² as emission and absorption.
+     */
+    static get VOLUME()
+    {
+        return VOLUME;
+    }
+
+    /**
+     * Ray march through the grid to the surface where |Ψ|² reaches isoValue*psiMax.
+     */
+    static get ISOSURFACE()
+    {
+        return ISOSURFACE;
+    }
+
+    static get X_AXIS()
+    {
+        return X_AXIS;
+    }
+
+    static get Y_AXIS()
+    {
+        return Y_AXIS;
+    }
+
+    static get Z_AXIS()
+    {
+        return Z_AXIS;
+    }
+
+    /**
+     * Get the plot parameters buffer for debugging.
+     *
+     * @returns {GPUBuffer} The plot parameters buffer.
+     */
+    getPlotParametersBuffer()
+    {
+        return this.#plotParametersBuffer;
+    }
+
+    /**
+     * Switch between the slice, volume, and isosurface views.
+     *
+     * @param {Number} mode Schrodinger3DRenderer.SLICE, VOLUME, or ISOSURFACE.
+     */
+    setMode(mode)
+    {
+        this.#mode = mode;
+        this.#writePlotParameters();
+    }
+
+    /**
+     * Choose the slice drawn in SLICE mode.
+     *
+     * @param {Number} axis     The axis perpendicular to the slice, Schrodinger3DRenderer.X_AXIS, Y_AXIS, or Z_AXIS.
+     * @param {Number} position The slice position along the axis, from 0 at the first grid point to 1 at the last.
+     */
+    setSlice(axis, position)
+    {
+        this.#axis = axis;
+        this.#slicePosition = position;
+        this.#writePlotParameters();
+    }
+
+    /**
+     * Position the camera for the VOLUME and ISOSURFACE views. The camera orbits the center of the volume.
+     *
+     * @param {Number} azimuth   The rotation, in radians, about the y-axis. Zero looks down the z-axis.
+     * @param {Number} elevation The angle, in radians, above the xz-plane.
+     */
+    setView(azimuth, elevation)
+    {
+        this.#azimuth = azimuth;
+        this.#elevation = elevation;
+        this.#writePlotParameters();
+    }
+
+    /**
+     * Set the isosurface level for the ISOSURFACE view.
+     *
+     * @param {Number} isoValue The surface is drawn where |Ψ|² = isoValue*psiMax.
+     */
+    setIsoValue(isoValue)
+    {
+        this.#isoValue = isoValue;
+        this.#writePlotParameters();
+    }
+
+    /**
+     * Pack the plot parameters in the layout of the PlotParameters struct.
+     *
+     * @param {ArrayBuffer} plotParametersArrayBuffer The destination, at least PLOT_PARAMETERS_SIZE bytes.
+     */
+    #packPlotParameters(plotParametersArrayBuffer)
+    {
+        let bytesSoFar = 0;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(this.#vColor);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 2).set([this.#psiMax, this.#vMax]);
+        bytesSoFar += 2*Float32Array.BYTES_PER_ELEMENT;
+        new Uint32Array(plotParametersArrayBuffer, bytesSoFar, 2).set([this.#mode, this.#axis]);
+        bytesSoFar += 2*Uint32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4)
+            .set([this.#slicePosition, this.#azimuth, this.#elevation, this.#isoValue]);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Uint32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#sampleCount]);
+        bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 2).set([this.#canvasWidth, this.#canvasHeight]);
+    }
+
+    /**
+     * Copy the current plot parameters to the GPU.
+     */
+    #writePlotParameters()
+    {
+        if (this.#plotParametersBuffer)
+        {
+            const plotParametersArrayBuffer = new ArrayBuffer(PLOT_PARAMETERS_SIZE);
+            this.#packPlotParameters(plotParametersArrayBuffer);
+            this.#device.queue.writeBuffer(this.#plotParametersBuffer, 0, plotParametersArrayBuffer);
+        }
+    }
+
+    /**
+     * Async initialization of the object.
+     *
+     * @returns {Schrodinger3DRenderer}
+     */
+    init()
+    {
+        const rendererShader = `
+        ${this.#schrodinger.getEnableDirectives()}
+        ${this.#schrodinger.getParametersStruct()}
+
+        struct PlotParameters
+        {
+            // Color for the potential on slices: 0.0, 0.0, 0.0, 0.0 for no plot
+            vColor: vec4f,
+            // |Psi|^2 at the top of the color scale
+            psiMax: f32,
+            // V drawn with the full vColor.
+            vMax: f32,
+            // 0 for a slice, 1 for a volume, 2 for an isosurface.
+            mode: u32,
+            // The axis perpendicular to the slice, 0, 1, or 2 for x, y, or z.
+            axis: u32,
+            // The slice position along the axis, 0 to 1.
+            slicePosition: f32,
+            // The camera rotation about the y-axis.
+            azimuth: f32,
+            // The camera angle above the xz-plane.
+            elevation: f32,
+            // The isosurface level as a fraction of psiMax.
+            isoValue: f32,
+            // The number of samples along each ray.
+            sampleCount: u32,
+            // The canvas size in pixels, to map pixels onto grid points.
+            canvasWidth: f32,
+            canvasHeight: f32
+        }
+
+        // group 0 and 1, things that never change within a simulation.
+        // The parameters for the simulation
+        @group(0) @binding(0) var<storage, read> parameters: Parameters;
+        // Plotting parameters, colors, scales, view, etc.
+        @group(1) @binding(0) var<storage, read> plotParameters : PlotParameters;
+
+        // Group 2, the wave function at t, changes on each invocation.
+        @group(2) @binding(0) var<storage, read> waveFunction : array<${this.#schrodinger.getWaveFunctionType()}>;
+
+        // Black through blue, red and yellow to white as value runs from 0 to 1.
+        fn densityColor(value: f32) -> vec3f
+        {
+            let t = clamp(value, 0.0, 1.0);
+            return vec3f(clamp(3.0*t - 0.5, 0.0, 1.0),
+                         clamp(3.0*t - 1.5, 0.0, 1.0),
+                         clamp(3.0*t, 0.0, 1.0) - clamp(3.0*t - 1.0, 0.0, 1.0) + clamp(3.0*t - 2.0, 0.0, 1.0));
+        }
+
+        fn resolution() -> vec3u
+        {
+            return vec3u(parameters.xResolution, parameters.yResolution, parameters.zResolution);
+        }
+
+        // The grid index of the nearest grid point to the given point in [0, 1]^3.
+        fn gridIndex(position: vec3f) -> u32
+        {
+            let gridPoint = vec3u(round(clamp(position, vec3f(0.0), vec3f(1.0))*vec3f(resolution() - vec3u(1u))));
+            return (gridPoint.z*parameters.yResolution + gridPoint.y)*parameters.xResolution + gridPoint.x;
+        }
+
+        // |Psi|^2/psiMax at the grid point nearest to the given point in [0, 1]^3.
+        fn density(position: vec3f) -> f32
+        {
+            let psi = vec2f(waveFunction[gridIndex(position)]);
+            return (psi.x*psi.x + psi.y*psi.y)/plotParameters.psiMax;
+        }
+
+        fn slice(pixel: vec2f) -> vec4f
+        {
+            var position: vec3f;
+            if (plotParameters.axis == 0u)
+            {
+                position = vec3f(plotParameters.slicePosition, pixel.x, pixel.y);
+            }
+            else if (plotParameters.axis == 1u)
+            {
+                position = vec3f(pixel.x, plotParameters.slicePosition, pixel.y);
+            }
+            else
+            {
+                position = vec3f(pixel.x, pixel.y, plotParameters.slicePosition);
+            }
+
+            let color = densityColor(density(position));
+            let v = clamp(parameters.potential[gridIndex(position)]/plotParameters.vMax, 0.0, 1.0);
+            let vAlpha = plotParameters.vColor.a*v;
+            return vec4f(mix(color, plotParameters.vColor.rgb, vAlpha), 1.0);
+        }
+
+        fn march(pixel: vec2f) -> vec4f
+        {
+            // The volume, scaled so the longest side is 1, centered on the origin.
+            let extent = vec3f(parameters.length, parameters.height, parameters.depth);
+            let halfSize = 0.5*extent/max(extent.x, max(extent.y, extent.z));
+
+            // An orthographic camera looking toward the origin.
+            let ca = cos(plotParameters.azimuth);
+            let sa = sin(plotParameters.azimuth);
+            let ce = cos(plotParameters.elevation);
+            let se = sin(plotParameters.elevation);
+            let forward = -vec3f(sa*ce, se, ca*ce);
+            let right = vec3f(ca, 0.0, -sa);
+            let up = cross(right, forward);
+
+            let aspect = plotParameters.canvasWidth/plotParameters.canvasHeight;
+            let screen = 2.0*pixel - vec2f(1.0);
+            let origin = right*screen.x*aspect + up*screen.y - 2.0*forward;
+
+            // Slab intersection of the ray with the volume, nudging axis aligned views off the axis.
+            let direction = select(forward, vec3f(1.0e-6), abs(forward) < vec3f(1.0e-6));
+            let t0 = (-halfSize - origin)/direction;
+            let t1 = ( halfSize - origin)/direction;
+            let tNear = max(max(min(t0.x, t1.x), min(t0.y, t1.y)), min(t0.z, t1.z));
+            let tFar = min(min(max(t0.x, t1.x), max(t0.y, t1.y)), max(t0.z, t1.z));
+            if (tNear >= tFar || tFar <= 0.0)
+            {
+                return vec4f(0.0);
+            }
+
+            let tStart = max(tNear, 0.0);
+            let stepLength = (tFar - tStart)/f32(plotParameters.sampleCount);
+            // Sample spacing relative to the full diagonal, so the opacity does not depend on the sample count.
+            let opacityScale = 8.0*stepLength/length(2.0*halfSize);
+            var color = vec3f(0.0);
+            var alpha = 0.0;
+
+            for (var i = 0u; i < plotParameters.sampleCount; i++)
+            {
+                let point = origin + (tStart + (f32(i) + 0.5)*stepLength)*forward;
+                let position = (point + halfSize)/(2.0*halfSize);
+                let value = density(position);
+
+                if (plotParameters.mode == 2u)
+                {
+                    if (value >= plotParameters.isoValue)
+                    {
+                        // Shade with the density gradient as the surface normal, lit from the camera.
+                        let h = 1.0/vec3f(resolution() - vec3u(1u));
+                        let gradient = vec3f(density(position + vec3f(h.x, 0.0, 0.0)) - density(position - vec3f(h.x, 0.0, 0.0)),
+                                             density(position + vec3f(0.0, h.y, 0.0)) - density(position - vec3f(0.0, h.y, 0.0)),
+                                             density(position + vec3f(0.0, 0.0, h.z)) - density(position - vec3f(0.0, 0.0, h.z)));
+                        var shade = 1.0;
+                        if (length(gradient) > 0.0)
+                        {
+                            shade = 0.2 + 0.8*abs(dot(normalize(gradient), forward));
+                        }
+                        return vec4f(densityColor(plotParameters.isoValue)*shade, 1.0);
+                    }
+                }
+                else
+                {
+                    let sampleAlpha = 1.0 - exp(-value*opacityScale);
+                    color += (1.0 - alpha)*sampleAlpha*densityColor(value);
+                    alpha += (1.0 - alpha)*sampleAlpha;
+                    if (alpha > 0.99)
+                    {
+                        break;
+                    }
+                }
+            }
+            // Premultiplied alpha
+            return vec4f(color, alpha);
+        }
+
+        @vertex
+        fn vs_main(@location(0) inPos: vec3<f32>) -> @builtin(position) vec4f
+        {
+            return vec4(inPos, 1.0);
+        }
+
+        @fragment
+        fn fs_main(@builtin(position) fragPos: vec4<f32>) -> @location(0) vec4<f32>
+        {
+            // Pixel y runs top to bottom, flip it so the plot y runs bottom to top.
+            let pixel = vec2f(fragPos.x/plotParameters.canvasWidth,
+                              (plotParameters.canvasHeight - fragPos.y)/plotParameters.canvasHeight);
+            if (plotParameters.mode == 0u)
+            {
+                return slice(pixel);
+            }
+            return march(pixel);
+        }
+    `;
+
+        this.#rendererShaderModule = this.#device.createShaderModule({
+            label: 'Schrodinger 3D renderer shader',
+            code: rendererShader
+        });
+
+        // A pair of triangles that cover the canvas in normalized device coordinates
+        const vertexData = new Float32Array([
+            -1.0,  1.0, 0.0, // upper left
+            -1.0, -1.0, 0.0, // lower left
+             1.0,  1.0, 0.0, // upper right
+             1.0, -1.0, 0.0  // lower right
+        ]);
+
+        this.#vertexBuffer = this.#device.createBuffer({
+            label: 'Position',
+            mappedAtCreation: true,
+            size: vertexData.byteLength,
+            usage: GPUBufferUsage.VERTEX
+        });
+
+        const vertexArrayBuffer = this.#vertexBuffer.getMappedRange();
+        new Float32Array(vertexArrayBuffer).set(vertexData);
+        this.#vertexBuffer.unmap();
+
+        this.#vertexBuffersDescriptor = [{
+            arrayStride: 3 * Float32Array.BYTES_PER_ELEMENT,
+            stepMode: 'vertex',
+            attributes: [{
+                shaderLocation: 0, // position
+                offset: 0,
+                format: 'float32x3'
+            }]
+        }];
+
+        // Get a WebGPU context from the canvas and configure it
+        this.#canvas = document.getElementById(this.#canvasID);
+        this.#webGPUContext = this.#canvas.getContext('webgpu');
+        // This will be either rgba8unorm or bgra8unorm
+        this.#presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.#webGPUContext.configure({
+            device: this.#device,
+            format: this.#presentationFormat,
+            alphaMode: 'premultiplied'
+        });
+
+        this.#canvasWidth = this.#canvas.width;
+        this.#canvasHeight = this.#canvas.height;
+
+        this.#plotParametersLayout = this.#device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        this.#plotParametersBuffer = this.#device.createBuffer({
+            label: 'Plot Parameters',
+            mappedAtCreation: true,
+            size: PLOT_PARAMETERS_SIZE,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+
+        this.#packPlotParameters(this.#plotParametersBuffer.getMappedRange());
+        this.#plotParametersBuffer.unmap();
+
+        this.#plotParametersBindGroup = this.#device.createBindGroup({
+            layout: this.#plotParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#plotParametersBuffer
+                    }
+                }
+            ]});
+
+        return this;
+    }
+
+    /**
+     * Create and return an instance of a three dimensional Schrödinger wave function visualization.
+     *
+     * @param {Schrodinger3D} schrodinger A three dimensional Schrodinger solver instance from which we retrieve the
+     *                                    device and simulation parameters.
+     * @param {String} canvasID           The HTML ID for the canvas we render to.
+     * @param {Number} psiMax             The |Ψ|² value mapped to the top of the color scale.
+     * @param {Array<Number>} vColor      The r, g, b, a color for the potential overlay on slices, 0, 0, 0, 0 for
+     *                                    no overlay.
+     * @param {Number} vMax               The potential value drawn with the full vColor.
+     * @param {Number} mode               Schrodinger3DRenderer.SLICE, VOLUME, or ISOSURFACE.
+     * @param {Number} sampleCount        The number of samples along each ray through the volume.
+     */
+    static async getInstance(schrodinger, canvasID, psiMax, vColor, vMax, mode, sampleCount)
+    {
+        const schrodinger3DRenderer = new Schrodinger3DRenderer(schrodinger, canvasID, psiMax, vColor, vMax,
+                                                                mode, sampleCount);
+        return schrodinger3DRenderer.init();
+    }
+
+    /**
+     * The html canvas element that is our rendering target.
+     *
+     * @returns {HTMLCanvasElement} The html canvas element that is our rendering target.
+     */
+    getCanvas() {
+        return this.#canvas;
+    }
+
+    /**
+     * Render a wave function buffer from the schrodinger simulation.
+     *
+     * @param {GPUBuffer} waveFunctionBuffer The wave function buffer to render, defaults to the solver's
+     *                                       current wave function.
+     */
+    render(waveFunctionBuffer=this.#schrodinger.getWaveFunctionBuffer())
+    {
+        // Follow any resizing of the canvas.
+        if (this.#canvas.width !== this.#canvasWidth || this.#canvas.height !== this.#canvasHeight)
+        {
+            this.#canvasWidth = this.#canvas.width;
+            this.#canvasHeight = this.#canvas.height;
+            this.#writePlotParameters();
+        }
+
+        const bindGroupLayout2 = this.#device.createBindGroupLayout({
+            label: "Wave function layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const bindGroup2 = this.#device.createBindGroup({
+            layout: bindGroupLayout2,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: waveFunctionBuffer
+                    }
+                }
+            ]});
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [this.#parametersBindGroupLayout, // Simulation parameters
+                                this.#plotParametersLayout,     // Plot parameters
+                                bindGroupLayout2]               // The wave function values
+        });
+
+        const pipeline = this.#device.createRenderPipeline({
+            label: 'Render triangles to cover the rectangular canvas.',
+            layout: pipelineLayout,
+            primitive: {
+                topology: "triangle-strip",
+            },
+            vertex: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'vs_main',
+                buffers: this.#vertexBuffersDescriptor
+            },
+            fragment: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: this.#presentationFormat,
+                    blend: {
+                        color: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        }
+                    }
+                }]
+            }
+        });
+
+        const commandEncoder = this.#device.createCommandEncoder();
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.#webGPUContext.getCurrentTexture().createView(),
+                loadOp: 'clear',
+                clearValue: [0.0, 0.0, 0.0, 0.0],
+                storeOp: 'store',
+            }]
+        });
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(0, this.#parametersBindGroup);
+        passEncoder.setBindGroup(1, this.#plotParametersBindGroup);
+        passEncoder.setBindGroup(2, bindGroup2);
+        passEncoder.setVertexBuffer(0, this.#vertexBuffer);
+        passEncoder.draw(4);
+        passEncoder.end();
+
+        const commandBuffer = commandEncoder.finish();
+        this.#device.queue.submit([commandBuffer]);
+    }
+}
+
+export {Schrodinger3DRenderer}
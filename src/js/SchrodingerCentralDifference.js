@@ -13,7 +13,8 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+import {DoubleFloat} from "./DoubleFloat.js";
 
 /**
  * @typedef {Number} Integer
@@ -22,173 +23,133 @@ import {WebGPUCompute} from "./WebGPUCompute.js";
 /**
  * An FDTD time evolver for the Schrödinger wave function.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {Array<Number>} #potential An array of potential values, array elements correspond to physical locations
- *                                      just as the wave function arrays.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
+ * With {@link SchrodingerSolver.PRECISION_DF64} each wave function buffer keeps the high parts, so renderers,
+ * boundaries and initializers see the f32 wave function as before, and a matching buffer, bound at binding 3, 4 or 5
+ * beside it, keeps the low parts. The time step is carried out in df64, with the three point stencil, so rounding no
+ * longer accumulates into a drift in the norm over long runs.
+ *
  * @property {GPUBuffer} #waveFunctionBuffer0 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer2 One of three wave function buffers.
- * @property {GPUBindGroup[]} #waveFunctionBindGroup A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBuffer[]} #lowWaveFunctionBuffers The low parts for each wave function buffer, in df64 precision.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #length;
-  #xResolution;
-  #potential;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBuffer2;
-  #waveFunctionBindGroup = new Array(3);
+  #lowWaveFunctionBuffers;
+  #waveFunctionBindGroups = new Array(3);
+  #waveFunctionBindGroupLayout;
   #computePipeline;
-  #nsteps;
-  #debug;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * The f32 time step is built on the shared stencil. The df64 time step restricts this, see
+   * {@link getSupportedStencils} and {@link supportsNonUniformGrid}.
    *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
+   * @returns {Boolean} true
    */
-  constructor(dt, xResolution, length, potential, debug=false)
+  usesSharedStencil()
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#potential = potential;
-    this.#nsteps = 0;
-    this.#debug = debug;
+    return true;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * The df64 time step has its own three point stencil.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {Array<Integer>} The supported numbers of stencil points.
    */
-  getTimeStep()
+  getSupportedStencils()
   {
-    return this.#dt;
-  }
-
-  /**
-   * Set the FDTD time step.
-   *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
-   */
-  setTimeStep(dt)
-  {
-    this.#dt = dt;
-    return this;
+    if (this.getPrecision() === SchrodingerSolver.PRECISION_DF64)
+    {
+      return [SchrodingerSolver.STENCIL_3_POINT];
+    }
+    return super.getSupportedStencils();
   }
 
   /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
+   * The df64 time step is for a uniform grid.
    *
-   * @returns {Number} The number of spatial steps in the wave function representation.
+   * @returns {Boolean} true in f32 precision.
    */
-  getXResolution()
+  supportsNonUniformGrid()
   {
-    return this.#xResolution;
+    return this.getPrecision() !== SchrodingerSolver.PRECISION_DF64 && super.supportsNonUniformGrid();
   }
 
   /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
+   * This solver has a df64 time step, with the three point stencil.
    *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
+   * @returns {Array<String>} The supported precisions.
    */
-  setXResolution(xResolution)
+  getSupportedPrecisions()
   {
-    this.#xResolution = xResolution;
-    return this;
+    return [SchrodingerSolver.PRECISION_F32, SchrodingerSolver.PRECISION_DF64];
   }
 
   /**
-   * Get the physical length of this simulation.
+   * The potential is rewritten ahead of each central difference step.
    *
-   * @returns {Number} The physical length of this simulation.
+   * @returns {Boolean} true
    */
-  getLength()
+  supportsTimeDependentPotential()
   {
-    return this.#length
+    return true;
   }
 
   /**
-   * Get the physical length of this simulation.
+   * The central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), is stable for Δt·ρ(H) up to 1.
    *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
+   * @returns {Number} 1
    */
-  setLength(length)
+  getStabilityFactor()
   {
-    this.#length = length;
-    return this;
+    return 1;
   }
 
   /**
-   * Get the potential on our grid.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @returns {Array<Number>} An array of potential values on our grid.
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  getPotential()
+  getWaveFunctionBindGroupLayout()
   {
-    return this.#potential;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Set the potential, V(x), used in the Schrödinger equation.
+   * Get the wave function bind group for the next time step, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt).
    *
-   * @param {Array<Number>} potential An array of potential values on our grid.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  setPotential(potential)
+  getWaveFunctionBindGroup()
   {
-    this.#potential = potential;
-    return this;
+    return this.#waveFunctionBindGroups[this.getStepCount()%3];
   }
 
   /**
-   * Get the bind group for the wave function parameters in the wave equation.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  getParametersBindGroup()
+  getWaveFunctionBuffer()
   {
-    return this.#parametersBindGroup;
+    return [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2][(this.getStepCount()+1)%3];
   }
 
   /**
-   * Get the bind group layout for the schrodinger solver parameters.
+   * Get the buffer holding the low parts of the most recent wave function, Ψ(t), in df64 precision. Read it with
+   * {@link DumpSchrodinger#dumpExtendedWavefunction}.
    *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
+   * @returns {GPUBuffer} The low parts of the current wave function, undefined in f32 precision.
    */
-  getParametersBindGroupLayout()
+  getLowWaveFunctionBuffer()
   {
-    return this.#parametersBindGroupLayout;
+    return this.#lowWaveFunctionBuffers?.[(this.getStepCount()+1)%3];
   }
 
   /**
@@ -222,23 +183,107 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display or debugging.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader. These values update both Ψ(t-Δt) and Ψ(t).
    *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid. In df64 precision these are split into high and low parts, so pass a Float64Array or plain
+   * numbers for the full precision.
    */
-  getParametersBuffer()
+  setWaveFunction(data)
   {
-    return this.#parametersBuffer;
+    const device = this.getDevice();
+    if (this.#lowWaveFunctionBuffers)
+    {
+      const {high, low} = DoubleFloat.split(data);
+      device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, high, 0, 2*this.getXResolution());
+      device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, high, 0, 2*this.getXResolution());
+      device.queue.writeBuffer(this.#lowWaveFunctionBuffers[0], 0, low, 0, 2*this.getXResolution());
+      device.queue.writeBuffer(this.#lowWaveFunctionBuffers[1], 0, low, 0, 2*this.getXResolution());
+    }
+    else
+    {
+      const float32Data = new Float32Array(data);
+      device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 2*this.getXResolution());
+      device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 2*this.getXResolution());
+    }
+    this.resetStepCount();
   }
 
   /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
+   * The df64 time step shader. The wave function is read and written as high and low parts, the potential, mass and
+   * Δt stay f32, so H is exactly the f32 solver's three point Hamiltonian.
    *
-   * @returns {GPUDevice} The device in use for this simulation.
+   * @returns {String} WGSL source for the timeStep entry point.
    */
-  getDevice()
+  #getExtendedTimeStepShader()
   {
-    return this.#device;
+    const neighbors = this.isPeriodic()
+        ? `let plus = (index + 1u) % count;
+      let minus = (index + count - 1u) % count;`
+        : `let plus = select(index, index + 1u, index + 1u < count);
+      let minus = select(index, index - 1u, index > 0u);`;
+    return `
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // Group 1, changes on each iteration, the high parts at bindings 0 to 2, as in f32, the low parts at 3 to 5.
+    // Older wave function at t-Δt.
+    @group(1) @binding(0) var<storage, read> oldWaveFunction : array<vec2f>;
+    // Current wave function at t.
+    @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
+    // The updated wave function at t+Δt.
+    @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+    @group(1) @binding(3) var<storage, read> oldWaveFunctionLow : array<vec2f>;
+    @group(1) @binding(4) var<storage, read> waveFunctionLow : array<vec2f>;
+    @group(1) @binding(5) var<storage, read_write> updatedWaveFunctionLow : array<vec2f>;
+    ${DoubleFloat.WGSL}
+    ${this.getInverseMassFunction()}
+    ${this.getEffectivePotentialFunction()}
+
+    // The real, part 0, or imaginary, part 1, component of Ψ(t) as a df64.
+    fn psiPart(index: u32, part: u32) -> vec2f
+    {
+      return vec2f(waveFunction[index][part], waveFunctionLow[index][part]);
+    }
+
+    @compute @workgroup_size(64)
+    fn timeStep(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      let count = parameters.xResolution;
+      // Skip invocations when work groups exceed the actual problem size
+      if (index >= count) {
+        return;
+      }
+      let dx = parameters.length / f32(count-1);
+      ${neighbors}
+      // The three point second difference, with 1/m averaged onto the midpoints between grid points.
+      let plusCoefficient = 0.5*(inverseMass(index) + inverseMass(plus))/(dx*dx);
+      let minusCoefficient = 0.5*(inverseMass(index) + inverseMass(minus))/(dx*dx);
+      let twoV = 2.0*effectivePotential(index, waveFunction[index]);
+
+      // ∂²Ψ - 2VΨ, for the real and imaginary parts.
+      var kernel : array<vec2f, 2>;
+      for (var part = 0u; part < 2u; part++)
+      {
+        let psi = psiPart(index, part);
+        let secondDerivative = df64Subtract(df64Scale(df64Subtract(psiPart(plus, part), psi), plusCoefficient),
+                                            df64Scale(df64Subtract(psi, psiPart(minus, part)), minusCoefficient));
+        kernel[part] = df64Subtract(secondDerivative, df64Scale(psi, twoV));
+      }
+
+      let real = df64Subtract(vec2f(oldWaveFunction[index].x, oldWaveFunctionLow[index].x),
+                              df64Scale(kernel[1], parameters.dt));
+      let imaginary = df64Add(vec2f(oldWaveFunction[index].y, oldWaveFunctionLow[index].y),
+                              df64Scale(kernel[0], parameters.dt));
+      updatedWaveFunction[index] = vec2f(real.x, imaginary.x);
+      updatedWaveFunctionLow[index] = vec2f(real.y, imaginary.y);
+    }
+  `;
   }
 
   /**
@@ -251,13 +296,12 @@ class Schrodinger
    */
   async init()
   {
-    const timeStepShader = `
-    struct Parameters {
-        dt: f32,              // The time step, Δt.
-        xResolution: u32,     // The number of points along the x-axis, the number of elements in the array.
-        length: f32,          // The physical length for our simulation.
-        potential: array<f32> // The potential the particle moves through.
-    }
+    await super.init();
+    const device = this.getDevice();
+
+    const extended = this.getPrecision() === SchrodingerSolver.PRECISION_DF64;
+    const timeStepShader = extended ? this.#getExtendedTimeStepShader() : `
+    ${this.getParametersStruct()}
 
     // group 0, things that never change within a simulation.
     // The parameters for the simulation
@@ -270,6 +314,8 @@ class Schrodinger
     @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
     // The updated wave function at t+Δt.
     @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+    ${this.getSecondDerivativeFunction()}
+    ${this.getEffectivePotentialFunction()}
   
     @compute @workgroup_size(64)
     fn timeStep(@builtin(global_invocation_id) global_id : vec3u)
@@ -281,46 +327,26 @@ class Schrodinger
       }
       // The potential and the wave function arrays have the same size.
       let dx = parameters.length / f32(parameters.xResolution-1);
-      let dx2 = dx*dx;
       
-      let twoV = 2.0*parameters.potential[index];
+      let twoV = 2.0*effectivePotential(index, waveFunction[index]);
       let oldWaveFunctionAtX = oldWaveFunction[index];
       let waveFunctionAtX = waveFunction[index];
-      let waveFunctionAtXPlusDx = waveFunction[min(index+1, parameters.xResolution-1)];
-      let waveFunctionAtXMinusDx = waveFunction[max(index-1, 0)];
+      let secondDerivativeAtX = secondDerivative(index, 1u, index, parameters.xResolution, dx);
     
       updatedWaveFunction[index].x = oldWaveFunctionAtX.x
-                                    - ((waveFunctionAtXPlusDx.y - 2.0*waveFunctionAtX.y + waveFunctionAtXMinusDx.y)
-                                        / dx2 - twoV*waveFunctionAtX.y) * parameters.dt;
+                                    - (secondDerivativeAtX.y - twoV*waveFunctionAtX.y) * parameters.dt;
 
       updatedWaveFunction[index].y = oldWaveFunctionAtX.y
-                                        + ((waveFunctionAtXPlusDx.x - 2.0*waveFunctionAtX.x + waveFunctionAtXMinusDx.x)
-                                            / dx2 - twoV*waveFunctionAtX.x) * parameters.dt;
+                                        + (secondDerivativeAtX.x - twoV*waveFunctionAtX.x) * parameters.dt;
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -343,13 +369,21 @@ class Schrodinger
           buffer: {
             type: "storage"
           }
-        }
+        },
+        // The low parts, in df64 precision.
+        ...(extended ? [0, 1, 2].map(i => ({
+          binding: i + 3,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: i < 2 ? "read-only-storage" : "storage"
+          }
+        })) : [])
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+    this.#computePipeline = device.createComputePipeline({
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -357,67 +391,25 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT                    // length
-          + this.#xResolution*Float32Array.BYTES_PER_ELEMENT, // potential
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    let bytesSoFar = 0;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    if (this.#potential) {
-      new Float32Array(parametersArrayBuffer, bytesSoFar, this.#xResolution).set(this.#potential);
-    }
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBuffer2 = this.#device.createBuffer({
-      label: "Wave function 2",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBindGroup[0] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+    this.#waveFunctionBuffer2 = this.createWaveFunctionBuffer("Wave function 2");
+    // The low parts follow the high parts around the cycle, in df64 precision.
+    this.#lowWaveFunctionBuffers = extended
+        ? [0, 1, 2].map(i => this.createWaveFunctionBuffer(`Wave function ${i} low parts`))
+        : undefined;
+    const lowEntries = (first) => extended
+        ? [0, 1, 2].map(i => ({
+            binding: i + 3,
+            resource: {
+              buffer: this.#lowWaveFunctionBuffers[(first + i)%3]
+            }
+          }))
+        : [];
+
+    this.#waveFunctionBindGroups[0] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -436,12 +428,13 @@ class Schrodinger
           resource: {
             buffer: this.#waveFunctionBuffer2
           }
-        }
+        },
+        ...lowEntries(0)
       ]
     });
 
-    this.#waveFunctionBindGroup[1] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroups[1] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -460,11 +453,12 @@ class Schrodinger
           resource: {
             buffer: this.#waveFunctionBuffer0
           }
-        }
+        },
+        ...lowEntries(1)
       ]});
 
-    this.#waveFunctionBindGroup[2] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroups[2] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -483,37 +477,13 @@ class Schrodinger
           resource: {
             buffer: this.#waveFunctionBuffer1
           }
-        }
+        },
+        ...lowEntries(2)
       ]});
 
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, potential, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, potential, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
@@ -522,25 +492,27 @@ class Schrodinger
    */
   step(count=21)
   {
-    this.#running = true;
+    this.start();
 
+    const device = this.getDevice();
     // Recreate this because it can not be reused after finish is invoked.
-    const commandEncoder = this.#device.createCommandEncoder();
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
-    const passEncoder = commandEncoder.beginComputePass();
-    passEncoder.setPipeline(this.#computePipeline);
-    passEncoder.setBindGroup(0, this.#parametersBindGroup);
-    for (let i=0; i<count && this.#running; i++)
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
     {
-      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup[this.#nsteps%3]);
+      this.updatePotential(commandEncoder);
+      const passEncoder = commandEncoder.beginComputePass();
+      passEncoder.setPipeline(this.#computePipeline);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
       passEncoder.dispatchWorkgroups(workgroupCountX);
-      this.#nsteps++;
+      passEncoder.end();
+      this.incrementStepCount();
     }
-    passEncoder.end();
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
@@ -119,7 +119,7 @@ class SchrodingerInitializer
         
         struct WavePacketParameters {
             x0: f32, // The center of the wave packet.
-            w: f32,  // The width of the wave packet, in GeV^-1.
+            w: f32,  // The width of the wave packet, in natural units of length, see Units.
             k: f32   // The wave number, from particle momentum.
         }
         
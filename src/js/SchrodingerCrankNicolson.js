@@ -0,0 +1,534 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * The number of bytes in one row of the tridiagonal system, the sub diagonal, diagonal, super diagonal
+ * and right hand side, each a complex vec2f. On a periodic grid each row carries a second right hand side.
+ */
+const ROW_SIZE = 8*Float32Array.BYTES_PER_ELEMENT;
+const PERIODIC_ROW_SIZE = 10*Float32Array.BYTES_PER_ELEMENT;
+
+/**
+ * A Crank–Nicolson time evolver for the Schrödinger wave function. Each time step solves
+ *
+ *   (1 + iHΔt/2) Ψ(t+Δt) = (1 - iHΔt/2) Ψ(t)
+ *
+ * which is unconditionally stable and preserves the norm of the wave function, allowing much larger time steps
+ * than the explicit FDTD schemes. The complex tridiagonal system is solved on the GPU with parallel cyclic
+ * reduction, ⌈log₂(xResolution)⌉ reduction passes per time step, each a separate dispatch.
+ *
+ * The wave function is taken to vanish beyond the ends of a clamped grid, boundary value classes are not used. On a
+ * periodic grid the first and last points are coupled, making the system cyclic tridiagonal, A = T + uvᵀ. Taking
+ * the corner couplings, which are both -iw for the coupling w between the last and first points, out of the system
+ * leaves the tridiagonal T, with iw added to its first and last diagonal entries, u = -iw(1, 0, …, 0, 1) and
+ * v = (1, 0, …, 0, 1). T is again 1 + iK for a real symmetric K, so as well conditioned as the original system. The
+ * reduction passes solve Ty = d and Tz = u together, and the Sherman-Morrison formula gives
+ * <pre>
+ *   Ψ(t+Δt) = y - [(y₀ + yₙ₋₁)/(1 + z₀ + zₙ₋₁)] z
+ * </pre>
+ *
+ * @property {GPUBuffer} #waveFunctionBuffer The wave function buffer, updated in place on each time step.
+ * @property {GPUBindGroup} #waveFunctionBindGroup The bind group for the wave function buffer.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout for the wave function bind group.
+ * @property {GPUBuffer[]} #systemBuffers A pair of buffers holding the tridiagonal system, ping ponged through
+ *                                        the reduction passes.
+ * @property {GPUBuffer[]} #strideBuffers Uniform buffers holding the row stride for each reduction pass.
+ * @property {GPUBindGroup[]} #reductionBindGroups One bind group for building the system, one for each reduction
+ *                                                 pass, and a final one for the solution.
+ * @property {GPUBindGroupLayout} #reductionBindGroupLayout The layout shared by the reduction bind groups.
+ * @property {Integer} #reductionCount The number of cyclic reduction passes needed to decouple every row.
+ * @property {GPUComputePipeline} #buildSystemPipeline Builds the tridiagonal system from Ψ(t) and the potential.
+ * @property {GPUComputePipeline} #cyclicReductionPipeline Carries out one parallel cyclic reduction pass.
+ * @property {GPUComputePipeline} #solvePipeline Writes Ψ(t+Δt) from the fully reduced system.
+ */
+class Schrodinger extends SchrodingerSolver
+{
+  #waveFunctionBuffer;
+  #waveFunctionBindGroup;
+  #waveFunctionBindGroupLayout;
+  #systemBuffers = new Array(2);
+  #strideBuffers;
+  #reductionBindGroups;
+  #reductionBindGroupLayout;
+  #reductionCount;
+  #buildSystemPipeline;
+  #cyclicReductionPipeline;
+  #solvePipeline;
+
+  /**
+   * The tridiagonal solve is extended to the cyclic system of a periodic grid.
+   *
+   * @returns {Array<String>} The supported boundary modes.
+   */
+  getSupportedBoundaryModes()
+  {
+    return [SchrodingerSolver.BOUNDARY_CLAMPED, SchrodingerSolver.BOUNDARY_PERIODIC];
+  }
+
+  /**
+   * The potential is rewritten ahead of each step, and so enters both sides of the Crank-Nicolson system at t.
+   *
+   * @returns {Boolean} true
+   */
+  supportsTimeDependentPotential()
+  {
+    return true;
+  }
+
+  /**
+   * The diagonal of the Crank-Nicolson system takes {@link getEffectivePotentialFunction} at Ψ(t), so includes the
+   * Gross-Pitaevskii term.
+   *
+   * @returns {Boolean} true
+   */
+  supportsNonlinearity()
+  {
+    return true;
+  }
+
+  /**
+   * This solver's kinetic term is built on {@link getInverseMassFunction}, allowing a position dependent mass.
+   *
+   * @returns {Boolean} true
+   */
+  supportsEffectiveMass()
+  {
+    return true;
+  }
+
+  /**
+   * Get the bind group layout for the wave function storage array.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave function.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    return this.#waveFunctionBindGroupLayout;
+  }
+
+  /**
+   * Get the wave function bind group. The wave function is updated in place.
+   *
+   * @returns {GPUBindGroup} The wave function bind group.
+   */
+  getWaveFunctionBindGroup()
+  {
+    return this.#waveFunctionBindGroup;
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t).
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    return this.#waveFunctionBuffer;
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
+   *
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
+   */
+  setWaveFunction(data)
+  {
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<Schrodinger>} A promise that resolves to the Schrodinger object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+    const periodic = this.isPeriodic();
+
+    const timeStepShader = `
+    ${this.getParametersStruct()}
+
+    // One row of the tridiagonal system a Ψ[i-1] + b Ψ[i] + c Ψ[i+1] = d, all complex.
+    struct Row {
+        a: vec2f, // Sub diagonal
+        b: vec2f, // Diagonal
+        c: vec2f, // Super diagonal
+        d: vec2f, // Right hand side${periodic ? `
+        e: vec2f  // Right hand side for the Sherman-Morrison correction, u` : ""}
+    }
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // group 1, the wave function, updated in place.
+    @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+
+    // group 2, changes on each reduction pass.
+    // The distance between a row and the rows it is combined with.
+    @group(2) @binding(0) var<uniform> stride : u32;
+    // The system from the previous pass.
+    @group(2) @binding(1) var<storage, read> system : array<Row>;
+    // The system after this pass.
+    @group(2) @binding(2) var<storage, read_write> reducedSystem : array<Row>;
+
+    // Rows beyond the ends of the grid are the trivial equation Ψ = 0.
+    const identityRow = Row(vec2f(0.0, 0.0), vec2f(1.0, 0.0), vec2f(0.0, 0.0), vec2f(0.0, 0.0)${periodic ? `,
+                            vec2f(0.0, 0.0)` : ""});
+
+    fn complexMultiply(z: vec2f, w: vec2f) -> vec2f
+    {
+      return vec2f(z.x*w.x - z.y*w.y, z.x*w.y + z.y*w.x);
+    }
+
+    fn complexDivide(z: vec2f, w: vec2f) -> vec2f
+    {
+      return vec2f(z.x*w.x + z.y*w.y, z.y*w.x - z.x*w.y) / dot(w, w);
+    }
+
+    fn getRow(index: i32) -> Row
+    {
+      if (index < 0 || index >= i32(parameters.xResolution))
+      {
+        return identityRow;
+      }
+      return system[index];
+    }
+    ${this.getEffectivePotentialFunction()}
+    ${this.getInverseMassFunction()}
+
+    // Build (1 + iHΔt/2) Ψ(t+Δt) = (1 - iHΔt/2) Ψ(t), with H = -1/2 ∂x (1/m ∂x) + V. The nonlinear term in V
+    // is taken at t, which keeps the system linear at the cost of second order accuracy for g ≠ 0.
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn buildSystem(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      if (index >= parameters.xResolution)
+      {
+        return;
+      }
+
+      let dx = parameters.length / f32(parameters.xResolution-1);
+      // HΔt/2 couples each point to its neighbors with -Δt/(4Δx²) times 1/m averaged onto the midpoint between
+      // them, and has the sum of those couplings plus VΔt/2 on the diagonal. Beyond the ends of a clamped grid the
+      // mass is taken to be that of the edge point, a periodic grid wraps around.
+      let kineticScale = parameters.dt / (4.0*dx*dx);
+      let inverseMassAtX = inverseMass(index);${periodic ? `
+      let minusIndex = (index + parameters.xResolution - 1u) % parameters.xResolution;
+      let plusIndex = (index + 1u) % parameters.xResolution;` : `
+      let minusIndex = select(index, index-1, index > 0);
+      let plusIndex = select(index, index+1, index < parameters.xResolution-1);`}
+      let offDiagonalMinus = 0.5*(inverseMassAtX + inverseMass(minusIndex))*kineticScale;
+      let offDiagonalPlus = 0.5*(inverseMassAtX + inverseMass(plusIndex))*kineticScale;
+      let diagonal = offDiagonalMinus + offDiagonalPlus
+                     + 0.5*parameters.dt*effectivePotential(index, waveFunction[index]);
+      ${periodic ? `
+      let waveFunctionAtXMinusDx = waveFunction[minusIndex];
+      let waveFunctionAtXPlusDx = waveFunction[plusIndex];
+      let waveFunctionAtX = waveFunction[index];
+      let hPsi = diagonal*waveFunctionAtX - offDiagonalPlus*waveFunctionAtXPlusDx - offDiagonalMinus*waveFunctionAtXMinusDx;
+
+      // The corner coupling, -iw, between the first and last points moves into u, leaving iw on the diagonal.
+      let first = index == 0u;
+      let last = index == parameters.xResolution-1u;
+      let subDiagonal = select(vec2f(0.0, -offDiagonalMinus), vec2f(0.0, 0.0), first);
+      let superDiagonal = select(vec2f(0.0, -offDiagonalPlus), vec2f(0.0, 0.0), last);
+      let corner = select(0.0, offDiagonalMinus, first) + select(0.0, offDiagonalPlus, last);
+
+      // Ψ - iHΔt/2 Ψ, where -i(x + iy) = y - ix.
+      reducedSystem[index] = Row(subDiagonal, vec2f(1.0, diagonal + corner), superDiagonal,
+                                 waveFunctionAtX + vec2f(hPsi.y, -hPsi.x), vec2f(0.0, -corner));` : `
+      var waveFunctionAtXMinusDx = vec2f(0.0, 0.0);
+      var subDiagonal = vec2f(0.0, 0.0);
+      if (index > 0)
+      {
+        waveFunctionAtXMinusDx = waveFunction[index-1];
+        subDiagonal = vec2f(0.0, -offDiagonalMinus);
+      }
+
+      var waveFunctionAtXPlusDx = vec2f(0.0, 0.0);
+      var superDiagonal = vec2f(0.0, 0.0);
+      if (index < parameters.xResolution-1)
+      {
+        waveFunctionAtXPlusDx = waveFunction[index+1];
+        superDiagonal = vec2f(0.0, -offDiagonalPlus);
+      }
+
+      let waveFunctionAtX = waveFunction[index];
+      let hPsi = diagonal*waveFunctionAtX - offDiagonalPlus*waveFunctionAtXPlusDx - offDiagonalMinus*waveFunctionAtXMinusDx;
+
+      // Ψ - iHΔt/2 Ψ, where -i(x + iy) = y - ix.
+      reducedSystem[index] = Row(subDiagonal, vec2f(1.0, diagonal), superDiagonal, waveFunctionAtX + vec2f(hPsi.y, -hPsi.x));`}
+    }
+
+    // Eliminate the couplings to rows index±stride, leaving couplings to index±2*stride.
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn cyclicReduction(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = i32(global_id.x);
+      if (index >= i32(parameters.xResolution))
+      {
+        return;
+      }
+
+      let row = system[index];
+      let lower = getRow(index - i32(stride));
+      let upper = getRow(index + i32(stride));
+
+      let k1 = complexDivide(row.a, lower.b);
+      let k2 = complexDivide(row.c, upper.b);
+
+      reducedSystem[index] = Row(-complexMultiply(lower.a, k1),
+                                 row.b - complexMultiply(lower.c, k1) - complexMultiply(upper.a, k2),
+                                 -complexMultiply(upper.c, k2),
+                                 row.d - complexMultiply(lower.d, k1) - complexMultiply(upper.d, k2)${periodic ? `,
+                                 row.e - complexMultiply(lower.e, k1) - complexMultiply(upper.e, k2)` : ""});
+    }
+
+    // Every row is now decoupled, b Ψ(t+Δt) = d.
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn solve(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      if (index >= parameters.xResolution)
+      {
+        return;
+      }
+
+      let row = system[index];${periodic ? `
+      // Sherman-Morrison, Ψ(t+Δt) = y - [v·y/(1 + v·z)] z with v = (1, 0, …, 0, 1).
+      let first = system[0];
+      let last = system[parameters.xResolution-1];
+      let vy = complexDivide(first.d, first.b) + complexDivide(last.d, last.b);
+      let vz = complexDivide(first.e, first.b) + complexDivide(last.e, last.b);
+      waveFunction[index] = complexDivide(row.d, row.b)
+                            - complexMultiply(complexDivide(vy, vec2f(1.0, 0.0) + vz), complexDivide(row.e, row.b));` : `
+      waveFunction[index] = complexDivide(row.d, row.b);`}
+    }
+  `;
+
+    const timeStepShaderModule = device.createShaderModule({
+      label: 'Crank-Nicolson time step shader',
+      code: timeStepShader
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    this.#reductionBindGroupLayout = device.createBindGroupLayout({
+      label: "Cyclic reduction data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {}
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    const pipelineLayout = device.createPipelineLayout({
+      bindGroupLayouts: [
+        this.getParametersBindGroupLayout(),
+        this.#waveFunctionBindGroupLayout,
+        this.#reductionBindGroupLayout
+      ]
+    });
+
+    this.#buildSystemPipeline = device.createComputePipeline({
+      label: "build tridiagonal system pipeline",
+      layout: pipelineLayout,
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "buildSystem"
+      }
+    });
+
+    this.#cyclicReductionPipeline = device.createComputePipeline({
+      label: "cyclic reduction pipeline",
+      layout: pipelineLayout,
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "cyclicReduction"
+      }
+    });
+
+    this.#solvePipeline = device.createComputePipeline({
+      label: "solve reduced system pipeline",
+      layout: pipelineLayout,
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "solve"
+      }
+    });
+
+    // Wave function representation
+    this.#waveFunctionBuffer = this.createWaveFunctionBuffer("Wave function");
+
+    this.#waveFunctionBindGroup = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#waveFunctionBuffer
+          }
+        }
+      ]
+    });
+
+    for (let i=0; i<2; i++)
+    {
+      this.#systemBuffers[i] = device.createBuffer({
+        label: `Tridiagonal system ${i}`,
+        size: this.getXResolution()*(periodic ? PERIODIC_ROW_SIZE : ROW_SIZE),
+        usage: this.isDebug() ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
+      });
+    }
+
+    // After k passes each row is coupled only to rows 2^k away, so ⌈log₂(xResolution)⌉ passes decouple them all.
+    this.#reductionCount = Math.ceil(Math.log2(this.getXResolution()));
+
+    // Pass 0 builds the system into buffer 0, pass k reads buffer (k-1)%2 and writes buffer k%2, with
+    // stride 2^(k-1). The final solve pass reads the fully reduced system.
+    this.#strideBuffers = new Array(this.#reductionCount+2);
+    this.#reductionBindGroups = new Array(this.#reductionCount+2);
+    for (let pass=0; pass<this.#reductionCount+2; pass++)
+    {
+      const stride = pass === 0 ? 0 : 2**(pass-1);
+      const output = pass%2;
+
+      this.#strideBuffers[pass] = device.createBuffer({
+        label: `Reduction stride ${pass}`,
+        mappedAtCreation: true,
+        size: Uint32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.UNIFORM
+      });
+      new Uint32Array(this.#strideBuffers[pass].getMappedRange(), 0, 1).set([stride]);
+      this.#strideBuffers[pass].unmap();
+
+      this.#reductionBindGroups[pass] = device.createBindGroup({
+        layout: this.#reductionBindGroupLayout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: this.#strideBuffers[pass]
+            }
+          },
+          {
+            binding: 1,
+            resource: {
+              buffer: this.#systemBuffers[1-output]
+            }
+          },
+          {
+            binding: 2,
+            resource: {
+              buffer: this.#systemBuffers[output]
+            }
+          }
+        ]
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Execute count iterations of the simulation. Each iteration builds the tridiagonal system from the
+   * current wave function, reduces it, and writes the updated wave function in place.
+   *
+   * @param {Integer} count The number of iterations to carry out.
+   */
+  step(count=20)
+  {
+    this.start();
+
+    const device = this.getDevice();
+    // Recreate this because it can not be reused after finish is invoked.
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
+    {
+      // A time dependent potential is rewritten in its own pass, ahead of the passes reading it.
+      this.updatePotential(commandEncoder);
+      const passEncoder = commandEncoder.beginComputePass();
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
+      passEncoder.setPipeline(this.#buildSystemPipeline);
+      passEncoder.setBindGroup(2, this.#reductionBindGroups[0]);
+      passEncoder.dispatchWorkgroups(workgroupCountX);
+
+      passEncoder.setPipeline(this.#cyclicReductionPipeline);
+      for (let pass=1; pass<=this.#reductionCount; pass++)
+      {
+        passEncoder.setBindGroup(2, this.#reductionBindGroups[pass]);
+        passEncoder.dispatchWorkgroups(workgroupCountX);
+      }
+
+      // The last reduction pass wrote the buffer the solve bind group reads.
+      passEncoder.setPipeline(this.#solvePipeline);
+      passEncoder.setBindGroup(2, this.#reductionBindGroups[this.#reductionCount+1]);
+      passEncoder.dispatchWorkgroups(workgroupCountX);
+      passEncoder.end();
+      this.incrementStepCount();
+    }
+    // Submit GPU commands.
+    const gpuCommands = commandEncoder.finish();
+    device.queue.submit([gpuCommands]);
+  }
+}
+
+export {Schrodinger}
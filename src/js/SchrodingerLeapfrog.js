@@ -13,179 +13,79 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 
 /**
  * @typedef {Number} Integer
  */
 
-const WORKGROUP_SIZE = 64;
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
 
 /**
  * An FDTD time evolver for the Schrödinger wave function.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {Array<Number>} #potential An array of potential values, array elements correspond to physical locations
- *                                      just as the wave function arrays.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer The wave function buffer.
- * @property {GPUBindGroup[]} #waveFunctionBindGroup THe bind group for the wave function buffer.
- * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
+ * @property {GPUBindGroup} #waveFunctionBindGroup The bind group for the wave function buffer.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout for the wave function bind group.
+ * @property {GPUComputePipeline} #imaginaryPartTimeStep The pipeline updating the imaginary part of the wave function.
+ * @property {GPUComputePipeline} #realPartTimeStep The pipeline updating the real part of the wave function.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #length;
-  #xResolution;
-  #potential;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer;
   #waveFunctionBindGroup;
+  #waveFunctionBindGroupLayout;
   #imaginaryPartTimeStep;
-  #realPartTimeStep
-  #debug;
+  #realPartTimeStep;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * Both the real and the imaginary updates are built on the shared stencil.
    *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
+   * @returns {Boolean} true
    */
-  constructor(dt, xResolution, length, potential, debug=false)
+  usesSharedStencil()
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#potential = potential;
-    this.#debug = debug;
+    return true;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * The potential is rewritten ahead of each pair of real and imaginary updates.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {Boolean} true
    */
-  getTimeStep()
+  supportsTimeDependentPotential()
   {
-    return this.#dt;
+    return true;
   }
 
   /**
-   * Set the FDTD time step.
+   * The staggered real and imaginary updates are stable for Δt·ρ(H) up to 2.
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {Number} 2
    */
-  setTimeStep(dt)
+  getStabilityFactor()
   {
-    this.#dt = dt;
-    return this;
-  }
-
-  /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @returns {Number} The number of spatial steps in the wave function representation.
-   */
-  getXResolution()
-  {
-    return this.#xResolution;
-  }
-
-  /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
-   */
-  setXResolution(xResolution)
-  {
-    this.#xResolution = xResolution;
-    return this;
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @returns {Number} The physical length of this simulation.
-   */
-  getLength()
-  {
-    return this.#length
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
-   */
-  setLength(length)
-  {
-    this.#length = length;
-    return this;
-  }
-
-  /**
-   * Get the potential on our grid.
-   *
-   * @returns {Array<Number>} An array of potential values on our grid.
-   */
-  getPotential()
-  {
-    return this.#potential;
+    return 2;
   }
 
   /**
-   * Set the potential, V(x), used in the Schrödinger equation.
+   * Get the bind group layout for the wave function storage array.
    *
-   * @param {Array<Number>} potential An array of potential values on our grid.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave function.
    */
-  setPotential(potential)
+  getWaveFunctionBindGroupLayout()
   {
-    this.#potential = potential;
-    return this;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the bind group for the wave function parameters in the wave equation.
+   * Get the wave function bind group. The real and imaginary parts are updated in place.
    *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
+   * @returns {GPUBindGroup} The wave function bind group.
    */
-  getParametersBindGroup()
+  getWaveFunctionBindGroup()
   {
-    return this.#parametersBindGroup;
-  }
-
-  /**
-   * Get the bind group layout for the schrodinger solver parameters.
-   *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
-   */
-  getParametersBindGroupLayout()
-  {
-    return this.#parametersBindGroupLayout;
+    return this.#waveFunctionBindGroup;
   }
 
   /**
@@ -199,23 +99,16 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display or debugging.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
    *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getParametersBuffer()
+  setWaveFunction(data)
   {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
-   *
-   * @returns {GPUDevice} The device in use for this simulation.
-   */
-  getDevice()
-  {
-    return this.#device;
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -228,13 +121,11 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
-    struct Parameters {
-        dt: f32,              // The time step, Δt.
-        xResolution: u32,     // The number of points along the x-axis, the number of elements in the array.
-        length: f32,          // The physical length for our simulation.
-        potential: array<f32> // The potential the particle moves through.
-    }
+    ${this.getParametersStruct()}
 
     // group 0, things that never change within a simulation.
     // The parameters for the simulation
@@ -242,6 +133,8 @@ class Schrodinger
   
     // Group 1, Current wave function with Ψ_r at t and Ψ_i at t+Δt/2.
     @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+    ${this.getSecondDerivativeFunction()}
+    ${this.getEffectivePotentialFunction()}
 
     /**
      * Timestep the imaginary component of the wave function. For consistency and correctness we must
@@ -257,16 +150,13 @@ class Schrodinger
       }
       // The potential and the wave function arrays have the same size.
       let dx = parameters.length / f32(parameters.xResolution-1);
-      let dx22 = 2.0*dx*dx;
       
-      let V = parameters.potential[index];
+      let V = effectivePotential(index, waveFunction[index]);
       let waveFunctionAtX = waveFunction[index];
-      let waveFunctionAtXPlusDx = waveFunction[min(index+1, parameters.xResolution-1)];
-      let waveFunctionAtXMinusDx = waveFunction[max(index-1, 0)];
+      let secondDerivativeAtX = secondDerivative(index, 1u, index, parameters.xResolution, dx);
     
       waveFunction[index].y = waveFunctionAtX.y
-                                        + ((waveFunctionAtXPlusDx.x - 2.0*waveFunctionAtX.x + waveFunctionAtXMinusDx.x)
-                                            / dx22 - V*waveFunctionAtX.x) * parameters.dt;
+                                        + (secondDerivativeAtX.x/2.0 - V*waveFunctionAtX.x) * parameters.dt;
     }
     
     /**
@@ -283,41 +173,22 @@ class Schrodinger
       }
       // The potential and the wave function arrays have the same size.
       let dx = parameters.length / f32(parameters.xResolution-1);
-      let dx22 = 2.0*dx*dx;
       
-      let V = parameters.potential[index];
+      let V = effectivePotential(index, waveFunction[index]);
       let waveFunctionAtX = waveFunction[index];
-      let waveFunctionAtXPlusDx = waveFunction[min(index+1, parameters.xResolution-1)];
-      let waveFunctionAtXMinusDx = waveFunction[max(index-1, 0)];
+      let secondDerivativeAtX = secondDerivative(index, 1u, index, parameters.xResolution, dx);
     
       waveFunction[index].x = waveFunctionAtX.x
-                                    - ((waveFunctionAtXPlusDx.y - 2.0*waveFunctionAtX.y + waveFunctionAtXMinusDx.y)
-                                        / dx22 - V*waveFunctionAtX.y) * parameters.dt;
+                                    - (secondDerivativeAtX.y/2.0 - V*waveFunctionAtX.y) * parameters.dt;
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -330,10 +201,10 @@ class Schrodinger
       ]
     });
 
-    this.#imaginaryPartTimeStep = this.#device.createComputePipeline({
-        label: "update imaginary part pipeline",
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+    this.#imaginaryPartTimeStep = device.createComputePipeline({
+      label: "update imaginary part pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -341,67 +212,22 @@ class Schrodinger
       }
     });
 
-      this.#realPartTimeStep = this.#device.createComputePipeline({
-          label: "update real part pipeline",
-          layout: this.#device.createPipelineLayout({
-              bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
-          }),
-          compute: {
-              module: timeStepShaderModule,
-              entryPoint: "realPartTimeStep"
-          }
-      });
-
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT                    // length
-          + this.#xResolution*Float32Array.BYTES_PER_ELEMENT, // potential
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    let bytesSoFar = 0;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    if (this.#potential) {
-      new Float32Array(parametersArrayBuffer, bytesSoFar, this.#xResolution).set(this.#potential);
-    }
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
-    // Wave function representations
-    this.#waveFunctionBuffer = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
+    this.#realPartTimeStep = device.createComputePipeline({
+      label: "update real part pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
+      }),
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "realPartTimeStep"
+      }
     });
 
+    // Wave function representation
+    this.#waveFunctionBuffer = this.createWaveFunctionBuffer("Wave function 0");
 
-    this.#waveFunctionBindGroup = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroup = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -415,31 +241,6 @@ class Schrodinger
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, potential, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, potential, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation. Each iteration consists of one update to the
    * real part of the wave function, and one update to the imaginary part of the wave function.
@@ -448,31 +249,34 @@ class Schrodinger
    */
   step(count=21)
   {
-    this.#running = true;
+    this.start();
 
+    const device = this.getDevice();
     // Recreate this because it can not be reused after finish is invoked.
-    const commandEncoder = this.#device.createCommandEncoder();
-    const workgroupCountX = Math.ceil(this.#xResolution / WORKGROUP_SIZE);
-    for (let i=0; i<count && this.#running; i++)
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
     {
+      this.updatePotential(commandEncoder);
       const realPassEncoder = commandEncoder.beginComputePass();
       realPassEncoder.setPipeline(this.#realPartTimeStep);
-      realPassEncoder.setBindGroup(0, this.#parametersBindGroup);
+      realPassEncoder.setBindGroup(0, this.getParametersBindGroup());
       realPassEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
       realPassEncoder.dispatchWorkgroups(workgroupCountX);
       realPassEncoder.end();
 
       const imaginaryPassEncoder = commandEncoder.beginComputePass();
       imaginaryPassEncoder.setPipeline(this.#imaginaryPartTimeStep);
-      imaginaryPassEncoder.setBindGroup(0, this.#parametersBindGroup);
+      imaginaryPassEncoder.setBindGroup(0, this.getParametersBindGroup());
       imaginaryPassEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
       imaginaryPassEncoder.dispatchWorkgroups(workgroupCountX);
       imaginaryPassEncoder.end();
+      this.incrementStepCount();
     }
 
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
   }
 }
 
@@ -13,7 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 
 /**
  * @typedef {Number} Integer
@@ -23,228 +23,90 @@ import {WebGPUCompute} from "./WebGPUCompute.js";
  * An FDTD time evolver for the Schrödinger wave function. This one has wave function buffers mappable and
  * copyable to experiment with setting initial wave functions.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {Array<Number>} #potential An array of potential values, array elements correspond to physical locations
- *                                      just as the wave function arrays.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer2 One of three wave function buffers.
- * @property {GPUBindGroup[]} #waveFunctionBindGroup A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @paoperty {Integer} #nsteps The number of timesteps taken so far.
- * @property {Boolean} #bcEnabled Whether to invoke the boundary value computations.
- * @property {MurBoundary} #boundary A MurBoundary instance, or similar boundary value class.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #dtOffset;
-  #length;
-  #lengthOffset;
-  #xResolution;
-  #xResolutionOffset;
-  #potential;
-  #potentialOffset;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBuffer2;
   #waveFunctionBindGroups = new Array(3);
   #waveFunctionBindGroupLayout;
   #computePipeline;
-  #nsteps;
-  // true => invoke boundary conditions - make sure boundary is set before setting this.
-  #bcEnabled = false;
-  // Renders the boundary at t+dt after the main t+dt rendering
-  #boundary;
-  #debug;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * The central difference step is built on the shared stencil.
    *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
+   * @returns {Boolean} true
    */
-  constructor(dt, xResolution, length, potential, debug=false)
+  usesSharedStencil()
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#potential = potential;
-    this.#nsteps = 0;
-    this.#debug = debug;
+    return true;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * The Mur boundary pass follows each step.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {String} "centralDifference"
    */
-  getTimeStep()
+  getBoundaryScheme()
   {
-    return this.#dt;
+    return SchrodingerSolver.SCHEME_CENTRAL_DIFFERENCE;
   }
 
   /**
-   * Set the FDTD time step.
+   * The potential is rewritten ahead of each step and its Mur boundary pass.
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {Boolean} true
    */
-  setTimeStep(dt)
+  supportsTimeDependentPotential()
   {
-    this.#dt = dt;
-    return this;
-  }
-
-  /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @returns {Number} The number of spatial steps in the wave function representation.
-   */
-  getXResolution()
-  {
-    return this.#xResolution;
+    return true;
   }
 
   /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
+   * The central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), is stable for Δt·ρ(H) up to 1.
    *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
+   * @returns {Number} 1
    */
-  setXResolution(xResolution)
+  getStabilityFactor()
   {
-    this.#xResolution = xResolution;
-    return this;
+    return 1;
   }
 
   /**
-   * Get the physical length of this simulation.
-   *
-   * @returns {Number} The physical length of this simulation.
-   */
-  getLength()
-  {
-    return this.#length
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
-   */
-  setLength(length)
-  {
-    this.#length = length;
-    return this;
-  }
-
-  /**
-   * Get the potential on our grid.
-   *
-   * @returns {Array<Number>} An array of potential values on our grid.
-   */
-  getPotential()
-  {
-    return this.#potential;
-  }
-
-  /**
-   * Set the potential, V(x), used in the Schrödinger equation.
-   *
-   * @param {Array<Number>} potential An array of potential values on our grid.
-   * @returns {Schrodinger}
-   */
-  setPotential(potential)
-  {
-    this.#potential = potential;
-    return this;
-  }
-
-  /**
-   * Set the boundary value delegate.
-   *
-   * @param {MurBoundary}   boundary    A MurBoundary instance, or similar boundary value class.
-   */
-  setBoundary(boundary)
-  {
-    this.#boundary = boundary;
-    return this;
-  }
-
-  /**
-   * Set whether ot not to use the boundary conditions. If true, the boundary conditions are
-   * enforced, if false, they are ignored.
-   *
-   * @param {boolean} enabled True if boundary conditions are enabled, false if not.
-   */
-  setBCEnabled = function(enabled)
-  {
-    this.#bcEnabled = enabled;
-    return this;
-  }
-
-  /**
-   * Check whether boundary conditions are enabled. Returns true is they are enabled, false if not.
-   *
-   * @returns {boolean} True if boundary conditions are enabled, false if not.
-   */
-  isBCEnabled = function()
-  {
-    return bcEnabled;
-  }
-
-  /**
-   * Get the bind group for the wave function parameters in the wave equation.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  getParametersBindGroup()
+  getWaveFunctionBindGroupLayout()
   {
-    return this.#parametersBindGroup;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the bind group layout for the schrodinger solver parameters.
+   * Get the wave function bind group for the next time step, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt).
    *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  getParametersBindGroupLayout()
+  getWaveFunctionBindGroup()
   {
-    return this.#parametersBindGroupLayout;
+    return this.#waveFunctionBindGroups[this.getStepCount()%3];
   }
 
   /**
-   * Get the bind group layout for the wave function storage arrays.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  getWavefunctionBindGroupLayout()
+  getWaveFunctionBuffer()
   {
-    return this.#waveFunctionBindGroupLayout;
+    return [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2][(this.getStepCount()+1)%3];
   }
 
   /**
@@ -278,32 +140,19 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display or debugging.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader. These values update both Ψ(t-Δt) and Ψ(t).
    *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getParametersBuffer()
-  {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
-   *
-   * @returns {GPUDevice} The device in use for this simulation.
-   */
-  getDevice()
-  {
-    return this.#device;
-  }
-
-
   setWaveFunction(data)
   {
+    const device = this.getDevice();
     const float32Data = new Float32Array(data);
-    this.#device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 2*this.#xResolution);
-    this.#device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 2*this.#xResolution);
-    this.#nsteps = 0;
+    device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 2*this.getXResolution());
+    device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -316,13 +165,11 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
-    struct Parameters {
-        dt: f32,              // The time step, Δt.
-        xResolution: u32,     // The number of points along the x-axis, the number of elements in the array.
-        length: f32,          // The physical length for our simulation.
-        potential: array<f32> // The potential the particle moves through.
-    }
+    ${this.getParametersStruct()}
 
     // group 0, things that never change within a simulation.
     // The parameters for the simulation
@@ -335,6 +182,8 @@ class Schrodinger
     @group(1) @binding(1) var<storage, read> waveFunction : array<vec2f>;
     // The updated wave function at t+Δt.
     @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec2f>;
+    ${this.getSecondDerivativeFunction()}
+    ${this.getEffectivePotentialFunction()}
   
     @compute @workgroup_size(64)
     fn timeStep(@builtin(global_invocation_id) global_id : vec3u)
@@ -346,46 +195,26 @@ class Schrodinger
       }
       // The potential and the wave function arrays have the same size.
       let dx = parameters.length / f32(parameters.xResolution-1);
-      let dx2 = dx*dx;
       
-      let twoV = 2.0*parameters.potential[index];
+      let twoV = 2.0*effectivePotential(index, waveFunction[index]);
       let oldWaveFunctionAtX = oldWaveFunction[index];
       let waveFunctionAtX = waveFunction[index];
-      let waveFunctionAtXPlusDx = waveFunction[min(index+1, parameters.xResolution-1)];
-      let waveFunctionAtXMinusDx = waveFunction[max(index-1, 0)];
+      let secondDerivativeAtX = secondDerivative(index, 1u, index, parameters.xResolution, dx);
     
       updatedWaveFunction[index].x = oldWaveFunctionAtX.x
-                                    - ((waveFunctionAtXPlusDx.y - 2.0*waveFunctionAtX.y + waveFunctionAtXMinusDx.y)
-                                        / dx2 - twoV*waveFunctionAtX.y) * parameters.dt;
+                                    - (secondDerivativeAtX.y - twoV*waveFunctionAtX.y) * parameters.dt;
 
       updatedWaveFunction[index].y = oldWaveFunctionAtX.y
-                                        + ((waveFunctionAtXPlusDx.x - 2.0*waveFunctionAtX.x + waveFunctionAtXMinusDx.x)
-                                            / dx2 - twoV*waveFunctionAtX.x) * parameters.dt;
+                                        + (secondDerivativeAtX.x - twoV*waveFunctionAtX.x) * parameters.dt;
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    this.#waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -412,9 +241,9 @@ class Schrodinger
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
-      layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, this.#waveFunctionBindGroupLayout]
+    this.#computePipeline = device.createComputePipeline({
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -422,73 +251,12 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT                    // length
-          + this.#xResolution*Float32Array.BYTES_PER_ELEMENT, // potential
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    let bytesSoFar = 0;
-    this.#dtOffset = bytesSoFar;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-
-    this.#xResolutionOffset = bytesSoFar;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-
-    this.#lengthOffset = bytesSoFar;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-
-    this.#potentialOffset = bytesSoFar;
-    if (this.#potential) {
-      new Float32Array(parametersArrayBuffer, bytesSoFar, this.#xResolution).set(this.#potential);
-    }
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+    this.#waveFunctionBuffer2 = this.createWaveFunctionBuffer("Wave function 2");
 
-    this.#waveFunctionBuffer2 = this.#device.createBuffer({
-      label: "Wave function 2",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBindGroups[0] = this.#device.createBindGroup({
+    this.#waveFunctionBindGroups[0] = device.createBindGroup({
       layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
@@ -512,7 +280,7 @@ class Schrodinger
       ]
     });
 
-    this.#waveFunctionBindGroups[1] = this.#device.createBindGroup({
+    this.#waveFunctionBindGroups[1] = device.createBindGroup({
       layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
@@ -535,7 +303,7 @@ class Schrodinger
         }
       ]});
 
-    this.#waveFunctionBindGroups[2] = this.#device.createBindGroup({
+    this.#waveFunctionBindGroups[2] = device.createBindGroup({
       layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
@@ -561,32 +329,6 @@ class Schrodinger
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {MurBoundary}   boundary    A MurBoundary instance, or similar boundary value class.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, potential, boundary, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, potential, boundary, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
@@ -595,32 +337,34 @@ class Schrodinger
    */
   step(count=21)
   {
-    this.#running = true;
+    this.start();
 
+    const device = this.getDevice();
     // Recreate this because it can not be reused after finish is invoked.
-    const commandEncoder = this.#device.createCommandEncoder();
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
 
-    for (let i=0; i<count && this.#running; i++)
+    for (let i=0; i<count && this.isRunning(); i++)
     {
-      const waveFunctionBindGroup = this.#waveFunctionBindGroups[this.#nsteps%3];
+      const waveFunctionBindGroup = this.getWaveFunctionBindGroup();
+      this.updatePotential(commandEncoder);
       const passEncoder = commandEncoder.beginComputePass();
       passEncoder.setPipeline(this.#computePipeline);
-      passEncoder.setBindGroup(0, this.#parametersBindGroup);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
       passEncoder.setBindGroup(1, waveFunctionBindGroup);
       passEncoder.dispatchWorkgroups(workgroupCountX);
       passEncoder.end();
-      if (this.#bcEnabled)
+      if (this.isBCEnabled())
       {
-        this.#boundary.makeComputePass(commandEncoder, waveFunctionBindGroup);
+        this.getBoundary().makeComputePass(commandEncoder, waveFunctionBindGroup);
       }
-      this.#nsteps++;
+      this.incrementStepCount();
     }
 
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
@@ -13,7 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 
 /**
  * @typedef {Number} Integer
@@ -22,125 +22,62 @@ import {WebGPUCompute} from "./WebGPUCompute.js";
 /**
  * An FDTD time evolver for the Schrödinger wave function.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Array<Number>} #potential   An array of potential values, array elements correspond to physical locations
- *                                        just as the wave function arrays.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of two wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of two wave function buffers.
  * @property {GPUBindGroup[]} #waveFunctionBindGroup A pair of bind groups, used to ping pong the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #length;
-  #xResolution;
-  #potential;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBindGroup = new Array(2);
+  #waveFunctionBindGroupLayout;
   #computePipeline;
-  #debug;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * The explicit Euler step, as in Schrodinger.js, with the potential added, has no stable time step.
    *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the potential and wave function arrays, the number of spatial
-   *                                    steps on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function and potential buffers copyable, potentially having
-   *                                    a performance impact. Defaults to false.
+   * @returns {Number} 0
    */
-  constructor(dt, xResolution, length, potential, debug=false)
+  getStabilityFactor()
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#potential = potential;
-    this.#debug = debug;
+    return 0;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  getTimeStep()
+  getWaveFunctionBindGroupLayout()
   {
-    return this.#dt;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
+   * Get the wave function bind group for the next time step, binding Ψ(t) and Ψ(t+Δt).
    *
-   * @returns {Number} The number of spatial steps in the wave function representation.
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  getXResolution()
+  getWaveFunctionBindGroup()
   {
-    return this.#xResolution;
+    return this.#waveFunctionBindGroup[this.getStepCount()%2];
   }
 
   /**
-   * Get the physical length of this simulation.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @returns {Number} The physical length of this simulation.
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  getLength()
+  getWaveFunctionBuffer()
   {
-    return this.#length
+    return this.getStepCount()%2 === 0 ? this.#waveFunctionBuffer0 : this.#waveFunctionBuffer1;
   }
 
   /**
-   * Get the potential on our grid.
-   *
-   * @returns {Array<Number>} An array of potential values on our grid.
-   */
-  getPotential()
-  {
-    return this.#potential;
-  }
-
-  /**
-   * Get the bind group for the wave function parameters in the wave equation.
-   *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
-   */
-  getParametersBindGroup()
-  {
-    return this.#parametersBindGroup;
-  }
-
-  /**
-   * Get the bind group layout for the schrodinger solver parameters.
-   *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
-   */
-  getParametersBindGroupLayout()
-  {
-    return this.#parametersBindGroupLayout;
-  }
-
-  /**
-   * Get a wave function buffer for display or debugging.
+   * Get a wave function buffer for display, or debugging.
    *
    * @returns {GPUBuffer} A wave function buffer.
    */
@@ -150,7 +87,7 @@ class Schrodinger
   }
 
   /**
-   * Get a wave function buffer for display or debugging.
+   * Get a wave function buffer for display, or debugging.
    *
    * @returns {GPUBuffer} A wave function buffer.
    */
@@ -160,23 +97,16 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display or debugging.
-   *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
-   */
-  getParametersBuffer()
-  {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
    *
-   * @returns {GPUDevice} The device in use for this simulation.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getDevice()
+  setWaveFunction(data)
   {
-    return this.#device;
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer0, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -189,6 +119,9 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
     struct Parameters {
         dt: f32,              // The time step, Δt.
@@ -234,28 +167,12 @@ class Schrodinger
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -275,9 +192,9 @@ class Schrodinger
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+    this.#computePipeline = device.createComputePipeline({
+        layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -285,60 +202,12 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT                    // length
-          + this.#xResolution*Float32Array.BYTES_PER_ELEMENT, // potential
-      usage:  this.#debug ? GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    var bytesSoFar = 0;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    if (this.#potential) {
-      new Float32Array(parametersArrayBuffer, bytesSoFar, this.#xResolution).set(this.#potential);
-    }
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]});
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
 
-    this.#waveFunctionBindGroup[0] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroup[0] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -355,8 +224,8 @@ class Schrodinger
       ]
     });
 
-    this.#waveFunctionBindGroup[1] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroup[1] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -375,56 +244,33 @@ class Schrodinger
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, potential, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, potential, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
-   * @param {Integer }count The number of iterations to carry out.
+   * @param {Integer} count The number of iterations to carry out.
    */
   step(count=20)
   {
-    this.#running = true;
+    this.start();
 
+    const device = this.getDevice();
     // Recreate this because it can not be reused after finish is invoked.
-    const commandEncoder = this.#device.createCommandEncoder();
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
     const passEncoder = commandEncoder.beginComputePass();
     passEncoder.setPipeline(this.#computePipeline);
-    passEncoder.setBindGroup(0, this.#parametersBindGroup);
-    for (let i=0; i<count && this.#running; i++)
+    passEncoder.setBindGroup(0, this.getParametersBindGroup());
+    for (let i=0; i<count && this.isRunning(); i++)
     {
-      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup[i%2]);
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
       passEncoder.dispatchWorkgroups(workgroupCountX);
+      this.incrementStepCount();
     }
     passEncoder.end();
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
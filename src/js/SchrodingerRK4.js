@@ -0,0 +1,458 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * The number of Runge-Kutta stages.
+ */
+const STAGE_COUNT = 4;
+
+/**
+ * A classical fourth order Runge-Kutta time evolver for the Schrödinger wave function, dΨ/dt = -iHΨ with
+ * H = -½∂²/∂x² + V. This is a well understood reference for the central difference and leapfrog schemes, fourth
+ * order in time and stable for Δt up to 2√2 over the largest eigenvalue of H, roughly 2√2/(2/Δx² + max V).
+ *
+ * Each time step runs four stages. Each stage evaluates k = -iHΨ for the stage wave function, then a combine pass
+ * accumulates k into the weighted sum and forms the next stage wave function, or, on the last stage, updates Ψ.
+ *
+ *   k1 = f(Ψ),          sum = k1/6,    stage = Ψ + Δt/2 k1
+ *   k2 = f(stage),      sum += k2/3,   stage = Ψ + Δt/2 k2
+ *   k3 = f(stage),      sum += k3/3,   stage = Ψ + Δt k3
+ *   k4 = f(stage),      Ψ += Δt (sum + k4/6)
+ *
+ * Ψ is updated in place, there is no Ψ(t-Δt) for a boundary value delegate, so boundary conditions are not supported.
+ *
+ * @property {GPUBuffer} #waveFunctionBuffer The wave function Ψ(t), updated in place on the last stage.
+ * @property {GPUBuffer} #stageBuffer The stage wave function, Ψ plus a fraction of Δt times the latest k.
+ * @property {GPUBuffer} #derivativeBuffer The latest k = -iHΨ.
+ * @property {GPUBuffer} #sumBuffer The weighted sum of the stage derivatives.
+ * @property {GPUBindGroupLayout} #derivativeBindGroupLayout The layout for the stage input and derivative.
+ * @property {GPUBindGroup[]} #derivativeBindGroups Bind groups evaluating k from Ψ, for the first stage, or from the
+ *                                                   stage wave function, for the remaining stages.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout for Ψ and the stage buffers.
+ * @property {GPUBindGroup} #waveFunctionBindGroup The bind group for Ψ and the stage buffers.
+ * @property {GPUBindGroup[]} #stageBindGroups The per stage uniforms for the combine pass.
+ * @property {GPUComputePipeline} #derivativePipeline The pipeline evaluating k = -iHΨ.
+ * @property {GPUComputePipeline} #combinePipeline The pipeline accumulating the stages.
+ */
+class Schrodinger extends SchrodingerSolver
+{
+  #waveFunctionBuffer;
+  #stageBuffer;
+  #derivativeBuffer;
+  #sumBuffer;
+  #derivativeBindGroupLayout;
+  #derivativeBindGroups = new Array(2);
+  #waveFunctionBindGroupLayout;
+  #waveFunctionBindGroup;
+  #stageBindGroups = new Array(STAGE_COUNT);
+  #derivativePipeline;
+  #combinePipeline;
+
+  /**
+   * The derivative pass of each stage is built on the shared stencil.
+   *
+   * @returns {Boolean} true
+   */
+  usesSharedStencil()
+  {
+    return true;
+  }
+
+  /**
+   * The potential is rewritten once per step, and held fixed over the four Runge-Kutta stages.
+   *
+   * @returns {Boolean} true
+   */
+  supportsTimeDependentPotential()
+  {
+    return true;
+  }
+
+  /**
+   * RK4's stability region reaches 2√2 along the imaginary axis, so it is stable for Δt·ρ(H) up to 2√2. The
+   * amplitude still decays slowly below this, RK4 is not unitary.
+   *
+   * @returns {Number} 2√2
+   */
+  getStabilityFactor()
+  {
+    return 2*Math.SQRT2;
+  }
+
+  /**
+   * Get the bind group layout for the wave function and the Runge-Kutta stage buffers, Ψ is at binding 0.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave function.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    return this.#waveFunctionBindGroupLayout;
+  }
+
+  /**
+   * Get the wave function bind group. Ψ, at binding 0, is updated in place.
+   *
+   * @returns {GPUBindGroup} The wave function bind group.
+   */
+  getWaveFunctionBindGroup()
+  {
+    return this.#waveFunctionBindGroup;
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t).
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    return this.#waveFunctionBuffer;
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
+   *
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
+   */
+  setWaveFunction(data)
+  {
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<Schrodinger>} A promise that resolves to the Schrodinger object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+
+    const derivativeShader = `
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // Group 1, the stage wave function, and its time derivative.
+    @group(1) @binding(0) var<storage, read> waveFunction : array<vec2f>;
+    @group(1) @binding(1) var<storage, read_write> derivative : array<vec2f>;
+    ${this.getSecondDerivativeFunction()}
+    ${this.getEffectivePotentialFunction()}
+
+    // k = -iHΨ
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn timeDerivative(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      // Skip invocations when work groups exceed the actual problem size
+      if (index >= parameters.xResolution) {
+        return;
+      }
+      let dx = parameters.length / f32(parameters.xResolution-1);
+
+      let hPsi = -0.5*secondDerivative(index, 1u, index, parameters.xResolution, dx)
+                 + effectivePotential(index, waveFunction[index])*waveFunction[index];
+      derivative[index] = vec2f(hPsi.y, -hPsi.x);
+    }
+  `;
+
+    const combineShader = `
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // Group 1, the wave function and the Runge-Kutta stage buffers.
+    @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+    @group(1) @binding(1) var<storage, read> derivative : array<vec2f>;
+    @group(1) @binding(2) var<storage, read_write> sum : array<vec2f>;
+    @group(1) @binding(3) var<storage, read_write> stageWaveFunction : array<vec2f>;
+
+    // Group 2, the stage, 0 through 3.
+    @group(2) @binding(0) var<uniform> stage : u32;
+
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn combine(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      // Skip invocations when work groups exceed the actual problem size
+      if (index >= parameters.xResolution) {
+        return;
+      }
+      let k = derivative[index];
+
+      switch stage {
+        case 0u: {
+          sum[index] = k/6.0;
+          stageWaveFunction[index] = waveFunction[index] + 0.5*parameters.dt*k;
+        }
+        case 1u: {
+          sum[index] += k/3.0;
+          stageWaveFunction[index] = waveFunction[index] + 0.5*parameters.dt*k;
+        }
+        case 2u: {
+          sum[index] += k/3.0;
+          stageWaveFunction[index] = waveFunction[index] + parameters.dt*k;
+        }
+        default: {
+          waveFunction[index] += parameters.dt*(sum[index] + k/6.0);
+        }
+      }
+    }
+  `;
+
+    const derivativeShaderModule = device.createShaderModule({
+      label: 'Runge-Kutta derivative shader',
+      code: derivativeShader
+    });
+
+    const combineShaderModule = device.createShaderModule({
+      label: 'Runge-Kutta combine shader',
+      code: combineShader
+    });
+
+    this.#derivativeBindGroupLayout = device.createBindGroupLayout({
+      label: "Runge-Kutta stage derivative.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        },
+        {
+          binding: 3,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    const stageBindGroupLayout = device.createBindGroupLayout({
+      label: "Runge-Kutta stage.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {}
+        }
+      ]
+    });
+
+    this.#derivativePipeline = device.createComputePipeline({
+      label: "Runge-Kutta derivative pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#derivativeBindGroupLayout]
+      }),
+      compute: {
+        module: derivativeShaderModule,
+        entryPoint: "timeDerivative"
+      }
+    });
+
+    this.#combinePipeline = device.createComputePipeline({
+      label: "Runge-Kutta combine pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout, stageBindGroupLayout]
+      }),
+      compute: {
+        module: combineShaderModule,
+        entryPoint: "combine"
+      }
+    });
+
+    // Wave function representations
+    this.#waveFunctionBuffer = this.createWaveFunctionBuffer("Wave function");
+    this.#stageBuffer = this.createWaveFunctionBuffer("Runge-Kutta stage wave function");
+    this.#derivativeBuffer = this.createWaveFunctionBuffer("Runge-Kutta derivative");
+    this.#sumBuffer = this.createWaveFunctionBuffer("Runge-Kutta sum");
+
+    const derivativeInputs = [this.#waveFunctionBuffer, this.#stageBuffer];
+    for (let i=0; i<2; i++)
+    {
+      this.#derivativeBindGroups[i] = device.createBindGroup({
+        layout: this.#derivativeBindGroupLayout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: derivativeInputs[i]
+            }
+          },
+          {
+            binding: 1,
+            resource: {
+              buffer: this.#derivativeBuffer
+            }
+          }
+        ]
+      });
+    }
+
+    this.#waveFunctionBindGroup = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#waveFunctionBuffer
+          }
+        },
+        {
+          binding: 1,
+          resource: {
+            buffer: this.#derivativeBuffer
+          }
+        },
+        {
+          binding: 2,
+          resource: {
+            buffer: this.#sumBuffer
+          }
+        },
+        {
+          binding: 3,
+          resource: {
+            buffer: this.#stageBuffer
+          }
+        }
+      ]
+    });
+
+    for (let i=0; i<STAGE_COUNT; i++)
+    {
+      const stageBuffer = device.createBuffer({
+        label: `Runge-Kutta stage ${i}`,
+        mappedAtCreation: true,
+        size: Uint32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.UNIFORM
+      });
+      new Uint32Array(stageBuffer.getMappedRange()).set([i]);
+      stageBuffer.unmap();
+
+      this.#stageBindGroups[i] = device.createBindGroup({
+        layout: stageBindGroupLayout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: stageBuffer
+            }
+          }
+        ]
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Execute count iterations of the simulation.
+   *
+   * @param {Integer} count The number of iterations to carry out.
+   */
+  step(count=20)
+  {
+    this.start();
+
+    const device = this.getDevice();
+    // Recreate this because it can not be reused after finish is invoked.
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCount = Math.ceil(this.getXResolution() / WORKGROUP_SIZE);
+
+    for (let i=0; i<count && this.isRunning(); i++)
+    {
+      this.updatePotential(commandEncoder);
+      // Dispatches within a pass complete in order, so one pass holds all four stages.
+      const passEncoder = commandEncoder.beginComputePass();
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      for (let stage=0; stage<STAGE_COUNT; stage++)
+      {
+        passEncoder.setPipeline(this.#derivativePipeline);
+        // The first stage differentiates Ψ itself, the rest the stage wave function.
+        passEncoder.setBindGroup(1, this.#derivativeBindGroups[stage === 0 ? 0 : 1]);
+        passEncoder.dispatchWorkgroups(workgroupCount);
+
+        passEncoder.setPipeline(this.#combinePipeline);
+        passEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
+        passEncoder.setBindGroup(2, this.#stageBindGroups[stage]);
+        passEncoder.dispatchWorkgroups(workgroupCount);
+      }
+      passEncoder.end();
+      this.incrementStepCount();
+    }
+
+    // Submit GPU commands.
+    const gpuCommands = commandEncoder.finish();
+    device.queue.submit([gpuCommands]);
+  }
+}
+
+export {Schrodinger}
@@ -106,13 +106,8 @@ class SchrodingerRenderer
     init()
     {
         const rendererShader = `
-        struct WaveFunctionParameters
-         {
-            dt: f32,              // The time step size
-            xResolution: u32,     // The number of points along the x-axis, the number of elements in the array.
-            length: f32,          // The full length for our simulation
-            potential: array<f32> // The potential the particle moves through
-        }
+        // The solver's own Parameters, any extra fields move the potential along.
+        ${this.#schrodinger.getParametersStruct()}
         
         struct PlotParameters
         {
@@ -138,7 +133,7 @@ class SchrodingerRenderer
         
         // group 0 and 1, things that never change within a simulation.
         // The parameters for the simulation
-        @group(0) @binding(0) var<storage, read> waveFunctionParameters: WaveFunctionParameters;
+        @group(0) @binding(0) var<storage, read> waveFunctionParameters: Parameters;
         // Plotting parameters, line colors, width, etc.
         @group(1) @binding(0) var<storage, read> plotParameters : PlotParameters;
     
@@ -342,12 +337,9 @@ class SchrodingerRenderer
     /**
      * Create and return an instance of a Schrödinger wave function visualization with the given parameters.
      *
-     * @param {GPUDevice} device       The device in use for the simulation, to allow buffer reuse.
+     * @param {SchrodingerSolver} schrodinger A Schrodinger solver instance from which we retrieve the device
+     *                                        and simulation parameters.
      * @param {String} canvasID        The HTML ID for the canvas we render to.
-     * @param {GPUBindGroup} parametersBindGroup The bind group for the Schrödinger equation parameters,
-     *                                           carried over from the Schrödinger solver.
-     * @param {GPUBindGroupLayout} parametersBindGroupLayout The bind group layout for the simulation parameters
-     *                                                       from the Schrödinger simulation.
      *
      * @param {Array<Number>} reColor  The r, g, b, a color for the real part of the wave function, 0, 0, 0 0,
      *                                 for no plot.
@@ -362,12 +354,12 @@ class SchrodingerRenderer
      * @param {Number} yResolution     The number of pixels in the y direction.
      * @param {Number} width           Roughly the width for renderer lines.
      */
-    static async getInstance(device, canvasID, parametersBindGroup, parametersBindGroupLayout,
+    static async getInstance(schrodinger, canvasID,
                              reColor, imColor, psiColor, psiMax, vColor, vMax,
                              E, yResolution, width)
     {
         const schrodingerRenderer = new SchrodingerRenderer(
-                        device, canvasID, parametersBindGroup, parametersBindGroupLayout,
+                        schrodinger, canvasID,
                         reColor, imColor, psiColor, psiMax, vColor, vMax, E,
                         yResolution, width);
         return schrodingerRenderer.init();
@@ -385,9 +377,10 @@ class SchrodingerRenderer
     /**
      * Render a wave function buffer from the schrodinger simulation.
      *
-     * @param {GPUBuffer } waveFunctionBuffer
+     * @param {GPUBuffer} waveFunctionBuffer The wave function buffer to render, defaults to the solver's
+     *                                       current wave function.
      */
-    render(waveFunctionBuffer)
+    render(waveFunctionBuffer=this.#schrodinger.getWaveFunctionBuffer())
     {
         const bindGroupLayout2 = this.#device.createBindGroupLayout({
             label: "Wave function layout",
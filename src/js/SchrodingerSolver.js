@@ -0,0 +1,1894 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {WebGPUCompute} from "./WebGPUCompute.js";
+import {HalfFloat} from "./HalfFloat.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * The number of points in the second difference stencils, giving second, fourth and sixth order accuracy in space.
+ */
+const STENCIL_3_POINT = 3;
+const STENCIL_5_POINT = 5;
+const STENCIL_7_POINT = 7;
+
+/**
+ * The boundary modes. A clamped grid ends at its edges, where the stencils clamp to the edge point and boundary
+ * classes such as {@link MurBoundary} take over. A periodic grid is a ring, the last point neighbors the first.
+ */
+const BOUNDARY_CLAMPED = "clamped";
+const BOUNDARY_PERIODIC = "periodic";
+
+/**
+ * The time stepping schemes boundary value delegates are written for, each with its own wave function bindings in
+ * group 1. Central difference binds Ψ(t-Δt), Ψ(t) and Ψ(t+Δt), the staggered leapfrog binds the wave function and
+ * its copy from before the step.
+ */
+const SCHEME_CENTRAL_DIFFERENCE = "centralDifference";
+const SCHEME_LEAPFROG = "leapfrog";
+
+/**
+ * The precisions for the wave function. f32 throughout, df64, a pair of f32 carrying about 48 bits of mantissa,
+ * for the wave function and the time step arithmetic, see {@link DoubleFloat}, or f16, the wave function stored
+ * in half precision with the arithmetic promoted to f32, see {@link HalfFloat}.
+ */
+const PRECISION_F32 = "f32";
+const PRECISION_DF64 = "df64";
+const PRECISION_F16 = "f16";
+
+/**
+ * The cost and accuracy of each precision, the bytes stored per complex grid point and the unit roundoff of the
+ * stored wave function, see {@link SchrodingerSolver#describePrecision}.
+ */
+const PRECISION_PROPERTIES = new Map([
+  [PRECISION_F32, {bytesPerPoint: 8, unitRoundoff: 2**-24}],
+  [PRECISION_DF64, {bytesPerPoint: 16, unitRoundoff: 2**-48}],
+  [PRECISION_F16, {bytesPerPoint: 4, unitRoundoff: 2**-11}]
+]);
+
+/**
+ * The largest magnitude of each stencil's second difference symbol, at the shortest wavelength on the grid, in units
+ * of 1/h². This bounds the kinetic part of the discrete Hamiltonian.
+ */
+const STENCIL_EIGENVALUE_BOUNDS = new Map([[STENCIL_3_POINT, 4], [STENCIL_5_POINT, 16/3], [STENCIL_7_POINT, 272/45]]);
+
+/**
+ * What {@link SchrodingerSolver#init} does with a time step beyond the stability limit. Warn, the default, logs
+ * and carries on, throw raises an error, and automatic replaces dt with {@link STABLE_FRACTION} of the limit. A
+ * scheme unstable for any dt, a zero limit, has no time step to choose, so automatic raises an error as well.
+ */
+const STABILITY_WARN = "warn";
+const STABILITY_THROW = "throw";
+const STABILITY_AUTOMATIC = "automatic";
+
+/**
+ * The fraction of the stability limit taken as the automatic time step, leaving room for rounding and for the
+ * terms the estimate leaves out.
+ */
+const STABLE_FRACTION = 0.9;
+
+/**
+ * The WGSL declaration matching the parameters buffer built by {@link SchrodingerSolver#init}. Shaders
+ * bind this at @group(0) @binding(0).
+ */
+const PARAMETERS_STRUCT = `
+    struct Parameters {
+        dt: f32,              // The time step, Δt.
+        xResolution: u32,     // The number of points along the x-axis.
+        length: f32,          // The physical length for our simulation.
+        potential: array<f32> // The potential the particle moves through.
+    }
+`;
+
+/**
+ * The common base for the Schrödinger equation time evolvers. Each time stepping scheme extends this class,
+ * which owns the simulation parameters, the device, and the parameters bind group shared with renderers,
+ * initializers and boundaries.
+ *
+ * Subclasses must:
+ * <ul>
+ *   <li>invoke <code>await super.init()</code> at the top of their own <code>init()</code>, then build their
+ *       wave function buffers, bind groups and pipelines.</li>
+ *   <li>implement {@link step}, {@link setWaveFunction}, {@link getWaveFunctionBuffer},
+ *       {@link getWaveFunctionBindGroup} and {@link getWaveFunctionBindGroupLayout}.</li>
+ * </ul>
+ * Subclasses supporting a time dependent potential invoke {@link updatePotential} ahead of each time step, and
+ * override {@link supportsTimeDependentPotential}.
+ *
+ * @property {GPUDevice} #device The device as retrieved from the adaptor.
+ * @property {Number} #dt The time step between the wave function and its updated version.
+ * @property {Integer} #dtOffset The byte offset of dt within the parameters buffer.
+ * @property {Number} #length The physical length of this simulation.
+ * @property {Integer} #lengthOffset The byte offset of the length within the parameters buffer.
+ * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
+ * @property {Array<Number>} #potential An array of potential values, array elements correspond to physical locations
+ *                                      just as the wave function arrays.
+ * @property {Integer} #potentialOffset The byte offset of the potential within the parameters buffer.
+ * @property {Map<String, Object>} #extraParameterOffsets The byte offset and type of each extra parameter, by name.
+ * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
+ * @property {Integer} #nsteps The number of time steps taken since the wave function was last set.
+ * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
+ * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
+ * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
+ * @property {Boolean} #bcEnabled Whether to invoke the boundary value computations.
+ * @property {MurBoundary} #boundary A MurBoundary instance, or similar boundary value class.
+ * @property {Boolean} #initialized True once the device and parameters buffer are available.
+ * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
+ * @property {Integer} #stencil The number of points in the second difference stencil, 3, 5 or 7.
+ * @property {String} #boundaryMode Whether the grid is clamped at its edges or periodic.
+ * @property {String} #precision The precision of the wave function and time step arithmetic.
+ * @property {TimeDependentPotential} #timeDependentPotential Rewrites the potential before each step, if set.
+ * @property {Number} #g The Gross-Pitaevskii coupling in the nonlinear term g|Ψ|²Ψ, zero for the linear equation.
+ * @property {Array<Number>} #effectiveMass The mass at each grid point, undefined for a uniform unit mass.
+ * @property {GPUBuffer} #inverseMassBuffer 1/m at each grid point, bound next to the parameters when a mass is set.
+ * @property {Array<Number>} #coordinates The x coordinate of each grid point, undefined for a uniform grid.
+ * @property {GPUBuffer} #coordinatesBuffer The x coordinates, bound next to the parameters when they are set.
+ * @property {BlowUpDetector} #blowUpDetector Checks for numerical blow up between steps, if set.
+ * @property {String} #stabilityCheck The action {@link init} takes on an unstable time step, see
+ *                                    {@link setStabilityCheck}.
+ */
+class SchrodingerSolver
+{
+  #device;
+  #dt;
+  #dtOffset;
+  #length;
+  #lengthOffset;
+  #xResolution;
+  #potential;
+  #potentialOffset;
+  #extraParameterOffsets = new Map();
+  #running = false;
+  #nsteps = 0;
+  #parametersBuffer;
+  #parametersBindGroup;
+  #parametersBindGroupLayout;
+  // true => invoke boundary conditions - make sure boundary is set before setting this.
+  #bcEnabled = false;
+  #boundary;
+  #initialized = false;
+  #debug;
+  #stencil;
+  #boundaryMode;
+  #precision;
+  #timeDependentPotential;
+  #g = 0;
+  #effectiveMass;
+  #inverseMassBuffer;
+  #coordinates;
+  #coordinatesBuffer;
+  #blowUpDetector;
+  #stabilityCheck = STABILITY_WARN;
+
+  /**
+   * Build a Schrödinger equation integrator with the given parameters.
+   *
+   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
+   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
+   *                                    on our 1D grid.
+   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
+   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
+   *                                    just as the wave function arrays. May be undefined for a free particle.
+   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
+   *                                    makes the wave function buffers copyable, potentially having a
+   *                                    performance impact. Defaults to false.
+   * @param {Integer}       stencil     The number of points in the second difference stencil, one of
+   *                                    {@link getSupportedStencils}. Defaults to 3.
+   * @param {String}        boundaryMode {@link BOUNDARY_CLAMPED} or {@link BOUNDARY_PERIODIC}, one of
+   *                                    {@link getSupportedBoundaryModes}. Defaults to clamped.
+   * @param {String}        precision   {@link PRECISION_F32}, {@link PRECISION_DF64} or {@link PRECISION_F16}, one
+   *                                    of {@link getSupportedPrecisions}, an unsupported f16 falls back to f32.
+   *                                    Defaults to f32.
+   */
+  constructor(dt, xResolution, length, potential, debug=false, stencil=STENCIL_3_POINT,
+              boundaryMode=BOUNDARY_CLAMPED, precision=PRECISION_F32)
+  {
+    // As on a device without shader-f16, a solver whose shaders lack f16 stores the wave function in f32 instead.
+    if (precision === PRECISION_F16 && !this.getSupportedPrecisions().includes(PRECISION_F16))
+    {
+      precision = PRECISION_F32;
+      this.#warnF16Fallback(`This solver's shaders do not implement ${PRECISION_F16}`);
+    }
+    if (!this.getSupportedPrecisions().includes(precision))
+    {
+      throw new Error(`${this.constructor.name}: Unsupported ${precision} precision, expected one of `
+                      + `${this.getSupportedPrecisions().join(", ")}.`);
+    }
+    // First, as the supported stencils and boundary modes may depend on the precision.
+    this.#precision = precision;
+    if (!this.getSupportedStencils().includes(stencil))
+    {
+      throw new Error(`${this.constructor.name}: Unsupported ${stencil} point stencil, expected one of `
+                      + `${this.getSupportedStencils().join(", ")}.`);
+    }
+    if (!this.getSupportedBoundaryModes().includes(boundaryMode))
+    {
+      throw new Error(`${this.constructor.name}: Unsupported ${boundaryMode} boundary mode, expected one of `
+                      + `${this.getSupportedBoundaryModes().join(", ")}.`);
+    }
+    this.#dt = dt;
+    this.#xResolution = xResolution;
+    this.#length = length;
+    this.#potential = potential;
+    this.#debug = debug;
+    this.#stencil = stencil;
+    this.#boundaryMode = boundaryMode;
+  }
+
+  /**
+   * The number of invocations per workgroup used by the solvers' one dimensional compute shaders.
+   *
+   * @returns {Integer} The workgroup size.
+   */
+  static get WORKGROUP_SIZE()
+  {
+    return WORKGROUP_SIZE;
+  }
+
+  /**
+   * The three point, second order, second difference.
+   *
+   * @returns {Integer} 3
+   */
+  static get STENCIL_3_POINT()
+  {
+    return STENCIL_3_POINT;
+  }
+
+  /**
+   * The five point, fourth order, second difference.
+   *
+   * @returns {Integer} 5
+   */
+  static get STENCIL_5_POINT()
+  {
+    return STENCIL_5_POINT;
+  }
+
+  /**
+   * The seven point, sixth order, second difference.
+   *
+   * @returns {Integer} 7
+   */
+  static get STENCIL_7_POINT()
+  {
+    return STENCIL_7_POINT;
+  }
+
+  /**
+   * The grid ends at its edges, the default.
+   *
+   * @returns {String} "clamped"
+   */
+  static get BOUNDARY_CLAMPED()
+  {
+    return BOUNDARY_CLAMPED;
+  }
+
+  /**
+   * The grid wraps around, a ring in 1D or a torus in 2D, with period resolution*Δx along each axis, where Δx is
+   * length/(resolution-1) as on a clamped grid.
+   *
+   * @returns {String} "periodic"
+   */
+  static get BOUNDARY_PERIODIC()
+  {
+    return BOUNDARY_PERIODIC;
+  }
+
+  /**
+   * The three buffer central difference time step, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), binding Ψ(t-Δt), Ψ(t) and
+   * Ψ(t+Δt) in group 1.
+   *
+   * @returns {String} "centralDifference"
+   */
+  static get SCHEME_CENTRAL_DIFFERENCE()
+  {
+    return SCHEME_CENTRAL_DIFFERENCE;
+  }
+
+  /**
+   * The staggered leapfrog time step, with the real part at whole and the imaginary part at half time steps, binding
+   * the wave function and its copy from before the step in group 1.
+   *
+   * @returns {String} "leapfrog"
+   */
+  static get SCHEME_LEAPFROG()
+  {
+    return SCHEME_LEAPFROG;
+  }
+
+  /**
+   * Single precision throughout, the default.
+   *
+   * @returns {String} "f32"
+   */
+  static get PRECISION_F32()
+  {
+    return PRECISION_F32;
+  }
+
+  /**
+   * Double-float precision, a pair of f32, for the wave function and the time step arithmetic.
+   *
+   * @returns {String} "df64"
+   */
+  static get PRECISION_DF64()
+  {
+    return PRECISION_DF64;
+  }
+
+  /**
+   * Half precision storage for the wave function, halving the memory traffic of f32, with the arithmetic in f32.
+   * Needs the shader-f16 feature, {@link init} falls back to f32 on devices without it. Solvers whose shaders
+   * lack f16 fall back to f32 at construction.
+   *
+   * @returns {String} "f16"
+   */
+  static get PRECISION_F16()
+  {
+    return PRECISION_F16;
+  }
+
+  /**
+   * Log a warning from {@link init} when dt exceeds the stability limit, the default.
+   *
+   * @returns {String} "warn"
+   */
+  static get STABILITY_WARN()
+  {
+    return STABILITY_WARN;
+  }
+
+  /**
+   * Throw an error from {@link init} when dt exceeds the stability limit.
+   *
+   * @returns {String} "throw"
+   */
+  static get STABILITY_THROW()
+  {
+    return STABILITY_THROW;
+  }
+
+  /**
+   * Replace dt in {@link init} with a safe fraction of the stability limit, see {@link getStableTimeStep}.
+   *
+   * @returns {String} "automatic"
+   */
+  static get STABILITY_AUTOMATIC()
+  {
+    return STABILITY_AUTOMATIC;
+  }
+
+  /**
+   * The WGSL Parameters struct matching the layout of the parameters buffer.
+   *
+   * @returns {String} WGSL source declaring the Parameters struct.
+   */
+  static get PARAMETERS_STRUCT()
+  {
+    return PARAMETERS_STRUCT;
+  }
+
+  /**
+   * Get the time step between wave function instances for FDTD time evolution.
+   *
+   * @returns {Number} The FDTD time step.
+   */
+  getTimeStep()
+  {
+    return this.#dt;
+  }
+
+  /**
+   * Set the FDTD time step. If the solver is initialized the parameters buffer is updated as well.
+   *
+   * @param {Number} dt The new time step between the wave function and its updated version.
+   * @returns {SchrodingerSolver}
+   */
+  setTimeStep(dt)
+  {
+    this.#dt = dt;
+    if (this.#initialized) {
+      this.#device.queue.writeBuffer(this.#parametersBuffer, this.#dtOffset, new Float32Array([dt]));
+    }
+    return this;
+  }
+
+  /**
+   * The largest stable Δt·ρ(H), where ρ(H) is the spectral radius of the discrete Hamiltonian, for this solver's time
+   * stepping scheme. An eigenmode of H with energy E evolves as e^{-iEΔt}, and explicit schemes only reproduce this
+   * for |E|Δt up to a limit: 1 for the central difference, 2 for the leapfrog, 2√2 for RK4, and 0 for the explicit
+   * Euler step, which is unstable for any Δt. Solvers with an explicit scheme override this.
+   *
+   * @returns {Number} The stability limit on Δt·ρ(H), Infinity for an unconditionally stable, or unanalyzed, scheme.
+   */
+  getStabilityFactor()
+  {
+    return Infinity;
+  }
+
+  /**
+   * The grid spacing along each axis, overridden by the multidimensional solvers. On a non-uniform grid this is the
+   * smallest spacing, which sets the stability limit.
+   *
+   * @returns {Array<Number>} [Δx]
+   */
+  getGridSpacings()
+  {
+    if (this.#coordinates)
+    {
+      let minSpacing = Infinity;
+      for (let i=1; i<this.#coordinates.length; i++)
+      {
+        minSpacing = Math.min(minSpacing, this.#coordinates[i] - this.#coordinates[i-1]);
+      }
+      return [minSpacing];
+    }
+    return [this.#length/(this.#xResolution-1)];
+  }
+
+  /**
+   * An upper bound on the spectral radius of the discrete Hamiltonian, the largest |E| the grid can represent. The
+   * kinetic energies lie between zero and the stencil's largest eigenvalue, summed over the axes, over twice the
+   * lightest mass, so the energies lie between min V and this plus max V.
+   *
+   * This uses the potential as it is now. A time dependent potential, or the Gross-Pitaevskii term g|Ψ|², can
+   * raise the energies later, so leave some margin when either is in use.
+   *
+   * @returns {Number} A bound on max |E|.
+   */
+  getSpectralRadius()
+  {
+    const maxInverseMass = this.#effectiveMass?.reduce((max, m) => Math.max(max, 1/m), 0) ?? 1;
+    const stencilBound = STENCIL_EIGENVALUE_BOUNDS.get(this.#stencil);
+    const kinetic = this.getGridSpacings().reduce((sum, h) => sum + stencilBound/(h*h), 0)*maxInverseMass/2;
+    // reduce rather than Math.max(...potential), which overflows the stack on large grids.
+    const minPotential = this.#potential?.reduce((min, v) => Math.min(min, v), 0) ?? 0;
+    const maxPotential = this.#potential?.reduce((max, v) => Math.max(max, v), 0) ?? 0;
+    return Math.max(-minPotential, kinetic + maxPotential);
+  }
+
+  /**
+   * The largest stable time step for this scheme, grid and potential, {@link getStabilityFactor} over
+   * {@link getSpectralRadius}.
+   *
+   * @returns {Number} The stability limit on Δt, Infinity for a scheme without a limit.
+   */
+  getStableTimeStep()
+  {
+    return this.getStabilityFactor()/this.getSpectralRadius();
+  }
+
+  /**
+   * The default step for imaginary time propagation, Ψ ← Ψ - ΔτHΨ, in {@link ImaginaryTime} and
+   * {@link Eigenstates}. The Euler step damps each eigenstate by 1 - ΔτE, which is stable for Δτ up to
+   * 2/{@link getSpectralRadius}. This is half that, leaving a margin for the Gross-Pitaevskii term.
+   *
+   * @returns {Number} A stable imaginary time step, Δτ.
+   */
+  getImaginaryTimeStep()
+  {
+    return 1/this.getSpectralRadius();
+  }
+
+  /**
+   * Get the action {@link init} takes on an unstable time step.
+   *
+   * @returns {String} {@link STABILITY_WARN}, {@link STABILITY_THROW} or {@link STABILITY_AUTOMATIC}.
+   */
+  getStabilityCheck()
+  {
+    return this.#stabilityCheck;
+  }
+
+  /**
+   * Choose what {@link init} does when dt exceeds {@link getStableTimeStep}: warn, the default, throw, or replace
+   * dt with a safe step. With {@link STABILITY_AUTOMATIC} the dt passed to the constructor is ignored, and may be
+   * left undefined, the solver always takes {@link STABLE_FRACTION} of the limit. Set this before init.
+   *
+   * @param {String} stabilityCheck {@link STABILITY_WARN}, {@link STABILITY_THROW} or {@link STABILITY_AUTOMATIC}.
+   * @returns {SchrodingerSolver}
+   */
+  setStabilityCheck(stabilityCheck)
+  {
+    if (![STABILITY_WARN, STABILITY_THROW, STABILITY_AUTOMATIC].includes(stabilityCheck))
+    {
+      throw new Error(`${this.constructor.name}: Unknown stability check ${stabilityCheck}, expected one of `
+                      + `${[STABILITY_WARN, STABILITY_THROW, STABILITY_AUTOMATIC].join(", ")}.`);
+    }
+    this.#stabilityCheck = stabilityCheck;
+    return this;
+  }
+
+  /**
+   * Compare dt against the stability limit for this scheme, and warn, throw, or choose a stable dt as selected by
+   * {@link setStabilityCheck}. Invoked from {@link init}, and again by anyone changing dt, the grid or the potential
+   * afterwards.
+   *
+   * @returns {Number} The stability limit on Δt.
+   */
+  checkStability()
+  {
+    const stableTimeStep = this.getStableTimeStep();
+    if (stableTimeStep === 0)
+    {
+      const message = `${this.constructor.name}: This scheme is unstable for any dt, the wave function will blow up.`;
+      if (this.#stabilityCheck !== STABILITY_WARN)
+      {
+        throw new Error(message);
+      }
+      console.warn(message);
+    }
+    else if (this.#stabilityCheck === STABILITY_AUTOMATIC)
+    {
+      if (Number.isFinite(stableTimeStep))
+      {
+        this.setTimeStep(STABLE_FRACTION*stableTimeStep);
+      }
+      else if (!(this.#dt > 0))
+      {
+        throw new Error(`${this.constructor.name}: This scheme has no stability limit to choose an automatic `
+                        + `time step from, provide dt.`);
+      }
+    }
+    else if (!(this.#dt <= stableTimeStep))
+    {
+      const message = `${this.constructor.name}: dt = ${this.#dt} exceeds the stability limit `
+                      + `${stableTimeStep.toPrecision(4)} for Δx = ${this.getGridSpacings().map(h => h.toPrecision(4))}`
+                      + ` and max |E| ≈ ${this.getSpectralRadius().toPrecision(4)}, the wave function will blow up. `
+                      + `Reduce dt, coarsen the grid, or select SchrodingerSolver.STABILITY_AUTOMATIC.`;
+      if (this.#stabilityCheck === STABILITY_THROW)
+      {
+        throw new Error(message);
+      }
+      console.warn(message);
+    }
+    return stableTimeStep;
+  }
+
+  /**
+   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
+   *
+   * @returns {Integer} The number of spatial steps in the wave function representation.
+   */
+  getXResolution()
+  {
+    return this.#xResolution;
+  }
+
+  /**
+   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
+   * The buffers are sized from the resolution, so this only takes effect on the next {@link init}.
+   *
+   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
+   * @returns {SchrodingerSolver} This object with the new resolution set.
+   */
+  setXResolution(xResolution)
+  {
+    this.#xResolution = xResolution;
+    return this;
+  }
+
+  /**
+   * Get the physical length of this simulation.
+   *
+   * @returns {Number} The physical length of this simulation.
+   */
+  getLength()
+  {
+    return this.#length;
+  }
+
+  /**
+   * Set the physical length of this simulation. If the solver is initialized the parameters buffer is
+   * updated as well.
+   *
+   * @param {Number} length The physical length of this simulation.
+   * @returns {SchrodingerSolver}
+   */
+  setLength(length)
+  {
+    this.#length = length;
+    if (this.#initialized) {
+      this.#device.queue.writeBuffer(this.#parametersBuffer, this.#lengthOffset, new Float32Array([length]));
+    }
+    return this;
+  }
+
+  /**
+   * Get the potential on our grid.
+   *
+   * @returns {Array<Number>} An array of potential values on our grid.
+   */
+  getPotential()
+  {
+    return this.#potential;
+  }
+
+  /**
+   * Set the potential, V(x), used in the Schrödinger equation. If the solver is initialized the parameters
+   * buffer is updated as well.
+   *
+   * @param {Array<Number>} potential An array of potential values on our grid.
+   * @returns {SchrodingerSolver}
+   */
+  setPotential(potential)
+  {
+    this.#potential = potential;
+    if (this.#initialized) {
+      this.#device.queue.writeBuffer(this.#parametersBuffer, this.#potentialOffset,
+                                     new Float32Array(potential), 0, this.getGridSize());
+    }
+    return this;
+  }
+
+  /**
+   * Whether this solver's {@link step} invokes {@link updatePotential} ahead of each time step. Such solvers
+   * override this.
+   *
+   * @returns {Boolean} True if {@link setTimeDependentPotential} is supported.
+   */
+  supportsTimeDependentPotential()
+  {
+    return false;
+  }
+
+  /**
+   * Get the time dependent potential delegate.
+   *
+   * @returns {TimeDependentPotential} The time dependent potential, or undefined for a static potential.
+   */
+  getTimeDependentPotential()
+  {
+    return this.#timeDependentPotential;
+  }
+
+  /**
+   * Set a time dependent potential, V(x,t), which rewrites the potential in the parameters buffer before each
+   * time step. Its clock is set from the current step count. Pass undefined to freeze the potential as last written.
+   *
+   * @param {TimeDependentPotential} timeDependentPotential An initialized TimeDependentPotential built for this solver.
+   * @returns {SchrodingerSolver}
+   */
+  setTimeDependentPotential(timeDependentPotential)
+  {
+    if (timeDependentPotential && !this.supportsTimeDependentPotential())
+    {
+      throw new Error(`${this.constructor.name}: A time dependent potential is not supported.`);
+    }
+    this.#timeDependentPotential = timeDependentPotential;
+    this.#timeDependentPotential?.setStep(this.#nsteps);
+    return this;
+  }
+
+  /**
+   * Get the blow up detector.
+   *
+   * @returns {BlowUpDetector} The blow up detector, or undefined if none is set.
+   */
+  getBlowUpDetector()
+  {
+    return this.#blowUpDetector;
+  }
+
+  /**
+   * Set a blow up detector, which checks the wave function between steps, and halts the simulation on NaN, infinite
+   * values, or norm growth. Pass undefined to stop checking.
+   *
+   * @param {BlowUpDetector} blowUpDetector An initialized BlowUpDetector built for this solver.
+   * @returns {SchrodingerSolver}
+   */
+  setBlowUpDetector(blowUpDetector)
+  {
+    this.#blowUpDetector = blowUpDetector;
+    return this;
+  }
+
+  /**
+   * Encode the update of a time dependent potential to its value at the current time. Subclass step
+   * implementations invoke this ahead of each time step, it does nothing for a static potential.
+   *
+   * @param {GPUCommandEncoder} commandEncoder The encoder for the current batch of time steps.
+   */
+  updatePotential(commandEncoder)
+  {
+    this.#timeDependentPotential?.makeComputePass(commandEncoder);
+  }
+
+  /**
+   * The simulation time, nsteps*dt, since the wave function was last set.
+   *
+   * @returns {Number} The elapsed time in natural units.
+   */
+  getTime()
+  {
+    return this.#nsteps*this.#dt;
+  }
+
+  /**
+   * The number of points on the simulation grid, which is the number of elements in the potential and wave
+   * function arrays. Solvers on two or three dimensional grids override this.
+   *
+   * @returns {Integer} The number of grid points.
+   */
+  getGridSize()
+  {
+    return this.#xResolution;
+  }
+
+  /**
+   * Additional scalar fields for the Parameters struct, packed after length and before the potential. Solvers
+   * needing further parameters override this. Shaders for those solvers declare their Parameters struct with
+   * {@link getParametersStruct}.
+   *
+   * @returns {Array<{name: String, type: String, value: Number, description: String}>} The extra fields in order,
+   *          each with a WGSL type of "f32" or "u32", and an optional description for the generated WGSL.
+   */
+  getExtraParameters()
+  {
+    return [];
+  }
+
+  /**
+   * The subclass' extra parameters, followed by the nonlinear coupling for solvers supporting it.
+   *
+   * @returns {Array<{name: String, type: String, value: Number, description: String}>} The extra fields in order.
+   */
+  #getAllExtraParameters()
+  {
+    const nonlinearParameters = this.supportsNonlinearity()
+        ? [{name: "g", type: "f32", value: this.#g, description: "The nonlinear coupling, g|Ψ|²Ψ."}]
+        : [];
+    return [...this.getExtraParameters(), ...nonlinearParameters];
+  }
+
+  /**
+   * The WGSL Parameters struct matching the layout of this solver's parameters buffer, including any
+   * extra parameters.
+   *
+   * @returns {String} WGSL source declaring the Parameters struct.
+   */
+  getParametersStruct()
+  {
+    const extraFields = this.#getAllExtraParameters()
+                            .map(parameter => `        ${`${parameter.name}: ${parameter.type},`.padEnd(22)}`
+                                            + (parameter.description ? `// ${parameter.description}\n` : "\n"))
+                            .join("");
+    return `
+    struct Parameters {
+        dt: f32,              // The time step, Δt.
+        xResolution: u32,     // The number of points along the x-axis.
+        length: f32,          // The physical length for our simulation.
+${extraFields}        potential: array<f32> // The potential the particle moves through.
+    }
+`;
+  }
+
+  /**
+   * Whether this solver's shaders include the Gross-Pitaevskii term g|Ψ|²Ψ, which adds g to their Parameters struct.
+   * True for solvers built on the shared stencil, see {@link usesSharedStencil}, others may override this.
+   *
+   * @returns {Boolean} True if {@link setNonlinearCoupling} is supported.
+   */
+  supportsNonlinearity()
+  {
+    return this.usesSharedStencil();
+  }
+
+  /**
+   * Get the Gross-Pitaevskii coupling.
+   *
+   * @returns {Number} g, zero for the linear Schrödinger equation.
+   */
+  getNonlinearCoupling()
+  {
+    return this.#g;
+  }
+
+  /**
+   * Set the coupling g in the Gross-Pitaevskii term g|Ψ|²Ψ, for a condensate with the wave function normalized to
+   * one. g > 0 is a repulsive, g < 0 an attractive, interaction. If the solver is initialized the parameters buffer
+   * is updated as well.
+   *
+   * @param {Number} g The nonlinear coupling.
+   * @returns {SchrodingerSolver}
+   */
+  setNonlinearCoupling(g)
+  {
+    if (!this.supportsNonlinearity())
+    {
+      throw new Error(`${this.constructor.name}: The nonlinear Gross-Pitaevskii term is not supported.`);
+    }
+    this.#g = g;
+    this.writeParameter("g", g);
+    return this;
+  }
+
+  /**
+   * Whether this solver's shaders take the kinetic term from {@link getSecondDerivativeFunction} or
+   * {@link getInverseMassFunction}, and so allow a position dependent mass. True for solvers built on the shared
+   * stencil, see {@link usesSharedStencil}, solvers using {@link getInverseMassFunction} directly override this.
+   *
+   * @returns {Boolean} True if {@link setEffectiveMass} is supported.
+   */
+  supportsEffectiveMass()
+  {
+    return this.usesSharedStencil();
+  }
+
+  /**
+   * Get the effective mass on our grid.
+   *
+   * @returns {Array<Number>} The mass at each grid point, or undefined for a uniform unit mass.
+   */
+  getEffectiveMass()
+  {
+    return this.#effectiveMass;
+  }
+
+  /**
+   * Set a position dependent effective mass, m(x), in units of the particle mass, for example 0.067 in GaAs and
+   * 0.092 in Al₀.₃Ga₀.₇As for an electron. The kinetic term becomes the BenDaniel-Duke -1/2 ∂x (1/m ∂xΨ), which
+   * keeps the probability current continuous across a change in mass. The discretization is three point, so this
+   * requires the three point stencil.
+   *
+   * The shaders and bindings are built for a uniform or a varying mass, so a mass must be set before {@link init}.
+   * Afterwards it may be changed, but not removed.
+   *
+   * @param {Array<Number>} effectiveMass The mass at each grid point.
+   * @returns {SchrodingerSolver}
+   */
+  setEffectiveMass(effectiveMass)
+  {
+    if (!this.supportsEffectiveMass())
+    {
+      throw new Error(`${this.constructor.name}: A position dependent mass is not supported.`);
+    }
+    if (this.#stencil !== STENCIL_3_POINT)
+    {
+      throw new Error(`${this.constructor.name}: A position dependent mass requires the three point stencil, `
+                      + `not ${this.#stencil} points.`);
+    }
+    if (effectiveMass.length !== this.getGridSize() || effectiveMass.some(m => !(m > 0)))
+    {
+      throw new Error(`${this.constructor.name}: The effective mass needs ${this.getGridSize()} positive values.`);
+    }
+    if (this.#initialized && !this.#inverseMassBuffer)
+    {
+      throw new Error(`${this.constructor.name}: The effective mass must be set before init.`);
+    }
+    this.#effectiveMass = effectiveMass;
+    if (this.#initialized) {
+      this.#device.queue.writeBuffer(this.#inverseMassBuffer, 0, new Float32Array(effectiveMass.map(m => 1/m)));
+    }
+    return this;
+  }
+
+  /**
+   * WGSL for inverseMass(index), 1/m at a grid point, and, when an effective mass is set, the declaration of the
+   * inverse mass array at @group(0) @binding(1).
+   *
+   * @returns {String} WGSL source declaring inverseMass.
+   */
+  getInverseMassFunction()
+  {
+    if (!this.#effectiveMass)
+    {
+      return `
+    fn inverseMass(index: u32) -> f32
+    {
+      return 1.0;
+    }
+`;
+    }
+    return `
+    // 1/m at each grid point, for the BenDaniel-Duke kinetic term.
+    @group(0) @binding(1) var<storage, read> inverseMassArray : array<f32>;
+
+    // Indices past the grid, from buffers packing several wave functions end to end, wrap onto the grid.
+    fn inverseMass(index: u32) -> f32
+    {
+      return inverseMassArray[index % arrayLength(&inverseMassArray)];
+    }
+`;
+  }
+
+  /**
+   * Whether this solver allows a non-uniform grid. True for solvers built on the shared stencil, see
+   * {@link usesSharedStencil}, whose second derivative follows the coordinates. The coordinates are along x only,
+   * so multidimensional solvers override this.
+   *
+   * @returns {Boolean} True if {@link setCoordinates} is supported.
+   */
+  supportsNonUniformGrid()
+  {
+    return this.usesSharedStencil();
+  }
+
+  /**
+   * Get the grid point coordinates.
+   *
+   * @returns {Array<Number>} The x coordinate of each grid point, or undefined for a uniform grid.
+   */
+  getCoordinates()
+  {
+    return this.#coordinates;
+  }
+
+  /**
+   * Place the grid points at the given x coordinates, rather than evenly across the length, to refine the grid
+   * around sharp barriers or wells while keeping coarse cells elsewhere, see {@link refinedCoordinates}. The second
+   * derivative becomes the three point non-uniform difference, so this requires the three point stencil and a
+   * clamped grid. It combines with an effective mass.
+   *
+   * The coordinates must rise from 0 to the length. The shaders and bindings are built for a uniform or a
+   * non-uniform grid, so the coordinates must be set before {@link init}. Afterwards they may be changed, but not
+   * removed.
+   *
+   * The solver's own shaders, {@link getPositionFunction}, and so {@link TimeDependentPotential}, and
+   * {@link BlowUpDetector} follow the coordinates. Renderers, initializers and boundaries still space the points
+   * evenly, so keep the spacing near the edges at about length/(xResolution-1) when using a boundary.
+   *
+   * @param {Array<Number>} coordinates The x coordinate of each grid point.
+   * @returns {SchrodingerSolver}
+   */
+  setCoordinates(coordinates)
+  {
+    if (!this.supportsNonUniformGrid())
+    {
+      throw new Error(`${this.constructor.name}: A non-uniform grid is not supported.`);
+    }
+    if (this.#stencil !== STENCIL_3_POINT || this.isPeriodic())
+    {
+      throw new Error(`${this.constructor.name}: A non-uniform grid requires the three point stencil on a clamped `
+                      + `grid, not ${this.#stencil} points on a ${this.#boundaryMode} grid.`);
+    }
+    const tolerance = 1e-6*this.#length;
+    if (coordinates.length !== this.#xResolution
+        || !(Math.abs(coordinates[0]) <= tolerance)
+        || !(Math.abs(coordinates[coordinates.length-1] - this.#length) <= tolerance)
+        || coordinates.some((x, i) => i > 0 && !(x > coordinates[i-1])))
+    {
+      throw new Error(`${this.constructor.name}: The grid needs ${this.#xResolution} coordinates rising from 0 to `
+                      + `${this.#length}.`);
+    }
+    if (this.#initialized && !this.#coordinatesBuffer)
+    {
+      throw new Error(`${this.constructor.name}: The coordinates must be set before init.`);
+    }
+    this.#coordinates = coordinates;
+    if (this.#initialized) {
+      this.#device.queue.writeBuffer(this.#coordinatesBuffer, 0, new Float32Array(coordinates));
+    }
+    return this;
+  }
+
+  /**
+   * Get the buffer of grid point coordinates, for classes binding it themselves.
+   *
+   * @returns {GPUBuffer} The coordinates buffer, or undefined for a uniform grid.
+   */
+  getCoordinatesBuffer()
+  {
+    return this.#coordinatesBuffer;
+  }
+
+  /**
+   * The width of the cell about each grid point along x, half the spacings either side, or the one spacing at the
+   * edges, matching the second derivative. Sums over the grid weighted by these approximate ∫dx, and on a
+   * non-uniform grid Σ w|Ψ|² is the norm the schemes conserve.
+   *
+   * @returns {Array<Number>} xResolution cell widths, all Δx on a uniform grid.
+   */
+  getCellWidths()
+  {
+    const coordinates = this.#coordinates;
+    if (!coordinates)
+    {
+      return new Array(this.#xResolution).fill(this.#length/(this.#xResolution-1));
+    }
+    return coordinates.map((x, i) => i === 0 ? coordinates[1] - x
+                                   : i === coordinates.length - 1 ? x - coordinates[i-1]
+                                   : 0.5*(coordinates[i+1] - coordinates[i-1]));
+  }
+
+  /**
+   * Grid coordinates refined around features such as barriers and wells. The spacing is inversely proportional to
+   * a density, 1 + Σ (factor - 1)·exp(-((x - center)/width)²), so the grid is about factor times finer at each
+   * center than far from the refinements.
+   *
+   * @param {Integer} xResolution The number of grid points.
+   * @param {Number}  length      The length of the grid.
+   * @param {Array<{center: Number, width: Number, factor: Number}>} refinements
+   *                              Where to refine, over what width, and by how much.
+   * @returns {Array<Number>} xResolution coordinates rising from 0 to length, for {@link setCoordinates}.
+   */
+  static refinedCoordinates(xResolution, length, refinements)
+  {
+    // The cumulative density on a fine uniform grid, inverted by linear interpolation.
+    const samples = 16*xResolution;
+    const h = length/(samples-1);
+    const density = (x) => refinements.reduce((sum, {center, width, factor}) =>
+                                                  sum + (factor - 1)*Math.exp(-(((x - center)/width)**2)), 1);
+    const cumulative = [0];
+    for (let i=1; i<samples; i++)
+    {
+      cumulative.push(cumulative[i-1] + 0.5*h*(density((i-1)*h) + density(i*h)));
+    }
+    const total = cumulative[samples-1];
+
+    const coordinates = [0];
+    let j = 0;
+    for (let i=1; i<xResolution-1; i++)
+    {
+      const target = i*total/(xResolution-1);
+      while (cumulative[j+1] < target)
+      {
+        j++;
+      }
+      coordinates.push((j + (target - cumulative[j])/(cumulative[j+1] - cumulative[j]))*h);
+    }
+    coordinates.push(length);
+    return coordinates;
+  }
+
+  /**
+   * WGSL for coordinate(index), the x coordinate of a grid point, declaring the coordinates array at
+   * @group(0) @binding(2). Only for a non-uniform grid.
+   *
+   * @returns {String} WGSL source declaring coordinate.
+   */
+  #getCoordinateFunction()
+  {
+    return `
+    // The x coordinate of each grid point on a non-uniform grid.
+    @group(0) @binding(2) var<storage, read> coordinates : array<f32>;
+
+    // Indices past the grid, from buffers packing several wave functions end to end, wrap onto the grid.
+    fn coordinate(index: u32) -> f32
+    {
+      return coordinates[index % arrayLength(&coordinates)];
+    }
+`;
+  }
+
+  /**
+   * WGSL for effectivePotential(index, psi), the potential at a grid point plus, for solvers supporting
+   * nonlinearity, the Gross-Pitaevskii term g|Ψ|². The nonlinear term acts on Ψ just as the potential does, so
+   * the time steps use this wherever they would use parameters.potential[index].
+   *
+   * @returns {String} WGSL source declaring effectivePotential.
+   */
+  getEffectivePotentialFunction()
+  {
+    const nonlinearTerm = this.supportsNonlinearity() ? " + parameters.g*dot(psi, psi)" : "";
+    return `
+    fn effectivePotential(index: u32, psi: vec2f) -> f32
+    {
+      return parameters.potential[index]${nonlinearTerm};
+    }
+`;
+  }
+
+  /**
+   * WGSL for gridPosition(index), the physical position of a grid point from its index into the potential and
+   * wave function arrays. Solvers on two or three dimensional grids override this to fill in y and z. On a
+   * non-uniform grid x comes from the coordinates, declared at @group(0) @binding(2), see {@link setCoordinates}.
+   *
+   * @returns {String} WGSL source declaring gridPosition.
+   */
+  getPositionFunction()
+  {
+    if (this.#coordinates)
+    {
+      return `
+    ${this.#getCoordinateFunction()}
+    fn gridPosition(index: u32) -> vec3f
+    {
+      return vec3f(coordinate(index), 0.0, 0.0);
+    }
+`;
+    }
+    return `
+    fn gridPosition(index: u32) -> vec3f
+    {
+      return vec3f(f32(index)*parameters.length/f32(parameters.xResolution - 1u), 0.0, 0.0);
+    }
+`;
+  }
+
+  /**
+   * Whether this solver's time step is built on the shared WGSL, {@link getSecondDerivativeFunction} for the kinetic
+   * term and {@link getEffectivePotentialFunction} for the potential. Such solvers override this, and so support
+   * the higher order stencils, a periodic grid, a position dependent mass, the Gross-Pitaevskii term, and a
+   * non-uniform grid.
+   *
+   * @returns {Boolean} True if the time step is built on the shared stencil.
+   */
+  usesSharedStencil()
+  {
+    return false;
+  }
+
+  /**
+   * The stencils this solver's shaders implement, all of them for solvers built on the shared stencil, see
+   * {@link usesSharedStencil}, otherwise the three point stencil.
+   *
+   * @returns {Array<Integer>} The supported numbers of stencil points.
+   */
+  getSupportedStencils()
+  {
+    return this.usesSharedStencil() ? [STENCIL_3_POINT, STENCIL_5_POINT, STENCIL_7_POINT] : [STENCIL_3_POINT];
+  }
+
+  /**
+   * Get the number of points in the second difference stencil.
+   *
+   * @returns {Integer} 3, 5 or 7.
+   */
+  getStencil()
+  {
+    return this.#stencil;
+  }
+
+  /**
+   * The boundary modes this solver's shaders implement, including a periodic grid for solvers built on the shared
+   * stencil, see {@link usesSharedStencil}.
+   *
+   * @returns {Array<String>} The supported boundary modes.
+   */
+  getSupportedBoundaryModes()
+  {
+    return this.usesSharedStencil() ? [BOUNDARY_CLAMPED, BOUNDARY_PERIODIC] : [BOUNDARY_CLAMPED];
+  }
+
+  /**
+   * The precisions this solver's shaders implement. Solvers with a df64 time step override this.
+   *
+   * @returns {Array<String>} The supported precisions.
+   */
+  getSupportedPrecisions()
+  {
+    return [PRECISION_F32];
+  }
+
+  /**
+   * Get the precision in use. This is the precision selected at construction, unless f16 fell back to f32 for a
+   * solver without f16 shaders or, in {@link init}, a device without shader-f16.
+   *
+   * @returns {String} {@link PRECISION_F32}, {@link PRECISION_DF64} or {@link PRECISION_F16}.
+   */
+  getPrecision()
+  {
+    return this.#precision;
+  }
+
+  /**
+   * The tradeoff made by the precision in use, memory and bandwidth against accuracy. Each step reads the wave
+   * function several times, so the time step's memory traffic scales with bytesPerPoint. Rounding the stored
+   * wave function introduces a relative error of up to unitRoundoff per step.
+   *
+   * @returns {{precision: String, bytesPerPoint: Integer, unitRoundoff: Number}} The precision, the bytes stored
+   *          per complex grid point, and the unit roundoff of the stored wave function.
+   */
+  describePrecision()
+  {
+    return {precision: this.#precision, ...PRECISION_PROPERTIES.get(this.#precision)};
+  }
+
+  /**
+   * The WGSL type of a wave function element, vec2h for {@link PRECISION_F16}, otherwise vec2f. Shaders read
+   * elements through vec2f(), computing in f32, and write them through this type.
+   *
+   * @returns {String} "vec2h" or "vec2f".
+   */
+  getWaveFunctionType()
+  {
+    return this.#precision === PRECISION_F16 ? "vec2h" : "vec2f";
+  }
+
+  /**
+   * WGSL enable directives for the wave function type, which must open any shader declaring a wave function array.
+   *
+   * @returns {String} "enable f16;" for {@link PRECISION_F16}, otherwise empty.
+   */
+  getEnableDirectives()
+  {
+    return this.#precision === PRECISION_F16 ? "enable f16;" : "";
+  }
+
+  /**
+   * Get the boundary mode selected at construction.
+   *
+   * @returns {String} {@link BOUNDARY_CLAMPED} or {@link BOUNDARY_PERIODIC}.
+   */
+  getBoundaryMode()
+  {
+    return this.#boundaryMode;
+  }
+
+  /**
+   * Whether the grid wraps around.
+   *
+   * @returns {Boolean} True for a periodic grid.
+   */
+  isPeriodic()
+  {
+    return this.#boundaryMode === BOUNDARY_PERIODIC;
+  }
+
+  /**
+   * WGSL for secondDerivative(index, stride, position, count, h), the second derivative of the global waveFunction
+   * array along one axis. stride is the index step between neighbors along the axis, position is the grid coordinate
+   * along the axis, count the number of grid points along the axis, and h the grid spacing. A 1D solver invokes
+   * secondDerivative(index, 1u, index, parameters.xResolution, dx).
+   *
+   * Away from the edges this is the selected stencil. The order drops near the edges, so no stencil reaches past the
+   * grid, down to the three point difference with clamped neighbors on the edge points themselves. This matches the
+   * original three point shaders at the edges, so boundaries such as {@link MurBoundary}, which overwrite the edge
+   * points from their neighbors, work unchanged.
+   *
+   * On a periodic grid the stencil is used everywhere, with the neighbors wrapping around the axis.
+   *
+   * With an effective mass this is instead the three point BenDaniel-Duke ∂x (1/m ∂xΨ), with 1/m averaged onto the
+   * midpoints between grid points, see {@link setEffectiveMass}.
+   *
+   * On a non-uniform grid it is the three point difference (1/w)[(Ψ₊ - Ψ)/h₊ - (Ψ - Ψ₋)/h₋], with the spacings h₊
+   * and h₋ to the neighbors from the coordinates and w = (h₊ + h₋)/2, along with any effective mass. This is
+   * symmetric in the inner product weighted by w, so the schemes conserve Σ w|Ψ|². See {@link setCoordinates}.
+   *
+   * @returns {String} WGSL source declaring STENCIL_POINTS and secondDerivative.
+   */
+  getSecondDerivativeFunction()
+  {
+    const waveFunctionAt = `
+    // Ψ at index, promoted to f32 from f16 storage, see getWaveFunctionType.
+    fn waveFunctionAt(index: u32) -> vec2f
+    {
+      return vec2f(waveFunction[index]);
+    }
+`;
+    const periodicNeighbor = `
+    // The index offset steps along the axis from index, wrapping around the periodic grid.
+    fn periodicNeighbor(index: u32, stride: u32, position: u32, count: u32, offset: i32) -> u32
+    {
+      let wrapped = u32((i32(position) + offset + i32(count)) % i32(count));
+      return index - position*stride + wrapped*stride;
+    }
+`;
+    if (this.#coordinates)
+    {
+      return `
+    ${waveFunctionAt}
+    ${this.getInverseMassFunction()}
+    ${this.#getCoordinateFunction()}
+    // The number of points in the second difference stencil, always 3 on a non-uniform grid.
+    const STENCIL_POINTS = 3u;
+
+    // The spacing h is unused, the spacings come from the coordinates.
+    fn secondDerivative(index: u32, stride: u32, position: u32, count: u32, h: f32) -> vec2f
+    {
+      let plus = select(index, index + stride, position + 1u < count);
+      let minus = select(index, index - stride, position > 0u);
+      // The edge points take the one spacing they have on both sides, as the uniform stencil does.
+      let hPlus = select(coordinate(index) - coordinate(minus), coordinate(plus) - coordinate(index),
+                         position + 1u < count);
+      let hMinus = select(hPlus, coordinate(index) - coordinate(minus), position > 0u);
+      let psi = waveFunctionAt(index);
+      let inverseMassPlus = 0.5*(inverseMass(index) + inverseMass(plus));
+      let inverseMassMinus = 0.5*(inverseMass(index) + inverseMass(minus));
+      return (inverseMassPlus*(waveFunctionAt(plus) - psi)/hPlus - inverseMassMinus*(psi - waveFunctionAt(minus))/hMinus)
+             / (0.5*(hPlus + hMinus));
+    }
+`;
+    }
+    if (this.#effectiveMass)
+    {
+      const neighbors = this.isPeriodic()
+          ? `let plus = periodicNeighbor(index, stride, position, count, 1);
+      let minus = periodicNeighbor(index, stride, position, count, -1);`
+          : `let plus = select(index, index + stride, position + 1u < count);
+      let minus = select(index, index - stride, position > 0u);`;
+      return `
+    ${waveFunctionAt}
+    ${this.getInverseMassFunction()}
+    ${this.isPeriodic() ? periodicNeighbor : ""}
+    // The number of points in the second difference stencil, always 3 with an effective mass.
+    const STENCIL_POINTS = 3u;
+
+    fn secondDerivative(index: u32, stride: u32, position: u32, count: u32, h: f32) -> vec2f
+    {
+      ${neighbors}
+      let psi = waveFunctionAt(index);
+      let inverseMassPlus = 0.5*(inverseMass(index) + inverseMass(plus));
+      let inverseMassMinus = 0.5*(inverseMass(index) + inverseMass(minus));
+      return (inverseMassPlus*(waveFunctionAt(plus) - psi) - inverseMassMinus*(psi - waveFunctionAt(minus))) / (h*h);
+    }
+`;
+    }
+    if (this.isPeriodic())
+    {
+      return `
+    ${waveFunctionAt}
+    ${periodicNeighbor}
+    // The number of points in the second difference stencil, 3, 5 or 7.
+    const STENCIL_POINTS = ${this.#stencil}u;
+
+    fn secondDerivative(index: u32, stride: u32, position: u32, count: u32, h: f32) -> vec2f
+    {
+      let psi = waveFunctionAt(index);
+      let neighbors1 = waveFunctionAt(periodicNeighbor(index, stride, position, count, -1))
+                       + waveFunctionAt(periodicNeighbor(index, stride, position, count, 1));
+      if (STENCIL_POINTS == 3u)
+      {
+        return (neighbors1 - 2.0*psi) / (h*h);
+      }
+      let neighbors2 = waveFunctionAt(periodicNeighbor(index, stride, position, count, -2))
+                       + waveFunctionAt(periodicNeighbor(index, stride, position, count, 2));
+      if (STENCIL_POINTS == 5u)
+      {
+        return (-neighbors2 + 16.0*neighbors1 - 30.0*psi) / (12.0*h*h);
+      }
+      let neighbors3 = waveFunctionAt(periodicNeighbor(index, stride, position, count, -3))
+                       + waveFunctionAt(periodicNeighbor(index, stride, position, count, 3));
+      return (2.0*neighbors3 - 27.0*neighbors2 + 270.0*neighbors1 - 490.0*psi) / (180.0*h*h);
+    }
+`;
+    }
+    return `
+    ${waveFunctionAt}
+    // The number of points in the second difference stencil, 3, 5 or 7.
+    const STENCIL_POINTS = ${this.#stencil}u;
+
+    fn secondDerivative(index: u32, stride: u32, position: u32, count: u32, h: f32) -> vec2f
+    {
+      // How many neighbors are available on both sides.
+      let distance = min(position, count - 1u - position);
+      let psi = waveFunctionAt(index);
+      if (STENCIL_POINTS >= 7u && distance >= 3u)
+      {
+        return (2.0*(waveFunctionAt(index - 3u*stride) + waveFunctionAt(index + 3u*stride))
+                - 27.0*(waveFunctionAt(index - 2u*stride) + waveFunctionAt(index + 2u*stride))
+                + 270.0*(waveFunctionAt(index - stride) + waveFunctionAt(index + stride))
+                - 490.0*psi) / (180.0*h*h);
+      }
+      if (STENCIL_POINTS >= 5u && distance >= 2u)
+      {
+        return (-(waveFunctionAt(index - 2u*stride) + waveFunctionAt(index + 2u*stride))
+                + 16.0*(waveFunctionAt(index - stride) + waveFunctionAt(index + stride))
+                - 30.0*psi) / (12.0*h*h);
+      }
+      let plus = select(index, index + stride, position + 1u < count);
+      let minus = select(index, index - stride, position > 0u);
+      return (waveFunctionAt(plus) - 2.0*psi + waveFunctionAt(minus)) / (h*h);
+    }
+`;
+  }
+
+  /**
+   * Update one of the extra parameters in the parameters buffer. Subclasses invoke this from their setters.
+   *
+   * @param {String} name  The name of the parameter, as given by {@link getExtraParameters}.
+   * @param {Number} value The new value for the parameter.
+   */
+  writeParameter(name, value)
+  {
+    if (this.#initialized) {
+      const {offset, type} = this.#extraParameterOffsets.get(name);
+      const data = type === "u32" ? new Uint32Array([value]) : new Float32Array([value]);
+      this.#device.queue.writeBuffer(this.#parametersBuffer, offset, data);
+    }
+  }
+
+  /**
+   * Whether this is a debugging instance, with copyable buffers.
+   *
+   * @returns {Boolean} True if this is a debugging instance.
+   */
+  isDebug()
+  {
+    return this.#debug;
+  }
+
+  /**
+   * The time stepping scheme a boundary value delegate must be written for, which fixes the wave function bindings
+   * the delegate shares. Solvers whose {@link step} encodes the passes of the boundary value delegate override this,
+   * and hand the delegate the wave function bind group of each step. Boundaries check it, along with
+   * {@link getGridSize}, on construction.
+   *
+   * @returns {String} {@link SCHEME_CENTRAL_DIFFERENCE} or {@link SCHEME_LEAPFROG}, or undefined if this solver
+   *                   applies no boundary value delegate.
+   */
+  getBoundaryScheme()
+  {
+    return undefined;
+  }
+
+  /**
+   * Whether this solver applies a boundary value delegate, that is whether it has a {@link getBoundaryScheme}.
+   *
+   * @returns {Boolean} True if {@link setBoundary} and {@link setBCEnabled} are supported.
+   */
+  supportsBoundaryConditions()
+  {
+    return this.getBoundaryScheme() !== undefined;
+  }
+
+  /**
+   * Get the boundary value delegate.
+   *
+   * @returns {MurBoundary} The boundary value delegate, or undefined if none is set.
+   */
+  getBoundary()
+  {
+    return this.#boundary;
+  }
+
+  /**
+   * Set the boundary value delegate.
+   *
+   * @param {MurBoundary} boundary A MurBoundary instance, or similar boundary value class compatible with the
+   *                               wave function layout of this solver.
+   * @returns {SchrodingerSolver}
+   */
+  setBoundary(boundary)
+  {
+    if (boundary && !this.supportsBoundaryConditions())
+    {
+      throw new Error(`${this.constructor.name}: Boundary conditions are not supported.`);
+    }
+    this.#boundary = boundary;
+    return this;
+  }
+
+  /**
+   * Set whether ot not to use the boundary conditions. If true, the boundary conditions are
+   * enforced, if false, they are ignored.
+   *
+   * @param {Boolean} enabled True if boundary conditions are enabled, false if not.
+   * @returns {SchrodingerSolver}
+   */
+  setBCEnabled(enabled)
+  {
+    if (enabled && !this.supportsBoundaryConditions())
+    {
+      throw new Error(`${this.constructor.name}: Boundary conditions are not supported.`);
+    }
+    if (enabled && this.isPeriodic())
+    {
+      throw new Error(`${this.constructor.name}: A periodic grid has no edges for boundary conditions.`);
+    }
+    this.#bcEnabled = enabled;
+    return this;
+  }
+
+  /**
+   * Check whether boundary conditions are enabled. Returns true is they are enabled, false if not.
+   *
+   * @returns {Boolean} True if boundary conditions are enabled, false if not.
+   */
+  isBCEnabled()
+  {
+    return this.#bcEnabled;
+  }
+
+  /**
+   * Get the bind group for the wave function parameters in the wave equation.
+   *
+   * @returns {GPUBindGroup} The bind group for the parameters buffer.
+   * @see getParametersBindGroupLayout
+   */
+  getParametersBindGroup()
+  {
+    return this.#parametersBindGroup;
+  }
+
+  /**
+   * Get the bind group layout for the schrodinger solver parameters.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
+   * @see getParametersBindGroup
+   */
+  getParametersBindGroupLayout()
+  {
+    return this.#parametersBindGroupLayout;
+  }
+
+  /**
+   * Get the FDTD parameters buffer for display or debugging.
+   *
+   * @returns {GPUBuffer} The FDTD parameters buffer.
+   */
+  getParametersBuffer()
+  {
+    return this.#parametersBuffer;
+  }
+
+  /**
+   * Get the device we obtain resources from. Allows other classes to share resources.
+   *
+   * @returns {GPUDevice} The device in use for this simulation.
+   */
+  getDevice()
+  {
+    return this.#device;
+  }
+
+  /**
+   * Whether the device and parameters buffer have been set up.
+   *
+   * @returns {Boolean} True if init has completed.
+   */
+  isInitialized()
+  {
+    return this.#initialized;
+  }
+
+  /**
+   * Get the number of time steps taken since the wave function was last set.
+   *
+   * @returns {Integer} The number of time steps.
+   */
+  getStepCount()
+  {
+    return this.#nsteps;
+  }
+
+  /**
+   * Record time steps as they are encoded. Intended for use by subclass step implementations.
+   *
+   * @param {Integer} count The number of time steps to add to the step count, defaults to one.
+   */
+  incrementStepCount(count=1)
+  {
+    this.#nsteps += count;
+  }
+
+  /**
+   * Reset the step count, typically when a new wave function is loaded.
+   */
+  resetStepCount()
+  {
+    this.#nsteps = 0;
+    this.#timeDependentPotential?.setStep(0);
+    // Boundaries keeping a history, such as DiscreteTransparentBoundary, restart it.
+    this.#boundary?.setStep?.(0);
+    this.#blowUpDetector?.reset();
+  }
+
+  /**
+   * Get the wave function bind group layout. Boundaries build their pipelines against this layout.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave function buffers.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    throw new Error(`${this.constructor.name} must implement getWaveFunctionBindGroupLayout.`);
+  }
+
+  /**
+   * Get the wave function bind group that the next time step will be computed with.
+   *
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
+   */
+  getWaveFunctionBindGroup()
+  {
+    throw new Error(`${this.constructor.name} must implement getWaveFunctionBindGroup.`);
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t), for display or debugging.
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    throw new Error(`${this.constructor.name} must implement getWaveFunctionBuffer.`);
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
+   *
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
+   */
+  setWaveFunction(data)
+  {
+    throw new Error(`${this.constructor.name} must implement setWaveFunction.`);
+  }
+
+  /**
+   * Create a buffer sized to hold a wave function on our grid. The buffer may be written from the CPU, and
+   * in the debug case copied to another buffer for reading.
+   *
+   * @param {String} label The label for the buffer.
+   * @returns {GPUBuffer} A new, zero filled, wave function buffer.
+   */
+  createWaveFunctionBuffer(label)
+  {
+    const bytesPerComponent = this.#precision === PRECISION_F16 ? Uint16Array.BYTES_PER_ELEMENT
+                                                                : Float32Array.BYTES_PER_ELEMENT;
+    return this.#device.createBuffer({
+      label: label,
+      size: 2*this.getGridSize()*bytesPerComponent,
+      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                         : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+  }
+
+  /**
+   * Convert real and imaginary values to the contents of a wave function buffer, f16 bit patterns for
+   * {@link PRECISION_F16}, otherwise f32.
+   *
+   * @param {Array<Number>} data Interleaved real and imaginary values for the wave function.
+   * @returns {Uint16Array|Float32Array} The data for writeBuffer.
+   */
+  toWaveFunctionData(data)
+  {
+    return this.#precision === PRECISION_F16 ? HalfFloat.pack(data) : new Float32Array(data);
+  }
+
+  /**
+   * Request the device for this simulation. Override to request a device with specific features or limits.
+   * For {@link PRECISION_F16} this requests shader-f16 when the adapter has it.
+   *
+   * @returns {Promise<GPUDevice>} A promise that resolves to the device for this simulation.
+   */
+  async requestDevice()
+  {
+    const webgpuCompute = new WebGPUCompute();
+    return this.#precision === PRECISION_F16 ? webgpuCompute.getShaderF16Device() : webgpuCompute.getDevice();
+  }
+
+  /**
+   * Fall back from f16 to f32 storage on a device without shader-f16.
+   */
+  #checkPrecisionSupport()
+  {
+    if (this.#precision === PRECISION_F16 && !this.#device.features.has(WebGPUCompute.SHADER_F16_FEATURE_NAME))
+    {
+      this.#precision = PRECISION_F32;
+      this.#warnF16Fallback(`This device does not support ${WebGPUCompute.SHADER_F16_FEATURE_NAME}`);
+    }
+  }
+
+  /**
+   * Report that the wave function is stored in f32 rather than the requested f16, and what that costs.
+   *
+   * @param {String} reason Why f16 is unavailable.
+   */
+  #warnF16Fallback(reason)
+  {
+    const requested = PRECISION_PROPERTIES.get(PRECISION_F16);
+    const fallback = PRECISION_PROPERTIES.get(PRECISION_F32);
+    console.warn(`${this.constructor.name}: ${reason}, storing the wave function in ${PRECISION_F32} rather than `
+                 + `${PRECISION_F16}. This uses ${fallback.bytesPerPoint/requested.bytesPerPoint} times the memory `
+                 + `and bandwidth, at ${fallback.bytesPerPoint} rather than ${requested.bytesPerPoint} bytes per `
+                 + `point, with unit roundoff ${fallback.unitRoundoff.toExponential(2)} rather than `
+                 + `${requested.unitRoundoff.toExponential(2)}.`);
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * This checks dt with {@link checkStability}, acquires the device and builds the parameters buffer and bind group.
+   * Subclasses invoke this, then set up their wave function buffers and pipelines.
+   *
+   * @returns {Promise<SchrodingerSolver>} A promise that resolves to this solver.
+   * @see getInstance
+   */
+  async init()
+  {
+    // Before the parameters buffer is written, so an automatic dt lands there.
+    this.checkStability();
+    this.#device = await this.requestDevice();
+    this.#checkPrecisionSupport();
+
+    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
+      label: "Simulation parameters",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        // The inverse mass, only when a position dependent mass is set.
+        ...(this.#effectiveMass ? [{
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        }] : []),
+        // The grid coordinates, only on a non-uniform grid.
+        ...(this.#coordinates ? [{
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        }] : [])
+      ]
+    });
+
+    const extraParameters = this.#getAllExtraParameters();
+    const gridSize = this.getGridSize();
+
+    this.#parametersBuffer = this.#device.createBuffer({
+      label: "Parameters buffer",
+      mappedAtCreation: true,
+      size: Float32Array.BYTES_PER_ELEMENT                            // dt
+          + Uint32Array.BYTES_PER_ELEMENT                             // xResolution
+          + Float32Array.BYTES_PER_ELEMENT                            // length
+          + extraParameters.length*Float32Array.BYTES_PER_ELEMENT     // extra parameters, all 4 bytes
+          + gridSize*Float32Array.BYTES_PER_ELEMENT,                  // potential
+      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                          : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+            // How we use this buffer, in the debug case we copy it to another buffer for reading
+    });
+
+    // Get the raw array buffer for the mapped GPU buffer
+    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
+
+    let bytesSoFar = 0;
+    this.#dtOffset = bytesSoFar;
+    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
+    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+
+    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
+    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
+
+    this.#lengthOffset = bytesSoFar;
+    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
+    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+
+    this.#extraParameterOffsets.clear();
+    for (const {name, type, value} of extraParameters) {
+      this.#extraParameterOffsets.set(name, {offset: bytesSoFar, type: type});
+      const view = type === "u32" ? new Uint32Array(parametersArrayBuffer, bytesSoFar, 1)
+                                  : new Float32Array(parametersArrayBuffer, bytesSoFar, 1);
+      view.set([value]);
+      bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+    }
+
+    // A free particle leaves the potential zero filled, so any renderer may bind these parameters.
+    this.#potentialOffset = bytesSoFar;
+    if (this.#potential) {
+      new Float32Array(parametersArrayBuffer, bytesSoFar, gridSize).set(this.#potential);
+    }
+
+    // Unmap the buffer returning ownership to the GPU.
+    this.#parametersBuffer.unmap();
+
+    const inverseMassEntries = [];
+    if (this.#effectiveMass) {
+      this.#inverseMassBuffer = this.#device.createBuffer({
+        label: "Inverse mass buffer",
+        mappedAtCreation: true,
+        size: gridSize*Float32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+      new Float32Array(this.#inverseMassBuffer.getMappedRange()).set(this.#effectiveMass.map(m => 1/m));
+      this.#inverseMassBuffer.unmap();
+      inverseMassEntries.push({
+        binding: 1,
+        resource: {
+          buffer: this.#inverseMassBuffer
+        }
+      });
+    }
+
+    const coordinatesEntries = [];
+    if (this.#coordinates) {
+      this.#coordinatesBuffer = this.#device.createBuffer({
+        label: "Coordinates buffer",
+        mappedAtCreation: true,
+        size: this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
+        usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+      });
+      new Float32Array(this.#coordinatesBuffer.getMappedRange()).set(this.#coordinates);
+      this.#coordinatesBuffer.unmap();
+      coordinatesEntries.push({
+        binding: 2,
+        resource: {
+          buffer: this.#coordinatesBuffer
+        }
+      });
+    }
+
+    this.#parametersBindGroup = this.#device.createBindGroup({
+      label: "parameters bind group",
+      layout: this.#parametersBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#parametersBuffer
+          }
+        },
+        ...inverseMassEntries,
+        ...coordinatesEntries
+      ]
+    });
+
+    this.#nsteps = 0;
+    this.#initialized = true;
+    return this;
+  }
+
+  /**
+   * Get an initialized instance of a Schrödinger equation integrator. The arguments are passed, in order, to the
+   * constructor of the class this is invoked on, so <code>Schrodinger.getInstance(dt, xResolution, length,
+   * potential)</code> builds and initializes a <code>Schrodinger</code>.
+   *
+   * @param {...*} args The constructor arguments.
+   * @return {Promise<SchrodingerSolver>} A promise that resolves to the requested, initialized, solver.
+   * @see init
+   */
+  static async getInstance(...args)
+  {
+    const solver = new this(...args);
+    return solver.init();
+  }
+
+  /**
+   * Mark the simulation as running, and let any blow up detector check the wave function. Invoked at the top of
+   * {@link step}, {@link stop} clears it.
+   */
+  start()
+  {
+    this.#running = true;
+    // The previous steps are submitted, so a check sees the wave function they left. This stops a blown up solver.
+    this.#blowUpDetector?.update();
+  }
+
+  /**
+   * Halt the simulation. Any remaining iterations in the current {@link step} are skipped.
+   */
+  stop()
+  {
+    this.#running = false;
+  }
+
+  /**
+   * Whether the simulation is allowed to run.
+   *
+   * @returns {Boolean} True if the simulation is running, false if it has been stopped.
+   */
+  isRunning()
+  {
+    return this.#running;
+  }
+
+  /**
+   * Execute count iterations of the simulation.
+   *
+   * @param {Integer} count The number of iterations to carry out.
+   */
+  step(count)
+  {
+    throw new Error(`${this.constructor.name} must implement step.`);
+  }
+}
+
+export {SchrodingerSolver}
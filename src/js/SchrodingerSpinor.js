@@ -0,0 +1,663 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * An FDTD time evolver for a two component wave function, (Ψ↑, Ψ↓), a spin 1/2 particle or a particle on two coupled
+ * electronic surfaces, in one dimension. The Hamiltonian is
+ *
+ *   H = (-½∂²/∂x² + V(x))𝟙 + M(x, t),   M = | M↑↑     M↑↓ |
+ *                                           | M↑↓*    M↓↓ |
+ *
+ * where V is the potential shared by both components, the solver's usual potential, so a
+ * {@link TimeDependentPotential} drives it as for any other solver, and M is the Hermitian 2×2 potential matrix with
+ * the coupling between the components. M varies linearly in time, M(x, t) = M₀(x) + t Ṁ(x), see
+ * {@link setPotentialSweep}. This covers the usual demos:
+ * <ul>
+ *   <li>Rabi oscillations, a constant coupling M↑↓ = Ω/2 between degenerate components.</li>
+ *   <li>Landau-Zener transitions, a constant coupling with the diagonal swept through the crossing,
+ *       Ṁ↑↑ = α/2 and Ṁ↓↓ = -α/2.</li>
+ *   <li>Spin precession, M = ½B·σ for a field B, see {@link spinMatrix}.</li>
+ * </ul>
+ *
+ * The wave function is stored as an array<vec4f> of (Re Ψ↑, Im Ψ↑, Re Ψ↓, Im Ψ↓), and M as an array<vec4f> of
+ * (M↑↑, M↓↓, Re M↑↓, Im M↑↓). The time step is the central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), cycling
+ * through three wave function buffers, with the three point second difference. Boundary value delegates read an
+ * array<vec2f> wave function, so {@link setBoundary} and {@link setBCEnabled} reject them. A {@link BlowUpDetector}
+ * sums |Ψ↑|² + |Ψ↓|², other renderers and helpers reading an array<vec2f> do not apply, draw the components with
+ * {@link SpinorRenderer}.
+ *
+ * @property {Array<Number>} #potentialMatrix M₀, 4*xResolution values, or undefined for no coupling.
+ * @property {Array<Number>} #potentialSweep Ṁ, 4*xResolution values, or undefined for a static matrix.
+ * @property {GPUBuffer} #potentialMatrixBuffer M₀ on the GPU.
+ * @property {GPUBuffer} #potentialSweepBuffer Ṁ on the GPU, zero for a static matrix.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter timing the sweep.
+ * @property {GPUBindGroupLayout} #potentialMatrixBindGroupLayout The layout for the matrix, sweep and clock.
+ * @property {GPUBindGroup} #potentialMatrixBindGroup The matrix, sweep and clock, read by the time step and renderer.
+ * @property {GPUBindGroup} #clockBindGroup The clock, bound for writing.
+ * @property {GPUBuffer} #waveFunctionBuffer0 One of three wave function buffers.
+ * @property {GPUBuffer} #waveFunctionBuffer1 One of three wave function buffers.
+ * @property {GPUBuffer} #waveFunctionBuffer2 One of three wave function buffers.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
+ * @property {GPUComputePipeline} #computePipeline The pipeline carrying out the time step.
+ * @property {GPUComputePipeline} #advancePipeline The pipeline advancing the clock one step.
+ */
+class SchrodingerSpinor extends SchrodingerSolver
+{
+  #potentialMatrix;
+  #potentialSweep;
+  #potentialMatrixBuffer;
+  #potentialSweepBuffer;
+  #clockBuffer;
+  #potentialMatrixBindGroupLayout;
+  #potentialMatrixBindGroup;
+  #clockBindGroup;
+  #waveFunctionBuffer0;
+  #waveFunctionBuffer1;
+  #waveFunctionBuffer2;
+  #waveFunctionBindGroups = new Array(3);
+  #waveFunctionBindGroupLayout;
+  #computePipeline;
+  #advancePipeline;
+
+  /**
+   * Build a two component Schrödinger equation integrator with the given parameters.
+   *
+   * @param {Number}        dt              The Δt between iterations of the wave function in natural units of time.
+   * @param {Integer}       xResolution     The size of the wave function arrays, the number of spatial steps
+   *                                        on our 1D grid.
+   * @param {Number}        length          The characteristic length for the problem in terms of natural units.
+   * @param {Array<Number>} potential       An array of xResolution values for V, the potential shared by both
+   *                                        components. May be undefined.
+   * @param {Array<Number>} potentialMatrix An array of 4*xResolution values for M, (M↑↑, M↓↓, Re M↑↓, Im M↑↓) at
+   *                                        each point. May be undefined for uncoupled components.
+   * @param {Boolean}       debug           The debug option for this execution of the FDTD solver. Enabling this
+   *                                        makes the wave function buffers copyable, potentially having a
+   *                                        performance impact. Defaults to false.
+   * @param {String}        boundaryMode    {@link SchrodingerSolver.BOUNDARY_CLAMPED} or
+   *                                        {@link SchrodingerSolver.BOUNDARY_PERIODIC}. Defaults to clamped.
+   */
+  constructor(dt, xResolution, length, potential, potentialMatrix, debug=false,
+              boundaryMode=SchrodingerSolver.BOUNDARY_CLAMPED)
+  {
+    super(dt, xResolution, length, potential, debug, SchrodingerSolver.STENCIL_3_POINT, boundaryMode);
+    if (potentialMatrix)
+    {
+      this.#validateMatrix(potentialMatrix);
+    }
+    this.#potentialMatrix = potentialMatrix;
+  }
+
+  /**
+   * The potential matrix ½B·σ for a spin 1/2 in a uniform field, in units where the gyromagnetic factor is one,
+   * precessing the spin about B at the Larmor frequency |B|.
+   *
+   * @param {Integer} xResolution The number of grid points.
+   * @param {Number}  bx          The x component of the field.
+   * @param {Number}  by          The y component of the field.
+   * @param {Number}  bz          The z component of the field.
+   * @returns {Array<Number>} 4*xResolution values, (bz/2, -bz/2, bx/2, -by/2) at each point.
+   */
+  static spinMatrix(xResolution, bx, by, bz)
+  {
+    return Array.from({length: 4*xResolution}, (v, i) => [bz/2, -bz/2, bx/2, -by/2][i%4]);
+  }
+
+  /**
+   * Throw unless the matrix has four values for each grid point.
+   *
+   * @param {Array<Number>} matrix The potential matrix or sweep.
+   */
+  #validateMatrix(matrix)
+  {
+    if (matrix.length !== 4*this.getXResolution())
+    {
+      throw new Error(`${this.constructor.name}: The potential matrix needs ${4*this.getXResolution()} values, `
+                      + `M↑↑, M↓↓, Re M↑↓ and Im M↑↓ at each point, not ${matrix.length}.`);
+    }
+  }
+
+  /**
+   * Get the potential matrix at t = 0, M₀.
+   *
+   * @returns {Array<Number>} 4*xResolution values, or undefined for uncoupled components.
+   */
+  getPotentialMatrix()
+  {
+    return this.#potentialMatrix;
+  }
+
+  /**
+   * Set the potential matrix at t = 0, M₀. If the solver is initialized the GPU copy is updated as well.
+   *
+   * @param {Array<Number>} potentialMatrix 4*xResolution values, (M↑↑, M↓↓, Re M↑↓, Im M↑↓) at each point.
+   * @returns {SchrodingerSpinor}
+   */
+  setPotentialMatrix(potentialMatrix)
+  {
+    this.#validateMatrix(potentialMatrix);
+    this.#potentialMatrix = potentialMatrix;
+    if (this.isInitialized())
+    {
+      this.getDevice().queue.writeBuffer(this.#potentialMatrixBuffer, 0, new Float32Array(potentialMatrix));
+    }
+    return this;
+  }
+
+  /**
+   * Get the rate of change of the potential matrix, Ṁ.
+   *
+   * @returns {Array<Number>} 4*xResolution values, or undefined for a static matrix.
+   */
+  getPotentialSweep()
+  {
+    return this.#potentialSweep;
+  }
+
+  /**
+   * Set the rate of change of the potential matrix, Ṁ, so M(x, t) = M₀(x) + t Ṁ(x), with t counted from when the
+   * wave function was last set. If the solver is initialized the GPU copy is updated as well.
+   *
+   * @param {Array<Number>} potentialSweep 4*xResolution values, (Ṁ↑↑, Ṁ↓↓, Re Ṁ↑↓, Im Ṁ↑↓) at each point, or
+   *                                       undefined for a static matrix.
+   * @returns {SchrodingerSpinor}
+   */
+  setPotentialSweep(potentialSweep)
+  {
+    if (potentialSweep)
+    {
+      this.#validateMatrix(potentialSweep);
+    }
+    this.#potentialSweep = potentialSweep;
+    if (this.isInitialized())
+    {
+      this.getDevice().queue.writeBuffer(this.#potentialSweepBuffer, 0,
+                                         new Float32Array(potentialSweep ?? 4*this.getXResolution()));
+    }
+    return this;
+  }
+
+  /**
+   * The scalar potential V(x,t), shared by both components, is rewritten ahead of each step. The potential matrix
+   * follows its own clock.
+   *
+   * @returns {Boolean} true
+   */
+  supportsTimeDependentPotential()
+  {
+    return true;
+  }
+
+  /**
+   * The central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), is stable for Δt·ρ(H) up to 1.
+   *
+   * @returns {Number} 1
+   */
+  getStabilityFactor()
+  {
+    return 1;
+  }
+
+  /**
+   * The bound of {@link SchrodingerSolver#getSpectralRadius}, with the eigenvalues of V𝟙 + M₀,
+   * V + (M↑↑ + M↓↓)/2 ± √(((M↑↑ - M↓↓)/2)² + |M↑↓|²), in place of V. A sweep moves these eigenvalues, so leave a
+   * margin for the largest M reached.
+   *
+   * @returns {Number} A bound on max |E|.
+   */
+  getSpectralRadius()
+  {
+    const h = this.getGridSpacings()[0];
+    // The three point stencil's bound, 4/h², over 2m.
+    const kinetic = 2/(h*h);
+    const potential = this.getPotential();
+    let minEnergy = 0;
+    let maxEnergy = 0;
+    for (let i=0; i<this.getXResolution(); i++)
+    {
+      const [upUp, downDown, couplingRe, couplingIm] = this.#potentialMatrix?.slice(4*i, 4*i+4) ?? [0, 0, 0, 0];
+      const mean = (potential?.[i] ?? 0) + 0.5*(upUp + downDown);
+      const splitting = Math.sqrt((0.5*(upUp - downDown))**2 + couplingRe**2 + couplingIm**2);
+      minEnergy = Math.min(minEnergy, mean - splitting);
+      maxEnergy = Math.max(maxEnergy, mean + splitting);
+    }
+    return Math.max(-minEnergy, kinetic + maxEnergy);
+  }
+
+  /**
+   * This solver has its own three point second difference for the two components.
+   *
+   * @returns {Array<String>} The supported boundary modes.
+   */
+  getSupportedBoundaryModes()
+  {
+    return [SchrodingerSolver.BOUNDARY_CLAMPED, SchrodingerSolver.BOUNDARY_PERIODIC];
+  }
+
+  /**
+   * Each element holds both components, (Re Ψ↑, Im Ψ↑, Re Ψ↓, Im Ψ↓).
+   *
+   * @returns {String} "vec4f"
+   */
+  getWaveFunctionType()
+  {
+    return "vec4f";
+  }
+
+  /**
+   * Create a buffer sized to hold the two component wave function on our grid.
+   *
+   * @param {String} label The label for the buffer.
+   * @returns {GPUBuffer} A new, zero filled, wave function buffer.
+   */
+  createWaveFunctionBuffer(label)
+  {
+    return this.getDevice().createBuffer({
+      label: label,
+      size: 4*this.getGridSize()*Float32Array.BYTES_PER_ELEMENT,
+      usage: this.isDebug() ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC
+                            : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+  }
+
+  /**
+   * WGSL for potentialMatrix(index), M at a grid point at the current time, (M↑↑, M↓↓, Re M↑↓, Im M↑↓). This expects
+   * the Parameters at @group(0) @binding(0) as parameters, and declares the matrix, sweep and clock at group
+   * matrixGroup, bound with {@link getPotentialMatrixBindGroup}.
+   *
+   * @param {Integer} matrixGroup The bind group number for the potential matrix.
+   * @returns {String} WGSL source declaring potentialMatrix.
+   */
+  getPotentialMatrixFunction(matrixGroup)
+  {
+    return `
+    // The potential matrix at t = 0, its rate of change, and the step count since the wave function was set.
+    @group(${matrixGroup}) @binding(0) var<storage, read> potentialMatrixAtZero : array<vec4f>;
+    @group(${matrixGroup}) @binding(1) var<storage, read> potentialSweep : array<vec4f>;
+    @group(${matrixGroup}) @binding(2) var<storage, read> clock : u32;
+
+    fn potentialMatrix(index: u32) -> vec4f
+    {
+      return potentialMatrixAtZero[index] + f32(clock)*parameters.dt*potentialSweep[index];
+    }
+`;
+  }
+
+  /**
+   * Get the bind group layout for the potential matrix, sweep and clock, see {@link getPotentialMatrixFunction}.
+   *
+   * @returns {GPUBindGroupLayout} The potential matrix bind group layout.
+   */
+  getPotentialMatrixBindGroupLayout()
+  {
+    return this.#potentialMatrixBindGroupLayout;
+  }
+
+  /**
+   * Get the bind group for the potential matrix, sweep and clock, see {@link getPotentialMatrixFunction}.
+   *
+   * @returns {GPUBindGroup} The potential matrix bind group.
+   */
+  getPotentialMatrixBindGroup()
+  {
+    return this.#potentialMatrixBindGroup;
+  }
+
+  /**
+   * Get the bind group layout for the wave function storage arrays.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    return this.#waveFunctionBindGroupLayout;
+  }
+
+  /**
+   * Get the wave function bind group for the next time step, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt).
+   *
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
+   */
+  getWaveFunctionBindGroup()
+  {
+    return this.#waveFunctionBindGroups[this.getStepCount()%3];
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t).
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    return [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2][(this.getStepCount()+1)%3];
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec4 within the shader. These
+   * values update both Ψ(t-Δt) and Ψ(t), and restart the sweep from M₀.
+   *
+   * @param {Array<Number>} data An array of 4*xResolution values, Re Ψ↑, Im Ψ↑, Re Ψ↓ and Im Ψ↓ at each point.
+   */
+  setWaveFunction(data)
+  {
+    const device = this.getDevice();
+    const float32Data = new Float32Array(data);
+    device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 4*this.getGridSize());
+    device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 4*this.getGridSize());
+    this.resetStepCount();
+  }
+
+  /**
+   * Reset the step count, and the clock timing the sweep with it.
+   */
+  resetStepCount()
+  {
+    super.resetStepCount();
+    if (this.#clockBuffer)
+    {
+      this.getDevice().queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([0]));
+    }
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<SchrodingerSpinor>} A promise that resolves to the SchrodingerSpinor object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+
+    const neighbors = this.isPeriodic()
+        ? `let plus = select(index + 1u, 0u, index + 1u == n);
+      let minus = select(index - 1u, n - 1u, index == 0u);`
+        : `let plus = select(index, index + 1u, index + 1u < n);
+      let minus = select(index, index - 1u, index > 0u);`;
+
+    const timeStepShader = `
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // Group 1, changes on each iteration, each element is (Re Ψ↑, Im Ψ↑, Re Ψ↓, Im Ψ↓).
+    // Older wave function at t-Δt.
+    @group(1) @binding(0) var<storage, read> oldWaveFunction : array<vec4f>;
+    // Current wave function at t.
+    @group(1) @binding(1) var<storage, read> waveFunction : array<vec4f>;
+    // The updated wave function at t+Δt.
+    @group(1) @binding(2) var<storage, read_write> updatedWaveFunction : array<vec4f>;
+
+    // Group 2, the potential matrix.
+    ${this.getPotentialMatrixFunction(2)}
+
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn timeStep(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      let n = parameters.xResolution;
+      // Skip invocations when work groups exceed the actual problem size
+      if (index >= n) {
+        return;
+      }
+      let dx = parameters.length / f32(n-1);
+      ${neighbors}
+
+      let psi = waveFunction[index];
+      let secondDerivative = (waveFunction[plus] - 2.0*psi + waveFunction[minus]) / (dx*dx);
+
+      // HΨ, with M↑↓Ψ↓ and M↑↓*Ψ↑ as complex products.
+      let V = parameters.potential[index];
+      let M = potentialMatrix(index);
+      let coupledUp = vec2f(M.z*psi.z - M.w*psi.w, M.z*psi.w + M.w*psi.z);
+      let coupledDown = vec2f(M.z*psi.x + M.w*psi.y, M.z*psi.y - M.w*psi.x);
+      let hPsi = -0.5*secondDerivative + V*psi
+                 + vec4f(M.x*psi.xy + coupledUp, M.y*psi.zw + coupledDown);
+
+      // -iHΨ swaps the real and imaginary parts, negating the new imaginary parts.
+      updatedWaveFunction[index] = oldWaveFunction[index] + 2.0*parameters.dt*vec4f(hPsi.y, -hPsi.x, hPsi.w, -hPsi.z);
+    }
+  `;
+
+    const clockShader = `
+    @group(0) @binding(0) var<storage, read_write> clock : u32;
+
+    @compute @workgroup_size(1)
+    fn advance()
+    {
+      clock += 1u;
+    }
+  `;
+
+    const timeStepShaderModule = device.createShaderModule({
+      label: 'Spinor time step shader',
+      code: timeStepShader
+    });
+
+    const clockShaderModule = device.createShaderModule({
+      label: 'Spinor clock shader',
+      code: clockShader
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    // Read by the time step and by renderers.
+    this.#potentialMatrixBindGroupLayout = device.createBindGroupLayout({
+      label: "Potential matrix.",
+      entries: [0, 1, 2].map(binding => ({
+        binding: binding,
+        visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
+        buffer: {
+          type: "read-only-storage"
+        }
+      }))
+    });
+
+    const clockBindGroupLayout = device.createBindGroupLayout({
+      label: "Spinor clock.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    this.#computePipeline = device.createComputePipeline({
+      label: "spinor time step pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout,
+                           this.#potentialMatrixBindGroupLayout]
+      }),
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "timeStep"
+      }
+    });
+
+    this.#advancePipeline = device.createComputePipeline({
+      label: "spinor clock pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [clockBindGroupLayout]
+      }),
+      compute: {
+        module: clockShaderModule,
+        entryPoint: "advance"
+      }
+    });
+
+    const matrixSize = 4*this.getXResolution();
+    this.#potentialMatrixBuffer = device.createBuffer({
+      label: "Potential matrix",
+      size: matrixSize*Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(this.#potentialMatrixBuffer, 0, new Float32Array(this.#potentialMatrix ?? matrixSize));
+
+    this.#potentialSweepBuffer = device.createBuffer({
+      label: "Potential sweep",
+      size: matrixSize*Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(this.#potentialSweepBuffer, 0, new Float32Array(this.#potentialSweep ?? matrixSize));
+
+    // Zero filled, t = 0.
+    this.#clockBuffer = device.createBuffer({
+      label: "Spinor clock",
+      size: Uint32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+    });
+
+    this.#potentialMatrixBindGroup = device.createBindGroup({
+      layout: this.#potentialMatrixBindGroupLayout,
+      entries: [this.#potentialMatrixBuffer, this.#potentialSweepBuffer, this.#clockBuffer].map((buffer, binding) => ({
+        binding: binding,
+        resource: {
+          buffer: buffer
+        }
+      }))
+    });
+
+    this.#clockBindGroup = device.createBindGroup({
+      layout: clockBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#clockBuffer
+          }
+        }
+      ]
+    });
+
+    // Wave function representations
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+    this.#waveFunctionBuffer2 = this.createWaveFunctionBuffer("Wave function 2");
+
+    const buffers = [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2];
+    for (let i=0; i<3; i++)
+    {
+      this.#waveFunctionBindGroups[i] = device.createBindGroup({
+        layout: this.#waveFunctionBindGroupLayout,
+        entries: [
+          {
+            binding: 0,
+            resource: {
+              buffer: buffers[i]
+            }
+          },
+          {
+            binding: 1,
+            resource: {
+              buffer: buffers[(i+1)%3]
+            }
+          },
+          {
+            binding: 2,
+            resource: {
+              buffer: buffers[(i+2)%3]
+            }
+          }
+        ]
+      });
+    }
+
+    return this;
+  }
+
+  /**
+   * Execute count iterations of the simulation.
+   *
+   * @param {Integer} count The number of iterations to carry out. It is strongly suggested that this be
+   * a multiple of 3.
+   */
+  step(count=21)
+  {
+    this.start();
+
+    const device = this.getDevice();
+    // Recreate this because it can not be reused after finish is invoked.
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
+    {
+      this.updatePotential(commandEncoder);
+      const passEncoder = commandEncoder.beginComputePass();
+      passEncoder.setPipeline(this.#computePipeline);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
+      passEncoder.setBindGroup(2, this.#potentialMatrixBindGroup);
+      passEncoder.dispatchWorkgroups(workgroupCountX);
+      passEncoder.end();
+
+      // In its own pass, so the clock is not changed while the time step reads it.
+      const clockPassEncoder = commandEncoder.beginComputePass();
+      clockPassEncoder.setPipeline(this.#advancePipeline);
+      clockPassEncoder.setBindGroup(0, this.#clockBindGroup);
+      clockPassEncoder.dispatchWorkgroups(1);
+      clockPassEncoder.end();
+      this.incrementStepCount();
+    }
+
+    // Submit GPU commands.
+    const gpuCommands = commandEncoder.finish();
+    device.queue.submit([gpuCommands]);
+  }
+}
+
+export {SchrodingerSpinor}
@@ -0,0 +1,319 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {FFT} from "./FFT.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * A split operator time evolver for the Schrödinger wave function. Each time step is the symmetric product
+ *
+ *   exp(-iVΔt/2) F⁻¹ exp(-ik²Δt/2) F exp(-iVΔt/2)
+ *
+ * with the kinetic term applied exactly in momentum space, which gives spectral accuracy in space without the
+ * dispersion of the finite difference Laplacian. The FFT makes the grid periodic, with period xResolution*Δx, and
+ * requires xResolution to be a power of two.
+ *
+ * @property {GPUBuffer} #waveFunctionBuffer The wave function buffer, updated in place on each time step.
+ * @property {GPUBindGroup} #waveFunctionBindGroup The bind group for the wave function buffer.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout for the wave function bind group.
+ * @property {FFT} #fft The transform between position and momentum space, over the wave function buffer.
+ * @property {GPUComputePipeline} #potentialHalfStep The pipeline applying exp(-iVΔt/2).
+ * @property {GPUComputePipeline} #kineticStep The pipeline applying exp(-ik²Δt/2) in momentum space.
+ */
+class Schrodinger extends SchrodingerSolver
+{
+  #waveFunctionBuffer;
+  #waveFunctionBindGroup;
+  #waveFunctionBindGroupLayout;
+  #fft;
+  #potentialHalfStep;
+  #kineticStep;
+
+  /**
+   * Build a split operator Schrödinger equation integrator with the given parameters.
+   *
+   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
+   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
+   *                                    on our 1D grid. Must be a power of two.
+   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
+   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
+   *                                    just as the wave function arrays.
+   * @param {Boolean}       debug       The debug option for this execution of the solver. Enabling this
+   *                                    makes the wave function buffers copyable, potentially having a
+   *                                    performance impact. Defaults to false.
+   */
+  constructor(dt, xResolution, length, potential, debug=false)
+  {
+    super(dt, xResolution, length, potential, debug, SchrodingerSolver.STENCIL_3_POINT,
+          SchrodingerSolver.BOUNDARY_PERIODIC);
+    if (!Number.isInteger(Math.log2(xResolution)))
+    {
+      throw new Error(`${this.constructor.name}: Split operator xResolution must be a power of two, got ${xResolution}.`);
+    }
+  }
+
+  /**
+   * The potential is rewritten ahead of each step, and held fixed over both potential half steps.
+   *
+   * @returns {Boolean} true
+   */
+  supportsTimeDependentPotential()
+  {
+    return true;
+  }
+
+  /**
+   * The FFT makes the grid periodic, so this solver is always constructed in periodic mode.
+   *
+   * @returns {Array<String>} The supported boundary modes.
+   */
+  getSupportedBoundaryModes()
+  {
+    return [SchrodingerSolver.BOUNDARY_PERIODIC];
+  }
+
+  /**
+   * The potential half steps rotate by {@link getEffectivePotentialFunction}, so include the Gross-Pitaevskii term.
+   *
+   * @returns {Boolean} true
+   */
+  supportsNonlinearity()
+  {
+    return true;
+  }
+
+  /**
+   * Get the bind group layout for the wave function storage array.
+   *
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave function.
+   */
+  getWaveFunctionBindGroupLayout()
+  {
+    return this.#waveFunctionBindGroupLayout;
+  }
+
+  /**
+   * Get the wave function bind group. The wave function is updated in place.
+   *
+   * @returns {GPUBindGroup} The wave function bind group.
+   */
+  getWaveFunctionBindGroup()
+  {
+    return this.#waveFunctionBindGroup;
+  }
+
+  /**
+   * Get the buffer holding the most recent wave function, Ψ(t).
+   *
+   * @returns {GPUBuffer} The buffer containing the current wave function.
+   */
+  getWaveFunctionBuffer()
+  {
+    return this.#waveFunctionBuffer;
+  }
+
+  /**
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
+   *
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
+   */
+  setWaveFunction(data)
+  {
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<Schrodinger>} A promise that resolves to the Schrodinger object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+
+    const timeStepShader = `
+    ${this.getParametersStruct()}
+
+    // group 0, things that never change within a simulation.
+    // The parameters for the simulation
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    // group 1, the wave function, or its Fourier transform, updated in place.
+    @group(1) @binding(0) var<storage, read_write> waveFunction : array<vec2f>;
+
+    const PI = 3.14159265358979;
+
+    // Multiply z by exp(-i phase).
+    fn rotate(z: vec2f, phase: f32) -> vec2f
+    {
+      let c = cos(phase);
+      let s = sin(phase);
+      return vec2f(z.x*c + z.y*s, z.y*c - z.x*s);
+    }
+    ${this.getEffectivePotentialFunction()}
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn potentialHalfStep(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      if (index >= parameters.xResolution)
+      {
+        return;
+      }
+
+      // The rotation leaves |Ψ|² unchanged, so the nonlinear phase g|Ψ|²Δt/2 is exact.
+      waveFunction[index] = rotate(waveFunction[index], 0.5*effectivePotential(index, waveFunction[index])*parameters.dt);
+    }
+
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn kineticStep(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let index = global_id.x;
+      if (index >= parameters.xResolution)
+      {
+        return;
+      }
+
+      let dx = parameters.length / f32(parameters.xResolution-1);
+      // FFT frequencies run 0, 1, ... N/2-1, then -N/2, ... -1.
+      var n = i32(index);
+      if (index >= parameters.xResolution/2)
+      {
+        n -= i32(parameters.xResolution);
+      }
+      let k = 2.0*PI*f32(n) / (f32(parameters.xResolution)*dx);
+
+      waveFunction[index] = rotate(waveFunction[index], 0.5*k*k*parameters.dt);
+    }
+  `;
+
+    const timeStepShaderModule = device.createShaderModule({
+      label: 'Split operator time step shader',
+      code: timeStepShader
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    const pipelineLayout = device.createPipelineLayout({
+      bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
+    });
+
+    this.#potentialHalfStep = device.createComputePipeline({
+      label: "potential half step pipeline",
+      layout: pipelineLayout,
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "potentialHalfStep"
+      }
+    });
+
+    this.#kineticStep = device.createComputePipeline({
+      label: "kinetic step pipeline",
+      layout: pipelineLayout,
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "kineticStep"
+      }
+    });
+
+    // Wave function representation
+    this.#waveFunctionBuffer = this.createWaveFunctionBuffer("Wave function");
+
+    this.#waveFunctionBindGroup = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#waveFunctionBuffer
+          }
+        }
+      ]
+    });
+
+    this.#fft = FFT.getInstance(device, this.#waveFunctionBuffer, this.getXResolution());
+
+    return this;
+  }
+
+  /**
+   * Append a compute pass running the given pipeline over the wave function.
+   *
+   * @param {GPUCommandEncoder} commandEncoder The command encoder currently in use to collect GPU commands.
+   * @param {GPUComputePipeline} pipeline      The pipeline to run.
+   */
+  #makeComputePass(commandEncoder, pipeline)
+  {
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(pipeline);
+    passEncoder.setBindGroup(0, this.getParametersBindGroup());
+    passEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
+    passEncoder.dispatchWorkgroups(Math.ceil(this.getXResolution() / WORKGROUP_SIZE));
+    passEncoder.end();
+  }
+
+  /**
+   * Execute count iterations of the simulation.
+   *
+   * @param {Integer} count The number of iterations to carry out.
+   */
+  step(count=20)
+  {
+    this.start();
+
+    const device = this.getDevice();
+    // Recreate this because it can not be reused after finish is invoked.
+    const commandEncoder = device.createCommandEncoder();
+    for (let i=0; i<count && this.isRunning(); i++)
+    {
+      this.updatePotential(commandEncoder);
+      this.#makeComputePass(commandEncoder, this.#potentialHalfStep);
+      this.#fft.makeComputePass(commandEncoder);
+      this.#makeComputePass(commandEncoder, this.#kineticStep);
+      this.#fft.makeComputePass(commandEncoder, true);
+      this.#makeComputePass(commandEncoder, this.#potentialHalfStep);
+      this.incrementStepCount();
+    }
+
+    // Submit GPU commands.
+    const gpuCommands = commandEncoder.finish();
+    device.queue.submit([gpuCommands]);
+  }
+}
+
+export {Schrodinger}
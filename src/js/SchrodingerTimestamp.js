@@ -13,6 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 import {WebGPUCompute} from "./WebGPUCompute.js";
 
 /**
@@ -25,47 +26,33 @@ const SECONDS_PER_NANOSECOND = 1.0E-09;
  * A FDTD time evolver for the Schrödinger wave function. This time using timestamp queries
  * to time shader executions.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of two wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of two wave function buffers.
  * @property {GPUBindGroup[]} #waveFunctionBindGroup A pair of bind groups, used to ping pong the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
+ * @property {WebGPUCompute} #webgpuCompute The WebGPU helper the device was obtained from, used to create query sets.
  * @property {Boolean} #hasTimestampQuery A boolean indicating whether this system supports time stamp queries.
  * @property {GPUQuerySet} #timestampQueries The set of timestamp queries. Tracks the queries and their results.
  * @property {GPUBuffer} #timestampBuffer Query results are copied from the query set to this buffer.
  * @property {GPUBuffer} #timestampCopyBuffer Query results are then copied to this buffer where they can be mapped to main memory.
  * @property {HTMLElement} #timestampDisplay HTML element used to display timing data.
  * @property {Number} #maxDeltaT The max difference between time stamps, the max time taken by the compute shader.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #length;
-  #xResolution;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBindGroup = new Array(2);
+  #waveFunctionBindGroupLayout;
   #computePipeline;
+  #webgpuCompute;
   #hasTimestampQuery;
   #timestampQueries;
   #timestampBuffer;
   #timestampCopyBuffer;
   #timestampDisplay;
   #maxDeltaT = 0n;
-  #debug;
 
   /**
    * Build a Schrödinger equation integrator with the given parameters.
@@ -81,99 +68,64 @@ class Schrodinger
    */
   constructor(dt, xResolution, length, timestampDisplay, debug=false)
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
+    super(dt, xResolution, length, undefined, debug);
     this.#timestampDisplay = timestampDisplay;
-    this.#debug = debug;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * Timing aside, this is the explicit Euler step, which has no stable time step.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {Number} 0
    */
-  getTimeStep()
+  getStabilityFactor()
   {
-    return this.#dt;
+    return 0;
   }
 
   /**
-   * Set the FDTD time step.
+   * Request a device with timestamp queries enabled, if the adapter supports them.
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {Promise<GPUDevice>} A promise that resolves to the device for this simulation.
    */
-  setTimeStep(dt)
+  async requestDevice()
   {
-    this.#dt = dt;
-    return this;
-  }
-
-  /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @returns {Number} The number of spatial steps in the wave function representation.
-   */
-  getXResolution()
-  {
-    return this.#xResolution;
-  }
-
-  /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @param xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger}
-   */
-  setXResolution(xResolution)
-  {
-    this.#xResolution = xResolution;
-    return this;
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @returns {Number} The physical length of this simulation.
-   */
-  getLength()
-  {
-    return this.#length
+    this.#webgpuCompute = new WebGPUCompute();
+    this.#hasTimestampQuery = await this.#webgpuCompute.hasTimestampQuery();
+    if (this.#hasTimestampQuery) {
+      return this.#webgpuCompute.getTimestampDevice();
+    } else {
+      return this.#webgpuCompute.getDevice();
+    }
   }
 
   /**
-   * Get the physical length of this simulation.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  setLength(length)
+  getWaveFunctionBindGroupLayout()
   {
-    this.#length = length;
-    return this;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the bind group for the wave function parameters in the wave equation.
+   * Get the wave function bind group for the next time step, binding Ψ(t) and Ψ(t+Δt).
    *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  getParametersBindGroup()
+  getWaveFunctionBindGroup()
   {
-    return this.#parametersBindGroup;
+    return this.#waveFunctionBindGroup[this.getStepCount()%2];
   }
 
   /**
-   * Get the bind group layout for the schrodinger solver parameters.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  getParametersBindGroupLayout()
+  getWaveFunctionBuffer()
   {
-    return this.#parametersBindGroupLayout;
+    return this.getStepCount()%2 === 0 ? this.#waveFunctionBuffer0 : this.#waveFunctionBuffer1;
   }
 
   /**
@@ -197,23 +149,16 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display, or debugging.
-   *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
-   */
-  getParametersBuffer()
-  {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
    *
-   * @returns {GPUDevice} The device in use for this simulation.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getDevice()
+  setWaveFunction(data)
   {
-    return this.#device;
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer0, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -226,6 +171,9 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
     struct Parameters {
         dt: f32,          // The time step, Δt.
@@ -268,34 +216,12 @@ class Schrodinger
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#hasTimestampQuery = await webgpuCompute.hasTimestampQuery();
-    if (this.#hasTimestampQuery) {
-      this.#device = await webgpuCompute.getTimestampDevice();
-    } else {
-      this.#device = await webgpuCompute.getDevice();
-    }
-
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -315,9 +241,9 @@ class Schrodinger
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+    this.#computePipeline = device.createComputePipeline({
+        layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -325,56 +251,12 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT,                   // length
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    var bytesSoFar = 0;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
 
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBindGroup[0] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroup[0] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -391,8 +273,8 @@ class Schrodinger
       ]
     });
 
-    this.#waveFunctionBindGroup[1] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroup[1] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -411,15 +293,17 @@ class Schrodinger
     if (this.#hasTimestampQuery) {
       // We expect to submit two queries, one at the top of the compute pass,
       // and the second at the bottom of the compute pass.
-      this.#timestampQueries = await webgpuCompute.createQuerySet(WebGPUCompute.TIMESTAMP_QUERY_TYPE, 2);
-      this.#timestampBuffer = this.#device.createBuffer({
+      this.#timestampQueries = await this.#webgpuCompute.createQuerySet(WebGPUCompute.TIMESTAMP_QUERY_TYPE, 2);
+
+      this.#timestampBuffer = device.createBuffer({
         label: "Time stamp query buffer",
         size: this.#timestampQueries.count * BigInt64Array.BYTES_PER_ELEMENT,
         usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
       });
+
       // This is the buffer we map to a CPU side array buffer, it is of necessity the same size as the
       // query results buffer
-      this.#timestampCopyBuffer = this.#device.createBuffer({
+      this.#timestampCopyBuffer = device.createBuffer({
         label: "Time stamp mappable buffer",
         size: this.#timestampBuffer.size,
         usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
@@ -429,30 +313,6 @@ class Schrodinger
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt               The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution      The size of the wave function arrays, the number of spatial steps
-   *                                         on our 1D grid.
-   * @param {Number}        length           The characteristic length for the problem in terms of natural units.
-   * @param {HTMLElement}   timestampDisplay An HTML element where we can display the timestamp results.
-   * @param {Boolean}       debug            The debug option for this execution of the FDTD solver. Enabling this
-   *                                         makes the wave function buffers copyable, potentially having a
-   *                                         performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, timestampDisplay, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, timestampDisplay, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
@@ -460,15 +320,15 @@ class Schrodinger
    */
   async step(count=20)
   {
-    this.#running = true;
+    this.start();
     let deltaT = 0n;
 
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
-    for (let i=0; i<count && this.#running; i++)
+    const device = this.getDevice();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
+    for (let i=0; i<count && this.isRunning(); i++)
     {
       // Created in the loop because it can not be reused after finish is invoked.
-      const commandEncoder = this.#device.createCommandEncoder();
-
+      const commandEncoder = device.createCommandEncoder();
       const passEncoder = commandEncoder.beginComputePass({
         timestampWrites: {
           querySet: this.#timestampQueries,
@@ -477,9 +337,10 @@ class Schrodinger
         }
       });
       passEncoder.setPipeline(this.#computePipeline);
-      passEncoder.setBindGroup(0, this.#parametersBindGroup);
-      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup[i%2]);
+      passEncoder.setBindGroup(0, this.getParametersBindGroup());
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
       passEncoder.dispatchWorkgroups(workgroupCountX);
+
       passEncoder.end();
 
       // Resolve the timestamp queries we set in the command stream.
@@ -502,24 +363,21 @@ class Schrodinger
       );
 
       // Submit GPU commands.
-      this.#device.queue.submit([commandEncoder.finish()]);
+      device.queue.submit([commandEncoder.finish()]);
+      this.incrementStepCount();
     }
+
     // Now we map this buffer to the CPU side.
     await this.#timestampCopyBuffer.mapAsync(GPUMapMode.READ);
-
-
     const timestampArrayBuffer = this.#timestampCopyBuffer.getMappedRange();
     const timestampNanoseconds = new BigInt64Array(timestampArrayBuffer);
-
     deltaT = timestampNanoseconds[1] - timestampNanoseconds[0];
     if (deltaT > this.#maxDeltaT) {
       this.#maxDeltaT = deltaT;
       this.#timestampDisplay.innerText = (Number(deltaT)*SECONDS_PER_NANOSECOND).toExponential(2);
     }
-
     this.#timestampCopyBuffer.unmap();
-
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
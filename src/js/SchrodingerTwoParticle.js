@@ -0,0 +1,446 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
+import {Schrodinger2D} from "./Schrodinger2D.js";
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = SchrodingerSolver.WORKGROUP_SIZE;
+
+/**
+ * The exchange symmetry of the pair. Distinguishable particles take the wave function as given, bosons keep the
+ * part symmetric under x₁ ↔ x₂, and fermions, spin polarized, keep the antisymmetric part.
+ */
+const SYMMETRY_DISTINGUISHABLE = "distinguishable";
+const SYMMETRY_BOSONIC = "bosonic";
+const SYMMETRY_FERMIONIC = "fermionic";
+
+/**
+ * Two particles of equal mass on a line, evolving Ψ(x₁, x₂) in configuration space. This is a {@link Schrodinger2D}
+ * on a square grid with x₁ along the x-axis and x₂ along the y-axis, index = j*xResolution + i for Ψ(xᵢ, xⱼ), under
+ * the potential V(x₁) + V(x₂) + W(x₁ - x₂). V is the external potential each particle sees, and W the interaction
+ * between them, see {@link contactInteraction} and {@link softCoulombInteraction}.
+ *
+ * The Hamiltonian, and its discretization, are symmetric under x₁ ↔ x₂, so a bosonic or fermionic wave function keeps
+ * its symmetry as it evolves. {@link setWaveFunction} projects onto the selected symmetry.
+ *
+ * The single particle densities, the marginals ρ₁(x) = ∫|Ψ(x, x₂)|²dx₂ and ρ₂(x) = ∫|Ψ(x₁, x)|²dx₁, are computed on
+ * the GPU by {@link computeMarginals}, for {@link TwoParticleRenderer}. Any {@link Schrodinger2DRenderer} draws the
+ * pair density |Ψ(x₁, x₂)|², showing the correlation the marginals average away.
+ *
+ * @property {Array<Number>} #externalPotential The potential each particle sees, xResolution values, or undefined.
+ * @property {Function} #interaction W(x₁ - x₂), the interaction as a function of the separation, or undefined.
+ * @property {String} #symmetry The exchange symmetry of the pair.
+ * @property {GPUBuffer} #marginalsBuffer The marginal densities, ρ₁ and ρ₂, as an array of vec2f.
+ * @property {GPUBindGroupLayout} #marginalsBindGroupLayout The layout binding a wave function and the marginals.
+ * @property {GPUComputePipeline} #marginalsPipeline The pipeline summing |Ψ|² into the marginals.
+ */
+class SchrodingerTwoParticle extends Schrodinger2D
+{
+  #externalPotential;
+  #interaction;
+  #symmetry;
+  #marginalsBuffer;
+  #marginalsBindGroupLayout;
+  #marginalsPipeline;
+
+  /**
+   * Build a two particle Schrödinger equation integrator with the given parameters.
+   *
+   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
+   * @param {Integer}       xResolution The number of grid points along the line, along both x₁ and x₂.
+   * @param {Number}        length      The physical length of the line.
+   * @param {Array<Number>} potential   An array of xResolution values for the external potential each particle
+   *                                    sees. May be undefined for free particles.
+   * @param {Function}      interaction The interaction potential as a function of the separation, x₁ - x₂, such as
+   *                                    {@link contactInteraction} or {@link softCoulombInteraction}. May be
+   *                                    undefined for non-interacting particles.
+   * @param {String}        symmetry    {@link SYMMETRY_DISTINGUISHABLE}, {@link SYMMETRY_BOSONIC} or
+   *                                    {@link SYMMETRY_FERMIONIC}. Defaults to distinguishable.
+   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
+   *                                    makes the wave function buffers copyable, potentially having a
+   *                                    performance impact. Defaults to false.
+   * @param {Integer}       stencil     The number of points in the second difference stencils, 3, 5 or 7.
+   *                                    Defaults to 3.
+   * @param {String}        boundaryMode {@link SchrodingerSolver.BOUNDARY_CLAMPED}, or
+   *                                    {@link SchrodingerSolver.BOUNDARY_PERIODIC} for particles on a ring, where
+   *                                    the separation is measured the short way around. Defaults to clamped.
+   * @param {String}        precision   {@link SchrodingerSolver.PRECISION_F32} or
+   *                                    {@link SchrodingerSolver.PRECISION_F16}. Defaults to f32.
+   */
+  constructor(dt, xResolution, length, potential, interaction, symmetry=SYMMETRY_DISTINGUISHABLE, debug=false,
+              stencil=SchrodingerSolver.STENCIL_3_POINT, boundaryMode=SchrodingerSolver.BOUNDARY_CLAMPED,
+              precision=SchrodingerSolver.PRECISION_F32)
+  {
+    super(dt, xResolution, xResolution, length, length,
+          SchrodingerTwoParticle.configurationPotential(xResolution, length, potential, interaction, boundaryMode),
+          debug, stencil, boundaryMode, precision);
+    if (![SYMMETRY_DISTINGUISHABLE, SYMMETRY_BOSONIC, SYMMETRY_FERMIONIC].includes(symmetry))
+    {
+      throw new Error(`${this.constructor.name}: Unsupported ${symmetry} symmetry, expected one of `
+                      + `${[SYMMETRY_DISTINGUISHABLE, SYMMETRY_BOSONIC, SYMMETRY_FERMIONIC].join(", ")}.`);
+    }
+    this.#externalPotential = potential;
+    this.#interaction = interaction;
+    this.#symmetry = symmetry;
+  }
+
+  /**
+   * Distinguishable particles, the wave function is taken as given.
+   *
+   * @returns {String} "distinguishable"
+   */
+  static get SYMMETRY_DISTINGUISHABLE()
+  {
+    return SYMMETRY_DISTINGUISHABLE;
+  }
+
+  /**
+   * Identical bosons, Ψ(x₁, x₂) = Ψ(x₂, x₁).
+   *
+   * @returns {String} "bosonic"
+   */
+  static get SYMMETRY_BOSONIC()
+  {
+    return SYMMETRY_BOSONIC;
+  }
+
+  /**
+   * Identical spin polarized fermions, Ψ(x₁, x₂) = -Ψ(x₂, x₁), vanishing where the particles meet.
+   *
+   * @returns {String} "fermionic"
+   */
+  static get SYMMETRY_FERMIONIC()
+  {
+    return SYMMETRY_FERMIONIC;
+  }
+
+  /**
+   * A contact interaction, g δ(x₁ - x₂), smoothed into a normalized Gaussian so the grid resolves it. The width
+   * should span at least a grid spacing, narrower widths miss the grid points or put a spike on the diagonal.
+   *
+   * @param {Number} strength The coupling, g, positive for repulsion.
+   * @param {Number} width    The standard deviation of the Gaussian standing in for the δ function.
+   * @returns {Function} W(r) = g exp(-r²/2σ²)/(√(2π)σ).
+   */
+  static contactInteraction(strength, width)
+  {
+    return r => strength*Math.exp(-0.5*(r/width)**2)/(Math.sqrt(2*Math.PI)*width);
+  }
+
+  /**
+   * The soft Coulomb interaction, the usual one dimensional stand in for the Coulomb interaction, finite where the
+   * particles meet.
+   *
+   * @param {Number} strength  The product of the charges, q₁q₂, positive for repulsion.
+   * @param {Number} softening The softening length, a.
+   * @returns {Function} W(r) = q₁q₂/√(r² + a²).
+   */
+  static softCoulombInteraction(strength, softening)
+  {
+    return r => strength/Math.sqrt(r*r + softening*softening);
+  }
+
+  /**
+   * The potential on the configuration space grid, V(x₁) + V(x₂) + W(x₁ - x₂). On a periodic grid the separation
+   * is the shortest way around the ring.
+   *
+   * @param {Integer}       xResolution  The number of grid points along the line.
+   * @param {Number}        length       The physical length of the line.
+   * @param {Array<Number>} potential    The xResolution values of the external potential, or undefined.
+   * @param {Function}      interaction  W as a function of the separation, or undefined.
+   * @param {String}        boundaryMode {@link SchrodingerSolver.BOUNDARY_CLAMPED} or
+   *                                     {@link SchrodingerSolver.BOUNDARY_PERIODIC}.
+   * @returns {Array<Number>|undefined} xResolution² values stored row by row, or undefined for free,
+   *                                    non-interacting, particles.
+   */
+  static configurationPotential(xResolution, length, potential, interaction,
+                                boundaryMode=SchrodingerSolver.BOUNDARY_CLAMPED)
+  {
+    if (!potential && !interaction)
+    {
+      return undefined;
+    }
+    const dx = length/(xResolution-1);
+    const period = xResolution*dx;
+    const configurationPotential = new Array(xResolution*xResolution);
+    for (let j=0; j<xResolution; j++)
+    {
+      for (let i=0; i<xResolution; i++)
+      {
+        let separation = (i - j)*dx;
+        if (boundaryMode === SchrodingerSolver.BOUNDARY_PERIODIC)
+        {
+          separation -= period*Math.round(separation/period);
+        }
+        configurationPotential[j*xResolution + i] = (potential ? potential[i] + potential[j] : 0)
+                                                    + (interaction ? interaction(separation) : 0);
+      }
+    }
+    return configurationPotential;
+  }
+
+  /**
+   * The product state φ₁(x₁)φ₂(x₂), one particle in each single particle state, as input for
+   * {@link setWaveFunction}, which symmetrizes it for identical particles.
+   *
+   * @param {Array<Number>} phi1 2*xResolution real and imaginary values for the first particle.
+   * @param {Array<Number>} phi2 2*xResolution real and imaginary values for the second particle.
+   * @returns {Array<Number>} 2*xResolution² real and imaginary values, stored row by row.
+   */
+  static productState(phi1, phi2)
+  {
+    const xResolution = phi1.length/2;
+    const product = new Array(2*xResolution*xResolution);
+    for (let j=0; j<xResolution; j++)
+    {
+      for (let i=0; i<xResolution; i++)
+      {
+        const index = 2*(j*xResolution + i);
+        product[index]   = phi1[2*i]*phi2[2*j] - phi1[2*i+1]*phi2[2*j+1];
+        product[index+1] = phi1[2*i]*phi2[2*j+1] + phi1[2*i+1]*phi2[2*j];
+      }
+    }
+    return product;
+  }
+
+  /**
+   * Get the exchange symmetry selected at construction.
+   *
+   * @returns {String} {@link SYMMETRY_DISTINGUISHABLE}, {@link SYMMETRY_BOSONIC} or {@link SYMMETRY_FERMIONIC}.
+   */
+  getSymmetry()
+  {
+    return this.#symmetry;
+  }
+
+  /**
+   * Get the external potential each particle sees.
+   *
+   * @returns {Array<Number>} The xResolution values of the external potential, or undefined.
+   */
+  getExternalPotential()
+  {
+    return this.#externalPotential;
+  }
+
+  /**
+   * Get the interaction potential.
+   *
+   * @returns {Function} W as a function of the separation x₁ - x₂, or undefined.
+   */
+  getInteraction()
+  {
+    return this.#interaction;
+  }
+
+  /**
+   * |Ψ|² is a pair density here, not the single particle density of the Gross-Pitaevskii term.
+   *
+   * @returns {Boolean} false
+   */
+  supportsNonlinearity()
+  {
+    return false;
+  }
+
+  /**
+   * Set new values for the wave function, projected onto the selected exchange symmetry,
+   * (Ψ(x₁, x₂) ± Ψ(x₂, x₁))/2, and scaled back to the norm of the given data. These values update both Ψ(t-Δt)
+   * and Ψ(t).
+   *
+   * @param {Array<Number>} data An array of 2*xResolution² real and imaginary values for Ψ(x₁, x₂), stored row by
+   *                             row, see {@link productState}.
+   */
+  setWaveFunction(data)
+  {
+    if (this.#symmetry === SYMMETRY_DISTINGUISHABLE)
+    {
+      super.setWaveFunction(data);
+      return;
+    }
+    const xResolution = this.getXResolution();
+    const sign = this.#symmetry === SYMMETRY_BOSONIC ? 1 : -1;
+    const projected = new Array(data.length);
+    let norm = 0;
+    let projectedNorm = 0;
+    for (let j=0; j<xResolution; j++)
+    {
+      for (let i=0; i<xResolution; i++)
+      {
+        const index = 2*(j*xResolution + i);
+        const exchanged = 2*(i*xResolution + j);
+        projected[index]   = 0.5*(data[index] + sign*data[exchanged]);
+        projected[index+1] = 0.5*(data[index+1] + sign*data[exchanged+1]);
+        norm += data[index]**2 + data[index+1]**2;
+        projectedNorm += projected[index]**2 + projected[index+1]**2;
+      }
+    }
+    if (norm > 0 && !(projectedNorm > 1e-12*norm))
+    {
+      throw new Error(`${this.constructor.name}: This wave function has no ${this.#symmetry} part, as for two `
+                      + `fermions in the same state.`);
+    }
+    const scale = norm > 0 ? Math.sqrt(norm/projectedNorm) : 1;
+    super.setWaveFunction(projected.map(value => scale*value));
+  }
+
+  /**
+   * Get the buffer holding the marginal densities from the last {@link computeMarginals}, an array<vec2f> of
+   * (ρ₁(x), ρ₂(x)). Read it back with {@link DumpSchrodinger#dumpWavefunction}.
+   *
+   * @returns {GPUBuffer} The marginals buffer.
+   */
+  getMarginalsBuffer()
+  {
+    return this.#marginalsBuffer;
+  }
+
+  /**
+   * Async initialization of the object. JS does not allow async constructors, so the async initialization is here.
+   * Invoke immediately after the constructor for a properly initialized object. Or get the object through
+   * {@link getInstance}.
+   *
+   * @returns {Promise<SchrodingerTwoParticle>} A promise that resolves to the SchrodingerTwoParticle object.
+   * @see getInstance
+   */
+  async init()
+  {
+    await super.init();
+    const device = this.getDevice();
+
+    const marginalsShader = `
+    ${this.getEnableDirectives()}
+    ${this.getParametersStruct()}
+
+    @group(0) @binding(0) var<storage, read> parameters: Parameters;
+
+    @group(1) @binding(0) var<storage, read> waveFunction : array<${this.getWaveFunctionType()}>;
+    // (ρ₁(x), ρ₂(x)) at each point along the line.
+    @group(1) @binding(1) var<storage, read_write> marginals : array<vec2f>;
+
+    // Each invocation sums |Ψ|² along a column, for ρ₁, and along a row, for ρ₂.
+    @compute @workgroup_size(${WORKGROUP_SIZE})
+    fn computeMarginals(@builtin(global_invocation_id) global_id : vec3u)
+    {
+      let x = global_id.x;
+      let n = parameters.xResolution;
+      // Skip invocations when work groups exceed the actual problem size
+      if (x >= n) {
+        return;
+      }
+      let dx = parameters.length / f32(n-1);
+
+      var marginal = vec2f(0.0);
+      for (var other = 0u; other < n; other++)
+      {
+        let psi1 = vec2f(waveFunction[other*n + x]);
+        let psi2 = vec2f(waveFunction[x*n + other]);
+        marginal += vec2f(dot(psi1, psi1), dot(psi2, psi2));
+      }
+      marginals[x] = marginal*dx;
+    }
+  `;
+
+    const marginalsShaderModule = device.createShaderModule({
+      label: 'Two particle marginals shader',
+      code: marginalsShader
+    });
+
+    this.#marginalsBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function and marginals.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "read-only-storage"
+          }
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
+          }
+        }
+      ]
+    });
+
+    this.#marginalsPipeline = device.createComputePipeline({
+      label: "two particle marginals pipeline",
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#marginalsBindGroupLayout]
+      }),
+      compute: {
+        module: marginalsShaderModule,
+        entryPoint: "computeMarginals"
+      }
+    });
+
+    this.#marginalsBuffer = device.createBuffer({
+      label: "Marginal densities",
+      size: 2*this.getXResolution()*Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC
+    });
+
+    return this;
+  }
+
+  /**
+   * Compute the marginal densities of a wave function into {@link getMarginalsBuffer}.
+   *
+   * @param {GPUBuffer} waveFunctionBuffer The wave function buffer, defaults to the current wave function.
+   * @returns {GPUBuffer} The marginals buffer.
+   */
+  computeMarginals(waveFunctionBuffer=this.getWaveFunctionBuffer())
+  {
+    const device = this.getDevice();
+    // The current buffer cycles with each step, so bind it on demand.
+    const marginalsBindGroup = device.createBindGroup({
+      layout: this.#marginalsBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: waveFunctionBuffer
+          }
+        },
+        {
+          binding: 1,
+          resource: {
+            buffer: this.#marginalsBuffer
+          }
+        }
+      ]
+    });
+
+    const commandEncoder = device.createCommandEncoder();
+    const passEncoder = commandEncoder.beginComputePass();
+    passEncoder.setPipeline(this.#marginalsPipeline);
+    passEncoder.setBindGroup(0, this.getParametersBindGroup());
+    passEncoder.setBindGroup(1, marginalsBindGroup);
+    passEncoder.dispatchWorkgroups(Math.ceil(this.getXResolution() / WORKGROUP_SIZE));
+    passEncoder.end();
+    device.queue.submit([commandEncoder.finish()]);
+
+    return this.#marginalsBuffer;
+  }
+}
+
+export {SchrodingerTwoParticle}
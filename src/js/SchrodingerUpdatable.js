@@ -13,7 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
-import {WebGPUCompute} from "./WebGPUCompute.js";
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 
 /**
  * @typedef {Number} Integer
@@ -23,191 +23,61 @@ import {WebGPUCompute} from "./WebGPUCompute.js";
  * An FDTD time evolver for the Schrödinger wave function. This one has wave function buffers mappable and
  * copyable to experiment with setting initial wave functions.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {Array<Number>} #potential An array of potential values, array elements correspond to physical locations
- *                                      just as the wave function arrays.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of three wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer2 One of three wave function buffers.
- * @property {GPUBindGroup[]} #waveFunctionBindGroup A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroup[]} #waveFunctionBindGroups A set of bind groups, used to cycle through the wave function buffers.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout shared by the wave function bind groups.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
-  #dt;
-  #dtOffset;
-  #length;
-  #lengthOffset;
-  #xResolution;
-  #xResolutionOffset;
-  #potential;
-  #potentialOffset;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBuffer2;
-  #waveFunctionBindGroup = new Array(3);
+  #waveFunctionBindGroups = new Array(3);
+  #waveFunctionBindGroupLayout;
   #computePipeline;
-  #nsteps;
-  // True if we have already been initialized, shader compiled, parameters loaded, etc.
-  #initialized = false;
-  #debug;
 
   /**
-   * Build a Schrödinger equation integrator with the given parameters.
+   * The central difference, Ψ(t+Δt) = Ψ(t-Δt) - 2iΔtHΨ(t), through three buffers, is stable for Δt·ρ(H)
+   * up to 1.
    *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
+   * @returns {Number} 1
    */
-  constructor(dt, xResolution, length, potential, debug=false)
+  getStabilityFactor()
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
-    this.#potential = potential;
-    this.#nsteps = 0;
-    this.#debug = debug;
+    return 1;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  getTimeStep()
+  getWaveFunctionBindGroupLayout()
   {
-    return this.#dt;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Set the FDTD time step.
+   * Get the wave function bind group for the next time step, binding Ψ(t-Δt), Ψ(t) and Ψ(t+Δt).
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroup} The wave function bind group for the next time step.
    */
-  setTimeStep(dt)
+  getWaveFunctionBindGroup()
   {
-    this.#dt = dt;
-    if (this.#initialized) {
-      this.#device.queue.writebuffer(this.#parametersBuffer, this.#dtOffset, new Float32Array(dt), 0, 1);
-    }
-    return this;
-  }
-
-  /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
-   *
-   * @returns {Number} The number of spatial steps in the wave function representation.
-   */
-  getXResolution()
-  {
-    return this.#xResolution;
+    return this.#waveFunctionBindGroups[this.getStepCount()%3];
   }
 
   /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
+   * Get the buffer holding the most recent wave function, Ψ(t).
    *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  setXResolution(xResolution)
+  getWaveFunctionBuffer()
   {
-    this.#xResolution = xResolution;
-    if (this.#initialized) {
-      this.#device.queue.writebuffer(this.#parametersBuffer, this.#xResolutionOffset, new Float32Array(xResolution), 0, 1);
-    }
-    return this;
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @returns {Number} The physical length of this simulation.
-   */
-  getLength()
-  {
-    return this.#length
-  }
-
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
-   */
-  setLength(length)
-  {
-    this.#length = length;
-    if (this.#initialized) {
-      this.#device.queue.writebuffer(this.#parametersBuffer, this.#lengthOffset, new Float32Array(length), 0, 1);
-    }
-    return this;
-  }
-
-  /**
-   * Get the potential on our grid.
-   *
-   * @returns {Array<Number>} An array of potential values on our grid.
-   */
-  getPotential()
-  {
-    return this.#potential;
-  }
-
-  /**
-   * Set the potential, V(x), used in the Schrödinger equation.
-   *
-   * @param {Array<Number>} potential An array of potential values on our grid.
-   * @returns {Schrodinger}
-   */
-  setPotential(potential)
-  {
-    this.#potential = potential;
-    if (this.#initialized) {
-      this.#device.queue.writebuffer(this.#parametersBuffer, this.#potentialOffset, new Float32Array(potential), 0, this.#xResolution);
-    }
-    return this;
-  }
-
-  /**
-   * Get the bind group for the wave function parameters in the wave equation.
-   *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
-   */
-  getParametersBindGroup()
-  {
-    return this.#parametersBindGroup;
-  }
-
-  /**
-   * Get the bind group layout for the schrodinger solver parameters.
-   *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
-   */
-  getParametersBindGroupLayout()
-  {
-    return this.#parametersBindGroupLayout;
+    return [this.#waveFunctionBuffer0, this.#waveFunctionBuffer1, this.#waveFunctionBuffer2][(this.getStepCount()+1)%3];
   }
 
   /**
@@ -240,39 +110,20 @@ class Schrodinger
     return this.#waveFunctionBuffer2;
   }
 
-  /**
-   * Get the FDTD parameters buffer for display or debugging.
-   *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
-   */
-  getParametersBuffer()
-  {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
-   *
-   * @returns {GPUDevice} The device in use for this simulation.
-   */
-  getDevice()
-  {
-    return this.#device;
-  }
-
   /**
    * Set new values for the wave function. The provided data is mapped to an array of vec2 within
-   * the shader. These values update both Ψ(t) and Ψ(t+Δt).
+   * the shader. These values update both Ψ(t-Δt) and Ψ(t).
    *
    * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
    * on our grid.
    */
   setWaveFunction(data)
   {
+    const device = this.getDevice();
     const float32Data = new Float32Array(data);
-    this.#device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 2*this.#xResolution);
-    this.#device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 2*this.#xResolution);
-    this.#nsteps = 0;
+    device.queue.writeBuffer(this.#waveFunctionBuffer0, 0, float32Data, 0, 2*this.getXResolution());
+    device.queue.writeBuffer(this.#waveFunctionBuffer1, 0, float32Data, 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -285,6 +136,9 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    const device = this.getDevice();
+
     const timeStepShader = `
     struct Parameters {
         dt: f32,              // The time step, Δt.
@@ -333,28 +187,12 @@ class Schrodinger
     }
   `;
 
-    const webgpuCompute = new WebGPUCompute();
-    this.#device = await webgpuCompute.getDevice();
-
-    const timeStepShaderModule = this.#device.createShaderModule({
+    const timeStepShaderModule = device.createShaderModule({
       label: 'Schrodinger time step shader',
       code: timeStepShader
     });
 
-    this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-      label: "Simulation parameters",
-      entries: [
-        {
-          binding: 0,
-          visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-          buffer: {
-            type: "read-only-storage"
-          }
-        }
-      ]
-    });
-
-    const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
       label: "Wave function data.",
       entries: [
         {
@@ -381,9 +219,9 @@ class Schrodinger
       ]
     });
 
-    this.#computePipeline = this.#device.createComputePipeline({
-        layout: this.#device.createPipelineLayout({
-        bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
+    this.#computePipeline = device.createComputePipeline({
+      layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
       }),
       compute: {
         module: timeStepShaderModule,
@@ -391,74 +229,13 @@ class Schrodinger
       }
     });
 
-    this.#parametersBuffer = this.#device.createBuffer({
-      label: "Parameters buffer",
-      mappedAtCreation: true,
-      size: Float32Array.BYTES_PER_ELEMENT                    // dt
-          + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-          + Float32Array.BYTES_PER_ELEMENT                    // length
-          + this.#xResolution*Float32Array.BYTES_PER_ELEMENT, // potential
-      usage:  this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-            // How we use this buffer, in the debug case we copy it to another buffer for reading
-    });
-
-    // Get the raw array buffer for the mapped GPU buffer
-    const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-    let bytesSoFar = 0;
-    this.#dtOffset = bytesSoFar;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-
-    this.#xResolutionOffset = bytesSoFar;
-    new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-    bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-
-    this.#lengthOffset = bytesSoFar;
-    new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-    bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-
-    this.#potentialOffset = bytesSoFar;
-    if (this.#potential) {
-      new Float32Array(parametersArrayBuffer, bytesSoFar, this.#xResolution).set(this.#potential);
-    }
-
-    // Unmap the buffer returning ownership to the GPU.
-    this.#parametersBuffer.unmap();
-
-    this.#parametersBindGroup = this.#device.createBindGroup({
-      layout: this.#parametersBindGroupLayout,
-      entries: [
-        {
-          binding: 0,
-          resource: {
-            buffer: this.#parametersBuffer
-          }
-        }
-      ]
-    });
-
     // Wave function representations
-    this.#waveFunctionBuffer0 = this.#device.createBuffer({
-      label: "Wave function 0",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
-
-    this.#waveFunctionBuffer1 = this.#device.createBuffer({
-      label: "Wave function 1",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
-    });
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+    this.#waveFunctionBuffer2 = this.createWaveFunctionBuffer("Wave function 2");
 
-    this.#waveFunctionBuffer2 = this.#device.createBuffer({
-      label: "Wave function 2",
-      size: 2*this.#xResolution*Float32Array.BYTES_PER_ELEMENT,
-      usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-    });
-
-    this.#waveFunctionBindGroup[0] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroups[0] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -481,8 +258,8 @@ class Schrodinger
       ]
     });
 
-    this.#waveFunctionBindGroup[1] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroups[1] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -504,8 +281,8 @@ class Schrodinger
         }
       ]});
 
-    this.#waveFunctionBindGroup[2] = this.#device.createBindGroup({
-      layout: waveFunctionBindGroupLayout,
+    this.#waveFunctionBindGroups[2] = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
       entries: [
         {
           binding: 0,
@@ -527,35 +304,9 @@ class Schrodinger
         }
       ]});
 
-    this.#initialized = true;
     return this;
   }
 
-  /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Array<Number>} potential   An array of potential values, array elements correspond to physical locations
-   *                                    just as the wave function arrays.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, potential, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, potential, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
   /**
    * Execute count iterations of the simulation.
    *
@@ -564,25 +315,26 @@ class Schrodinger
    */
   step(count=21)
   {
-    this.#running = true;
+    this.start();
 
+    const device = this.getDevice();
     // Recreate this because it can not be reused after finish is invoked.
-    const commandEncoder = this.#device.createCommandEncoder();
-    const workgroupCountX = Math.ceil(this.#xResolution / 64);
+    const commandEncoder = device.createCommandEncoder();
+    const workgroupCountX = Math.ceil(this.getXResolution() / SchrodingerSolver.WORKGROUP_SIZE);
     const passEncoder = commandEncoder.beginComputePass();
     passEncoder.setPipeline(this.#computePipeline);
-    passEncoder.setBindGroup(0, this.#parametersBindGroup);
-    for (let i=0; i<count && this.#running; i++)
+    passEncoder.setBindGroup(0, this.getParametersBindGroup());
+    for (let i=0; i<count && this.isRunning(); i++)
     {
-      passEncoder.setBindGroup(1, this.#waveFunctionBindGroup[this.#nsteps%3]);
+      passEncoder.setBindGroup(1, this.getWaveFunctionBindGroup());
       passEncoder.dispatchWorkgroups(workgroupCountX);
-      this.#nsteps++;
+      this.incrementStepCount();
     }
     passEncoder.end();
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
   }
 }
 
-export {Schrodinger}
+export {Schrodinger}
\ No newline at end of file
@@ -13,6 +13,7 @@
  *    See the License for the specific language governing permissions and
  *    limitations under the License.
  */
+import {SchrodingerSolver} from "./SchrodingerSolver.js";
 import {WebGPUCompute} from "./WebGPUCompute.js";
 
 const workgroupSizeXLimitName =  "maxComputeWorkgroupSizeX";
@@ -26,41 +27,25 @@ const invocationsPerWorkgroupLimitName = "maxComputeInvocationsPerWorkgroup";
  * An FDTD time evolver for the Schrödinger wave function with a workgroup size matching the
  * problem x resolution.
  *
- * @property {GPUDevice} #device The device as retrieved from the adaptor.
  * @property {Boolean} #invocationLimitAvailable Whether the requested invocation limit is available on this system.
  * @property {Boolean} #workgroupSizeLimitAvailable Whether the requested workgroup size limit is available on this system.
- * @property {Number} #dt The time step between the wave function and its updated version.
- * @property {Number} #length The physical length of this simulation.
- * @property {Integer} #xResolution The number of spatial steps in the wave function representation.
- * @property {Integer} #iterations The number of loop iterations to execute in the compute shader.
- * @property {Boolean} #running Whether the simulation is allowed to run. Setting this to false halts the simulation.
- * @property {GPUBuffer} #parametersBuffer The FDTD parameters buffer.
- * @property {GPUBindGroup} #parametersBindGroup The bind group for the parameters buffer.
- * @property {GPUBindGroupLayout} #parametersBindGroupLayout The bind group layout for the simulation parameters.
  * @property {GPUBuffer} #waveFunctionBuffer0 One of two wave function buffers.
  * @property {GPUBuffer} #waveFunctionBuffer1 One of two wave function buffers.
- * @property {GPUBindGroup[]} #waveFunctionBindGroup A pair of bind groups, used to ping pong the wave function buffers.
+ * @property {GPUBindGroup} #waveFunctionBindGroup The bind group for the wave function buffers, updated in place.
+ * @property {GPUBindGroupLayout} #waveFunctionBindGroupLayout The layout for the wave function bind group.
  * @property {GPUComputePipeline} #computePipeline The compute pipeline controlling some aspects of the shader execution.
- * @property {Boolean} #debug A flag indicating whether this is a debugging instance.
+ * @property {Integer} #iterations The number of loop iterations to execute in the compute shader.
  */
-class Schrodinger
+class Schrodinger extends SchrodingerSolver
 {
-  #device;
   #invocationLimitAvailable;
   #workgroupSizeLimitAvailable;
-  #dt;
-  #length;
-  #xResolution;
-  #iterations;
-  #running;
-  #parametersBuffer;
-  #parametersBindGroup;
-  #parametersBindGroupLayout;
   #waveFunctionBuffer0;
   #waveFunctionBuffer1;
   #waveFunctionBindGroup;
+  #waveFunctionBindGroupLayout;
   #computePipeline;
-  #debug;
+  #iterations;
 
   /**
    * Build a Schrödinger equation integrator with the given parameters.
@@ -76,121 +61,98 @@ class Schrodinger
    */
   constructor(dt, xResolution, length, iterations, debug=false)
   {
-    this.#dt = dt;
-    this.#xResolution = xResolution;
-    this.#length = length;
+    super(dt, xResolution, length, undefined, debug);
     this.#iterations = iterations;
-    this.#debug = debug;
   }
 
   /**
-   * Get the time step between wave function instances for FDTD time evolution.
+   * The single workgroup takes explicit Euler steps, which have no stable time step.
    *
-   * @returns {Number} The FDTD time step.
+   * @returns {Number} 0
    */
-  getTimeStep()
+  getStabilityFactor()
   {
-    return this.#dt;
+    return 0;
   }
 
   /**
-   * Set the FDTD time step.
+   * Whether the invocations per workgroup limit required for this solver is available on this system.
    *
-   * @param {Number} dt The new time step between the wave function and its updated version.
-   * @returns {Schrodinger}
+   * @returns {Boolean} True if the limit is available, false otherwise.
    */
-  setTimeStep(dt)
+  isInvocationLimitAvailable()
   {
-    this.#dt = dt;
-    return this;
+    return this.#invocationLimitAvailable;
   }
 
   /**
-   * Get the number of array elements, or the number of spatial steps, in the wave function representation.
+   * Whether the workgroup size limit required for this solver is available on this system.
    *
-   * @returns {Number} The number of spatial steps in the wave function representation.
+   * @returns {Boolean} True if the limit is available, false otherwise.
    */
-  getXResolution()
+  isWorkgroupSizeLimitAvailable()
   {
-    return this.#xResolution;
+    return this.#workgroupSizeLimitAvailable;
   }
 
   /**
-   * Set the number of array elements, or the number of spatial steps, in the wave function representation.
+   * Request a device with workgroup size and invocation limits large enough to hold the full
+   * x resolution in a single workgroup. Falls back to a default device when the limits are unavailable.
    *
-   * @param {Integer} xResolution The number of spatial steps in the wave function representation.
-   * @returns {Schrodinger} This object with the new resolution set.
+   * @returns {Promise<GPUDevice>} A promise that resolves to the device for this simulation.
    */
-  setXResolution(xResolution)
+  async requestDevice()
   {
-    this.#xResolution = xResolution;
-    return this;
-  }
+    const deviceDescriptor = {
+      requiredLimits: {
+        maxComputeWorkgroupSizeX : this.getXResolution(),
+        maxComputeInvocationsPerWorkgroup: this.getXResolution()
+      }
+    }
 
-  /**
-   * Get the physical length of this simulation.
-   *
-   * @returns {Number} The physical length of this simulation.
-   */
-  getLength()
-  {
-    return this.#length
-  }
+    const webgpuCompute = new WebGPUCompute(null, deviceDescriptor);
 
-  /**
-   * Get whether the required invocation limit was available.
-   *
-   * @returns {Boolean} True if the available invocation limit is at least as large as xResolution,
-   * false if not. Undefined if the object has not been initialized.
-   */
-  isInvocationLimitAvailable()
-  {
-    return this.#invocationLimitAvailable;
-  }
+    this.#workgroupSizeLimitAvailable = await webgpuCompute.checkLimit(workgroupSizeXLimitName,
+                                                                        this.getXResolution());
+    this.#invocationLimitAvailable = await webgpuCompute.checkLimit(invocationsPerWorkgroupLimitName,
+                                                                      this.getXResolution());
 
-  /**
-   * Get whether the work groups X size limit was at least as large as the xResolution.
-   *
-   * @returns {Boolean} True if the X workgroup size limit is at least as large as the xResolution,
-   * false if not. Is undefined if the object is not yet initialized.
-   */
-  isWorkgroupSizeLimitAvailable()
-  {
-    return this.#workgroupSizeLimitAvailable;
+    if (this.#workgroupSizeLimitAvailable && this.#invocationLimitAvailable) {
+      return webgpuCompute.getDevice();
+    } else {
+      return super.requestDevice();
+    }
   }
 
   /**
-   * Get the physical length of this simulation.
+   * Get the bind group layout for the wave function storage arrays.
    *
-   * @param {Number} length The physical length of this simulation.
-   * @returns {Schrodinger}
+   * @returns {GPUBindGroupLayout} The bind group layout for the wave functions.
    */
-  setLength(length)
+  getWaveFunctionBindGroupLayout()
   {
-    this.#length = length;
-    return this;
+    return this.#waveFunctionBindGroupLayout;
   }
 
   /**
-   * Get the bind group for the wave function parameters in the wave equation.
+   * Get the wave function bind group. Both buffers are updated in place by each dispatch.
    *
-   * @returns {GPUBindGroup} The bind group for the parameters buffer.
-   * @see getParametersBindGroupLayout
+   * @returns {GPUBindGroup} The wave function bind group.
    */
-  getParametersBindGroup()
+  getWaveFunctionBindGroup()
   {
-    return this.#parametersBindGroup;
+    return this.#waveFunctionBindGroup;
   }
 
   /**
-   * Get the bind group layout for the schrodinger solver parameters.
+   * Get the buffer holding the most recent wave function, Ψ(t). Each iteration takes a pair of
+   * steps, leaving the latest values in the first buffer.
    *
-   * @returns {GPUBindGroupLayout} The bind group layout for the simulation parameters.
-   * @see getParametersBindGroup
+   * @returns {GPUBuffer} The buffer containing the current wave function.
    */
-  getParametersBindGroupLayout()
+  getWaveFunctionBuffer()
   {
-    return this.#parametersBindGroupLayout;
+    return this.#waveFunctionBuffer0;
   }
 
   /**
@@ -214,23 +176,16 @@ class Schrodinger
   }
 
   /**
-   * Get the FDTD parameters buffer for display, or debugging.
+   * Set new values for the wave function. The provided data is mapped to an array of vec2 within
+   * the shader.
    *
-   * @returns {GPUBuffer} The FDTD parameters buffer.
+   * @param {Array<Number>} data An array of 2*xResolution real and imaginary values for the wave function
+   * on our grid.
    */
-  getParametersBuffer()
+  setWaveFunction(data)
   {
-    return this.#parametersBuffer;
-  }
-
-  /**
-   * Get the device we obtain resources from. Allows other classes to share resources.
-   *
-   * @returns {GPUDevice} The device in use for this simulation.
-   */
-  getDevice()
-  {
-    return this.#device;
+    this.getDevice().queue.writeBuffer(this.#waveFunctionBuffer0, 0, new Float32Array(data), 0, 2*this.getXResolution());
+    this.resetStepCount();
   }
 
   /**
@@ -243,6 +198,12 @@ class Schrodinger
    */
   async init()
   {
+    await super.init();
+    if (!this.#workgroupSizeLimitAvailable || !this.#invocationLimitAvailable) {
+      return this;
+    }
+    const device = this.getDevice();
+
     const timeStepShader = `
     struct Parameters {
         dt: f32,          // The time step, Δt.
@@ -302,193 +263,97 @@ class Schrodinger
     }
   `;
 
-    const deviceDescriptor = {
-      requiredLimits: {
-        maxComputeWorkgroupSizeX : this.#xResolution,
-        maxComputeInvocationsPerWorkgroup: this.#xResolution
-      }
-    }
-
-    const webgpuCompute = new WebGPUCompute(null, deviceDescriptor);
-
-    this.#workgroupSizeLimitAvailable = await webgpuCompute.checkLimit(workgroupSizeXLimitName,
-                                                                        this.#xResolution);
-    this.#invocationLimitAvailable = await webgpuCompute.checkLimit(invocationsPerWorkgroupLimitName,
-                                                                      this.#xResolution);
-
-    if (this.#workgroupSizeLimitAvailable && this.#invocationLimitAvailable) {
-      this.#device = await webgpuCompute.getDevice();
-
-      const timeStepShaderModule = this.#device.createShaderModule({
-        label: 'Schrodinger time step shader',
-        code: timeStepShader
-      });
-
-      this.#parametersBindGroupLayout = this.#device.createBindGroupLayout({
-        label: "Simulation parameters",
-        entries: [
-          {
-            binding: 0,
-            visibility: GPUShaderStage.COMPUTE | GPUShaderStage.FRAGMENT,
-            buffer: {
-              type: "read-only-storage"
-            }
-          }
-        ]
-      });
-
-      const waveFunctionBindGroupLayout = this.#device.createBindGroupLayout({
-        label: "Wave function data.",
-        entries: [
-          {
-            binding: 0,
-            visibility: GPUShaderStage.COMPUTE,
-            buffer: {
-              type: "storage"
-            }
-          },
-          {
-            binding: 1,
-            visibility: GPUShaderStage.COMPUTE,
-            buffer: {
-              type: "storage"
-            }
+    const timeStepShaderModule = device.createShaderModule({
+      label: 'Schrodinger time step shader',
+      code: timeStepShader
+    });
+
+    this.#waveFunctionBindGroupLayout = device.createBindGroupLayout({
+      label: "Wave function data.",
+      entries: [
+        {
+          binding: 0,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
           }
-        ]
-      });
-
-      this.#computePipeline = this.#device.createComputePipeline({
-        label: "Tuned shader pipeline.",
-        layout: this.#device.createPipelineLayout({
-          bindGroupLayouts: [this.#parametersBindGroupLayout, waveFunctionBindGroupLayout]
-        }),
-        compute: {
-          module: timeStepShaderModule,
-          entryPoint: "timeSteps",
-          constants: {
-            iterations: this.#iterations,
-            xResolution: this.#xResolution
+        },
+        {
+          binding: 1,
+          visibility: GPUShaderStage.COMPUTE,
+          buffer: {
+            type: "storage"
           }
         }
-      });
-
-      this.#parametersBuffer = this.#device.createBuffer({
-        label: "Parameters buffer",
-        mappedAtCreation: true,
-        size: Float32Array.BYTES_PER_ELEMENT                    // dt
-            + Uint32Array.BYTES_PER_ELEMENT                     // xResolution
-            + Float32Array.BYTES_PER_ELEMENT,                   // length
-        usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-      });
-
-      // Get the raw array buffer for the mapped GPU buffer
-      const parametersArrayBuffer = this.#parametersBuffer.getMappedRange();
-
-      var bytesSoFar = 0;
-      new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#dt]);
-      bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
-      new Uint32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#xResolution]);
-      bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
-      new Float32Array(parametersArrayBuffer, bytesSoFar, 1).set([this.#length]);
-
-      // Unmap the buffer returning ownership to the GPU.
-      this.#parametersBuffer.unmap();
-
-      this.#parametersBindGroup = this.#device.createBindGroup({
-        layout: this.#parametersBindGroupLayout,
-        entries: [
-          {
-            binding: 0,
-            resource: {
-              buffer: this.#parametersBuffer
-            }
+      ]
+    });
+
+    this.#computePipeline = device.createComputePipeline({
+      label: "Tuned shader pipeline.",
+        layout: device.createPipelineLayout({
+        bindGroupLayouts: [this.getParametersBindGroupLayout(), this.#waveFunctionBindGroupLayout]
+      }),
+      compute: {
+        module: timeStepShaderModule,
+        entryPoint: "timeSteps",
+        constants: {
+          iterations: this.#iterations,
+          xResolution: this.getXResolution()
+        }
+      }
+    });
+
+    // Wave function representations
+    this.#waveFunctionBuffer0 = this.createWaveFunctionBuffer("Wave function 0");
+    this.#waveFunctionBuffer1 = this.createWaveFunctionBuffer("Wave function 1");
+
+    this.#waveFunctionBindGroup = device.createBindGroup({
+      layout: this.#waveFunctionBindGroupLayout,
+      entries: [
+        {
+          binding: 0,
+          resource: {
+            buffer: this.#waveFunctionBuffer0
           }
-        ]
-      });
-
-      this.#waveFunctionBuffer0 = this.#device.createBuffer({
-        label: "Wave function 0",
-        size: 2 * this.#xResolution * Float32Array.BYTES_PER_ELEMENT, // A wave function representation
-        usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-      });
-
-      this.#waveFunctionBuffer1 = this.#device.createBuffer({
-        label: "Wave function 1",
-        size: 2 * this.#xResolution * Float32Array.BYTES_PER_ELEMENT, // A wave function representation
-        usage: this.#debug ? GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC : GPUBufferUsage.STORAGE
-      });
-
-      this.#waveFunctionBindGroup = this.#device.createBindGroup({
-        layout: waveFunctionBindGroupLayout,
-        entries: [
-          {
-            binding: 0,
-            resource: {
-              buffer: this.#waveFunctionBuffer0
-            }
-          },
-          {
-            binding: 1,
-            resource: {
-              buffer: this.#waveFunctionBuffer1
-            }
+        },
+        {
+          binding: 1,
+          resource: {
+            buffer: this.#waveFunctionBuffer1
           }
-        ]
-      });
-    }
+        }
+      ]});
 
     return this;
   }
 
   /**
-   * Get an initialized instance of a Schrödinger equation integrator with the given parameters.
-   *
-   * @param {Number}        dt          The Δt between iterations of the wave function in natural units of time.
-   * @param {Integer}       xResolution The size of the wave function arrays, the number of spatial steps
-   *                                    on our 1D grid.
-   * @param {Number}        length      The characteristic length for the problem in terms of natural units.
-   * @param {Integer}       iterations  The number of iterations executed by the step method.
-   * @param {Boolean}       debug       The debug option for this execution of the FDTD solver. Enabling this
-   *                                    makes the wave function buffers copyable, potentially having a
-   *                                    performance impact. Defaults to false.
-   * @return Promise<Schrodinger> A promise that resolves to the requested Schrodinger instance.
-   * @see #init
-   */
-  static async getInstance(dt, xResolution, length, iterations, debug=false){
-    const schrodinger = new Schrodinger(dt, xResolution, length, iterations, debug);
-    return schrodinger.init();
-  }
-
-  stop()
-  {
-    this.#running = false;
-  }
-
-  /**
-   * Execute count iterations of the simulation.
+   * Execute the configured number of iterations of the simulation in a single dispatch.
    */
   step()
   {
     if (!this.#workgroupSizeLimitAvailable) {
-      throw new Error(`${this.constructor.name}: Required ${workgroupSizeXLimitName} of ${this.#xResolution} is unavailable.`);
+      throw new Error(`${this.constructor.name}: Required ${workgroupSizeXLimitName} of ${this.getXResolution()} is unavailable.`);
     }
 
     if (!this.#invocationLimitAvailable) {
-      throw new Error(`${this.constructor.name}: Required ${invocationsPerWorkgroupLimitName} of ${this.#xResolution} is unavailable.`);
+      throw new Error(`${this.constructor.name}: Required ${invocationsPerWorkgroupLimitName} of ${this.getXResolution()} is unavailable.`);
     }
 
-    const commandEncoder = this.#device.createCommandEncoder();
+    const device = this.getDevice();
+    const commandEncoder = device.createCommandEncoder();
 
     const passEncoder = commandEncoder.beginComputePass();
     passEncoder.setPipeline(this.#computePipeline);
-    passEncoder.setBindGroup(0, this.#parametersBindGroup);
+    passEncoder.setBindGroup(0, this.getParametersBindGroup());
     passEncoder.setBindGroup(1, this.#waveFunctionBindGroup);
     passEncoder.dispatchWorkgroups(1);
     passEncoder.end();
 
     // Submit GPU commands.
     const gpuCommands = commandEncoder.finish();
-    this.#device.queue.submit([gpuCommands]);
+    device.queue.submit([gpuCommands]);
+    this.incrementStepCount(2*this.#iterations);
   }
 }
 
@@ -0,0 +1,443 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Plot the two components of a {@link SchrodingerSpinor} wave function, |Ψ↑|² and |Ψ↓|² in separate colors, along
+ * with the diagonal potentials each component sees at the current time, V + M↑↑ and V + M↓↓, in the style of
+ * {@link SchrodingerRenderer}. As there, the grid index runs along the x-axis, so the canvas should be xResolution
+ * pixels wide, and the values along the y-axis.
+ */
+class SpinorRenderer
+{
+    #schrodinger;
+    #device;
+    #upColor;
+    #downColor;
+    #densityMax;
+    #vUpColor;
+    #vDownColor;
+    #vMax;
+    #yResolution;
+    #width;
+    #parametersBindGroup;
+    #parametersBindGroupLayout;
+    #plotParametersBuffer;
+    #plotParametersBindGroup;
+    #plotParametersLayout;
+    #vertexBuffer;
+    #vertexBuffersDescriptor;
+    #rendererShaderModule;
+    #canvasID;
+    #canvas;
+    #presentationFormat;
+    #webGPUContext;
+
+    /**
+     * Build a two component wave function visualization with the given parameters.
+     *
+     * @param {SchrodingerSpinor} schrodinger A spinor solver instance from which we retrieve the device, the
+     *                                        simulation parameters and the potential matrix.
+     * @param {String} canvasID          The HTML ID for the canvas we render to.
+     *
+     * @param {Array<Number>} upColor    The r, g, b, a color for |Ψ↑|², 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} downColor  The r, g, b, a color for |Ψ↓|², 0, 0, 0, 0 for no plot.
+     * @param {Number} densityMax        The max density on the plot, the y-axis scale for the density plots.
+     * @param {Array<Number>} vUpColor   The color for the potential V + M↑↑, 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} vDownColor The color for the potential V + M↓↓, 0, 0, 0, 0 for no plot.
+     * @param {Number} vMax              The max value for the potential on the plot, the y-axis scale for the
+     *                                   potential plots.
+     * @param {Number} yResolution       The number of pixels in the y direction.
+     * @param {Number} width             Roughly the width for renderer lines.
+     */
+    constructor(schrodinger, canvasID, upColor, downColor, densityMax, vUpColor, vDownColor, vMax,
+                yResolution, width)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#canvasID = canvasID;
+        this.#parametersBindGroup = schrodinger.getParametersBindGroup();
+        this.#parametersBindGroupLayout = schrodinger.getParametersBindGroupLayout();
+        this.#upColor = upColor;
+        this.#downColor = downColor;
+        this.#densityMax = densityMax;
+        this.#vUpColor = vUpColor;
+        this.#vDownColor = vDownColor;
+        this.#vMax = vMax;
+        this.#yResolution = yResolution;
+        this.#width = width;
+    }
+
+    /**
+     * Get the plot parameters buffer for debugging.
+     *
+     * @returns {GPUBuffer} The plot parameters buffer.
+     */
+    getPlotParametersBuffer()
+    {
+        return this.#plotParametersBuffer;
+    }
+
+    /**
+     * Initialization of the object, building the shader and the plot parameters.
+     *
+     * @returns {SpinorRenderer}
+     */
+    init()
+    {
+        const rendererShader = `
+        ${this.#schrodinger.getParametersStruct()}
+
+        struct PlotParameters
+        {
+            // Color for |Ψ↑|²: 0.0, 0.0, 0.0, 0.0 for no plot.
+            upColor: vec4f,
+            // Color for |Ψ↓|²: 0.0, 0.0, 0.0, 0.0 for no plot.
+            downColor: vec4f,
+            // Color for V + M↑↑: 0.0, 0.0, 0.0, 0.0 for no plot.
+            vUpColor: vec4f,
+            // Color for V + M↓↓: 0.0, 0.0, 0.0, 0.0 for no plot.
+            vDownColor: vec4f,
+            // Y scale for the density plots
+            densityMax: f32,
+            // Y scale for the V plots.
+            vMax: f32,
+            // Number of points along the y axis.
+            yResolution: u32,
+            // Roughly corresponds to the rendered line width
+            width: f32
+        }
+
+        // group 0 and 1, things that never change within a simulation.
+        // The parameters for the simulation
+        @group(0) @binding(0) var<storage, read> parameters: Parameters;
+        // Plotting parameters, line colors, width, etc.
+        @group(1) @binding(0) var<storage, read> plotParameters : PlotParameters;
+
+        // Group 2, the wave function at t, changes on each invocation.
+        @group(2) @binding(0) var<storage, read> waveFunction : array<vec4f>;
+
+        // Group 3, the potential matrix.
+        ${this.#schrodinger.getPotentialMatrixFunction(3)}
+
+        /**
+         * Color pixels to represent the numerical values of a function on a grid, as in SchrodingerRenderer.
+         *
+         * @param {vec4}    color         The color for a line of the given function.
+         * @param {float}   scale         Possible values range from -scale to +scale.
+         * @param {float}   fragY         The y, vertical, fragment shader coordinate of this pixel
+         *                                in the range [0, yResolution-1] top to bottom.
+         * @param {Integer} yResolution   The number of vertical pixels in the plot.
+         * @param {float}   width         Roughly the line width in pixels.
+         * @param {float}   value         The value of the function at the current position.
+         * @param {float}   previousValue The previous function value.
+         */
+         fn pixelColor(color: vec4f, scale: f32, fragY: f32, yResolution: u32,
+                       width: f32, value: f32, previousValue: f32) -> vec4f
+         {
+            // The total height runs from -scale to +scale
+            let scale2 = 2.0*scale;
+            let adjustedPixel = -fragY + (f32(yResolution-1)/2.0);
+            // The function value for this pixel.
+            let pxValue = scale2*adjustedPixel/f32(yResolution);
+
+            // Begin fading in the color at the function value
+            // but adjust toward the previous value for continuity
+            let lowerEdge = min(value, previousValue+scale2/f32(yResolution));
+
+            // Begin fading out the color at the function value
+            // but adjust toward the previous value for continuity
+            let upperEdge = max(value, previousValue-scale2/f32(yResolution));
+
+            return color*(smoothstep(lowerEdge - scale2*width/f32(yResolution),
+                                     lowerEdge - scale2/f32(yResolution),
+                                     pxValue)
+                          -smoothstep(upperEdge + scale2/f32(yResolution),
+                                      upperEdge + scale2*width/f32(yResolution),
+                                      pxValue));
+         }
+
+         @vertex
+         fn vs_main(@location(0) inPos: vec3<f32>) -> @builtin(position) vec4f
+         {
+            return vec4(inPos, 1.0);
+         }
+
+         @fragment
+         fn fs_main(@builtin(position) fragPos: vec4<f32>) -> @location(0) vec4<f32>
+         {
+            // Frag position ranges from 0.5 to xResolution-0.5, one pixel per grid point.
+            let index            = u32(fragPos.x);
+            let previousIndex    = max(1u, index) - 1u;
+            let psi              = waveFunction[index];
+            let psiPrevious      = waveFunction[previousIndex];
+            // The diagonal potentials, V + M↑↑ and V + M↓↓.
+            let v                = parameters.potential[index] + potentialMatrix(index).xy;
+            let vPrevious        = parameters.potential[previousIndex] + potentialMatrix(previousIndex).xy;
+
+            var background       = pixelColor(plotParameters.upColor, plotParameters.densityMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              dot(psi.xy, psi.xy), dot(psiPrevious.xy, psiPrevious.xy));
+
+            var color            = pixelColor(plotParameters.downColor, plotParameters.densityMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              dot(psi.zw, psi.zw), dot(psiPrevious.zw, psiPrevious.zw));
+            background           = mix(background, color, color.a);
+
+            color                = pixelColor(plotParameters.vUpColor, plotParameters.vMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              v.x, vPrevious.x);
+            background           = mix(background, color, color.a);
+
+            color                = pixelColor(plotParameters.vDownColor, plotParameters.vMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              v.y, vPrevious.y);
+            background           = mix(background, color, color.a);
+            return background;
+         }
+    `;
+
+        this.#rendererShaderModule = this.#device.createShaderModule({
+            label: 'Spinor renderer shader',
+            code: rendererShader
+        });
+
+        // A pair of triangles that cover the canvas in normalized device coordinates
+        const vertexData = new Float32Array([
+            -1.0,  1.0, 0.0, // upper left
+            -1.0, -1.0, 0.0, // lower left
+             1.0,  1.0, 0.0, // upper right
+             1.0, -1.0, 0.0  // lower right
+        ]);
+
+        this.#vertexBuffer = this.#device.createBuffer({
+            label: 'Position',
+            mappedAtCreation: true,
+            size: vertexData.byteLength,
+            usage: GPUBufferUsage.VERTEX
+        });
+
+        const vertexArrayBuffer = this.#vertexBuffer.getMappedRange();
+        new Float32Array(vertexArrayBuffer).set(vertexData);
+        this.#vertexBuffer.unmap();
+
+        this.#vertexBuffersDescriptor = [{
+            arrayStride: 3 * Float32Array.BYTES_PER_ELEMENT,
+            stepMode: 'vertex',
+            attributes: [{
+                shaderLocation: 0, // position
+                offset: 0,
+                format: 'float32x3'
+            }]
+        }];
+
+        this.#plotParametersLayout = this.#device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        this.#plotParametersBuffer = this.#device.createBuffer({
+            label: 'Plot Parameters',
+            mappedAtCreation: true,
+            size: 4*Float32Array.BYTES_PER_ELEMENT  // upColor
+                + 4*Float32Array.BYTES_PER_ELEMENT  // downColor
+                + 4*Float32Array.BYTES_PER_ELEMENT  // vUpColor
+                + 4*Float32Array.BYTES_PER_ELEMENT  // vDownColor
+                + Float32Array.BYTES_PER_ELEMENT    // densityMax
+                + Float32Array.BYTES_PER_ELEMENT    // vMax
+                + Uint32Array.BYTES_PER_ELEMENT     // yResolution
+                + Float32Array.BYTES_PER_ELEMENT,   // width
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        // Get the raw array buffer for the mapped GPU buffer
+        const plotParametersArrayBuffer = this.#plotParametersBuffer.getMappedRange();
+
+        let bytesSoFar = 0;
+        for (const color of [this.#upColor, this.#downColor, this.#vUpColor, this.#vDownColor])
+        {
+            new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(color);
+            bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        }
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#densityMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#vMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Uint32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#yResolution]);
+        bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#width]);
+
+        this.#plotParametersBuffer.unmap();
+
+        this.#plotParametersBindGroup = this.#device.createBindGroup({
+            layout: this.#plotParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#plotParametersBuffer
+                    }
+                }
+            ]});
+
+        // Get a WebGPU context from the canvas and configure it
+        this.#canvas = document.getElementById(this.#canvasID);
+        this.#webGPUContext = this.#canvas.getContext('webgpu');
+        // This will be either rgba8unorm or bgra8unorm
+        this.#presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.#webGPUContext.configure({
+            device: this.#device,
+            format: this.#presentationFormat,
+            alphaMode: 'premultiplied'
+        });
+
+        return this;
+    }
+
+    /**
+     * Create and return an instance of a two component wave function visualization with the given parameters.
+     *
+     * @param {SchrodingerSpinor} schrodinger A spinor solver instance from which we retrieve the device, the
+     *                                        simulation parameters and the potential matrix.
+     * @param {String} canvasID          The HTML ID for the canvas we render to.
+     *
+     * @param {Array<Number>} upColor    The r, g, b, a color for |Ψ↑|², 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} downColor  The r, g, b, a color for |Ψ↓|², 0, 0, 0, 0 for no plot.
+     * @param {Number} densityMax        The max density on the plot, the y-axis scale for the density plots.
+     * @param {Array<Number>} vUpColor   The color for the potential V + M↑↑, 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} vDownColor The color for the potential V + M↓↓, 0, 0, 0, 0 for no plot.
+     * @param {Number} vMax              The max value for the potential on the plot, the y-axis scale for the
+     *                                   potential plots.
+     * @param {Number} yResolution       The number of pixels in the y direction.
+     * @param {Number} width             Roughly the width for renderer lines.
+     */
+    static async getInstance(schrodinger, canvasID, upColor, downColor, densityMax, vUpColor, vDownColor, vMax,
+                             yResolution, width)
+    {
+        const spinorRenderer = new SpinorRenderer(schrodinger, canvasID, upColor, downColor, densityMax,
+                                                  vUpColor, vDownColor, vMax, yResolution, width);
+        return spinorRenderer.init();
+    }
+
+    /**
+     * The html canvas element that is our rendering target.
+     *
+     * @returns {HTMLCanvasElement} The html canvas element that is our rendering target.
+     */
+    getCanvas() {
+        return this.#canvas;
+    }
+
+    /**
+     * Render a wave function buffer from the spinor simulation.
+     *
+     * @param {GPUBuffer} waveFunctionBuffer The wave function buffer to render, defaults to the solver's
+     *                                       current wave function.
+     */
+    render(waveFunctionBuffer=this.#schrodinger.getWaveFunctionBuffer())
+    {
+        const bindGroupLayout2 = this.#device.createBindGroupLayout({
+            label: "Wave function layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const bindGroup2 = this.#device.createBindGroup({
+            layout: bindGroupLayout2,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: waveFunctionBuffer
+                    }
+                }
+            ]});
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [this.#parametersBindGroupLayout,                        // Simulation parameters
+                               this.#plotParametersLayout,                             // Plot parameters
+                               bindGroupLayout2,                                       // The wave function values
+                               this.#schrodinger.getPotentialMatrixBindGroupLayout()]  // The potential matrix
+        });
+
+        const pipeline = this.#device.createRenderPipeline({
+            label: 'Render triangles to cover the rectangular canvas.',
+            layout: pipelineLayout,
+            primitive: {
+                topology: "triangle-strip",
+            },
+            vertex: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'vs_main',
+                buffers: this.#vertexBuffersDescriptor
+            },
+            fragment: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: this.#presentationFormat,
+                    blend: {
+                        color: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        }
+                    }
+                }]
+            }
+        });
+
+        const commandEncoder = this.#device.createCommandEncoder();
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.#webGPUContext.getCurrentTexture().createView(),
+                loadOp: 'clear',
+                clearValue: [0.0, 0.0, 0.0, 0.0],
+                storeOp: 'store',
+            }]
+        });
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(0, this.#parametersBindGroup);
+        passEncoder.setBindGroup(1, this.#plotParametersBindGroup);
+        passEncoder.setBindGroup(2, bindGroup2);
+        passEncoder.setBindGroup(3, this.#schrodinger.getPotentialMatrixBindGroup());
+        passEncoder.setVertexBuffer(0, this.#vertexBuffer);
+        passEncoder.draw(4);
+        passEncoder.end();
+
+        const commandBuffer = commandEncoder.finish();
+        this.#device.queue.submit([commandBuffer]);
+    }
+}
+
+export {SpinorRenderer}
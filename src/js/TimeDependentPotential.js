@@ -0,0 +1,375 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * @typedef {Number} Integer
+ */
+
+const WORKGROUP_SIZE = 64;
+
+/**
+ * The most workgroups a dispatch may have along one dimension under the default limits.
+ */
+const MAX_WORKGROUPS_PER_DIMENSION = 65535;
+
+/**
+ * A time dependent potential, V(x,t), for a solver. Before each time step, {@link makeComputePass} rewrites the
+ * potential in the solver's parameters buffer with its value at t = nsteps*Δt, so the solver's shaders, boundaries
+ * and renderers all see the current potential without change. The potential is held fixed across the step, so
+ * multi-stage schemes such as RK4 see V at the start of the step.
+ *
+ * The potential is given either as
+ * <ul>
+ *   <li>a WGSL f32 expression in x, y, z, t, and v0, the solver's static potential at the point. For example
+ *       <code>"v0 + 0.5*x*cos(2.0*t)"</code> adds a driving field to the original potential.</li>
+ *   <li>keyframes, {times, potentials}, with a potential array for each of an ascending list of times. V is
+ *       interpolated linearly between keyframes on the GPU, and held at the first or last keyframe outside them.</li>
+ * </ul>
+ *
+ * The clock is a step counter on the GPU, advanced by each pass. The solver sets it from its own step count with
+ * {@link setStep} when the time dependent potential is attached and when the step count is reset.
+ *
+ * @property {SchrodingerSolver} #schrodinger The solver whose potential is updated.
+ * @property {GPUDevice} #device The solver's device.
+ * @property {String} #expression The WGSL expression for V, or undefined for keyframes.
+ * @property {Array<Number>} #times The keyframe times, or undefined for an expression.
+ * @property {Array<Array<Number>>} #potentials The keyframe potentials, or undefined for an expression.
+ * @property {GPUBuffer} #clockBuffer The GPU step counter.
+ * @property {GPUBindGroup} #parametersBindGroup The solver's parameters buffer, bound for writing.
+ * @property {GPUBindGroup} #potentialBindGroup The clock, and the static potential or keyframes.
+ * @property {GPUComputePipeline} #updatePipeline The pipeline rewriting the potential.
+ * @property {GPUComputePipeline} #advancePipeline The pipeline advancing the clock one step.
+ * @property {Array<Integer>} #workgroupCounts The x and y workgroup counts covering the grid.
+ */
+class TimeDependentPotential
+{
+    #schrodinger;
+    #device;
+    #expression;
+    #times;
+    #potentials;
+    #clockBuffer;
+    #parametersBindGroup;
+    #potentialBindGroup;
+    #updatePipeline;
+    #advancePipeline;
+    #workgroupCounts;
+
+    /**
+     * Build a time dependent potential for the given solver.
+     *
+     * @param {SchrodingerSolver} schrodinger An initialized solver whose potential is to vary in time.
+     * @param {String|{times: Array<Number>, potentials: Array<Array<Number>>}} source
+     *        Either a WGSL expression for V in x, y, z, t and v0, or keyframes, each potential holding a value
+     *        for every grid point.
+     */
+    constructor(schrodinger, source)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        if (typeof source === "string")
+        {
+            this.#expression = source;
+        }
+        else
+        {
+            const {times, potentials} = source;
+            if (times.length === 0 || times.length !== potentials.length)
+            {
+                throw new Error(`${this.constructor.name}: Expected a potential for each of the ${times.length} `
+                                + `keyframe times, got ${potentials.length}.`);
+            }
+            if (times.some((time, i) => i > 0 && time <= times[i-1]))
+            {
+                throw new Error(`${this.constructor.name}: Keyframe times must be strictly increasing.`);
+            }
+            const gridSize = schrodinger.getGridSize();
+            if (potentials.some(potential => potential.length !== gridSize))
+            {
+                throw new Error(`${this.constructor.name}: Each keyframe potential needs ${gridSize} values.`);
+            }
+            this.#times = times;
+            this.#potentials = potentials;
+        }
+    }
+
+    init()
+    {
+        const schrodinger = this.#schrodinger;
+        const gridSize = schrodinger.getGridSize();
+
+        const potentialFunction = this.#expression !== undefined
+            ? `
+          // The solver's static potential, v0 in the expression.
+          @group(1) @binding(1) var<storage, read> staticPotential : array<f32>;
+
+          ${schrodinger.getPositionFunction()}
+
+          fn potentialAt(index: u32, t: f32) -> f32
+          {
+            let position = gridPosition(index);
+            let x = position.x;
+            let y = position.y;
+            let z = position.z;
+            let v0 = staticPotential[index];
+            return ${this.#expression};
+          }`
+            : `
+          // The keyframe times, and the keyframe potentials one after another.
+          @group(1) @binding(1) var<storage, read> keyframeTimes : array<f32>;
+          @group(1) @binding(2) var<storage, read> keyframes : array<f32>;
+
+          fn potentialAt(index: u32, t: f32) -> f32
+          {
+            let last = arrayLength(&keyframeTimes) - 1u;
+            let gridSize = arrayLength(&parameters.potential);
+            if (t <= keyframeTimes[0])
+            {
+              return keyframes[index];
+            }
+            if (t >= keyframeTimes[last])
+            {
+              return keyframes[last*gridSize + index];
+            }
+            var k = 0u;
+            while (keyframeTimes[k + 1u] < t)
+            {
+              k++;
+            }
+            let s = (t - keyframeTimes[k])/(keyframeTimes[k + 1u] - keyframeTimes[k]);
+            return mix(keyframes[k*gridSize + index], keyframes[(k + 1u)*gridSize + index], s);
+          }`;
+
+        const potentialShader = `
+          ${schrodinger.getParametersStruct()}
+
+          struct Clock {
+            step: u32  // The number of steps taken, t = step*Δt.
+          }
+
+          // Group 0, the solver's parameters, bound here for writing.
+          @group(0) @binding(0) var<storage, read_write> parameters: Parameters;
+
+          // Group 1, the clock and the data V is computed from.
+          @group(1) @binding(0) var<storage, read_write> clock : Clock;
+          ${potentialFunction}
+
+          @compute @workgroup_size(${WORKGROUP_SIZE})
+          fn updatePotential(@builtin(global_invocation_id) global_id : vec3u,
+                             @builtin(num_workgroups) workgroups : vec3u)
+          {
+            // Large 3D grids need more workgroups than fit along x, the rest are spread along y.
+            let index = global_id.y*workgroups.x*${WORKGROUP_SIZE}u + global_id.x;
+            if (index >= arrayLength(&parameters.potential)) {
+              return;
+            }
+            parameters.potential[index] = potentialAt(index, f32(clock.step)*parameters.dt);
+          }
+
+          @compute @workgroup_size(1)
+          fn advanceClock()
+          {
+            clock.step += 1u;
+          }
+        `;
+
+        const potentialShaderModule = this.#device.createShaderModule({
+            label: 'Time dependent potential shader',
+            code: potentialShader
+        });
+
+        // On a non-uniform grid gridPosition reads the coordinates next to the parameters.
+        const coordinatesBuffer = schrodinger.getCoordinatesBuffer();
+        const parametersBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Time dependent potential parameters layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                ...(coordinatesBuffer ? [{
+                    binding: 2,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }] : [])
+            ]
+        });
+
+        this.#clockBuffer = this.#device.createBuffer({
+            label: "Time dependent potential clock",
+            size: Uint32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+
+        const dataBuffers = this.#expression !== undefined
+            ? [this.#createDataBuffer("Static potential", schrodinger.getPotential() ?? new Float32Array(gridSize))]
+            : [
+                this.#createDataBuffer("Keyframe times", this.#times),
+                this.#createDataBuffer("Keyframe potentials", this.#potentials.flatMap(potential => Array.from(potential)))
+              ];
+
+        const potentialBindGroupLayout = this.#device.createBindGroupLayout({
+            label: "Time dependent potential layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "storage"
+                    }
+                },
+                ...dataBuffers.map((buffer, i) => ({
+                    binding: i + 1,
+                    visibility: GPUShaderStage.COMPUTE,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }))
+            ]
+        });
+
+        this.#parametersBindGroup = this.#device.createBindGroup({
+            label: "Time dependent potential parameters bind group",
+            layout: parametersBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: schrodinger.getParametersBuffer()
+                    }
+                },
+                ...(coordinatesBuffer ? [{
+                    binding: 2,
+                    resource: {
+                        buffer: coordinatesBuffer
+                    }
+                }] : [])
+            ]
+        });
+
+        this.#potentialBindGroup = this.#device.createBindGroup({
+            label: "Time dependent potential bind group",
+            layout: potentialBindGroupLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#clockBuffer
+                    }
+                },
+                ...dataBuffers.map((buffer, i) => ({
+                    binding: i + 1,
+                    resource: {
+                        buffer: buffer
+                    }
+                }))
+            ]
+        });
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [parametersBindGroupLayout, potentialBindGroupLayout]
+        });
+
+        this.#updatePipeline = this.#createPipeline(pipelineLayout, potentialShaderModule, "updatePotential");
+        this.#advancePipeline = this.#createPipeline(pipelineLayout, potentialShaderModule, "advanceClock");
+
+        const workgroupCount = Math.ceil(gridSize / WORKGROUP_SIZE);
+        const workgroupCountX = Math.min(workgroupCount, MAX_WORKGROUPS_PER_DIMENSION);
+        this.#workgroupCounts = [workgroupCountX, Math.ceil(workgroupCount / workgroupCountX)];
+
+        return this;
+    }
+
+    /**
+     * Create a read only storage buffer initialized with the given values.
+     *
+     * @param {String} label          The label for the buffer.
+     * @param {Array<Number>} values  The f32 values for the buffer.
+     * @returns {GPUBuffer} The new buffer.
+     */
+    #createDataBuffer(label, values)
+    {
+        const buffer = this.#device.createBuffer({
+            label: label,
+            mappedAtCreation: true,
+            size: values.length*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+        new Float32Array(buffer.getMappedRange()).set(values);
+        buffer.unmap();
+        return buffer;
+    }
+
+    /**
+     * Build a compute pipeline for one of the time dependent potential entry points.
+     *
+     * @param {GPUPipelineLayout} layout  The shared pipeline layout.
+     * @param {GPUShaderModule} module    The time dependent potential shader module.
+     * @param {String} entryPoint         The entry point name.
+     * @returns {GPUComputePipeline} The pipeline.
+     */
+    #createPipeline(layout, module, entryPoint)
+    {
+        return this.#device.createComputePipeline({
+            label: `Time dependent potential ${entryPoint} pipeline`,
+            layout: layout,
+            compute: {
+                module: module,
+                entryPoint: entryPoint
+            }
+        });
+    }
+
+    static getInstance(schrodinger, source)
+    {
+        const timeDependentPotential = new TimeDependentPotential(schrodinger, source);
+        return timeDependentPotential.init();
+    }
+
+    /**
+     * Set the clock, so the next pass computes V at t = step*Δt.
+     *
+     * @param {Integer} step The solver's step count.
+     */
+    setStep(step)
+    {
+        this.#device.queue.writeBuffer(this.#clockBuffer, 0, new Uint32Array([step]));
+    }
+
+    /**
+     * Append a pass writing V at the current time into the solver's parameters, then advance the clock one step.
+     *
+     * @param {GPUCommandEncoder} commandEncoder The encoder for the solver's current batch of time steps.
+     */
+    makeComputePass(commandEncoder)
+    {
+        const passEncoder = commandEncoder.beginComputePass();
+        passEncoder.setBindGroup(0, this.#parametersBindGroup);
+        passEncoder.setBindGroup(1, this.#potentialBindGroup);
+        passEncoder.setPipeline(this.#updatePipeline);
+        passEncoder.dispatchWorkgroups(...this.#workgroupCounts);
+        passEncoder.setPipeline(this.#advancePipeline);
+        passEncoder.dispatchWorkgroups(1);
+        passEncoder.end();
+    }
+}
+
+export {TimeDependentPotential}
@@ -0,0 +1,448 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * Plot the single particle densities of a {@link SchrodingerTwoParticle}, the marginals ρ₁(x) and ρ₂(x), along with
+ * the external potential, in the style of {@link SchrodingerRenderer}. As there, the grid index runs along the x-axis,
+ * so the canvas should be xResolution pixels wide, and the values along the y-axis.
+ *
+ * Identical particles have ρ₁ = ρ₂. Compare bosons and fermions in the same potential to see exchange effects, the
+ * fermions spread apart, or draw the pair density |Ψ(x₁, x₂)|² with a {@link Schrodinger2DRenderer} to see the
+ * correlation behind them.
+ */
+class TwoParticleRenderer
+{
+    #schrodinger;
+    #device;
+    #rho1Color;
+    #rho2Color;
+    #densityMax;
+    #vColor;
+    #vMax;
+    #yResolution;
+    #width;
+    #plotParametersBuffer;
+    #potentialBuffer;
+    #plotParametersBindGroup;
+    #plotParametersLayout;
+    #vertexBuffer;
+    #vertexBuffersDescriptor;
+    #rendererShaderModule;
+    #canvasID;
+    #canvas;
+    #presentationFormat;
+    #webGPUContext;
+
+    /**
+     * Build a two particle density visualization with the given parameters.
+     *
+     * @param {SchrodingerTwoParticle} schrodinger A two particle solver instance from which we retrieve the device,
+     *                                             the marginals and the external potential.
+     * @param {String} canvasID          The HTML ID for the canvas we render to.
+     *
+     * @param {Array<Number>} rho1Color  The r, g, b, a color for the first particle's density, 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} rho2Color  The r, g, b, a color for the second particle's density, 0, 0, 0, 0 for no
+     *                                   plot.
+     * @param {Number} densityMax        The max density on the plot, the y-axis scale for the density plots.
+     * @param {Array<Number>} vColor     The color for the external potential, v.
+     * @param {Number} vMax              The max value for the potential on the plot, the y-axis scale for the
+     *                                   potential plot.
+     * @param {Number} yResolution       The number of pixels in the y direction.
+     * @param {Number} width             Roughly the width for renderer lines.
+     */
+    constructor(schrodinger, canvasID, rho1Color, rho2Color, densityMax, vColor, vMax, yResolution, width)
+    {
+        this.#schrodinger = schrodinger;
+        this.#device = schrodinger.getDevice();
+        this.#canvasID = canvasID;
+        this.#rho1Color = rho1Color;
+        this.#rho2Color = rho2Color;
+        this.#densityMax = densityMax;
+        this.#vColor = vColor;
+        this.#vMax = vMax;
+        this.#yResolution = yResolution;
+        this.#width = width;
+    }
+
+    /**
+     * Get the plot parameters buffer for debugging.
+     *
+     * @returns {GPUBuffer} The plot parameters buffer.
+     */
+    getPlotParametersBuffer()
+    {
+        return this.#plotParametersBuffer;
+    }
+
+    /**
+     * Initialization of the object, building the shader and the plot parameters.
+     *
+     * @returns {TwoParticleRenderer}
+     */
+    init()
+    {
+        const rendererShader = `
+        struct PlotParameters
+        {
+            // Color for ρ₁: 0.0, 0.0, 0.0, 0.0 for no plot.
+            rho1Color: vec4f,
+            // Color for ρ₂: 0.0, 0.0, 0.0, 0.0 for no plot.
+            rho2Color: vec4f,
+            // Color for the potential: 0.0, 0.0, 0.0, 0.0 for no plot
+            vColor: vec4f,
+            // Y scale for the density plots
+            densityMax: f32,
+            // Y scale for the V plot.
+            vMax: f32,
+            // Number of points along the y axis.
+            yResolution: u32,
+            // Roughly corresponds to the rendered line width
+            width: f32
+        }
+
+        // group 0, things that never change within a simulation.
+        // Plotting parameters, line colors, width, etc.
+        @group(0) @binding(0) var<storage, read> plotParameters : PlotParameters;
+        // The external potential each particle sees.
+        @group(0) @binding(1) var<storage, read> potential : array<f32>;
+
+        // Group 1, the marginal densities (ρ₁, ρ₂), recomputed for each render.
+        @group(1) @binding(0) var<storage, read> marginals : array<vec2f>;
+
+        /**
+         * Color pixels to represent the numerical values of a function on a grid, as in SchrodingerRenderer.
+         *
+         * @param {vec4}    color         The color for a line of the given function.
+         * @param {float}   scale         Possible values range from -scale to +scale.
+         * @param {float}   fragY         The y, vertical, fragment shader coordinate of this pixel
+         *                                in the range [0, yResolution-1] top to bottom.
+         * @param {Integer} yResolution   The number of vertical pixels in the plot.
+         * @param {float}   width         Roughly the line width in pixels.
+         * @param {float}   value         The value of the function at the current position.
+         * @param {float}   previousValue The previous function value.
+         */
+         fn pixelColor(color: vec4f, scale: f32, fragY: f32, yResolution: u32,
+                       width: f32, value: f32, previousValue: f32) -> vec4f
+         {
+            // The total height runs from -scale to +scale
+            let scale2 = 2.0*scale;
+            let adjustedPixel = -fragY + (f32(yResolution-1)/2.0);
+            // The function value for this pixel.
+            let pxValue = scale2*adjustedPixel/f32(yResolution);
+
+            // Begin fading in the color at the function value
+            // but adjust toward the previous value for continuity
+            let lowerEdge = min(value, previousValue+scale2/f32(yResolution));
+
+            // Begin fading out the color at the function value
+            // but adjust toward the previous value for continuity
+            let upperEdge = max(value, previousValue-scale2/f32(yResolution));
+
+            return color*(smoothstep(lowerEdge - scale2*width/f32(yResolution),
+                                     lowerEdge - scale2/f32(yResolution),
+                                     pxValue)
+                          -smoothstep(upperEdge + scale2/f32(yResolution),
+                                      upperEdge + scale2*width/f32(yResolution),
+                                      pxValue));
+         }
+
+         @vertex
+         fn vs_main(@location(0) inPos: vec3<f32>) -> @builtin(position) vec4f
+         {
+            return vec4(inPos, 1.0);
+         }
+
+         @fragment
+         fn fs_main(@builtin(position) fragPos: vec4<f32>) -> @location(0) vec4<f32>
+         {
+            // Frag position ranges from 0.5 to xResolution-0.5, one pixel per grid point.
+            let index            = i32(fragPos.x);
+            let previousIndex    = max(0, index-1);
+            let rho              = marginals[index];
+            let rhoPrevious      = marginals[previousIndex];
+
+            var background       = pixelColor(plotParameters.rho1Color, plotParameters.densityMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              rho.x, rhoPrevious.x);
+
+            var color            = pixelColor(plotParameters.rho2Color, plotParameters.densityMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              rho.y, rhoPrevious.y);
+            background           = mix(background, color, color.a);
+
+            color                = pixelColor(plotParameters.vColor, plotParameters.vMax, fragPos.y,
+                                              plotParameters.yResolution, plotParameters.width,
+                                              potential[index], potential[previousIndex]);
+            background           = mix(background, color, color.a);
+            return background;
+         }
+    `;
+
+        this.#rendererShaderModule = this.#device.createShaderModule({
+            label: 'Two particle renderer shader',
+            code: rendererShader
+        });
+
+        // A pair of triangles that cover the canvas in normalized device coordinates
+        const vertexData = new Float32Array([
+            -1.0,  1.0, 0.0, // upper left
+            -1.0, -1.0, 0.0, // lower left
+             1.0,  1.0, 0.0, // upper right
+             1.0, -1.0, 0.0  // lower right
+        ]);
+
+        this.#vertexBuffer = this.#device.createBuffer({
+            label: 'Position',
+            mappedAtCreation: true,
+            size: vertexData.byteLength,
+            usage: GPUBufferUsage.VERTEX
+        });
+
+        const vertexArrayBuffer = this.#vertexBuffer.getMappedRange();
+        new Float32Array(vertexArrayBuffer).set(vertexData);
+        this.#vertexBuffer.unmap();
+
+        this.#vertexBuffersDescriptor = [{
+            arrayStride: 3 * Float32Array.BYTES_PER_ELEMENT,
+            stepMode: 'vertex',
+            attributes: [{
+                shaderLocation: 0, // position
+                offset: 0,
+                format: 'float32x3'
+            }]
+        }];
+
+        this.#plotParametersLayout = this.#device.createBindGroupLayout({
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                },
+                {
+                    binding: 1,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        this.#plotParametersBuffer = this.#device.createBuffer({
+            label: 'Plot Parameters',
+            mappedAtCreation: true,
+            size: 4*Float32Array.BYTES_PER_ELEMENT  // rho1Color
+                + 4*Float32Array.BYTES_PER_ELEMENT  // rho2Color
+                + 4*Float32Array.BYTES_PER_ELEMENT  // vColor
+                + Float32Array.BYTES_PER_ELEMENT    // densityMax
+                + Float32Array.BYTES_PER_ELEMENT    // vMax
+                + Uint32Array.BYTES_PER_ELEMENT     // yResolution
+                + Float32Array.BYTES_PER_ELEMENT,   // width
+            usage: GPUBufferUsage.STORAGE
+        });
+
+        // Get the raw array buffer for the mapped GPU buffer
+        const plotParametersArrayBuffer = this.#plotParametersBuffer.getMappedRange();
+
+        let bytesSoFar = 0;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(this.#rho1Color);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(this.#rho2Color);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 4).set(this.#vColor);
+        bytesSoFar += 4*Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#densityMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#vMax]);
+        bytesSoFar += Float32Array.BYTES_PER_ELEMENT;
+        new Uint32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#yResolution]);
+        bytesSoFar += Uint32Array.BYTES_PER_ELEMENT;
+        new Float32Array(plotParametersArrayBuffer, bytesSoFar, 1).set([this.#width]);
+
+        this.#plotParametersBuffer.unmap();
+
+        // Zero for free particles.
+        const xResolution = this.#schrodinger.getXResolution();
+        this.#potentialBuffer = this.#device.createBuffer({
+            label: 'External potential',
+            mappedAtCreation: true,
+            size: xResolution*Float32Array.BYTES_PER_ELEMENT,
+            usage: GPUBufferUsage.STORAGE
+        });
+        new Float32Array(this.#potentialBuffer.getMappedRange())
+            .set(this.#schrodinger.getExternalPotential() ?? new Array(xResolution).fill(0));
+        this.#potentialBuffer.unmap();
+
+        this.#plotParametersBindGroup = this.#device.createBindGroup({
+            layout: this.#plotParametersLayout,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: this.#plotParametersBuffer
+                    }
+                },
+                {
+                    binding: 1,
+                    resource: {
+                        buffer: this.#potentialBuffer
+                    }
+                }
+            ]});
+
+        // Get a WebGPU context from the canvas and configure it
+        this.#canvas = document.getElementById(this.#canvasID);
+        this.#webGPUContext = this.#canvas.getContext('webgpu');
+        // This will be either rgba8unorm or bgra8unorm
+        this.#presentationFormat = navigator.gpu.getPreferredCanvasFormat();
+        this.#webGPUContext.configure({
+            device: this.#device,
+            format: this.#presentationFormat,
+            alphaMode: 'premultiplied'
+        });
+
+        return this;
+    }
+
+    /**
+     * Create and return an instance of a two particle density visualization with the given parameters.
+     *
+     * @param {SchrodingerTwoParticle} schrodinger A two particle solver instance from which we retrieve the device,
+     *                                             the marginals and the external potential.
+     * @param {String} canvasID          The HTML ID for the canvas we render to.
+     *
+     * @param {Array<Number>} rho1Color  The r, g, b, a color for the first particle's density, 0, 0, 0, 0 for no plot.
+     * @param {Array<Number>} rho2Color  The r, g, b, a color for the second particle's density, 0, 0, 0, 0 for no
+     *                                   plot.
+     * @param {Number} densityMax        The max density on the plot, the y-axis scale for the density plots.
+     * @param {Array<Number>} vColor     The color for the external potential, v.
+     * @param {Number} vMax              The max value for the potential on the plot, the y-axis scale for the
+     *                                   potential plot.
+     * @param {Number} yResolution       The number of pixels in the y direction.
+     * @param {Number} width             Roughly the width for renderer lines.
+     */
+    static async getInstance(schrodinger, canvasID, rho1Color, rho2Color, densityMax, vColor, vMax,
+                             yResolution, width)
+    {
+        const twoParticleRenderer = new TwoParticleRenderer(schrodinger, canvasID, rho1Color, rho2Color, densityMax,
+                                                            vColor, vMax, yResolution, width);
+        return twoParticleRenderer.init();
+    }
+
+    /**
+     * The html canvas element that is our rendering target.
+     *
+     * @returns {HTMLCanvasElement} The html canvas element that is our rendering target.
+     */
+    getCanvas() {
+        return this.#canvas;
+    }
+
+    /**
+     * Compute the marginals of a wave function buffer from the two particle simulation, and render them.
+     *
+     * @param {GPUBuffer} waveFunctionBuffer The wave function buffer to render, defaults to the solver's
+     *                                       current wave function.
+     */
+    render(waveFunctionBuffer=this.#schrodinger.getWaveFunctionBuffer())
+    {
+        const marginalsBuffer = this.#schrodinger.computeMarginals(waveFunctionBuffer);
+
+        const bindGroupLayout1 = this.#device.createBindGroupLayout({
+            label: "Marginals layout",
+            entries: [
+                {
+                    binding: 0,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    buffer: {
+                        type: "read-only-storage"
+                    }
+                }
+            ]
+        });
+
+        const bindGroup1 = this.#device.createBindGroup({
+            layout: bindGroupLayout1,
+            entries: [
+                {
+                    binding: 0,
+                    resource: {
+                        buffer: marginalsBuffer
+                    }
+                }
+            ]});
+
+        const pipelineLayout = this.#device.createPipelineLayout({
+            bindGroupLayouts: [this.#plotParametersLayout, // Plot parameters and potential
+                               bindGroupLayout1]           // The marginal densities
+        });
+
+        const pipeline = this.#device.createRenderPipeline({
+            label: 'Render triangles to cover the rectangular canvas.',
+            layout: pipelineLayout,
+            primitive: {
+                topology: "triangle-strip",
+            },
+            vertex: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'vs_main',
+                buffers: this.#vertexBuffersDescriptor
+            },
+            fragment: {
+                module: this.#rendererShaderModule,
+                entryPoint: 'fs_main',
+                targets: [{
+                    format: this.#presentationFormat,
+                    blend: {
+                        color: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        },
+                        alpha: {
+                            srcFactor: 'one',
+                            dstFactor: 'one-minus-src-alpha'
+                        }
+                    }
+                }]
+            }
+        });
+
+        const commandEncoder = this.#device.createCommandEncoder();
+
+        const passEncoder = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.#webGPUContext.getCurrentTexture().createView(),
+                loadOp: 'clear',
+                clearValue: [0.0, 0.0, 0.0, 0.0],
+                storeOp: 'store',
+            }]
+        });
+        passEncoder.setPipeline(pipeline);
+        passEncoder.setBindGroup(0, this.#plotParametersBindGroup);
+        passEncoder.setBindGroup(1, bindGroup1);
+        passEncoder.setVertexBuffer(0, this.#vertexBuffer);
+        passEncoder.draw(4);
+        passEncoder.end();
+
+        const commandBuffer = commandEncoder.finish();
+        this.#device.queue.submit([commandBuffer]);
+    }
+}
+
+export {TwoParticleRenderer}
@@ -0,0 +1,273 @@
+/**
+ * Copyright 2026 Vizit Solutions
+ *
+ *    Licensed under the Apache License, Version 2.0 (the "License");
+ *    you may not use this file except in compliance with the License.
+ *    You may obtain a copy of the License at
+ *
+ *      http://www.apache.org/licenses/LICENSE-2.0
+ *
+ *    Unless required by applicable law or agreed to in writing, software
+ *    distributed under the License is distributed on an "AS IS" BASIS,
+ *    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ *    See the License for the specific language governing permissions and
+ *    limitations under the License.
+ */
+
+/**
+ * The reduced Planck constant, ħ, in J s.
+ */
+const HBAR = 1.054571817e-34;
+
+/**
+ * One electron volt in J.
+ */
+const ELECTRON_VOLT = 1.602176634e-19;
+
+/**
+ * The electron and proton rest masses in kg.
+ */
+const ELECTRON_MASS = 9.1093837015e-31;
+const PROTON_MASS = 1.67262192369e-27;
+
+/**
+ * Metres per nanometre, and seconds per femtosecond.
+ */
+const NANOMETRE = 1.0e-9;
+const FEMTOSECOND = 1.0e-15;
+
+/**
+ * Conversions between physical units, nm, eV and fs, and the natural units used by the solvers, initializers and
+ * renderers, where ħ = m = 1.
+ *
+ * Fixing the particle mass, m, and the natural unit of length, L, fixes the rest. The unit of energy is ħ²/(mL²),
+ * the unit of time ħ/E = mL²/ħ, and the unit of wave number 1/L. For an electron with L = 1 nm these are about
+ * 76.2 meV and 8.64 fs.
+ *
+ * Each to method converts a physical value into natural units for the solver, and the matching from method
+ * converts a natural value back for display. For example
+ * <pre>
+ *   const units = new Units(Units.ELECTRON_MASS);
+ *   const solver = await Schrodinger.getInstance(units.toTime(0.001), 1024, units.toLength(100),
+ *                                                units.toPotential(potentialInEV));
+ *   ...
+ *   console.log(`t = ${units.fromTime(solver.getTime())} fs`);
+ * </pre>
+ *
+ * @property {Number} #mass The particle mass in kg.
+ * @property {Number} #lengthScale The natural unit of length in nm.
+ * @property {Number} #energyScale The natural unit of energy in eV.
+ * @property {Number} #timeScale The natural unit of time in fs.
+ */
+class Units
+{
+    #mass;
+    #lengthScale;
+    #energyScale;
+    #timeScale;
+
+    /**
+     * Build the unit conversions for a particle of the given mass.
+     *
+     * @param {Number} mass         The particle mass in kg, for example {@link Units.ELECTRON_MASS}, or an effective
+     *                              mass such as 0.067*Units.ELECTRON_MASS for an electron in GaAs.
+     * @param {Number} lengthScale  The natural unit of length in nm, defaults to 1 nm.
+     */
+    constructor(mass=ELECTRON_MASS, lengthScale=1.0)
+    {
+        if (!(mass > 0) || !(lengthScale > 0))
+        {
+            throw new Error(`${this.constructor.name}: The mass, ${mass}, and length scale, ${lengthScale}, must be `
+                            + `positive.`);
+        }
+        this.#mass = mass;
+        this.#lengthScale = lengthScale;
+        const metres = lengthScale*NANOMETRE;
+        const joules = HBAR*HBAR/(mass*metres*metres);
+        this.#energyScale = joules/ELECTRON_VOLT;
+        this.#timeScale = HBAR/joules/FEMTOSECOND;
+    }
+
+    /**
+     * The electron rest mass.
+     *
+     * @returns {Number} mₑ in kg.
+     */
+    static get ELECTRON_MASS()
+    {
+        return ELECTRON_MASS;
+    }
+
+    /**
+     * The proton rest mass.
+     *
+     * @returns {Number} mₚ in kg.
+     */
+    static get PROTON_MASS()
+    {
+        return PROTON_MASS;
+    }
+
+    /**
+     * The particle mass.
+     *
+     * @returns {Number} The mass in kg.
+     */
+    getMass()
+    {
+        return this.#mass;
+    }
+
+    /**
+     * The natural unit of length.
+     *
+     * @returns {Number} L in nm.
+     */
+    getLengthScale()
+    {
+        return this.#lengthScale;
+    }
+
+    /**
+     * The natural unit of energy, ħ²/(mL²).
+     *
+     * @returns {Number} The energy unit in eV.
+     */
+    getEnergyScale()
+    {
+        return this.#energyScale;
+    }
+
+    /**
+     * The natural unit of time, mL²/ħ.
+     *
+     * @returns {Number} The time unit in fs.
+     */
+    getTimeScale()
+    {
+        return this.#timeScale;
+    }
+
+    /**
+     * Convert a length, such as the solver's length or an initializer's x0 and w, to natural units.
+     *
+     * @param {Number} nm The length in nm.
+     * @returns {Number} The length in natural units.
+     */
+    toLength(nm)
+    {
+        return nm/this.#lengthScale;
+    }
+
+    /**
+     * Convert a length from natural units.
+     *
+     * @param {Number} length The length in natural units.
+     * @returns {Number} The length in nm.
+     */
+    fromLength(length)
+    {
+        return length*this.#lengthScale;
+    }
+
+    /**
+     * Convert a time, such as the solver's dt, to natural units.
+     *
+     * @param {Number} fs The time in fs.
+     * @returns {Number} The time in natural units.
+     */
+    toTime(fs)
+    {
+        return fs/this.#timeScale;
+    }
+
+    /**
+     * Convert a time, such as the solver's getTime, from natural units.
+     *
+     * @param {Number} time The time in natural units.
+     * @returns {Number} The time in fs.
+     */
+    fromTime(time)
+    {
+        return time*this.#timeScale;
+    }
+
+    /**
+     * Convert an energy, such as a renderer's E or vMax, to natural units.
+     *
+     * @param {Number} eV The energy in eV.
+     * @returns {Number} The energy in natural units.
+     */
+    toEnergy(eV)
+    {
+        return eV/this.#energyScale;
+    }
+
+    /**
+     * Convert an energy, such as an eigenvalue, from natural units.
+     *
+     * @param {Number} energy The energy in natural units.
+     * @returns {Number} The energy in eV.
+     */
+    fromEnergy(energy)
+    {
+        return energy*this.#energyScale;
+    }
+
+    /**
+     * Convert a wave number, such as an initializer's k, to natural units.
+     *
+     * @param {Number} perNm The wave number in nm⁻¹.
+     * @returns {Number} The wave number in natural units.
+     */
+    toWaveNumber(perNm)
+    {
+        return perNm*this.#lengthScale;
+    }
+
+    /**
+     * Convert a wave number from natural units.
+     *
+     * @param {Number} k The wave number in natural units.
+     * @returns {Number} The wave number in nm⁻¹.
+     */
+    fromWaveNumber(k)
+    {
+        return k/this.#lengthScale;
+    }
+
+    /**
+     * The wave number of a free particle with the given kinetic energy, k = √(2mE)/ħ, for an initializer's k.
+     *
+     * @param {Number} eV The kinetic energy in eV.
+     * @returns {Number} The wave number in natural units.
+     */
+    waveNumberForEnergy(eV)
+    {
+        return Math.sqrt(2.0*this.toEnergy(eV));
+    }
+
+    /**
+     * Convert a potential to natural units.
+     *
+     * @param {Array<Number>} eV The potential at each grid point in eV.
+     * @returns {Array<Number>} The potential in natural units.
+     */
+    toPotential(eV)
+    {
+        return Array.from(eV, v => this.toEnergy(v));
+    }
+
+    /**
+     * Convert a potential from natural units.
+     *
+     * @param {Array<Number>} potential The potential at each grid point in natural units.
+     * @returns {Array<Number>} The potential in eV.
+     */
+    fromPotential(potential)
+    {
+        return Array.from(potential, v => this.fromEnergy(v));
+    }
+}
+
+export {Units}
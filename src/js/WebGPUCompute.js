@@ -7,6 +7,7 @@ const LOW_POWER_POWER_PREFERENCE = "low-power";
 const FALLBACK_OPTION_NAME = "forceFallbackAdapter";
 const TIMESTAMP_QUERY_FEATURE_NAME = "timestamp-query";
 const TIMESTAMP_QUERY_TYPE = "timestamp";
+const SHADER_F16_FEATURE_NAME = "shader-f16";
 
 /**
  * @typedef {Number} Integer
@@ -75,6 +76,15 @@ class WebGPUCompute {
         return TIMESTAMP_QUERY_TYPE;
     }
 
+    /**
+     * The feature enabling f16 in shaders.
+     *
+     * @returns {string} The shader-f16 feature name.
+     */
+    static get SHADER_F16_FEATURE_NAME() {
+        return SHADER_F16_FEATURE_NAME;
+    }
+
     /**
      * Get the adapter corresponding to the provided options. Or the default adapter
      * if no options are provided. Adapters can not generally be reused.
@@ -110,6 +120,17 @@ class WebGPUCompute {
         return adapter.features.has(TIMESTAMP_QUERY_FEATURE_NAME);
     }
 
+    /**
+     * Check whether the adaptor supports f16 in shaders.
+     *
+     * @returns {Promise<boolean>} A promise that resolves to true if shader-f16 is supported, false if not.
+     */
+    async hasShaderF16()
+    {
+        const adapter = await this.getAdapter();
+        return adapter.features.has(SHADER_F16_FEATURE_NAME);
+    }
+
     /**
      * Check a limit against a desired value. Return true if the limit is equal to or greater
      * than the desired value, or false if not.
@@ -135,7 +156,7 @@ class WebGPUCompute {
     async getLimit(limitName)
     {
         const adapter = await this.getAdapter();
-        return adaptor.limits[limitName];
+        return adapter.limits[limitName];
     }
 
     /**
@@ -174,25 +195,49 @@ class WebGPUCompute {
      * @returns {Promise<GPUDevice>} A promise that resolves to a GPUDevice.
      */
     async getTimestampDevice() {
+        return this.getMyDevice(this.#descriptorWithFeature(TIMESTAMP_QUERY_FEATURE_NAME));
+    }
+
+    /**
+     * Get a device with f16 shaders enabled, when the adapter supports them. Any provided device features and limits
+     * are used, with the addition of shader-f16 where available. Otherwise this falls back to a device without it,
+     * check with <code>device.features.has(WebGPUCompute.SHADER_F16_FEATURE_NAME)</code>.
+     *
+     * @returns {Promise<GPUDevice>} A promise that resolves to a GPUDevice.
+     */
+    async getShaderF16Device() {
+        if (await this.hasShaderF16()) {
+            return this.getMyDevice(this.#descriptorWithFeature(SHADER_F16_FEATURE_NAME));
+        }
+        return this.getDevice();
+    }
+
+    /**
+     * A copy of the provided device descriptor, with the given feature added to the required features.
+     *
+     * @param {String} featureName The feature to require.
+     * @returns {GPUDeviceDescriptor} The device descriptor.
+     */
+    #descriptorWithFeature(featureName) {
         let descriptor;
         if (this.#deviceDescriptor) {
             descriptor = JSON.parse(JSON.stringify(this.#deviceDescriptor));
 
             if (descriptor.requiredFeatures)
             {
-                if (!descriptor.requiredFeatures.includes(TIMESTAMP_QUERY_FEATURE_NAME))
+                if (!descriptor.requiredFeatures.includes(featureName))
                 {
-                    descriptor.requiredFeatures.push(TIMESTAMP_QUERY_FEATURE_NAME);
+                    descriptor.requiredFeatures.push(featureName);
                 }
             } else {
-                descriptor.requiredFeatures = [TIMESTAMP_QUERY_FEATURE_NAME];
+                descriptor.requiredFeatures = [featureName];
             }
         } else {
             descriptor = {
-              requiredFeatures: [TIMESTAMP_QUERY_FEATURE_NAME]
+              requiredFeatures: [featureName]
             };
         }
-        return this.getMyDevice(descriptor);
+        return descriptor;
     }
 
     /**